@@ -0,0 +1,212 @@
+import { cvToHex, cvToJSON, hexToCV, standardPrincipalCV, uintCV } from '@stacks/transactions'
+
+/**
+ * Clarity helpers for the StacksBet Arena backend
+ * Decodes the contract's transactions into events and calls its read-only
+ * functions, returning the same shapes the frontend's MarketIndex and
+ * MarketHistory use.
+ */
+
+// ============================================
+// EVENT TYPES
+// ============================================
+
+export const MarketEventTypes = {
+  MARKET_CREATED: 'create-market',
+  BET_PLACED: 'place-bet',
+  MARKET_RESOLVED: 'resolve-market',
+  WINNINGS_CLAIMED: 'claim-winnings',
+  MARKET_CANCELLED: 'cancel-market',
+  MARKET_EMERGENCY_CLOSED: 'emergency-close',
+}
+
+export const OUTCOME = {
+  YES: 1,
+  NO: 2,
+  INVALID: 3,
+}
+
+const MARKET_FUNCTIONS = new Set(Object.values(MarketEventTypes))
+
+// ============================================
+// DECODING
+// ============================================
+
+/**
+ * Convert `cvToJSON` output into plain JS values (uints become numbers,
+ * optionals their value or null)
+ */
+export const clarityJsonToPlain = (json) => {
+  if (json === null || typeof json !== 'object') return json
+  if (Array.isArray(json)) return json.map(clarityJsonToPlain)
+
+  const { type, value } = json
+  if (type === 'uint' || type === 'int') return Number(value)
+  if (typeof type === 'string' && type.startsWith('(tuple')) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [key, clarityJsonToPlain(field)])
+    )
+  }
+  return clarityJsonToPlain(value)
+}
+
+const decodeHex = (hex) => clarityJsonToPlain(cvToJSON(hexToCV(hex)))
+
+/**
+ * Decode one Hiro transaction into a market event, or null if it is not a
+ * successful call to one of the market functions
+ */
+export const decodeContractCall = (tx) => {
+  if (tx?.tx_type !== 'contract_call' || tx.tx_status !== 'success') return null
+
+  const { function_name: fn, function_args: rawArgs = [] } = tx.contract_call || {}
+  if (!MARKET_FUNCTIONS.has(fn)) return null
+
+  const args = Object.fromEntries(rawArgs.map((arg) => [arg.name, decodeHex(arg.hex)]))
+  const result = tx.tx_result?.hex ? decodeHex(tx.tx_result.hex) : null
+
+  const base = {
+    type: fn,
+    txId: tx.tx_id,
+    sender: tx.sender_address,
+    blockHeight: tx.block_height,
+    txIndex: tx.tx_index ?? 0,
+    timestamp: (tx.block_time ?? tx.burn_block_time ?? 0) * 1000,
+  }
+
+  switch (fn) {
+    case MarketEventTypes.MARKET_CREATED:
+      return {
+        ...base,
+        marketId: result,
+        title: args.title,
+        category: args.category,
+        endTime: args['end-time'],
+        resolutionTime: args['resolution-time'],
+        liquidity: args['initial-liquidity'],
+      }
+    case MarketEventTypes.BET_PLACED:
+      return {
+        ...base,
+        marketId: args['market-id'],
+        outcome: args.outcome,
+        amount: args.amount,
+        shares: result?.shares ?? 0,
+        fee: result?.fee ?? 0,
+      }
+    case MarketEventTypes.MARKET_RESOLVED:
+      return { ...base, marketId: args['market-id'], outcome: args.outcome }
+    case MarketEventTypes.WINNINGS_CLAIMED:
+      return { ...base, marketId: args['market-id'], payout: result ?? 0 }
+    case MarketEventTypes.MARKET_CANCELLED:
+    case MarketEventTypes.MARKET_EMERGENCY_CLOSED:
+      return { ...base, marketId: args['market-id'], outcome: OUTCOME.INVALID }
+    default:
+      return null
+  }
+}
+
+export const compareEvents = (a, b) => a.blockHeight - b.blockHeight || a.txIndex - b.txIndex
+
+/**
+ * Whether `place-bet` can still succeed at `tipHeight`; the same rule as the
+ * frontend's isBettingOpen: the next transaction lands in block `tip + 1`
+ */
+export const isBettingOpen = (market, tipHeight) => market.isActive !== false && tipHeight + 1 < market.endTime
+
+// ============================================
+// PARSING
+// ============================================
+
+// Same fields as the frontend's parseMarket/parsePosition/parseUserStats
+const parseMarket = (id, v) => ({
+  id,
+  creator: v.creator,
+  title: v.title,
+  description: v.description,
+  category: v.category,
+  resolutionSource: v['resolution-source'],
+  endTime: v['end-time'],
+  resolutionTime: v['resolution-time'],
+  totalYes: v['total-yes-amount'],
+  totalNo: v['total-no-amount'],
+  resolved: v.resolved,
+  outcome: v.outcome,
+  createdAt: v['created-at'],
+  isActive: v['is-active'],
+})
+
+const parsePosition = (v) => ({
+  yesShares: v['yes-shares'],
+  noShares: v['no-shares'],
+  totalInvested: v['total-invested'],
+  claimed: v.claimed,
+})
+
+const parseUserStats = (v) => ({
+  totalBets: v['total-bets'],
+  totalVolume: v['total-volume'],
+  totalWinnings: v['total-winnings'],
+  totalLosses: v['total-losses'],
+  marketsCreated: v['markets-created'],
+  winRate: v['win-rate'],
+})
+
+// ============================================
+// READ-ONLY CALLS
+// ============================================
+
+/**
+ * Read-only calls against one contract on a Hiro API
+ */
+export const createContractReader = ({ stacksApiUrl, contractAddress, contractName, fetchFn = fetch }) => {
+  const call = async (functionName, args = []) => {
+    const url = `${stacksApiUrl}/v2/contracts/call-read/${contractAddress}/${contractName}/${functionName}`
+    const res = await fetchFn(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sender: contractAddress, arguments: args.map((arg) => cvToHex(arg)) }),
+    })
+    if (!res.ok) throw new Error(`${functionName} failed (${res.status})`)
+    const json = await res.json()
+    if (!json.okay) throw new Error(`${functionName} failed: ${json.cause || 'unknown cause'}`)
+    return decodeHex(json.result)
+  }
+
+  return {
+    async getTipHeight() {
+      const res = await fetchFn(`${stacksApiUrl}/v2/info`)
+      if (!res.ok) throw new Error('Failed to fetch Stacks chain info')
+      const json = await res.json()
+      return json.stacks_tip_height
+    },
+    async getMarket(id) {
+      const value = await call('get-market', [uintCV(id)])
+      return value ? parseMarket(id, value) : null
+    },
+    async getPosition(id, address) {
+      return parsePosition(await call('get-position', [uintCV(id), standardPrincipalCV(address)]))
+    },
+    async getUserStats(address) {
+      return parseUserStats(await call('get-user-stats', [standardPrincipalCV(address)]))
+    },
+    async getTotals() {
+      const [totalVolume, totalMarkets, totalBets] = await Promise.all([
+        call('get-total-volume'),
+        call('get-total-markets'),
+        call('get-total-bets'),
+      ])
+      return { totalVolume, totalMarkets, totalBets }
+    },
+  }
+}
+
+export default {
+  MarketEventTypes,
+  OUTCOME,
+  clarityJsonToPlain,
+  decodeContractCall,
+  compareEvents,
+  isBettingOpen,
+  createContractReader,
+}
@@ -0,0 +1,33 @@
+import path from 'node:path'
+
+/**
+ * Backend configuration for StacksBet Arena
+ * Everything comes from environment variables so one build can index any
+ * network and contract.
+ */
+
+const env = process.env
+
+export const CONFIG = {
+  port: Number(env.PORT) || 3001,
+  // Hiro API of the network the contract lives on
+  stacksApiUrl: (env.STACKS_API_URL || 'https://api.mainnet.hiro.so').replace(/\/+$/, ''),
+  contractAddress: env.CONTRACT_ADDRESS || '',
+  contractName: env.CONTRACT_NAME || 'stacksbet-arena',
+  // Where the JSON store is written
+  dataDir: path.resolve(env.DATA_DIR || 'data'),
+  pollInterval: Number(env.POLL_INTERVAL) || 15000,
+  // Allowed `Origin` for browsers; `*` allows any
+  corsOrigin: env.CORS_ORIGIN || '*',
+}
+
+/**
+ * Throw when the configuration cannot work
+ */
+export const assertConfig = (config = CONFIG) => {
+  if (!config.contractAddress) {
+    throw new Error('CONTRACT_ADDRESS is not set')
+  }
+}
+
+export default CONFIG
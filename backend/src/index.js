@@ -0,0 +1,43 @@
+import { CONFIG, assertConfig } from './config.js'
+import { Indexer } from './indexer.js'
+import { createServer } from './server.js'
+import { JsonStore } from './store.js'
+
+/**
+ * Entry point: load the store, start the indexer and serve the read API.
+ * `--index-only` runs one indexing pass and exits.
+ */
+
+const main = async () => {
+  assertConfig()
+  const store = new JsonStore({
+    dataDir: CONFIG.dataDir,
+    contractId: `${CONFIG.contractAddress}.${CONFIG.contractName}`,
+  })
+  await store.load()
+  const indexer = new Indexer({ config: CONFIG, store })
+
+  if (process.argv.includes('--index-only')) {
+    const { tipHeight, events } = await indexer.run()
+    console.info(`Index at block #${tipHeight} (${events.length} new event(s))`)
+    return
+  }
+
+  indexer.start()
+  const server = createServer({ store, indexer, corsOrigin: CONFIG.corsOrigin })
+  server.listen(CONFIG.port, () => {
+    console.info(`StacksBet Arena API for ${indexer.contractId} on http://localhost:${CONFIG.port}`)
+  })
+
+  const shutdown = () => {
+    indexer.stop()
+    server.close(() => process.exit(0))
+  }
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exit(1)
+})
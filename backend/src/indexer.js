@@ -0,0 +1,193 @@
+import { MarketEventTypes, compareEvents, createContractReader, decodeContractCall } from './clarity.js'
+import { positionKey } from './store.js'
+
+/**
+ * Contract indexer for the StacksBet Arena backend
+ * Follows the contract's transaction feed on the Hiro API, appends decoded
+ * events to the store and re-reads only the markets, positions and user
+ * stats those events touched.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PAGE_SIZE = 50
+const READ_CONCURRENCY = 4
+
+// Calls that change the sender's position and stats
+const USER_EVENTS = new Set([MarketEventTypes.BET_PLACED, MarketEventTypes.WINNINGS_CLAIMED])
+
+/**
+ * Run `task` over `items`, at most `concurrency` at a time
+ */
+const mapWithConcurrency = async (items, task, concurrency = READ_CONCURRENCY) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await task(items[i])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+  return results
+}
+
+// ============================================
+// INDEXER
+// ============================================
+
+export class Indexer {
+  constructor({ config, store, fetchFn = fetch, logger = console }) {
+    this.config = config
+    this.store = store
+    this.fetchFn = fetchFn
+    this.logger = logger
+    this.contractId = `${config.contractAddress}.${config.contractName}`
+    this.reader = createContractReader({ ...config, fetchFn })
+    this.seenTxIds = new Set(store.state.seenTxIds)
+    this.timer = null
+    this.pendingRun = null
+    this.lastError = null
+  }
+
+  async fetchPage(offset) {
+    const url = `${this.config.stacksApiUrl}/extended/v1/address/${this.contractId}/transactions?limit=${PAGE_SIZE}&offset=${offset}`
+    const res = await this.fetchFn(url)
+    if (!res.ok) throw new Error(`Failed to fetch contract transactions (${res.status})`)
+    return res.json()
+  }
+
+  /**
+   * Transactions newer than the last pass. The feed is newest first, so
+   * paging stops at the first transaction already seen.
+   */
+  async fetchNewTransactions() {
+    const fresh = []
+    // A transaction mined mid-pass shifts every older one down a place, so a
+    // page can repeat the last item of the one before it
+    const fetched = new Set()
+    let offset = 0
+    let total = Infinity
+    let caughtUp = false
+
+    while (!caughtUp && offset < total) {
+      const page = await this.fetchPage(offset)
+      total = page.total ?? 0
+      const results = page.results || []
+      if (results.length === 0) break
+      for (const tx of results) {
+        if (this.seenTxIds.has(tx.tx_id)) {
+          caughtUp = true
+          break
+        }
+        if (fetched.has(tx.tx_id)) continue
+        fetched.add(tx.tx_id)
+        fresh.push(tx)
+      }
+      offset += results.length
+    }
+    return fresh
+  }
+
+  /**
+   * One indexing pass. Concurrent callers share it.
+   */
+  run() {
+    if (this.pendingRun) return this.pendingRun
+
+    this.pendingRun = this.runOnce().finally(() => {
+      this.pendingRun = null
+    })
+    return this.pendingRun
+  }
+
+  async runOnce() {
+    const { state } = this.store
+    // Tip first: the feed then covers at least every block up to it
+    const tipHeight = await this.reader.getTipHeight()
+    const transactions = await this.fetchNewTransactions()
+    const events = transactions.map(decodeContractCall).filter(Boolean)
+
+    const marketIds = new Set(events.map((event) => event.marketId))
+    const positions = new Map()
+    const users = new Set()
+    events.forEach((event) => {
+      if (USER_EVENTS.has(event.type)) {
+        positions.set(positionKey(event.marketId, event.sender), [event.marketId, event.sender])
+        users.add(event.sender)
+      } else if (event.type === MarketEventTypes.MARKET_CREATED) {
+        users.add(event.sender)
+      }
+    })
+
+    // Read everything before touching the store so a failed read retries the whole pass
+    const [markets, positionReads, userReads, totals] = await Promise.all([
+      mapWithConcurrency(Array.from(marketIds), (id) => this.reader.getMarket(id)),
+      mapWithConcurrency(Array.from(positions.values()), ([id, address]) => this.reader.getPosition(id, address)),
+      mapWithConcurrency(Array.from(users), (address) => this.reader.getUserStats(address)),
+      events.length || state.tipHeight == null ? this.reader.getTotals() : state.totals,
+    ])
+
+    markets.forEach((market) => {
+      if (market) state.markets[market.id] = market
+    })
+    Array.from(positions.keys()).forEach((key, i) => {
+      state.positions[key] = positionReads[i]
+    })
+    Array.from(users).forEach((address, i) => {
+      state.users[address] = userReads[i]
+    })
+    state.totals = totals
+    const storedTxIds = new Set(state.events.map((event) => event.txId))
+    state.events = [...state.events, ...events.filter((event) => !storedTxIds.has(event.txId))].sort(compareEvents)
+
+    transactions.forEach((tx) => this.seenTxIds.add(tx.tx_id))
+    state.seenTxIds = Array.from(this.seenTxIds)
+    state.tipHeight = tipHeight
+    await this.store.save()
+
+    if (events.length) {
+      this.logger.info(`Indexed ${events.length} event(s) up to block #${tipHeight}`)
+    }
+    this.lastError = null
+    return { tipHeight, events, marketIds: Array.from(marketIds) }
+  }
+
+  // ---- lifecycle -------------------------------------------------------
+
+  /**
+   * Index now and then every `pollInterval` until `stop()`
+   */
+  start() {
+    if (this.timer) return
+    const tick = async () => {
+      try {
+        await this.run()
+      } catch (error) {
+        this.lastError = error.message
+        this.logger.error(`Indexing failed: ${error.message}`)
+      }
+      if (this.timer) this.timer = setTimeout(tick, this.config.pollInterval)
+    }
+    this.timer = setTimeout(tick, 0)
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  get status() {
+    return {
+      contractId: this.contractId,
+      tipHeight: this.store.tipHeight,
+      updatedAt: this.store.state.updatedAt,
+      events: this.store.state.events.length,
+      error: this.lastError,
+    }
+  }
+}
+
+export default Indexer
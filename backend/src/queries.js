@@ -0,0 +1,304 @@
+import { MarketEventTypes, isBettingOpen } from './clarity.js'
+
+/**
+ * Read queries for the StacksBet Arena backend
+ * Pure functions over the JsonStore that build the REST responses. Market
+ * rows carry the same fields as the contract's `get-market`, plus
+ * participants, volume and `get-odds`.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const MARKET_STATUSES = ['open', 'closed', 'resolved']
+export const MARKET_SORTS = ['newest', 'volume', 'participants', 'ending']
+export const LEADERBOARD_SORTS = ['profit', 'volume', 'winRate', 'totalBets']
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Bad query parameters; the server answers 400 with the message
+ */
+export class QueryError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'QueryError'
+    this.status = 400
+  }
+}
+
+const parseLimit = (value, fallback = DEFAULT_LIMIT) => {
+  if (value == null || value === '') return fallback
+  const limit = Number(value)
+  if (!Number.isInteger(limit) || limit < 1) throw new QueryError('limit must be a positive integer')
+  return Math.min(limit, MAX_LIMIT)
+}
+
+const parseOffset = (value) => {
+  if (value == null || value === '') return 0
+  const offset = Number(value)
+  if (!Number.isInteger(offset) || offset < 0) throw new QueryError('offset must be a non-negative integer')
+  return offset
+}
+
+const pick = (value, allowed, name, fallback) => {
+  if (value == null || value === '') return fallback
+  if (!allowed.includes(value)) throw new QueryError(`${name} must be one of ${allowed.join(', ')}`)
+  return value
+}
+
+const paginate = (rows, query) => {
+  const limit = parseLimit(query.limit)
+  const offset = parseOffset(query.offset)
+  return { total: rows.length, limit, offset, rows: rows.slice(offset, offset + limit) }
+}
+
+// ============================================
+// MARKETS
+// ============================================
+
+const BPS = 10000n
+
+// `get-odds`: the YES figure is the NO pool's share
+const getOdds = ({ totalYes, totalNo }) => {
+  const yes = BigInt(totalYes)
+  const no = BigInt(totalNo)
+  const total = yes + no
+  if (total === 0n) return { yes: 5000, no: 5000 }
+  return { yes: Number((no * BPS) / total), no: Number((yes * BPS) / total) }
+}
+
+const getBets = (store) => store.getEvents().filter((event) => event.type === MarketEventTypes.BET_PLACED)
+
+const getParticipantCounts = (store) => {
+  const bettors = new Map()
+  getBets(store).forEach((bet) => {
+    if (!bettors.has(bet.marketId)) bettors.set(bet.marketId, new Set())
+    bettors.get(bet.marketId).add(bet.sender)
+  })
+  return new Map(Array.from(bettors, ([id, senders]) => [id, senders.size]))
+}
+
+/**
+ * Where a market stands at `tipHeight`: betting open, betting closed but not
+ * resolved, or resolved
+ */
+export const getMarketStatus = (market, tipHeight) => {
+  if (market.resolved) return 'resolved'
+  if (tipHeight == null) return market.isActive ? 'open' : 'closed'
+  return isBettingOpen(market, tipHeight) ? 'open' : 'closed'
+}
+
+const toMarketRow = (market, participants, tipHeight) => ({
+  ...market,
+  status: getMarketStatus(market, tipHeight),
+  volume: market.totalYes + market.totalNo,
+  participants: participants.get(market.id) || 0,
+  odds: getOdds(market),
+})
+
+const SORTERS = {
+  newest: (a, b) => b.id - a.id,
+  volume: (a, b) => b.volume - a.volume || b.id - a.id,
+  participants: (a, b) => b.participants - a.participants || b.id - a.id,
+  ending: (a, b) => a.endTime - b.endTime || a.id - b.id,
+}
+
+const matchesText = (market, text) =>
+  [market.title, market.description, market.category].some((field) => field?.toLowerCase().includes(text))
+
+/**
+ * `/markets` and `/markets/search`: filter by `category`, `status`,
+ * `creator` and free text `q`, then sort and paginate
+ */
+export const listMarkets = (store, query = {}) => {
+  const status = pick(query.status, MARKET_STATUSES, 'status')
+  const sort = pick(query.sort, MARKET_SORTS, 'sort', 'newest')
+  const text = query.q?.trim().toLowerCase()
+  const category = query.category?.toLowerCase()
+  const { tipHeight } = store
+  const participants = getParticipantCounts(store)
+
+  const rows = store
+    .getMarkets()
+    .map((market) => toMarketRow(market, participants, tipHeight))
+    .filter((market) => !category || market.category.toLowerCase() === category)
+    .filter((market) => !status || market.status === status)
+    .filter((market) => !query.creator || market.creator === query.creator)
+    .filter((market) => !text || matchesText(market, text))
+    .sort(SORTERS[sort])
+
+  const page = paginate(rows, query)
+  return { tipHeight, total: page.total, limit: page.limit, offset: page.offset, markets: page.rows }
+}
+
+/**
+ * `/markets/search`: like `/markets`, but `q` is required
+ */
+export const searchMarkets = (store, query = {}) => {
+  if (!query.q?.trim()) throw new QueryError('q is required')
+  return listMarkets(store, query)
+}
+
+/**
+ * `/markets/trending`: open markets ranked by the volume bet on them in the
+ * last `days` days
+ */
+export const getTrendingMarkets = (store, query = {}, now = Date.now()) => {
+  const days = query.days == null ? 7 : Number(query.days)
+  if (!(days > 0)) throw new QueryError('days must be a positive number')
+  const limit = parseLimit(query.limit, 5)
+  const since = now - days * DAY_MS
+
+  const recentVolume = new Map()
+  getBets(store)
+    .filter((bet) => bet.timestamp >= since)
+    .forEach((bet) => recentVolume.set(bet.marketId, (recentVolume.get(bet.marketId) || 0) + bet.amount))
+
+  const { tipHeight } = store
+  const participants = getParticipantCounts(store)
+  const markets = store
+    .getMarkets()
+    .filter((market) => recentVolume.has(market.id))
+    .map((market) => ({ ...toMarketRow(market, participants, tipHeight), recentVolume: recentVolume.get(market.id) }))
+    .filter((market) => market.status === 'open')
+    .sort((a, b) => b.recentVolume - a.recentVolume || b.id - a.id)
+    .slice(0, limit)
+
+  return { tipHeight, days, markets }
+}
+
+/**
+ * `/markets/:id`, or null when the market is unknown
+ */
+export const getMarketDetail = (store, id) => {
+  const market = store.getMarket(id)
+  if (!market) return null
+  return { tipHeight: store.tipHeight, market: toMarketRow(market, getParticipantCounts(store), store.tipHeight) }
+}
+
+/**
+ * `/markets/:id/bets`: the market's bets, newest first
+ */
+export const getMarketBets = (store, id, query = {}) => {
+  const bets = getBets(store)
+    .filter((bet) => bet.marketId === Number(id))
+    .reverse()
+  const page = paginate(bets, query)
+  return { tipHeight: store.tipHeight, total: page.total, limit: page.limit, offset: page.offset, bets: page.rows }
+}
+
+/**
+ * `/events?since=<height>`: events in blocks after `since` and the IDs of
+ * markets they touched or whose betting or resolution window opened or
+ * closed in those blocks. Clients poll it to learn what to reload.
+ */
+export const getEventsSince = (store, query = {}) => {
+  const since = Number(query.since)
+  if (query.since == null || !Number.isInteger(since) || since < 0) {
+    throw new QueryError('since must be a block height')
+  }
+  const { tipHeight } = store
+  const events = store.getEvents().filter((event) => event.blockHeight > since)
+  const marketIds = new Set(events.map((event) => event.marketId))
+  store
+    .getMarkets()
+    .filter((market) => !market.resolved)
+    // A window flips once the next block reaches its height, i.e. at tip `height - 1`
+    .filter((market) => [market.endTime - 1, market.resolutionTime - 1].some((height) => height > since && height <= tipHeight))
+    .forEach((market) => marketIds.add(market.id))
+
+  return { tipHeight, events, marketIds: Array.from(marketIds) }
+}
+
+// ============================================
+// USERS
+// ============================================
+
+const EMPTY_STATS = {
+  totalBets: 0,
+  totalVolume: 0,
+  totalWinnings: 0,
+  totalLosses: 0,
+  marketsCreated: 0,
+  winRate: 0,
+}
+
+/**
+ * `/users/:address`: `get-user-stats` and every position the user holds.
+ * Addresses the contract has never seen get empty stats, as on chain.
+ */
+export const getUserProfile = (store, address) => {
+  const positions = Object.entries(store.state.positions)
+    .filter(([key]) => key.endsWith(`:${address}`))
+    .map(([key, position]) => ({ marketId: Number(key.split(':')[0]), ...position }))
+    .sort((a, b) => b.marketId - a.marketId)
+
+  return {
+    tipHeight: store.tipHeight,
+    address,
+    stats: store.getUser(address) || EMPTY_STATS,
+    positions,
+  }
+}
+
+/**
+ * `/users/:address/bets`: the user's bets, newest first
+ */
+export const getUserBets = (store, address, query = {}) => {
+  const bets = getBets(store)
+    .filter((bet) => bet.sender === address)
+    .reverse()
+  const page = paginate(bets, query)
+  return { tipHeight: store.tipHeight, total: page.total, limit: page.limit, offset: page.offset, bets: page.rows }
+}
+
+/**
+ * `/leaderboard`: all-time rows from `get-user-stats`, shaped like the
+ * frontend's leaderboard rows
+ */
+export const getLeaderboard = (store, query = {}) => {
+  const sortBy = pick(query.sortBy, LEADERBOARD_SORTS, 'sortBy', 'profit')
+  const order = pick(query.order, ['asc', 'desc'], 'order', 'desc')
+
+  const rows = store
+    .getUsers()
+    .filter((user) => user.totalBets > 0)
+    .map((user) => ({
+      address: user.address,
+      totalBets: user.totalBets,
+      volume: user.totalVolume,
+      profit: user.totalWinnings - user.totalLosses,
+      winRate: user.winRate,
+    }))
+    .sort((a, b) => (order === 'desc' ? b[sortBy] - a[sortBy] : a[sortBy] - b[sortBy]) || b.volume - a.volume)
+
+  const page = paginate(rows, query)
+  return { tipHeight: store.tipHeight, total: page.total, limit: page.limit, offset: page.offset, traders: page.rows }
+}
+
+/**
+ * `/stats`: the contract's protocol totals
+ */
+export const getProtocolStats = (store) => ({ tipHeight: store.tipHeight, ...store.getTotals() })
+
+export default {
+  MARKET_STATUSES,
+  MARKET_SORTS,
+  LEADERBOARD_SORTS,
+  QueryError,
+  getMarketStatus,
+  listMarkets,
+  searchMarkets,
+  getTrendingMarkets,
+  getMarketDetail,
+  getMarketBets,
+  getEventsSince,
+  getUserProfile,
+  getUserBets,
+  getLeaderboard,
+  getProtocolStats,
+}
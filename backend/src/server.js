@@ -0,0 +1,116 @@
+import http from 'node:http'
+import {
+  getEventsSince,
+  getLeaderboard,
+  getMarketBets,
+  getMarketDetail,
+  getProtocolStats,
+  getTrendingMarkets,
+  getUserBets,
+  getUserProfile,
+  listMarkets,
+  searchMarkets,
+} from './queries.js'
+
+/**
+ * HTTP server for the StacksBet Arena read API
+ * Plain `node:http` with a small route table; every route is a GET that
+ * answers JSON from the indexed store.
+ */
+
+// ============================================
+// ROUTES
+// ============================================
+
+const STACKS_ADDRESS = /^S[PTMN][0-9A-Z]{38,40}$/
+
+const notFound = (message) => ({ status: 404, body: { error: message } })
+
+const checkAddress = (address) => (STACKS_ADDRESS.test(address) ? null : { status: 400, body: { error: 'Invalid Stacks address' } })
+
+const checkMarketId = (id) => (/^\d+$/.test(id) ? null : { status: 400, body: { error: 'Invalid market ID' } })
+
+// Fixed paths come before `/markets/:id` so `trending` and `search` are not read as IDs
+const ROUTES = [
+  ['/markets', ({ store, query }) => listMarkets(store, query)],
+  ['/markets/trending', ({ store, query }) => getTrendingMarkets(store, query)],
+  ['/markets/search', ({ store, query }) => searchMarkets(store, query)],
+  ['/markets/:id', ({ store, params }) =>
+    checkMarketId(params.id) || getMarketDetail(store, params.id) || notFound('Market not found')],
+  ['/markets/:id/bets', ({ store, params, query }) =>
+    checkMarketId(params.id) || (store.getMarket(params.id) ? getMarketBets(store, params.id, query) : notFound('Market not found'))],
+  ['/users/:address', ({ store, params }) => checkAddress(params.address) || getUserProfile(store, params.address)],
+  ['/users/:address/bets', ({ store, params, query }) =>
+    checkAddress(params.address) || getUserBets(store, params.address, query)],
+  ['/leaderboard', ({ store, query }) => getLeaderboard(store, query)],
+  ['/events', ({ store, query }) => getEventsSince(store, query)],
+  ['/stats', ({ store }) => getProtocolStats(store)],
+  ['/status', ({ indexer }) => indexer.status],
+].map(([pattern, handler]) => ({ parts: pattern.split('/').filter(Boolean), handler }))
+
+/**
+ * Find the route for a path and its `:params`
+ */
+export const matchRoute = (pathname) => {
+  const parts = pathname.split('/').filter(Boolean)
+  for (const route of ROUTES) {
+    if (route.parts.length !== parts.length) continue
+    const params = {}
+    const matches = route.parts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(parts[i])
+        return true
+      }
+      return part === parts[i]
+    })
+    if (matches) return { handler: route.handler, params }
+  }
+  return null
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Create (but do not start) the HTTP server. `basePath` lets the API sit
+ * behind a proxy prefix such as `/api`.
+ */
+export const createServer = ({ store, indexer, corsOrigin = '*', basePath = '', logger = console }) =>
+  http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': corsOrigin,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      })
+      res.end(status === 204 ? undefined : JSON.stringify(body))
+    }
+
+    if (req.method === 'OPTIONS') return send(204)
+    if (req.method !== 'GET') return send(405, { error: 'Method not allowed' })
+
+    try {
+      const url = new URL(req.url, 'http://localhost')
+      const pathname = url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : url.pathname
+      const route = matchRoute(pathname)
+      if (!route) return send(404, { error: 'Not found' })
+      // Nothing to answer with until the first indexing pass lands
+      if (store.tipHeight == null && pathname !== '/status') {
+        return send(503, { error: 'Index is still syncing' })
+      }
+
+      const result = route.handler({ store, indexer, params: route.params, query: Object.fromEntries(url.searchParams) })
+      if (result?.status && result.body) return send(result.status, result.body)
+      return send(200, result)
+    } catch (error) {
+      if (error.status === 400) return send(400, { error: error.message })
+      // A malformed `%` escape in the path
+      if (error instanceof URIError) return send(400, { error: 'Malformed URL' })
+      logger.error(error)
+      return send(500, { error: 'Internal server error' })
+    }
+  })
+
+export default createServer
@@ -0,0 +1,98 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * JSON file store for the StacksBet Arena indexer
+ * Keeps the whole index in memory and writes it to one file after every
+ * indexing pass. Writes go to a temporary file first and are renamed over
+ * the old one, so a crash never leaves a half-written store behind.
+ */
+
+const STORE_VERSION = 1
+
+const emptyState = (contractId) => ({
+  version: STORE_VERSION,
+  contractId,
+  tipHeight: null,
+  updatedAt: null,
+  seenTxIds: [],
+  // Decoded market events, oldest first
+  events: [],
+  // Latest get-market reads by market ID
+  markets: {},
+  // Latest get-position reads by `${marketId}:${address}`
+  positions: {},
+  // Latest get-user-stats reads by address
+  users: {},
+  totals: { totalVolume: 0, totalMarkets: 0, totalBets: 0 },
+})
+
+export const positionKey = (marketId, address) => `${marketId}:${address}`
+
+export class JsonStore {
+  constructor({ dataDir, contractId }) {
+    this.contractId = contractId
+    this.file = path.join(dataDir, `${contractId}.json`)
+    this.state = emptyState(contractId)
+  }
+
+  /**
+   * Read the store from disk. A missing file, or one written by another
+   * version or contract, starts an empty index.
+   */
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.file, 'utf8'))
+      if (saved.version === STORE_VERSION && saved.contractId === this.contractId) {
+        this.state = { ...emptyState(this.contractId), ...saved }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+    return this.state
+  }
+
+  async save() {
+    this.state.updatedAt = new Date().toISOString()
+    await fs.mkdir(path.dirname(this.file), { recursive: true })
+    const tmp = `${this.file}.${process.pid}.tmp`
+    await fs.writeFile(tmp, JSON.stringify(this.state))
+    await fs.rename(tmp, this.file)
+  }
+
+  // ---- reads -----------------------------------------------------------
+
+  get tipHeight() {
+    return this.state.tipHeight
+  }
+
+  getMarkets() {
+    return Object.values(this.state.markets).sort((a, b) => a.id - b.id)
+  }
+
+  getMarket(id) {
+    return this.state.markets[Number(id)] || null
+  }
+
+  getPosition(marketId, address) {
+    return this.state.positions[positionKey(marketId, address)] || null
+  }
+
+  getUser(address) {
+    return this.state.users[address] || null
+  }
+
+  getUsers() {
+    return Object.entries(this.state.users).map(([address, stats]) => ({ address, ...stats }))
+  }
+
+  getEvents() {
+    return this.state.events
+  }
+
+  getTotals() {
+    return this.state.totals
+  }
+}
+
+export default JsonStore
@@ -1,24 +1,43 @@
 import React, { useState, useEffect } from 'react'
-import { StacksMainnet } from '@stacks/network'
 import { AppConfig, UserSession, showConnect } from '@stacks/connect'
+import { HiOutlineSearch } from 'react-icons/hi'
 import Header from './components/Header'
 import Hero from './components/Hero'
 import Stats from './components/Stats'
 import MarketList from './components/MarketList'
 import CreateMarket from './components/CreateMarket'
 import Leaderboard from './components/Leaderboard'
+import MyMarkets from './components/MyMarkets'
+import OracleConsole from './components/OracleConsole'
+import AdminPanel from './components/AdminPanel'
+import MarketDetail from './components/MarketDetail'
+import Profile from './components/Profile'
+import Portfolio from './components/Portfolio'
+import TaxReport from './components/TaxReport'
+import EmptyState, { NotConnected } from './components/EmptyState'
 import Footer from './components/Footer'
 import WalletConnectQRModal from './components/WalletConnectQRModal'
+import { MyTransactions } from './components/TransactionHistory'
+import { BannerAlert } from './components/Alert'
 import { WalletProvider, useWallet } from './context/WalletContext'
+import { NetworkProvider, useNetwork } from './context/NetworkContext'
+import { RouterProvider, useRouter, Link } from './context/RouterContext'
+import { TransactionProvider } from './context/TransactionContext'
 
-import { CONFIG, assertFrontendConfig } from './lib/config'
+import { assertFrontendConfig } from './lib/config'
+import { useProtocolPaused } from './lib/api'
+import { getMarketIndex } from './lib/marketIndex'
+import { ROUTES, NOT_FOUND, profilePath, navigate } from './lib/router'
+import { KeyboardProvider, DEFAULT_SHORTCUTS } from './lib/keyboard'
+import SEO, { HomePageSEO, LeaderboardPageSEO, CreateMarketPageSEO } from './lib/seo'
 
-// Network configuration (mainnet for SP addresses)
-const network = new StacksMainnet()
+// Only the navigation shortcuts have something to act on
+const SHORTCUTS = Object.fromEntries(
+  Object.entries(DEFAULT_SHORTCUTS).filter(([, shortcut]) => ['navigate', 'help'].includes(shortcut.action))
+)
 
-// Contract details (mainnet)
-const CONTRACT_ADDRESS = CONFIG.contractAddress
-const CONTRACT_NAME = CONFIG.contractName
+// Routes rendered under the hero with the tab bar; `/create` opens its modal on top
+const TAB_ROUTES = ['HOME', 'MARKETS', 'LEADERBOARD', 'CREATE', 'MY_BETS', 'MY_MARKETS', 'ORACLE', 'ADMIN']
 
 // Stacks Connect setup
 const appConfig = new AppConfig(['store_write', 'publish_data'])
@@ -26,16 +45,18 @@ const userSession = new UserSession({ appConfig })
 
 function AppContent() {
   const { userData, isConnecting, showQRModal, wcUri, connectWallet, disconnectWallet, closeQRModal } = useWallet()
+  const { route, params } = useRouter()
+  const { network, networkConfig, contractAddress, contractName } = useNetwork()
 
-  const [activeTab, setActiveTab] = useState('markets')
-  const [showCreateModal, setShowCreateModal] = useState(false)
+  const [isOracle, setIsOracle] = useState(false)
+  const { data: protocolPaused } = useProtocolPaused({ network, contractAddress, contractName })
 
   useEffect(() => {
     let cancelled = false
 
     async function init() {
       try {
-        assertFrontendConfig()
+        assertFrontendConfig(networkConfig)
       } catch (e) {
         console.error(e)
       }
@@ -45,12 +66,161 @@ function AppContent() {
     return () => {
       cancelled = true
     }
-  }, [])
+  }, [networkConfig])
 
   const getUserAddress = () => {
     return userData?.address || null
   }
 
+  const isDeployer = !!userData?.address && userData.address === contractAddress
+
+  useEffect(() => {
+    const address = userData?.address
+    if (!address || !contractAddress) {
+      setIsOracle(false)
+      return
+    }
+    let cancelled = false
+    getMarketIndex({ network, contractAddress, contractName })
+      .isOracle(address)
+      .then((allowed) => { if (!cancelled) setIsOracle(allowed) })
+      .catch(() => { if (!cancelled) setIsOracle(false) })
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, network, userData])
+
+  // `/profile` has no page of its own: send it to the connected wallet's profile
+  useEffect(() => {
+    if (route !== 'MY_PROFILE') return
+    const address = userData?.address
+    navigate(address ? profilePath(address) : ROUTES.HOME, { replace: true })
+  }, [route, userData])
+
+  const contractProps = {
+    userAddress: getUserAddress(),
+    userSession,
+    network,
+    contractAddress,
+    contractName,
+  }
+
+  const tabs = [
+    { route: 'HOME', path: ROUTES.HOME, label: '🎯 Markets', visible: true },
+    { route: 'LEADERBOARD', path: ROUTES.LEADERBOARD, label: '🏆 Leaderboard', visible: true },
+    { route: 'MY_BETS', path: ROUTES.MY_BETS, label: '📊 My Bets', visible: !!userData },
+    { route: 'MY_MARKETS', path: ROUTES.MY_MARKETS, label: '🧱 My Markets', visible: !!userData },
+    { route: 'ORACLE', path: ROUTES.ORACLE, label: '⚖️ Oracle', visible: !!userData && isOracle },
+    { route: 'ADMIN', path: ROUTES.ADMIN, label: '🛠️ Admin', visible: isDeployer },
+  ]
+  // `/markets` and `/create` both sit on the markets tab
+  const activeTab = ['MARKETS', 'CREATE'].includes(route) ? 'HOME' : route
+
+  const renderRestricted = (message) => (
+    <div className="glass-card rounded-2xl p-8 text-center text-gray-400">{message}</div>
+  )
+
+  const renderTabContent = () => {
+    switch (activeTab) {
+      case 'HOME':
+        return (
+          <>
+            <HomePageSEO />
+            <MarketList userData={userData} {...contractProps} onConnect={connectWallet} />
+          </>
+        )
+      case 'LEADERBOARD':
+        return (
+          <>
+            <LeaderboardPageSEO />
+            <Leaderboard />
+          </>
+        )
+      case 'MY_BETS':
+        return (
+          <>
+            <SEO title="My Bets" noIndex />
+            {userData ? (
+              <>
+                <Portfolio {...contractProps} />
+                <TaxReport {...contractProps} />
+                <MarketList userData={userData} {...contractProps} onConnect={connectWallet} filterUserBets={true} />
+                <MyTransactions className="mt-8" />
+              </>
+            ) : (
+              <NotConnected onConnect={connectWallet} />
+            )}
+          </>
+        )
+      case 'MY_MARKETS':
+        return (
+          <>
+            <SEO title="My Markets" noIndex />
+            {userData ? <MyMarkets {...contractProps} /> : <NotConnected onConnect={connectWallet} />}
+          </>
+        )
+      case 'ORACLE':
+        return (
+          <>
+            <SEO title="Oracle Console" noIndex />
+            {!userData
+              ? <NotConnected onConnect={connectWallet} />
+              : isOracle
+                ? <OracleConsole {...contractProps} />
+                : renderRestricted('This address is not registered as an oracle.')}
+          </>
+        )
+      case 'ADMIN':
+        return (
+          <>
+            <SEO title="Protocol Admin" noIndex />
+            {!userData
+              ? <NotConnected onConnect={connectWallet} />
+              : isDeployer
+                ? <AdminPanel {...contractProps} />
+                : renderRestricted('Only the contract owner can use the admin panel.')}
+          </>
+        )
+      default:
+        return null
+    }
+  }
+
+  const renderPage = () => {
+    if (route === 'MARKET') {
+      return (
+        <MarketDetail
+          marketId={params.id}
+          userData={userData}
+          {...contractProps}
+          onConnect={connectWallet}
+        />
+      )
+    }
+
+    if (route === 'PROFILE') {
+      return <Profile address={params.address} {...contractProps} />
+    }
+
+    if (route === NOT_FOUND) {
+      return (
+        <div className="glass-card rounded-2xl">
+          <SEO title="Page not found" noIndex />
+          <EmptyState
+            icon={HiOutlineSearch}
+            title="Page not found"
+            description="This page does not exist."
+            action={<Link to={ROUTES.HOME} className="btn-primary px-6 py-3 rounded-xl font-medium">Browse markets</Link>}
+          />
+        </div>
+      )
+    }
+
+    return null
+  }
+
+  const isTabRoute = TAB_ROUTES.includes(route)
+
   return (
     <div className="min-h-screen bg-arena-dark relative">
       <div className="fixed inset-0 bg-mesh-gradient opacity-50 pointer-events-none" />
@@ -65,91 +235,66 @@ function AppContent() {
           onConnect={connectWallet}
           onDisconnect={disconnectWallet}
         />
+
+        {protocolPaused && (
+          <BannerAlert variant="warning">
+            The protocol is paused: betting and market creation are disabled. Claims and refunds still work.
+          </BannerAlert>
+        )}
         
         <main>
-          <Hero 
-            onConnect={connectWallet} 
-            isConnected={!!userData} 
-            onCreateMarket={() => setShowCreateModal(true)}
-          />
-          
-          <Stats />
-          
-          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-12">
-            <div className="flex space-x-4 border-b border-arena-purple/20">
-              <button
-                onClick={() => setActiveTab('markets')}
-                className={`px-6 py-3 font-medium transition-all ${
-                  activeTab === 'markets' ? 'tab-active text-white' : 'text-gray-400 hover:text-white'
-                }`}
-              >
-                🎯 Markets
-              </button>
-              <button
-                onClick={() => setActiveTab('leaderboard')}
-                className={`px-6 py-3 font-medium transition-all ${
-                  activeTab === 'leaderboard' ? 'tab-active text-white' : 'text-gray-400 hover:text-white'
-                }`}
-              >
-                🏆 Leaderboard
-              </button>
-              {userData && (
-                <button
-                  onClick={() => setActiveTab('my-bets')}
-                  className={`px-6 py-3 font-medium transition-all ${
-                    activeTab === 'my-bets' ? 'tab-active text-white' : 'text-gray-400 hover:text-white'
-                  }`}
-                >
-                  📊 My Bets
-                </button>
-              )}
-            </div>
-          </div>
-          
-          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-            {activeTab === 'markets' && (
-              <MarketList 
-                userData={userData}
-                userAddress={getUserAddress()}
-                userSession={userSession}
-                network={network}
-                contractAddress={CONTRACT_ADDRESS}
-                contractName={CONTRACT_NAME}
-                onConnect={connectWallet}
-              />
-            )}
-            
-            {activeTab === 'leaderboard' && <Leaderboard />}
-            
-            {activeTab === 'my-bets' && userData && (
-              <MarketList 
-                userData={userData}
-                userAddress={getUserAddress()}
-                userSession={userSession}
-                network={network}
-                contractAddress={CONTRACT_ADDRESS}
-                contractName={CONTRACT_NAME}
-                onConnect={connectWallet}
-                filterUserBets={true}
+          {isTabRoute ? (
+            <>
+              <Hero 
+                onConnect={connectWallet} 
+                isConnected={!!userData} 
+                onCreateMarket={() => navigate(ROUTES.CREATE)}
+                canCreateMarket={!protocolPaused}
               />
-            )}
-          </div>
+              
+              <Stats />
+              
+              <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-12">
+                <nav className="flex space-x-4 border-b border-arena-purple/20" aria-label="Sections">
+                  {tabs.filter((tab) => tab.visible).map((tab) => (
+                    <Link
+                      key={tab.route}
+                      to={tab.path}
+                      aria-current={activeTab === tab.route ? 'page' : undefined}
+                      className={`px-6 py-3 font-medium transition-all ${
+                        activeTab === tab.route ? 'tab-active text-white' : 'text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      {tab.label}
+                    </Link>
+                  ))}
+                </nav>
+              </div>
+              
+              <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {renderTabContent()}
+              </div>
+            </>
+          ) : (
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+              {renderPage()}
+            </div>
+          )}
         </main>
         
         <Footer />
       </div>
 
-      {showCreateModal && (
-        <CreateMarket
-          userData={userData}
-          userAddress={getUserAddress()}
-          userSession={userSession}
-          network={network}
-          contractAddress={CONTRACT_ADDRESS}
-          contractName={CONTRACT_NAME}
-          onClose={() => setShowCreateModal(false)}
-          onConnect={connectWallet}
-        />
+      {route === 'CREATE' && (
+        <>
+          <CreateMarketPageSEO />
+          <CreateMarket
+            userData={userData}
+            {...contractProps}
+            onClose={() => navigate(ROUTES.HOME)}
+            onConnect={connectWallet}
+          />
+        </>
       )}
 
       <WalletConnectQRModal
@@ -163,9 +308,17 @@ function AppContent() {
 
 function App() {
   return (
-    <WalletProvider>
-      <AppContent />
-    </WalletProvider>
+    <NetworkProvider>
+      <WalletProvider>
+        <TransactionProvider>
+          <RouterProvider>
+            <KeyboardProvider shortcuts={SHORTCUTS} onNavigate={navigate}>
+              <AppContent />
+            </KeyboardProvider>
+          </RouterProvider>
+        </TransactionProvider>
+      </WalletProvider>
+    </NetworkProvider>
   )
 }
 
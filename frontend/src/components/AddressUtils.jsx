@@ -1,5 +1,6 @@
 import React, { useState, useCallback } from 'react'
 import { HiClipboard, HiClipboardCheck, HiExternalLink } from 'react-icons/hi'
+import { getAddressExplorerUrl, getTxExplorerUrl } from '../lib/formatUtils'
 
 /**
  * Address display and copy utilities
@@ -110,7 +111,7 @@ export const AddressDisplay = ({
   endChars = 4,
   showCopy = true,
   showExplorer = false,
-  explorerUrl = 'https://explorer.stacks.co/address',
+  explorerUrl,
   onCopy,
   className = ''
 }) => {
@@ -133,7 +134,7 @@ export const AddressDisplay = ({
       
       {showExplorer && (
         <a
-          href={`${explorerUrl}/${address}`}
+          href={explorerUrl ? `${explorerUrl}/${address}` : getAddressExplorerUrl(address)}
           target="_blank"
           rel="noopener noreferrer"
           className="p-1 rounded-lg hover:bg-arena-purple/20 transition-colors"
@@ -230,7 +231,7 @@ export const WalletAddressCard = ({
 // Transaction hash display
 export const TxHashDisplay = ({
   txHash,
-  explorerUrl = 'https://explorer.stacks.co/txid',
+  explorerUrl,
   showStatus = false,
   status = 'pending',
   onCopy,
@@ -263,7 +264,7 @@ export const TxHashDisplay = ({
       <CopyButton text={txHash} onCopy={onCopy} size="sm" />
       
       <a
-        href={`${explorerUrl}/${txHash}`}
+        href={explorerUrl ? `${explorerUrl}/${txHash}` : getTxExplorerUrl(txHash)}
         target="_blank"
         rel="noopener noreferrer"
         className="p-1 rounded-lg hover:bg-arena-purple/20 transition-colors"
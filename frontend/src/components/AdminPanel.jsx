@@ -0,0 +1,307 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { HiShieldCheck, HiPause, HiPlay, HiTrash, HiPlus, HiExclamation } from 'react-icons/hi'
+import toast from 'react-hot-toast'
+
+import { TypedConfirmModal } from './Modal'
+import { useTransactions } from '../context/TransactionContext'
+import {
+  addOracle,
+  removeOracle,
+  toggleProtocol,
+  setTreasury,
+  emergencyClose,
+} from '../lib/contract'
+import { getMarketIndex } from '../lib/marketIndex'
+import { getMarketHistory } from '../lib/marketHistory'
+import { TX_TYPES } from '../lib/txTracker'
+import { isValidStacksAddress, truncateAddress } from '../lib/formatUtils'
+import { getContractCallMessage } from '../lib/errors'
+
+const AdminPanel = ({ userAddress, userSession, network, contractAddress, contractName }) => {
+  const [oracles, setOracles] = useState([])
+  const [paused, setPaused] = useState(false)
+  const [treasury, setTreasuryAddress] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [newOracle, setNewOracle] = useState('')
+  const [newTreasury, setNewTreasury] = useState('')
+  const [closeMarketId, setCloseMarketId] = useState('')
+  const [pendingAction, setPendingAction] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const { track, revision } = useTransactions()
+
+  const callOptions = { network, userSession, userAddress, contractAddress, contractName }
+
+  const load = useCallback(async () => {
+    if (!contractAddress || !contractName) return
+    setIsLoading(true)
+    try {
+      const history = getMarketHistory({ network, contractAddress, contractName })
+      const index = getMarketIndex({ network, contractAddress, contractName })
+      await history.sync()
+      const state = history.getAdminState()
+
+      // History says who was ever registered; `is-oracle` is the source of truth.
+      const verified = await Promise.all(
+        Array.from(state.oracles.keys()).map(async (address) => ({
+          address,
+          isActive: await index.isOracle(address),
+        }))
+      )
+
+      setOracles(verified)
+      setPaused(await index.isPaused())
+      setTreasuryAddress(state.treasury || contractAddress)
+    } catch {
+      toast.error('Failed to load protocol state')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [contractAddress, contractName, network, revision])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const runPendingAction = async () => {
+    if (!pendingAction) return
+    setIsSubmitting(true)
+    try {
+      const { txId } = await pendingAction.run()
+      track({ txId, type: TX_TYPES.ADMIN, marketId: pendingAction.marketId ?? null, description: pendingAction.title })
+      pendingAction.onSubmitted?.()
+      setPendingAction(null)
+    } catch (error) {
+      toast.error(getContractCallMessage(error))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const confirmAddOracle = () => {
+    const oracle = newOracle.trim()
+    if (!isValidStacksAddress(oracle)) {
+      toast.error('Enter a valid STX address')
+      return
+    }
+    setPendingAction({
+      title: 'Add oracle',
+      message: <>Allow <span className="font-mono text-white break-all">{oracle}</span> to resolve any market.</>,
+      phrase: 'ADD ORACLE',
+      confirmText: 'Add oracle',
+      variant: 'primary',
+      run: () => addOracle({ ...callOptions, oracle }),
+      onSubmitted: () => setNewOracle(''),
+    })
+  }
+
+  const confirmRemoveOracle = (oracle) => {
+    setPendingAction({
+      title: 'Remove oracle',
+      message: <>Revoke resolution rights from <span className="font-mono text-white break-all">{oracle}</span>.</>,
+      phrase: 'REMOVE ORACLE',
+      confirmText: 'Remove oracle',
+      variant: 'danger',
+      run: () => removeOracle({ ...callOptions, oracle }),
+    })
+  }
+
+  const confirmToggle = () => {
+    setPendingAction({
+      title: paused ? 'Resume protocol' : 'Pause protocol',
+      message: paused
+        ? 'Market creation and betting will be allowed again.'
+        : 'Market creation and betting will fail until the protocol is resumed. Resolution and claims keep working.',
+      phrase: paused ? 'RESUME' : 'PAUSE',
+      confirmText: paused ? 'Resume' : 'Pause',
+      variant: paused ? 'primary' : 'danger',
+      run: () => toggleProtocol(callOptions),
+    })
+  }
+
+  const confirmSetTreasury = () => {
+    const address = newTreasury.trim()
+    if (!isValidStacksAddress(address)) {
+      toast.error('Enter a valid STX address')
+      return
+    }
+    setPendingAction({
+      title: 'Change treasury',
+      message: <>Send future protocol fees to <span className="font-mono text-white break-all">{address}</span>.</>,
+      phrase: 'SET TREASURY',
+      confirmText: 'Change treasury',
+      variant: 'danger',
+      run: () => setTreasury({ ...callOptions, treasury: address }),
+      onSubmitted: () => setNewTreasury(''),
+    })
+  }
+
+  const confirmEmergencyClose = () => {
+    const marketId = Number(closeMarketId)
+    if (!Number.isInteger(marketId) || marketId < 1) {
+      toast.error('Enter a valid market ID')
+      return
+    }
+    const market = getMarketIndex({ network, contractAddress, contractName }).getMarket(marketId)
+    setPendingAction({
+      title: 'Emergency close',
+      message: (
+        <>
+          Mark market #{marketId}
+          {market && <> "<span className="text-white">{market.title}</span>"</>} as INVALID.
+          Every position becomes refundable. This cannot be undone.
+        </>
+      ),
+      phrase: `CLOSE ${marketId}`,
+      confirmText: 'Emergency close',
+      variant: 'danger',
+      marketId,
+      run: () => emergencyClose({ ...callOptions, marketId }),
+      onSubmitted: () => setCloseMarketId(''),
+    })
+  }
+
+  return (
+    <section id="admin" className="py-8" aria-label="Protocol admin panel">
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold mb-2">
+          <span className="gradient-text">🛠️ Protocol Admin</span>
+        </h2>
+        <p className="text-gray-400">Owner-only contract functions</p>
+        {isLoading && (
+          <p className="text-sm text-gray-500 mt-2 flex items-center gap-2">
+            <span className="spinner w-4 h-4" /> Loading protocol state…
+          </p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Pause state */}
+        <div className="glass-card rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Protocol status</h3>
+          <div className="flex items-center justify-between gap-4">
+            <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+              paused ? 'bg-red-500/20 text-red-400' : 'bg-arena-green/20 text-arena-green'
+            }`}>
+              {paused ? 'Paused' : 'Active'}
+            </span>
+            <button
+              onClick={confirmToggle}
+              disabled={isLoading}
+              className={`px-4 py-2 rounded-xl font-medium flex items-center gap-2 ${paused ? 'btn-primary' : 'bg-red-500 hover:bg-red-600'}`}
+            >
+              {paused ? <HiPlay className="w-5 h-5" /> : <HiPause className="w-5 h-5" />}
+              {paused ? 'Resume' : 'Pause'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">Read from the contract's is-paused flag.</p>
+        </div>
+
+        {/* Treasury */}
+        <div className="glass-card rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Treasury</h3>
+          <p className="text-sm text-gray-400 mb-3">
+            Current: <span className="font-mono text-white" title={treasury || ''}>{treasury ? truncateAddress(treasury, 8, 6) : '—'}</span>
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newTreasury}
+              onChange={(e) => setNewTreasury(e.target.value)}
+              placeholder="New treasury address"
+              className="input-field flex-1 px-4 py-3 rounded-xl text-white font-mono text-sm"
+            />
+            <button onClick={confirmSetTreasury} disabled={!newTreasury} className="btn-primary px-4 py-3 rounded-xl font-medium">
+              Set
+            </button>
+          </div>
+        </div>
+
+        {/* Oracles */}
+        <div className="glass-card rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+            <HiShieldCheck className="w-5 h-5 text-arena-cyan" />
+            Oracles
+          </h3>
+          <ul className="space-y-2 mb-4">
+            {oracles.length === 0 && <li className="text-sm text-gray-500">No oracles registered yet.</li>}
+            {oracles.map(({ address, isActive }) => (
+              <li key={address} className="flex items-center justify-between gap-2 text-sm">
+                <span className={`font-mono ${isActive ? 'text-white' : 'text-gray-500 line-through'}`} title={address}>
+                  {truncateAddress(address, 8, 6)}
+                </span>
+                {isActive ? (
+                  <button
+                    onClick={() => confirmRemoveOracle(address)}
+                    className="p-2 rounded-lg text-red-400 hover:bg-red-500/20 transition-colors"
+                    aria-label={`Remove oracle ${address}`}
+                  >
+                    <HiTrash className="w-4 h-4" />
+                  </button>
+                ) : (
+                  <span className="text-xs text-gray-500">removed</span>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newOracle}
+              onChange={(e) => setNewOracle(e.target.value)}
+              placeholder="Oracle address"
+              className="input-field flex-1 px-4 py-3 rounded-xl text-white font-mono text-sm"
+            />
+            <button
+              onClick={confirmAddOracle}
+              disabled={!newOracle}
+              className="btn-primary px-4 py-3 rounded-xl font-medium"
+              aria-label="Add oracle"
+            >
+              <HiPlus className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {/* Emergency close */}
+        <div className="glass-card rounded-2xl p-6 border border-red-500/30">
+          <h3 className="text-lg font-semibold mb-2 flex items-center gap-2">
+            <HiExclamation className="w-5 h-5 text-red-400" />
+            Emergency close
+          </h3>
+          <p className="text-sm text-gray-400 mb-4">Marks a market INVALID so every bettor can claim a refund.</p>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="1"
+              value={closeMarketId}
+              onChange={(e) => setCloseMarketId(e.target.value)}
+              placeholder="Market ID"
+              className="input-field flex-1 px-4 py-3 rounded-xl text-white"
+            />
+            <button
+              onClick={confirmEmergencyClose}
+              disabled={!closeMarketId}
+              className="bg-red-500 hover:bg-red-600 px-4 py-3 rounded-xl font-medium disabled:opacity-50"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <TypedConfirmModal
+        isOpen={!!pendingAction}
+        onClose={() => !isSubmitting && setPendingAction(null)}
+        onConfirm={runPendingAction}
+        title={pendingAction?.title}
+        message={pendingAction?.message}
+        confirmPhrase={pendingAction?.phrase}
+        confirmText={pendingAction?.confirmText}
+        confirmVariant={pendingAction?.variant}
+        isLoading={isSubmitting}
+      />
+    </section>
+  )
+}
+
+export default AdminPanel
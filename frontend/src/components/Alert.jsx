@@ -7,6 +7,7 @@ import {
   HiX,
   HiLightningBolt
 } from 'react-icons/hi'
+import { getTxExplorerUrl } from '../lib/formatUtils'
 
 /**
  * Alert components for notifications and status messages
@@ -230,7 +231,7 @@ export const TransactionAlert = ({
   status = 'pending', // 'pending', 'success', 'error'
   txHash,
   message,
-  explorerUrl = 'https://explorer.hiro.so/txid/',
+  explorerUrl,
   onClose,
   className = ''
 }) => {
@@ -266,7 +267,7 @@ export const TransactionAlert = ({
       onDismiss={onClose}
       action={txHash && (
         <a
-          href={`${explorerUrl}${txHash}`}
+          href={explorerUrl ? `${explorerUrl}${txHash}` : getTxExplorerUrl(txHash)}
           target="_blank"
           rel="noopener noreferrer"
           className="inline-flex items-center gap-1 text-sm text-arena-cyan hover:underline"
@@ -308,7 +309,7 @@ export const NetworkAlert = ({
       className={className}
     >
       You are not connected to {networkName}. Some features may not work correctly.
-    </NetworkAlert>
+    </BannerAlert>
   )
 }
 
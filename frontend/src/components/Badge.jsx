@@ -1,5 +1,17 @@
 import React from 'react'
-import { HiTrendingUp, HiTrendingDown, HiClock, HiCheckCircle, HiXCircle, HiExclamation } from 'react-icons/hi'
+import {
+  HiTrendingUp,
+  HiTrendingDown,
+  HiClock,
+  HiCheckCircle,
+  HiXCircle,
+  HiExclamation,
+  HiPause,
+  HiReceiptRefund,
+  HiRefresh
+} from 'react-icons/hi'
+
+import { MARKET_STATUS, getStatusDetails } from '../lib/marketStatus'
 
 /**
  * Badge components for status indicators, labels, and tags
@@ -69,21 +81,24 @@ const Badge = ({
   )
 }
 
-// Market status badge
+// Market status badge; `status` is a MARKET_STATUS from lib/marketStatus
 export const MarketStatusBadge = ({ status, size = 'md' }) => {
-  const statusConfig = {
-    active: { variant: 'success', icon: <HiCheckCircle className="w-3.5 h-3.5" />, label: 'Active', pulse: true },
-    pending: { variant: 'warning', icon: <HiClock className="w-3.5 h-3.5" />, label: 'Pending' },
-    ended: { variant: 'default', icon: <HiXCircle className="w-3.5 h-3.5" />, label: 'Ended' },
-    resolved: { variant: 'info', icon: <HiCheckCircle className="w-3.5 h-3.5" />, label: 'Resolved' },
-    disputed: { variant: 'danger', icon: <HiExclamation className="w-3.5 h-3.5" />, label: 'Disputed' }
+  const icons = {
+    [MARKET_STATUS.LOADING]: <HiRefresh className="w-3.5 h-3.5 animate-spin" />,
+    [MARKET_STATUS.OPEN]: <HiCheckCircle className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.CLOSING_SOON]: <HiClock className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.PAUSED]: <HiPause className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.AWAITING_RESOLUTION]: <HiClock className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.RESOLVABLE]: <HiExclamation className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.RESOLVED_YES]: <HiCheckCircle className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.RESOLVED_NO]: <HiXCircle className="w-3.5 h-3.5" />,
+    [MARKET_STATUS.INVALID]: <HiReceiptRefund className="w-3.5 h-3.5" />
   }
+  const details = getStatusDetails(status)
 
-  const config = statusConfig[status] || statusConfig.pending
-  
   return (
-    <Badge variant={config.variant} icon={config.icon} size={size} dot={config.pulse}>
-      {config.label}
+    <Badge variant={details.variant} icon={icons[details.status]} size={size} dot={details.canBet} pulse={details.canBet}>
+      {details.label}
     </Badge>
   )
 }
@@ -0,0 +1,175 @@
+import React, { useState } from 'react'
+import toast from 'react-hot-toast'
+
+import { useTransactions } from '../context/TransactionContext'
+import { OUTCOME } from '../lib/config'
+import { placeBet } from '../lib/contract'
+import { getContractOdds, simulateBet } from '../lib/payout'
+import { formatPercent, formatSTX } from '../lib/formatUtils'
+import { TX_TYPES } from '../lib/txTracker'
+import { getContractCallMessage } from '../lib/errors'
+
+/**
+ * The contract's `get-odds` as percentages: the YES price is the NO pool's share.
+ */
+export const getOdds = (market) => {
+  const odds = getContractOdds(market)
+  return {
+    yes: (odds.yes / 100).toFixed(1),
+    no: (odds.no / 100).toFixed(1)
+  }
+}
+
+const BetPanel = ({ market, userData, userAddress, userSession, network, contractAddress, contractName, onConnect, onCancel, onPlaced }) => {
+  const [betAmount, setBetAmount] = useState('')
+  const [betSide, setBetSide] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const { track } = useTransactions()
+
+  const odds = getOdds(market)
+  const amount = Math.floor(parseFloat(betAmount) * 1000000)
+  const preview = betSide && amount >= 100000
+    ? simulateBet(market, betSide === 'yes' ? OUTCOME.YES : OUTCOME.NO, amount)
+    : null
+
+  const reset = () => {
+    setBetAmount('')
+    setBetSide(null)
+  }
+
+  const handlePlaceBet = async () => {
+    if (!userData) { onConnect(); return }
+    if (!userAddress) { toast.error('Wallet address not found. Reconnect your wallet and try again.'); return }
+    if (!userSession) { toast.error('Wallet session not initialized. Refresh and reconnect.'); return }
+    if (!betAmount || parseFloat(betAmount) < 0.1) { toast.error('Minimum bet is 0.1 STX'); return }
+    if (!betSide) { toast.error('Select YES or NO'); return }
+
+    setIsLoading(true)
+    try {
+      const { txId } = await placeBet({
+        network,
+        userSession,
+        userAddress,
+        contractAddress,
+        contractName,
+        marketId: market.id,
+        outcome: betSide === 'yes' ? OUTCOME.YES : OUTCOME.NO,
+        amount,
+      })
+      // The tracker reports confirmation (or the abort reason) once mined
+      track({
+        txId,
+        type: betSide === 'yes' ? TX_TYPES.BET_YES : TX_TYPES.BET_NO,
+        marketId: market.id,
+        marketTitle: market.title,
+        amount,
+      })
+      reset()
+      onPlaced?.()
+    } catch (error) {
+      toast.error(getContractCallMessage(error, 'Failed to place bet'))
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  if (!userData) {
+    return (
+      <button onClick={onConnect} className="w-full btn-primary py-3 rounded-xl font-medium">
+        Connect to Bet
+      </button>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <button
+          onClick={() => setBetSide('yes')}
+          className={`flex-1 py-3 rounded-xl font-medium transition-all ${
+            betSide === 'yes' ? 'btn-yes text-white' : 'glass-card text-yes hover:bg-yes/10'
+          }`}
+        >
+          YES ({odds.yes}%)
+        </button>
+        <button
+          onClick={() => setBetSide('no')}
+          className={`flex-1 py-3 rounded-xl font-medium transition-all ${
+            betSide === 'no' ? 'btn-no text-white' : 'glass-card text-no hover:bg-no/10'
+          }`}
+        >
+          NO ({odds.no}%)
+        </button>
+      </div>
+      <div className="relative">
+        <input
+          type="number"
+          value={betAmount}
+          onChange={(e) => setBetAmount(e.target.value)}
+          placeholder="Amount in STX"
+          className="input-field w-full px-4 py-3 rounded-xl text-white"
+          min="0.1"
+          step="0.1"
+        />
+        <span className="absolute right-4 top-1/2 -translate-y-1/2 text-gray-400 text-sm">STX</span>
+      </div>
+      {preview && (
+        <div className="glass-card p-3 rounded-xl text-sm">
+          <dl className="space-y-1">
+            <div className="flex justify-between">
+              <dt className="text-gray-400">Fees (platform + creator)</dt>
+              <dd className="text-white">{formatSTX(preview.fee)}</dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-400">Net shares</dt>
+              <dd className="text-white">{formatSTX(preview.shares, false)}</dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-400">{betSide.toUpperCase()} pool share</dt>
+              <dd className="text-white">
+                {formatPercent(preview.probabilityBefore * 100)} → {formatPercent(preview.probabilityAfter * 100)}
+              </dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-400">Payout if {betSide.toUpperCase()} wins</dt>
+              <dd className="text-white font-medium">
+                {formatSTX(preview.payout)}{' '}
+                <span className={preview.profit >= 0 ? 'text-arena-green' : 'text-red-400'}>
+                  ({preview.profit >= 0 ? '+' : ''}{formatSTX(preview.profit, false)})
+                </span>
+              </dd>
+            </div>
+            <div className="flex justify-between">
+              <dt className="text-gray-400">Break-even probability</dt>
+              <dd className="text-white">
+                {preview.breakEvenProbability == null || preview.breakEvenProbability > 1
+                  ? 'Never profitable'
+                  : formatPercent(preview.breakEvenProbability * 100)}
+              </dd>
+            </div>
+          </dl>
+          <p className="text-xs text-gray-500 pt-2">Assumes no other bets before the market resolves.</p>
+        </div>
+      )}
+      <div className="flex gap-2">
+        <button
+          onClick={handlePlaceBet}
+          disabled={isLoading || !betSide || !betAmount}
+          className="flex-1 btn-primary py-3 rounded-xl font-medium"
+        >
+          {isLoading ? <div className="spinner w-5 h-5 mx-auto" /> : 'Place Bet'}
+        </button>
+        {onCancel && (
+          <button
+            onClick={() => { reset(); onCancel() }}
+            className="btn-secondary px-4 py-3 rounded-xl"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BetPanel
@@ -1,5 +1,8 @@
 import React from 'react'
 
+import { MarketStatusBadge } from './Badge'
+import { getStatusDetails } from '../lib/marketStatus'
+
 /**
  * Flexible Card component system for consistent layouts
  */
@@ -115,7 +118,7 @@ export const CardFooter = ({ children, divided = false, className = '' }) => {
   )
 }
 
-// Market Card (specific to prediction markets)
+// Market Card (specific to prediction markets); `status` is a MARKET_STATUS
 export const MarketCard = ({
   title,
   category,
@@ -134,6 +137,7 @@ export const MarketCard = ({
     if (vol >= 1000) return `${(vol / 1000).toFixed(1)}K STX`
     return `${vol} STX`
   }
+  const { canBet } = getStatusDetails(status)
 
   return (
     <Card 
@@ -147,12 +151,7 @@ export const MarketCard = ({
         <span className="px-2 py-1 text-xs font-medium bg-arena-purple/20 text-arena-purple rounded-lg">
           {category}
         </span>
-        <span className={`
-          px-2 py-1 text-xs font-medium rounded-lg
-          ${status === 'active' ? 'bg-arena-green/20 text-arena-green' : 'bg-gray-700 text-gray-400'}
-        `}>
-          {status === 'active' ? '● Live' : status}
-        </span>
+        <MarketStatusBadge status={status} size="sm" />
       </div>
 
       {/* Title */}
@@ -185,22 +184,24 @@ export const MarketCard = ({
       </div>
 
       {/* Bet Buttons */}
-      <div className="flex gap-2">
-        <button
-          onClick={(e) => { e.stopPropagation(); onBetYes?.() }}
-          className="flex-1 py-2 rounded-xl bg-arena-green/20 text-arena-green font-semibold
-                     hover:bg-arena-green hover:text-white transition-all"
-        >
-          Bet Yes
-        </button>
-        <button
-          onClick={(e) => { e.stopPropagation(); onBetNo?.() }}
-          className="flex-1 py-2 rounded-xl bg-arena-pink/20 text-arena-pink font-semibold
-                     hover:bg-arena-pink hover:text-white transition-all"
-        >
-          Bet No
-        </button>
-      </div>
+      {canBet && (
+        <div className="flex gap-2">
+          <button
+            onClick={(e) => { e.stopPropagation(); onBetYes?.() }}
+            className="flex-1 py-2 rounded-xl bg-arena-green/20 text-arena-green font-semibold
+                       hover:bg-arena-green hover:text-white transition-all"
+          >
+            Bet Yes
+          </button>
+          <button
+            onClick={(e) => { e.stopPropagation(); onBetNo?.() }}
+            className="flex-1 py-2 rounded-xl bg-arena-pink/20 text-arena-pink font-semibold
+                       hover:bg-arena-pink hover:text-white transition-all"
+          >
+            Bet No
+          </button>
+        </div>
+      )}
     </Card>
   )
 }
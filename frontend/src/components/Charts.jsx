@@ -1,4 +1,6 @@
 import React, { useRef, useEffect, useState } from 'react'
+import { OUTCOME } from '../lib/config'
+import { formatSTX } from '../lib/formatUtils'
 
 /**
  * Lightweight Chart components using Canvas API
@@ -553,4 +555,216 @@ export const PriceHistoryChart = ({
   )
 }
 
+// Market pool share history: the YES pool's share as a step line over the pool
+// volume, against block height or time, with markers for the viewer's bets
+export const ODDS_HISTORY_RANGES = [
+  { id: '1d', label: '1D', ms: 24 * 60 * 60 * 1000 },
+  { id: '1w', label: '1W', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: 'all', label: 'ALL', ms: null }
+]
+
+export const OddsHistoryChart = ({
+  points = [],
+  bets = [],
+  xAxis = 'time',
+  onXAxisChange,
+  range = 'all',
+  onRangeChange,
+  width = 600,
+  height = 220,
+  className = ''
+}) => {
+  const canvasRef = useRef(null)
+  const [hover, setHover] = useState(null)
+
+  const padding = { top: 16, right: 16, bottom: 28, left: 44 }
+  const chartWidth = width - padding.left - padding.right
+  const chartHeight = height - padding.top - padding.bottom
+  const xOf = (d) => (xAxis === 'block' ? d.blockHeight : d.timestamp)
+
+  const xs = points.map(xOf)
+  const minX = Math.min(...xs)
+  const maxX = Math.max(...xs)
+  const xScale = (x) => padding.left + (maxX === minX ? chartWidth / 2 : ((x - minX) / (maxX - minX)) * chartWidth)
+  const yScale = (p) => padding.top + (1 - p) * chartHeight
+  const maxVolume = Math.max(...points.map(d => d.volume), 1)
+
+  // Probability after everything mined up to `d`
+  const probabilityAt = (d) => {
+    const before = points.filter(p => xOf(p) <= xOf(d))
+    return (before[before.length - 1] || points[0]).probability
+  }
+
+  const formatX = (x) => xAxis === 'block'
+    ? `#${x.toLocaleString()}`
+    : new Date(x).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || points.length === 0) return
+
+    const ctx = canvas.getContext('2d')
+    const dpr = window.devicePixelRatio || 1
+    canvas.width = width * dpr
+    canvas.height = height * dpr
+    ctx.scale(dpr, dpr)
+    ctx.clearRect(0, 0, width, height)
+
+    // Grid and probability axis
+    ctx.strokeStyle = 'rgba(75, 85, 99, 0.3)'
+    ctx.lineWidth = 1
+    ctx.fillStyle = 'rgba(156, 163, 175, 0.8)'
+    ctx.font = '10px system-ui'
+    ctx.textAlign = 'right'
+    for (let i = 0; i <= 4; i++) {
+      const p = i / 4
+      ctx.beginPath()
+      ctx.moveTo(padding.left, yScale(p))
+      ctx.lineTo(width - padding.right, yScale(p))
+      ctx.stroke()
+      ctx.fillText(`${p * 100}%`, padding.left - 8, yScale(p) + 3)
+    }
+
+    // Pool volume, drawn as steps behind the odds
+    ctx.beginPath()
+    ctx.moveTo(xScale(xs[0]), padding.top + chartHeight)
+    points.forEach((d, i) => {
+      const y = padding.top + chartHeight - (d.volume / maxVolume) * chartHeight * 0.4
+      if (i > 0) ctx.lineTo(xScale(xs[i]), padding.top + chartHeight - (points[i - 1].volume / maxVolume) * chartHeight * 0.4)
+      ctx.lineTo(xScale(xs[i]), y)
+    })
+    ctx.lineTo(xScale(xs[xs.length - 1]), padding.top + chartHeight)
+    ctx.closePath()
+    ctx.fillStyle = 'rgba(6, 182, 212, 0.12)'
+    ctx.fill()
+
+    // YES probability: constant between bets, so a step line
+    ctx.beginPath()
+    ctx.strokeStyle = '#22C55E'
+    ctx.lineWidth = 2
+    ctx.lineJoin = 'round'
+    points.forEach((d, i) => {
+      if (i === 0) {
+        ctx.moveTo(xScale(xs[i]), yScale(d.probability))
+      } else {
+        ctx.lineTo(xScale(xs[i]), yScale(points[i - 1].probability))
+        ctx.lineTo(xScale(xs[i]), yScale(d.probability))
+      }
+    })
+    ctx.stroke()
+
+    // The viewer's bets: ▲ YES, ▼ NO
+    bets.forEach((bet) => {
+      const x = xScale(Math.min(Math.max(xOf(bet), minX), maxX))
+      const y = yScale(probabilityAt(bet))
+      const dir = bet.outcome === OUTCOME.YES ? -1 : 1
+      ctx.beginPath()
+      ctx.moveTo(x, y + dir * 2)
+      ctx.lineTo(x - 5, y + dir * 10)
+      ctx.lineTo(x + 5, y + dir * 10)
+      ctx.closePath()
+      ctx.fillStyle = bet.outcome === OUTCOME.YES ? '#22C55E' : '#EC4899'
+      ctx.fill()
+    })
+
+    // X-axis labels at both ends
+    ctx.fillStyle = 'rgba(156, 163, 175, 0.8)'
+    ctx.textAlign = 'left'
+    ctx.fillText(formatX(minX), padding.left, height - 8)
+    ctx.textAlign = 'right'
+    ctx.fillText(formatX(maxX), width - padding.right, height - 8)
+  }, [points, bets, xAxis, width, height])
+
+  const handleMouseMove = (e) => {
+    if (points.length === 0) return
+    const rect = canvasRef.current.getBoundingClientRect()
+    // The canvas is stretched to its container, so map back to chart units
+    const x = (e.clientX - rect.left) * (width / rect.width)
+
+    const nearest = (list) => list.reduce((best, d) => {
+      const dist = Math.abs(xScale(xOf(d)) - x)
+      return !best || dist < best.dist ? { d, dist } : best
+    }, null)
+
+    const point = nearest(points)
+    const bet = nearest(bets)
+    setHover({
+      left: ((bet && bet.dist < 8 ? xScale(xOf(bet.d)) : xScale(xOf(point.d))) / width) * 100,
+      point: point.d,
+      bet: bet && bet.dist < 8 ? bet.d : null
+    })
+  }
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-4 gap-2">
+        <div className="flex gap-1">
+          {onXAxisChange && ['time', 'block'].map(axis => (
+            <button
+              key={axis}
+              onClick={() => onXAxisChange(axis)}
+              className={`px-3 py-1 text-xs font-medium rounded-lg transition-colors ${
+                xAxis === axis ? 'bg-arena-purple text-white' : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {axis === 'time' ? 'Time' : 'Block'}
+            </button>
+          ))}
+        </div>
+        {onRangeChange && (
+          <div className="flex gap-1">
+            {ODDS_HISTORY_RANGES.map(r => (
+              <button
+                key={r.id}
+                onClick={() => onRangeChange(r.id)}
+                className={`px-3 py-1 text-xs font-medium rounded-lg transition-colors ${
+                  range === r.id ? 'bg-arena-purple text-white' : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {points.length === 0 ? (
+        <p className="text-gray-400 text-sm text-center py-12">No pool activity in this range.</p>
+      ) : (
+        <div className="relative">
+          <canvas
+            ref={canvasRef}
+            width={width}
+            height={height}
+            style={{ width: '100%', height }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHover(null)}
+            role="img"
+            aria-label="YES pool share and pool volume over time"
+          />
+          {hover && (
+            <div
+              className="absolute z-10 top-0 px-2 py-1 text-xs bg-arena-card border border-gray-700
+                       rounded-lg shadow-lg pointer-events-none whitespace-nowrap"
+              style={{ left: `${hover.left}%`, transform: 'translateX(-50%)' }}
+            >
+              <p className="text-gray-400">{formatX(xOf(hover.bet || hover.point))}</p>
+              {hover.bet ? (
+                <p className={hover.bet.outcome === OUTCOME.YES ? 'text-arena-green' : 'text-arena-pink'}>
+                  Your bet: {formatSTX(hover.bet.amount)} on {hover.bet.outcome === OUTCOME.YES ? 'YES' : 'NO'}
+                </p>
+              ) : (
+                <>
+                  <p className="text-white font-medium">YES pool share {(hover.point.probability * 100).toFixed(1)}%</p>
+                  <p className="text-gray-400">Pool {formatSTX(hover.point.volume)}</p>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 export default LineChart
@@ -1,21 +1,20 @@
 import React, { useState, useEffect, useMemo } from 'react'
+import { useBlockTimeEstimator } from '../lib/blockTime'
 
 /**
  * Countdown timer component for market end times
- * Converts block height to time and displays countdown
+ * Converts block height to time (at the measured block time of the active
+ * network) and displays countdown
  */
 
-// Stacks block time is approximately 10 minutes (can vary)
-const STACKS_BLOCK_TIME_SECONDS = 600 // 10 minutes average
-
 // Calculate time remaining from block height
-const calculateTimeRemaining = (targetBlock, currentBlock) => {
+const calculateTimeRemaining = (targetBlock, currentBlock, estimator) => {
   if (!targetBlock || !currentBlock || targetBlock <= currentBlock) {
     return { total: 0, days: 0, hours: 0, minutes: 0, seconds: 0, isExpired: true }
   }
 
   const blocksRemaining = targetBlock - currentBlock
-  const totalSeconds = blocksRemaining * STACKS_BLOCK_TIME_SECONDS
+  const totalSeconds = estimator.secondsUntil(targetBlock, { currentBlock })
 
   const days = Math.floor(totalSeconds / (60 * 60 * 24))
   const hours = Math.floor((totalSeconds % (60 * 60 * 24)) / (60 * 60))
@@ -68,8 +67,9 @@ const CountdownTimer = ({
   compact = false,
   className = ''
 }) => {
+  const estimator = useBlockTimeEstimator()
   const [timeLeft, setTimeLeft] = useState(() => 
-    calculateTimeRemaining(targetBlock, currentBlock)
+    calculateTimeRemaining(targetBlock, currentBlock, estimator)
   )
 
   // Recalculate every second for smoother countdown
@@ -109,8 +109,8 @@ const CountdownTimer = ({
 
   // Update when block height changes
   useEffect(() => {
-    setTimeLeft(calculateTimeRemaining(targetBlock, currentBlock))
-  }, [targetBlock, currentBlock])
+    setTimeLeft(calculateTimeRemaining(targetBlock, currentBlock, estimator))
+  }, [targetBlock, currentBlock, estimator.sample])
 
   const isUrgent = timeLeft.total > 0 && timeLeft.total < 3600 // Less than 1 hour
   const isWarning = timeLeft.total > 0 && timeLeft.total < 86400 // Less than 1 day
@@ -180,6 +180,7 @@ export const CountdownProgress = ({
   startBlock,
   className = ''
 }) => {
+  const estimator = useBlockTimeEstimator()
   const progress = useMemo(() => {
     if (!targetBlock || !currentBlock || !startBlock) return 0
     if (currentBlock >= targetBlock) return 100
@@ -189,7 +190,7 @@ export const CountdownProgress = ({
     return Math.min(100, Math.max(0, (elapsed / total) * 100))
   }, [targetBlock, currentBlock, startBlock])
 
-  const timeLeft = calculateTimeRemaining(targetBlock, currentBlock)
+  const timeLeft = calculateTimeRemaining(targetBlock, currentBlock, estimator)
   const isUrgent = timeLeft.total > 0 && timeLeft.total < 3600
 
   return (
@@ -227,8 +228,9 @@ export const CountdownProgress = ({
 
 // Hook for using countdown logic elsewhere
 export const useCountdown = (targetBlock, currentBlock) => {
+  const estimator = useBlockTimeEstimator()
   const [timeLeft, setTimeLeft] = useState(() => 
-    calculateTimeRemaining(targetBlock, currentBlock)
+    calculateTimeRemaining(targetBlock, currentBlock, estimator)
   )
 
   useEffect(() => {
@@ -255,8 +257,8 @@ export const useCountdown = (targetBlock, currentBlock) => {
   }, [timeLeft.isExpired])
 
   useEffect(() => {
-    setTimeLeft(calculateTimeRemaining(targetBlock, currentBlock))
-  }, [targetBlock, currentBlock])
+    setTimeLeft(calculateTimeRemaining(targetBlock, currentBlock, estimator))
+  }, [targetBlock, currentBlock, estimator.sample])
 
   return timeLeft
 }
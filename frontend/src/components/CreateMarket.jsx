@@ -1,54 +1,25 @@
-import React, { useEffect, useState, useCallback } from 'react'
+import React, { useEffect, useState } from 'react'
 import { HiX, HiPlusCircle, HiExclamationCircle, HiCheckCircle } from 'react-icons/hi'
-import { openContractCall } from '@stacks/connect'
-import { uintCV, stringUtf8CV, stringAsciiCV, PostConditionMode, makeStandardSTXPostCondition, FungibleConditionCode } from '@stacks/transactions'
 import toast from 'react-hot-toast'
 
-import { CONFIG } from '../lib/config'
-import { fetchStacksTipHeight } from '../lib/hiro'
-
-// Validation rules
-const VALIDATION_RULES = {
-  title: {
-    minLength: 10,
-    maxLength: 200,
-    pattern: /^[a-zA-Z0-9\s.,?!'"$%&()-]+$/,
-    messages: {
-      required: 'Market question is required',
-      minLength: 'Question must be at least 10 characters',
-      maxLength: 'Question cannot exceed 200 characters',
-      pattern: 'Question contains invalid characters'
-    }
-  },
-  description: {
-    maxLength: 500,
-    messages: {
-      maxLength: 'Description cannot exceed 500 characters'
-    }
-  },
-  resolutionSource: {
-    maxLength: 200,
-    messages: {
-      maxLength: 'Resolution source cannot exceed 200 characters'
-    }
-  },
-  endDays: {
-    min: 1,
-    max: 365,
-    messages: {
-      min: 'Duration must be at least 1 day',
-      max: 'Duration cannot exceed 365 days'
-    }
-  },
-  initialLiquidity: {
-    min: 1,
-    max: 100000,
-    messages: {
-      min: 'Minimum initial liquidity is 1 STX',
-      max: 'Maximum initial liquidity is 100,000 STX'
-    }
-  }
-}
+import Alert from './Alert'
+import { useProtocolPaused } from '../lib/api'
+import { createMarket } from '../lib/contract'
+import { getContractCallMessage } from '../lib/errors'
+import { useBlockTimeEstimator } from '../lib/blockTime'
+import { DAY, toDateTimeInputValue } from '../lib/datetime'
+import {
+  MARKET_LIMITS,
+  getFieldMaxLength,
+  charLength,
+  validateMarketField,
+  validateMarketForm,
+  toCreateMarketArgs,
+  dryRunCreateMarket,
+  loadCreateMarketState,
+} from '../lib/marketSchema'
+import { TX_TYPES } from '../lib/txTracker'
+import { useTransactions } from '../context/TransactionContext'
 
 const CreateMarket = ({ userData, userAddress, userSession, network, contractAddress, contractName, onClose, onConnect }) => {
   const [formData, setFormData] = useState({
@@ -56,85 +27,66 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
     description: '',
     category: 'Crypto',
     resolutionSource: '',
-    endDays: 30,
+    endDate: toDateTimeInputValue(Date.now() + 30 * DAY),
+    resolutionDate: toDateTimeInputValue(Date.now() + (30 + MARKET_LIMITS.RESOLUTION_DELAY_DAYS) * DAY),
     initialLiquidity: 10
   })
   const [errors, setErrors] = useState({})
   const [touched, setTouched] = useState({})
   const [isLoading, setIsLoading] = useState(false)
-  const [tipHeight, setTipHeight] = useState(null)
+  const { track } = useTransactions()
+  const { data: paused } = useProtocolPaused({ network, contractAddress, contractName })
+  const estimator = useBlockTimeEstimator(network)
+  const tipHeight = estimator.tipHeight
   const [isTipLoading, setIsTipLoading] = useState(true)
   const [tipError, setTipError] = useState(null)
   const [step, setStep] = useState(1)
+  const [dryRunFailure, setDryRunFailure] = useState(null)
 
   const categories = ['Crypto', 'Sports', 'Finance', 'Politics', 'Entertainment', 'Technology', 'Other']
 
-  // Validate a single field
-  const validateField = useCallback((name, value) => {
-    const rules = VALIDATION_RULES[name]
-    if (!rules) return null
-
-    if (rules.minLength && (!value || value.length < rules.minLength)) {
-      return rules.messages.minLength
-    }
-    if (rules.maxLength && value && value.length > rules.maxLength) {
-      return rules.messages.maxLength
-    }
-    if (rules.pattern && value && !rules.pattern.test(value)) {
-      return rules.messages.pattern
-    }
-    if (rules.min !== undefined && (value === '' || value < rules.min)) {
-      return rules.messages.min
-    }
-    if (rules.max !== undefined && value > rules.max) {
-      return rules.messages.max
-    }
-    return null
-  }, [])
-
-  // Validate all fields
-  const validateForm = useCallback(() => {
-    const newErrors = {}
-    Object.keys(VALIDATION_RULES).forEach(field => {
-      const error = validateField(field, formData[field])
-      if (error) newErrors[field] = error
-    })
-    return newErrors
-  }, [formData, validateField])
+  // Fields are checked against the shared market schema
+  const validateField = validateMarketField
+  const validateForm = () => validateMarketForm(formData)
 
   // Real-time validation on blur
   const handleBlur = (field) => {
     setTouched(prev => ({ ...prev, [field]: true }))
-    const error = validateField(field, formData[field])
+    const error = validateField(field, formData[field], formData)
     setErrors(prev => ({ ...prev, [field]: error }))
   }
 
-  // Update form data with real-time validation
+  // Update form data with real-time validation; touched fields are
+  // re-checked too, since the resolution date depends on the end date
   const handleChange = (field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }))
-    if (touched[field]) {
-      const error = validateField(field, value)
-      setErrors(prev => ({ ...prev, [field]: error }))
+    const next = { ...formData, [field]: value }
+    setFormData(next)
+    const recheck = Object.keys(touched).filter((name) => touched[name])
+    if (recheck.length > 0) {
+      setErrors(prev => recheck.reduce((acc, name) => ({ ...acc, [name]: validateField(name, next[name], next) }), prev))
     }
   }
 
+  // Block times are measured before dates can be turned into heights
   useEffect(() => {
     let cancelled = false
-    async function loadTip() {
-      setIsTipLoading(true)
-      setTipError(null)
-      try {
-        const height = await fetchStacksTipHeight(CONFIG.hiroApiUrl)
-        if (!cancelled) setTipHeight(height)
-      } catch (e) {
-        if (!cancelled) setTipError(e)
-      } finally {
-        if (!cancelled) setIsTipLoading(false)
-      }
-    }
-    loadTip()
+    setIsTipLoading(true)
+    setTipError(null)
+    estimator.ensure()
+      .catch((e) => { if (!cancelled) setTipError(e) })
+      .finally(() => { if (!cancelled) setIsTipLoading(false) })
     return () => { cancelled = true }
-  }, [])
+  }, [estimator])
+
+  // "≈ block #N" help text for a date field, with the estimate's range
+  const blockHint = (field) => {
+    const estimate = !validateField(field, formData[field], formData) && estimator.estimateHeight(formData[field])
+    if (!estimate) return undefined
+    const range = estimate.high > estimate.low
+      ? ` (#${estimate.low.toLocaleString()}–#${estimate.high.toLocaleString()})`
+      : ''
+    return `≈ block #${estimate.height.toLocaleString()}${range}`
+  }
 
   // Close on Escape key
   useEffect(() => {
@@ -146,11 +98,11 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
   }, [onClose])
 
   const isStep1Valid = () => {
-    return formData.title.length >= 10 && !errors.title && !errors.description
+    return ['title', 'description', 'category', 'resolutionSource'].every((field) => !validateField(field, formData[field], formData))
   }
 
   const isStep2Valid = () => {
-    return !errors.endDays && !errors.initialLiquidity && formData.endDays >= 1 && formData.initialLiquidity >= 1
+    return ['endDate', 'resolutionDate', 'initialLiquidity'].every((field) => !validateField(field, formData[field], formData))
   }
 
   const handleSubmit = async (e) => {
@@ -161,7 +113,7 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
     const validationErrors = validateForm()
     if (Object.keys(validationErrors).length > 0) {
       setErrors(validationErrors)
-      setTouched(Object.keys(VALIDATION_RULES).reduce((acc, k) => ({ ...acc, [k]: true }), {}))
+      setTouched(Object.keys(formData).reduce((acc, k) => ({ ...acc, [k]: true }), {}))
       toast.error('Please fix the errors before submitting')
       return
     }
@@ -187,50 +139,36 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
     }
 
     setIsLoading(true)
+    setDryRunFailure(null)
     try {
-      const liquidityInMicroSTX = Math.floor(formData.initialLiquidity * 1000000)
-      const blocksPerDay = 144
-      const endTime = tipHeight + (formData.endDays * blocksPerDay)
-      const resolutionTime = endTime + (7 * blocksPerDay)
-
-      openContractCall({
-        appDetails: {
-          name: 'StacksBet Arena',
-          icon: window.location.origin + '/logo.png',
-        },
+      // Replay the contract's checks so a doomed call never reaches the wallet
+      const [chainState] = await Promise.all([
+        loadCreateMarketState({ network, contractAddress, contractName, userAddress }),
+        estimator.ensure(),
+      ])
+      const args = toCreateMarketArgs(formData, estimator)
+      const dryRun = dryRunCreateMarket(args, chainState)
+      if (!dryRun.ok) {
+        setDryRunFailure(dryRun.failure)
+        toast.error(getContractCallMessage(dryRun.failure.error, dryRun.failure.detail))
+        return
+      }
+
+      const { txId } = await createMarket({
         network,
-        stxAddress: userAddress,
+        userSession,
+        userAddress,
         contractAddress,
         contractName,
-        functionName: 'create-market',
-        functionArgs: [
-          stringUtf8CV(formData.title),
-          stringUtf8CV(formData.description || 'No description provided'),
-          stringAsciiCV(formData.category),
-          stringUtf8CV(formData.resolutionSource || 'Manual resolution'),
-          uintCV(endTime),
-          uintCV(resolutionTime),
-          uintCV(liquidityInMicroSTX)
-        ],
-        postConditionMode: PostConditionMode.Deny,
-        postConditions: [makeStandardSTXPostCondition(userAddress, FungibleConditionCode.LessEqual, liquidityInMicroSTX)],
-        userSession,
-        onFinish: (data) => {
-          console.log('Transaction finished:', data)
-          setIsLoading(false)
-          toast.success('Market created successfully!')
-          onClose()
-        },
-        onCancel: () => {
-          console.log('Transaction cancelled by user')
-          setIsLoading(false)
-          toast.error('Transaction cancelled')
-        }
+        ...args,
       })
+      track({ txId, type: TX_TYPES.CREATE_MARKET, marketTitle: args.title, amount: args.liquidity })
+      onClose()
     } catch (error) {
-      console.error('Failed to create market:', error)
+      if (!error.cancelled) console.error('Failed to create market:', error)
+      toast.error(getContractCallMessage(error, `Failed to create market: ${error.message || 'Unknown error'}`))
+    } finally {
       setIsLoading(false)
-      toast.error(`Failed to create market: ${error.message || 'Unknown error'}`)
     }
   }
 
@@ -258,7 +196,7 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
             min={min}
             max={max}
             step={inputStep}
-            maxLength={VALIDATION_RULES[name]?.maxLength}
+            maxLength={getFieldMaxLength(name)}
             aria-invalid={hasError ? 'true' : 'false'}
             aria-describedby={hasError ? `${name}-error` : undefined}
           >
@@ -321,6 +259,12 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {paused && (
+            <Alert variant="warning" title="Protocol paused">
+              New markets cannot be created until the protocol is resumed.
+            </Alert>
+          )}
+
           {step === 1 && (
             <>
               <InputField
@@ -328,7 +272,7 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
                 label="Market Question"
                 placeholder="Will BTC reach $100K by December 2025?"
                 required
-                helpText={`${formData.title.length}/${VALIDATION_RULES.title.maxLength} characters`}
+                helpText={`${charLength(formData.title)}/${getFieldMaxLength('title')} characters`}
               />
 
               <InputField
@@ -375,24 +319,37 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
                 ← Back to Step 1
               </button>
 
-              <div className="grid grid-cols-2 gap-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <InputField
-                  name="endDays"
-                  label="Duration (days)"
-                  type="number"
-                  min={1}
-                  max={365}
+                  name="endDate"
+                  label="Betting ends"
+                  type="datetime-local"
+                  min={toDateTimeInputValue(Date.now() + DAY)}
                   required
+                  helpText={blockHint('endDate')}
                 />
                 <InputField
-                  name="initialLiquidity"
-                  label="Initial Liquidity (STX)"
-                  type="number"
-                  min={1}
-                  inputStep={0.1}
+                  name="resolutionDate"
+                  label="Resolvable from"
+                  type="datetime-local"
+                  min={formData.endDate}
                   required
+                  helpText={blockHint('resolutionDate')}
                 />
               </div>
+              <InputField
+                name="initialLiquidity"
+                label="Initial Liquidity (STX)"
+                type="number"
+                min={1}
+                inputStep={0.1}
+                required
+              />
+              <p className="text-xs text-gray-500">
+                Dates are converted to block heights at the{' '}
+                {estimator.sample?.measured ? 'measured' : 'assumed'} pace of ~{Math.round(estimator.secondsPerBlock)}s per block;
+                the range shows the fastest and slowest recent pace.
+              </p>
 
               {/* Summary Card */}
               <div className="glass-card p-4 rounded-xl border border-arena-purple/20">
@@ -407,8 +364,12 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
                     <dd className="text-white">{formData.category}</dd>
                   </div>
                   <div className="flex justify-between">
-                    <dt className="text-gray-400">Duration:</dt>
-                    <dd className="text-white">{formData.endDays} days</dd>
+                    <dt className="text-gray-400">Ends:</dt>
+                    <dd className="text-white">{formData.endDate ? new Date(formData.endDate).toLocaleString() : '-'}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="text-gray-400">Resolvable:</dt>
+                    <dd className="text-white">{formData.resolutionDate ? new Date(formData.resolutionDate).toLocaleString() : '-'}</dd>
                   </div>
                   <div className="flex justify-between">
                     <dt className="text-gray-400">Liquidity:</dt>
@@ -423,13 +384,27 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
                 <ul className="text-sm text-gray-400 space-y-1">
                   <li>• Earn 0.5% of all trading volume</li>
                   <li>• Initial liquidity sets starting odds at 50/50</li>
-                  <li>• Resolution happens 7 days after market ends</li>
+                  <li>• Oracles can resolve it from the resolution date on</li>
                 </ul>
               </div>
 
+              {dryRunFailure && (
+                <div className="p-4 rounded-xl border border-red-500/40 bg-red-500/10 text-sm" role="alert">
+                  <p className="font-medium text-red-400 flex items-center gap-2">
+                    <HiExclamationCircle className="w-4 h-4" />
+                    Dry run failed: the contract would reject this market
+                  </p>
+                  <p className="text-gray-300 mt-2">{dryRunFailure.detail}</p>
+                  <code className="block mt-2 text-xs text-gray-400 break-all">{dryRunFailure.source}</code>
+                  {dryRunFailure.error?.remediation && (
+                    <p className="text-gray-400 mt-2">{dryRunFailure.error.remediation}</p>
+                  )}
+                </div>
+              )}
+
               <button
                 type="submit"
-                disabled={isLoading || !tipHeight || !isStep2Valid()}
+                disabled={isLoading || !tipHeight || paused || !isStep2Valid()}
                 className="w-full btn-primary py-4 rounded-xl font-semibold flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
               >
                 {isLoading ? (
@@ -438,6 +413,8 @@ const CreateMarket = ({ userData, userAddress, userSession, network, contractAdd
                   'Loading chain…'
                 ) : tipError ? (
                   'Chain unavailable'
+                ) : paused ? (
+                  'Protocol paused'
                 ) : (
                   <><HiPlusCircle className="w-5 h-5" />Create Market ({formData.initialLiquidity} STX)</>
                 )}
@@ -1,6 +1,10 @@
 import React, { useState } from 'react'
 import { FiMenu, FiX, FiExternalLink, FiLink } from 'react-icons/fi'
 import { HiOutlineLightningBolt, HiQrcode } from 'react-icons/hi'
+import NetworkSwitcher from './NetworkSwitcher'
+import NetworkStatusIndicator from './NetworkStatus'
+import { Link } from '../context/RouterContext'
+import { ROUTES } from '../lib/router'
 
 const Header = ({ userData, userAddress, isConnecting, onConnect, onDisconnect }) => {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
@@ -30,7 +34,7 @@ const Header = ({ userData, userAddress, isConnecting, onConnect, onDisconnect }
     >
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex items-center justify-between h-16">
-          <div className="flex items-center space-x-3">
+          <Link to={ROUTES.HOME} className="flex items-center space-x-3" aria-label="StacksBet Arena home">
             <div 
               className="w-10 h-10 rounded-xl bg-gradient-to-br from-arena-purple to-arena-pink flex items-center justify-center hover:scale-110 transition-transform duration-200"
               aria-hidden="true"
@@ -44,25 +48,25 @@ const Header = ({ userData, userAddress, isConnecting, onConnect, onDisconnect }
               </h1>
               <p className="text-xs text-gray-500">Powered by Reown</p>
             </div>
-          </div>
+          </Link>
 
           <nav 
             className="hidden md:flex items-center space-x-8"
             role="navigation"
             aria-label="Main navigation"
           >
-            <a 
-              href="#markets" 
+            <Link 
+              to={ROUTES.HOME} 
               className="text-gray-300 hover:text-white hover:underline transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-arena-purple focus:ring-offset-2 focus:ring-offset-gray-900 rounded-md px-2 py-1"
             >
               Markets
-            </a>
-            <a 
-              href="#leaderboard" 
+            </Link>
+            <Link 
+              to={ROUTES.LEADERBOARD} 
               className="text-gray-300 hover:text-white hover:underline transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-arena-purple focus:ring-offset-2 focus:ring-offset-gray-900 rounded-md px-2 py-1"
             >
               Leaderboard
-            </a>
+            </Link>
             <a 
               href="https://docs.stacks.co" 
               target="_blank" 
@@ -75,6 +79,8 @@ const Header = ({ userData, userAddress, isConnecting, onConnect, onDisconnect }
           </nav>
 
           <div className="hidden md:flex items-center space-x-4">
+            <NetworkStatusIndicator compact />
+            <NetworkSwitcher />
             {userData ? (
               <div className="flex items-center space-x-3">
                 <div 
@@ -153,22 +159,26 @@ const Header = ({ userData, userAddress, isConnecting, onConnect, onDisconnect }
           aria-hidden={!mobileMenuOpen}
         >
           <nav className="flex flex-col space-y-4">
-            <a 
-              href="#markets" 
+            <Link 
+              to={ROUTES.HOME} 
               className="text-gray-300 hover:text-white transition-colors focus:outline-none focus:text-white"
               onClick={handleNavClick}
               tabIndex={mobileMenuOpen ? 0 : -1}
             >
               Markets
-            </a>
-            <a 
-              href="#leaderboard" 
+            </Link>
+            <Link 
+              to={ROUTES.LEADERBOARD} 
               className="text-gray-300 hover:text-white transition-colors focus:outline-none focus:text-white"
               onClick={handleNavClick}
               tabIndex={mobileMenuOpen ? 0 : -1}
             >
               Leaderboard
-            </a>
+            </Link>
+            <div className="flex items-center gap-4">
+              <NetworkSwitcher />
+              <NetworkStatusIndicator compact />
+            </div>
             {userData ? (
               <div className="pt-4 border-t border-arena-purple/20">
                 <p className="text-sm text-gray-400 mb-2">Connected</p>
@@ -1,7 +1,7 @@
 import React, { useEffect, useState } from 'react'
 import { HiArrowRight, HiPlusCircle } from 'react-icons/hi'
 
-const Hero = ({ onConnect, isConnected, onCreateMarket }) => {
+const Hero = ({ onConnect, isConnected, onCreateMarket, canCreateMarket = true }) => {
   const [isVisible, setIsVisible] = useState(false)
 
   // Trigger entrance animations on mount
@@ -94,7 +94,9 @@ const Hero = ({ onConnect, isConnected, onCreateMarket }) => {
             ) : null}
             <button
               onClick={onCreateMarket}
-              className="btn-primary px-8 py-4 rounded-2xl font-semibold text-lg flex items-center gap-2 w-full sm:w-auto hover:scale-105 active:scale-95 transition-all focus:outline-none focus:ring-2 focus:ring-purple-500"
+              disabled={!canCreateMarket}
+              title={canCreateMarket ? undefined : 'Market creation is disabled while the protocol is paused'}
+              className="btn-primary px-8 py-4 rounded-2xl font-semibold text-lg flex items-center gap-2 w-full sm:w-auto hover:scale-105 active:scale-95 transition-all focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
               aria-label="Create a new prediction market"
             >
               <HiPlusCircle className="w-5 h-5" aria-hidden="true" /> 
@@ -1,33 +1,55 @@
-import React, { useState, useMemo } from 'react'
+import React, { useState, useMemo, useEffect } from 'react'
+
+import { Link } from '../context/RouterContext'
+import { useNetwork } from '../context/NetworkContext'
+import { usesBackend } from '../lib/config'
+import { getMarketIndex } from '../lib/marketIndex'
+import { getMarketHistory } from '../lib/marketHistory'
+import { LEADERBOARD_WINDOWS, loadLeaderboard, rankTraders } from '../lib/leaderboard'
+import { profilePath } from '../lib/router'
+import { formatSTX, truncateAddress } from '../lib/formatUtils'
 
 const Leaderboard = () => {
+  const { network, contractAddress, contractName } = useNetwork()
   const [sortBy, setSortBy] = useState('profit')
   const [sortOrder, setSortOrder] = useState('desc')
   const [selectedTrader, setSelectedTrader] = useState(null)
+  const [windowId, setWindowId] = useState('all')
+  const [traders, setTraders] = useState([])
+  const [isLoadingTraders, setIsLoadingTraders] = useState(true)
+  const [loadError, setLoadError] = useState(null)
 
-  const leaderboardData = [
-    { rank: 1, address: 'SP2X7...8ABC', winRate: 78, totalBets: 156, volume: 12500, profit: 3250 },
-    { rank: 2, address: 'SP3Y9...4DEF', winRate: 72, totalBets: 203, volume: 18200, profit: 2890 },
-    { rank: 3, address: 'SP1Z3...7GHI', winRate: 69, totalBets: 98, volume: 8900, profit: 2150 },
-    { rank: 4, address: 'SP4W2...1JKL', winRate: 65, totalBets: 145, volume: 11200, profit: 1820 },
-    { rank: 5, address: 'SP5V8...9MNO', winRate: 63, totalBets: 87, volume: 6800, profit: 1540 },
-    { rank: 6, address: 'SP6U1...2PQR', winRate: 61, totalBets: 112, volume: 9100, profit: 1280 },
-    { rank: 7, address: 'SP7T4...5STU', winRate: 58, totalBets: 76, volume: 5400, profit: 980 },
-    { rank: 8, address: 'SP8S7...8VWX', winRate: 56, totalBets: 134, volume: 10800, profit: 750 },
-    { rank: 9, address: 'SP9R0...1YZA', winRate: 54, totalBets: 65, volume: 4200, profit: 620 },
-    { rank: 10, address: 'SPA1B...4CDE', winRate: 52, totalBets: 89, volume: 7100, profit: 480 }
-  ]
+  useEffect(() => {
+    if (!contractAddress || !contractName) return
+    let cancelled = false
+    const opts = { network, contractAddress, contractName }
 
-  // Sortable data with memoization
-  const sortedData = useMemo(() => {
-    const sorted = [...leaderboardData].sort((a, b) => {
-      const aVal = a[sortBy]
-      const bVal = b[sortBy]
-      return sortOrder === 'desc' ? bVal - aVal : aVal - bVal
-    })
-    // Recalculate ranks based on current sort
-    return sorted.map((item, idx) => ({ ...item, displayRank: idx + 1 }))
-  }, [sortBy, sortOrder])
+    async function load() {
+      setIsLoadingTraders(true)
+      setLoadError(null)
+      try {
+        const rows = await loadLeaderboard({
+          history: getMarketHistory(opts),
+          index: getMarketIndex(opts),
+          windowId,
+          backend: usesBackend(opts),
+        })
+        if (!cancelled) setTraders(rows)
+      } catch (e) {
+        if (!cancelled) setLoadError(e)
+      } finally {
+        if (!cancelled) setIsLoadingTraders(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, network, windowId])
+
+  // Sortable data with memoization; ranks follow the current sort
+  const sortedData = useMemo(() => rankTraders(traders, sortBy, sortOrder), [traders, sortBy, sortOrder])
 
   const handleSort = (column) => {
     if (sortBy === column) {
@@ -79,6 +101,21 @@ const Leaderboard = () => {
           <span className="gradient-text">🏆 Leaderboard</span>
         </h2>
         <p className="text-gray-400">Top traders ranked by profit and win rate</p>
+        <div className="flex gap-2 mt-4" role="tablist" aria-label="Time window">
+          {LEADERBOARD_WINDOWS.map((range) => (
+            <button
+              key={range.id}
+              role="tab"
+              aria-selected={windowId === range.id}
+              onClick={() => setWindowId(range.id)}
+              className={`px-4 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                windowId === range.id ? 'bg-arena-purple text-white' : 'glass text-gray-400 hover:text-white'
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
         <p className="text-sm text-gray-500 mt-2">
           Click column headers to sort • Currently sorted by: 
           <span className="text-arena-cyan ml-1 font-medium">
@@ -113,7 +150,20 @@ const Leaderboard = () => {
               </tr>
             </thead>
             <tbody className="divide-y divide-arena-purple/10">
-              {sortedData.map((trader, index) => (
+              {(isLoadingTraders || loadError || sortedData.length === 0) && (
+                <tr>
+                  <td colSpan={columns.length} className="px-6 py-10 text-center text-gray-400">
+                    {isLoadingTraders ? (
+                      <span className="inline-flex items-center gap-2"><span className="spinner w-5 h-5" /> Loading traders…</span>
+                    ) : loadError ? (
+                      'Could not load the leaderboard. Try again shortly.'
+                    ) : (
+                      'No trades in this period yet.'
+                    )}
+                  </td>
+                </tr>
+              )}
+              {!isLoadingTraders && !loadError && sortedData.map((trader, index) => (
                 <tr
                   key={trader.address}
                   className={`hover:bg-arena-purple/5 transition-all duration-200 cursor-pointer ${
@@ -135,8 +185,8 @@ const Leaderboard = () => {
                     </span>
                   </td>
                   <td className="px-6 py-4">
-                    <span className="font-mono text-white hover:text-arena-cyan transition-colors">
-                      {trader.address}
+                    <span className="font-mono text-white hover:text-arena-cyan transition-colors" title={trader.address}>
+                      {truncateAddress(trader.address)}
                     </span>
                     {trader.displayRank <= 3 && (
                       <span className="ml-2 text-xs bg-arena-purple/30 px-2 py-0.5 rounded-full">
@@ -168,11 +218,11 @@ const Leaderboard = () => {
                     {trader.totalBets.toLocaleString()}
                   </td>
                   <td className="px-6 py-4 text-gray-300 tabular-nums">
-                    {trader.volume.toLocaleString()} STX
+                    {formatSTX(trader.volume)}
                   </td>
                   <td className="px-6 py-4">
-                    <span className="text-arena-green font-semibold tabular-nums">
-                      +{trader.profit.toLocaleString()} STX
+                    <span className={`font-semibold tabular-nums ${trader.profit >= 0 ? 'text-arena-green' : 'text-red-400'}`}>
+                      {trader.profit >= 0 ? '+' : '−'}{formatSTX(Math.abs(trader.profit))}
                     </span>
                   </td>
                 </tr>
@@ -201,9 +251,9 @@ const Leaderboard = () => {
               ✕
             </button>
           </div>
-          <p className="text-gray-400 text-sm">
-            View full trading history, recent bets, and performance analytics coming soon.
-          </p>
+          <Link to={profilePath(selectedTrader)} className="text-arena-cyan hover:underline text-sm">
+            View positions and markets created →
+          </Link>
         </div>
       )}
 
@@ -0,0 +1,288 @@
+import React, { useEffect, useState } from 'react'
+import { HiClock, HiUsers, HiCurrencyDollar, HiExternalLink, HiOutlineSearch } from 'react-icons/hi'
+
+import BetPanel, { getOdds } from './BetPanel'
+import { MarketStatusBadge } from './Badge'
+import { OddsHistoryChart, ODDS_HISTORY_RANGES } from './Charts'
+import Breadcrumb from './Breadcrumb'
+import EmptyState from './EmptyState'
+import ShareButton from './ShareButton'
+import { CopyButton } from './AddressUtils'
+import { Link } from '../context/RouterContext'
+import { useTransactions } from '../context/TransactionContext'
+import { useMarketQuery, usePositionQuery, useProtocolPaused } from '../lib/api'
+import { getMarketHistory, rebuildPoolHistory, buildOddsSeries, MarketEventTypes } from '../lib/marketHistory'
+import { ROUTES, marketPath, profilePath, navigate } from '../lib/router'
+import { MarketPageSEO } from '../lib/seo'
+import { MARKET_STATUS, describeMarket } from '../lib/marketStatus'
+import { useBlockTimeEstimator } from '../lib/blockTime'
+import { formatSTX, truncateAddress, formatDuration } from '../lib/formatUtils'
+
+// Estimated wall-clock time of a block, with the range it may fall in
+const BlockDate = ({ estimator, height }) => {
+  const estimate = estimator.estimateTime(height)
+  if (!estimate) return null
+  const range = `${new Date(estimate.earliest).toLocaleString()} – ${new Date(estimate.latest).toLocaleString()}`
+  return (
+    <span className="block text-xs text-gray-500" title={`Between ${range}`}>
+      ≈ {new Date(estimate.time).toLocaleString()}
+    </span>
+  )
+}
+
+const isUrl = (value) => /^https?:\/\//i.test(value)
+
+const MarketDetail = ({ marketId, userData, userAddress, userSession, network, contractAddress, contractName, onConnect }) => {
+  const contract = { network, contractAddress, contractName }
+  const marketQuery = useMarketQuery(marketId, contract)
+  const chainMarket = marketQuery.data
+  const tipHeight = marketQuery.blockHeight
+  const { data: chainPosition } = usePositionQuery(marketId, chainMarket ? userAddress : null, contract)
+  const { data: paused } = useProtocolPaused(contract)
+  const estimator = useBlockTimeEstimator(network)
+  const [participants, setParticipants] = useState(null)
+  const [log, setLog] = useState([])
+  const [chartRange, setChartRange] = useState('all')
+  const [chartAxis, setChartAxis] = useState('time')
+  const { revision, withPendingBets, withPendingPosition } = useTransactions()
+
+  const id = Number(marketId)
+
+  useEffect(() => {
+    if (!contractAddress || !contractName) return
+    let cancelled = false
+    const history = getMarketHistory({ network, contractAddress, contractName })
+
+    async function loadParticipants() {
+      try {
+        await history.sync()
+        if (cancelled) return
+        setParticipants(history.getParticipantCount(id))
+        setLog(history.getLog(id))
+      } catch {
+        // Participant count and odds history are decorative; keep the placeholders.
+      }
+    }
+
+    loadParticipants()
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, id, network, revision])
+
+  // Chain state plus this browser's bets that are still being mined
+  const market = withPendingBets(chainMarket)
+  const position = withPendingPosition(id, chainPosition)
+
+  const breadcrumb = [
+    { label: 'Markets', href: ROUTES.HOME, onClick: (e) => { e.preventDefault(); navigate(ROUTES.HOME) } },
+    { label: `Market #${marketId}` },
+  ]
+
+  if (marketQuery.isLoading) {
+    return (
+      <div className="glass-card rounded-2xl p-6 text-gray-400 flex items-center justify-center gap-3">
+        <div className="spinner w-6 h-6" />
+        Loading market…
+      </div>
+    )
+  }
+
+  if (!market) {
+    return (
+      <div className="glass-card rounded-2xl">
+        <EmptyState
+          icon={HiOutlineSearch}
+          title="Market not found"
+          description={`There is no market #${marketId} on this contract.`}
+          action={<Link to={ROUTES.HOME} className="btn-primary px-6 py-3 rounded-xl font-medium">Browse markets</Link>}
+        />
+      </div>
+    )
+  }
+
+  const odds = getOdds(market)
+  const status = describeMarket(market, tipHeight, { paused: !!paused, estimator })
+  const shareUrl = `${window.location.origin}${marketPath(market.id)}`
+
+  const rangeMs = ODDS_HISTORY_RANGES.find((r) => r.id === chartRange).ms
+  const since = rangeMs ? Date.now() - rangeMs : 0
+  const oddsPoints = buildOddsSeries(rebuildPoolHistory(log), {
+    since,
+    until: tipHeight == null ? null : { blockHeight: tipHeight, timestamp: Date.now() },
+  })
+  const myBets = log.filter((e) =>
+    e.type === MarketEventTypes.BET_PLACED && e.sender === userAddress && e.timestamp >= since
+  )
+
+  return (
+    <section id="market" className="py-8" aria-label={market.title}>
+      <MarketPageSEO market={{ ...market, yesPercentage: odds.yes, noPercentage: odds.no }} />
+
+      <Breadcrumb items={breadcrumb} className="mb-6" />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <div className="glass-card rounded-2xl p-6">
+            <div className="flex items-start justify-between gap-2 mb-4">
+              <div className="flex items-center gap-2">
+                <span className="category-badge px-3 py-1 rounded-full text-xs font-medium text-arena-purple">
+                  {market.category}
+                </span>
+                <MarketStatusBadge status={status.status} size="sm" />
+              </div>
+              <ShareButton url={shareUrl} title={market.title} size="sm" />
+            </div>
+
+            <h2 className="text-2xl font-bold mb-4 leading-tight">{market.title}</h2>
+            <p className="text-gray-300 whitespace-pre-line mb-6">{market.description}</p>
+
+            <div className="mb-2">
+              <div className="flex justify-between text-sm mb-2">
+                <span className="text-yes font-medium">YES {odds.yes}%</span>
+                <span className="text-no font-medium">NO {odds.no}%</span>
+              </div>
+              <div className="odds-bar flex">
+                <div className="odds-yes" style={{ width: `${odds.yes}%` }} />
+                <div className="odds-no" style={{ width: `${odds.no}%` }} />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between text-sm text-gray-400 mt-4">
+              <span className="flex items-center gap-1">
+                <HiCurrencyDollar className="w-4 h-4" />
+                {formatSTX(market.totalYes + market.totalNo)}
+                {market.pendingAmount > 0 && <span className="text-xs text-yellow-400">(pending)</span>}
+              </span>
+              <span className="flex items-center gap-1"><HiUsers className="w-4 h-4" />{participants ?? '—'}</span>
+              <span className="flex items-center gap-1">
+                <HiClock className="w-4 h-4" />
+                {tipHeight == null
+                  ? '—'
+                  : status.phase === 'betting'
+                    ? `~${formatDuration(estimator.secondsUntil(market.endTime, { currentBlock: tipHeight }))} left`
+                    : 'Betting closed'}
+              </span>
+            </div>
+          </div>
+
+          <div className="glass-card rounded-2xl p-6">
+            <h3 className="text-lg font-semibold mb-4">Pool share history</h3>
+            <OddsHistoryChart
+              points={oddsPoints}
+              bets={myBets}
+              xAxis={chartAxis}
+              onXAxisChange={setChartAxis}
+              range={chartRange}
+              onRangeChange={setChartRange}
+            />
+          </div>
+
+          <div className="glass-card rounded-2xl p-6">
+            <h3 className="text-lg font-semibold mb-4">Market details</h3>
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+              <div className="sm:col-span-2">
+                <dt className="text-gray-500 mb-1">Resolution source</dt>
+                <dd>
+                  {isUrl(market.resolutionSource) ? (
+                    <a
+                      href={market.resolutionSource}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-arena-cyan hover:underline inline-flex items-center gap-1 break-all"
+                    >
+                      {market.resolutionSource}
+                      <HiExternalLink className="w-4 h-4" />
+                    </a>
+                  ) : (
+                    <span className="text-white">{market.resolutionSource}</span>
+                  )}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 mb-1">Creator</dt>
+                <dd className="flex items-center gap-2">
+                  <Link to={profilePath(market.creator)} className="font-mono text-white hover:text-arena-purple" title={market.creator}>
+                    {truncateAddress(market.creator, 8, 6)}
+                  </Link>
+                  <CopyButton text={market.creator} size="sm" />
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 mb-1">Created at block</dt>
+                <dd className="text-white">#{market.createdAt.toLocaleString()}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 mb-1">Betting ends at block</dt>
+                <dd className="text-white">
+                  #{market.endTime.toLocaleString()}
+                  <BlockDate estimator={estimator} height={market.endTime} />
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 mb-1">Resolvable from block</dt>
+                <dd className="text-white">
+                  #{market.resolutionTime.toLocaleString()}
+                  <BlockDate estimator={estimator} height={market.resolutionTime} />
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 mb-1">YES pool</dt>
+                <dd className="text-white">{formatSTX(market.totalYes)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 mb-1">NO pool</dt>
+                <dd className="text-white">{formatSTX(market.totalNo)}</dd>
+              </div>
+            </dl>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {position?.totalInvested > 0 && (
+            <div className="glass-card rounded-2xl p-6">
+              <h3 className="text-lg font-semibold mb-4">Your position</h3>
+              <dl className="space-y-2 text-sm">
+                <div className="flex justify-between"><dt className="text-gray-400">YES shares</dt><dd className="text-yes">{formatSTX(position.yesShares, false)}</dd></div>
+                <div className="flex justify-between"><dt className="text-gray-400">NO shares</dt><dd className="text-no">{formatSTX(position.noShares, false)}</dd></div>
+                <div className="flex justify-between"><dt className="text-gray-400">Invested</dt><dd className="text-white">{formatSTX(position.totalInvested)}</dd></div>
+              </dl>
+              {position.pending && (
+                <p className="text-xs text-yellow-400 mt-3">Includes a bet that is still being confirmed.</p>
+              )}
+              {status.canClaim && !position.claimed && (
+                <Link to={ROUTES.MY_BETS} className="block text-center w-full btn-primary py-3 rounded-xl font-medium mt-4">
+                  Claim in My Bets
+                </Link>
+              )}
+            </div>
+          )}
+
+          <div className="glass-card rounded-2xl p-6">
+            <h3 className="text-lg font-semibold mb-4">Place a bet</h3>
+            {status.status === MARKET_STATUS.PAUSED ? (
+              <p className="text-gray-400 text-sm">Betting is paused while the protocol is paused.</p>
+            ) : status.status === MARKET_STATUS.LOADING ? (
+              <p className="text-gray-400 text-sm">Checking the chain tip before taking bets…</p>
+            ) : !status.canBet ? (
+              <p className="text-gray-400 text-sm">Betting on this market is closed.</p>
+            ) : (
+              <BetPanel
+                market={market}
+                userData={userData}
+                userAddress={userAddress}
+                userSession={userSession}
+                network={network}
+                contractAddress={contractAddress}
+                contractName={contractName}
+                onConnect={onConnect}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default MarketDetail
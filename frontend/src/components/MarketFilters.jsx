@@ -1,118 +1,79 @@
-import React, { useState, useCallback, useMemo } from 'react'
-import { HiSearch, HiX, HiFilter, HiSortAscending, HiSortDescending, HiViewGrid, HiViewList } from 'react-icons/hi'
+import React, { useCallback, useMemo, useState } from 'react'
+import { HiSearch, HiX, HiFilter } from 'react-icons/hi'
+
+import { useRouter } from '../context/RouterContext'
+import { truncateAddress } from '../lib/formatUtils'
+import {
+  DEFAULT_FILTERS,
+  SORT_OPTIONS,
+  countActiveFilters,
+  parseMarketFilters,
+  resolveSort,
+  serializeMarketFilters,
+} from '../lib/marketSearch'
 
 /**
- * Market filtering and search component
- * Provides search, category filter, sort options, and view toggle
+ * Market search and facet filters
+ * Controlled by `filters`; every change goes through `onChange`. Facet values
+ * (categories, statuses, creators) come from the markets via `getFacets`.
  */
 
-const MarketFilters = ({ 
-  markets = [],
-  onFilterChange,
-  categories = ['All', 'Crypto', 'Sports', 'Finance', 'Politics', 'Entertainment', 'Technology', 'Other'],
-  className = ''
-}) => {
-  const [searchQuery, setSearchQuery] = useState('')
-  const [selectedCategory, setSelectedCategory] = useState('All')
-  const [sortBy, setSortBy] = useState('newest')
-  const [sortOrder, setSortOrder] = useState('desc')
-  const [viewMode, setViewMode] = useState('grid')
-  const [showFilters, setShowFilters] = useState(false)
-
-  const sortOptions = [
-    { value: 'newest', label: 'Newest First' },
-    { value: 'ending', label: 'Ending Soon' },
-    { value: 'volume', label: 'Highest Volume' },
-    { value: 'liquidity', label: 'Most Liquidity' },
-    { value: 'participants', label: 'Most Active' },
-  ]
-
-  // Apply filters and sort
-  const filteredMarkets = useMemo(() => {
-    let result = [...markets]
-
-    // Search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase()
-      result = result.filter(market => 
-        market.title?.toLowerCase().includes(query) ||
-        market.description?.toLowerCase().includes(query) ||
-        market.category?.toLowerCase().includes(query)
-      )
-    }
+/**
+ * Filters kept in the URL query string of the current page. Changes replace
+ * the history entry so typing does not flood the back button.
+ */
+export const useMarketFilters = () => {
+  const { pathname, search, navigate } = useRouter()
+  const filters = useMemo(() => parseMarketFilters(search), [search])
 
-    // Category filter
-    if (selectedCategory !== 'All') {
-      result = result.filter(market => market.category === selectedCategory)
-    }
+  const setFilters = useCallback(
+    (changes) => {
+      const next = { ...parseMarketFilters(window.location.search), ...changes }
+      navigate(`${pathname}${serializeMarketFilters(next)}`, { replace: true, scroll: false })
+    },
+    [pathname, navigate]
+  )
 
-    // Sort
-    result.sort((a, b) => {
-      let comparison = 0
-      switch (sortBy) {
-        case 'newest':
-          comparison = (b.createdAt || 0) - (a.createdAt || 0)
-          break
-        case 'ending':
-          comparison = (a.endTime || 0) - (b.endTime || 0)
-          break
-        case 'volume':
-          comparison = (b.volume || 0) - (a.volume || 0)
-          break
-        case 'liquidity':
-          comparison = (b.liquidity || 0) - (a.liquidity || 0)
-          break
-        case 'participants':
-          comparison = (b.participants || 0) - (a.participants || 0)
-          break
-        default:
-          comparison = 0
-      }
-      return sortOrder === 'desc' ? comparison : -comparison
-    })
+  const resetFilters = useCallback(() => {
+    navigate(pathname, { replace: true, scroll: false })
+  }, [pathname, navigate])
 
-    return result
-  }, [markets, searchQuery, selectedCategory, sortBy, sortOrder])
+  return { filters, setFilters, resetFilters }
+}
 
-  // Debounced search
-  const handleSearchChange = useCallback((e) => {
-    setSearchQuery(e.target.value)
-  }, [])
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value])
 
-  // Clear search
-  const clearSearch = () => {
-    setSearchQuery('')
-  }
+const Chip = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`px-3 py-1.5 text-sm rounded-full transition-all ${
+      active ? 'bg-arena-purple text-white' : 'bg-arena-purple/20 hover:bg-arena-purple/30 text-gray-300'
+    }`}
+    aria-pressed={active}
+  >
+    {children}
+  </button>
+)
 
-  // Toggle sort order
-  const toggleSortOrder = () => {
-    setSortOrder(prev => prev === 'desc' ? 'asc' : 'desc')
-  }
+const MarketFilters = ({
+  filters,
+  facets,
+  onChange,
+  onReset,
+  resultCount = 0,
+  totalCount = 0,
+  className = ''
+}) => {
+  const [showFilters, setShowFilters] = useState(false)
+  const activeCount = countActiveFilters(filters)
+  const sort = resolveSort(filters)
 
-  // Reset all filters
-  const resetFilters = () => {
-    setSearchQuery('')
-    setSelectedCategory('All')
-    setSortBy('newest')
-    setSortOrder('desc')
+  const setAmount = (key) => (e) => {
+    const value = e.target.value
+    onChange({ [key]: value === '' ? null : Math.max(0, Number(value)) })
   }
 
-  // Notify parent of filter changes
-  React.useEffect(() => {
-    if (onFilterChange) {
-      onFilterChange({
-        filteredMarkets,
-        searchQuery,
-        selectedCategory,
-        sortBy,
-        sortOrder,
-        viewMode
-      })
-    }
-  }, [filteredMarkets, searchQuery, selectedCategory, sortBy, sortOrder, viewMode, onFilterChange])
-
-  const hasActiveFilters = searchQuery || selectedCategory !== 'All' || sortBy !== 'newest'
-
   return (
     <div className={`space-y-4 ${className}`}>
       {/* Search and Quick Actions Bar */}
@@ -121,16 +82,16 @@ const MarketFilters = ({
         <div className="relative flex-1">
           <HiSearch className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-500" />
           <input
-            type="text"
-            value={searchQuery}
-            onChange={handleSearchChange}
-            placeholder="Search markets..."
+            type="search"
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            placeholder="Search titles, descriptions, categories, sources..."
             className="input-field w-full pl-12 pr-10 py-3 rounded-xl text-white"
             aria-label="Search markets"
           />
-          {searchQuery && (
+          {filters.q && (
             <button
-              onClick={clearSearch}
+              onClick={() => onChange({ q: '' })}
               className="absolute right-4 top-1/2 -translate-y-1/2 p-1 hover:bg-white/10 rounded-full transition-colors"
               aria-label="Clear search"
             >
@@ -141,11 +102,24 @@ const MarketFilters = ({
 
         {/* Action Buttons */}
         <div className="flex gap-2">
+          <select
+            value={sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            className="input-field px-4 py-3 rounded-xl text-white bg-arena-darker min-w-[180px]"
+            aria-label="Sort by"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+
           {/* Filter Toggle */}
           <button
             onClick={() => setShowFilters(!showFilters)}
             className={`px-4 py-3 rounded-xl flex items-center gap-2 transition-all ${
-              showFilters || hasActiveFilters
+              showFilters || activeCount > 0
                 ? 'bg-arena-purple text-white'
                 : 'glass-card hover:bg-arena-purple/20'
             }`}
@@ -154,103 +128,129 @@ const MarketFilters = ({
           >
             <HiFilter className="w-5 h-5" />
             <span className="hidden sm:inline">Filters</span>
-            {hasActiveFilters && (
-              <span className="bg-white/20 text-xs px-2 py-0.5 rounded-full">
-                {[searchQuery, selectedCategory !== 'All', sortBy !== 'newest'].filter(Boolean).length}
-              </span>
+            {activeCount > 0 && (
+              <span className="bg-white/20 text-xs px-2 py-0.5 rounded-full">{activeCount}</span>
             )}
           </button>
+        </div>
+      </div>
 
-          {/* View Toggle */}
-          <div className="glass-card rounded-xl flex overflow-hidden">
-            <button
-              onClick={() => setViewMode('grid')}
-              className={`px-3 py-3 transition-colors ${
-                viewMode === 'grid' ? 'bg-arena-purple text-white' : 'hover:bg-arena-purple/20'
-              }`}
-              aria-label="Grid view"
-              aria-pressed={viewMode === 'grid'}
-            >
-              <HiViewGrid className="w-5 h-5" />
-            </button>
-            <button
-              onClick={() => setViewMode('list')}
-              className={`px-3 py-3 transition-colors ${
-                viewMode === 'list' ? 'bg-arena-purple text-white' : 'hover:bg-arena-purple/20'
-              }`}
-              aria-label="List view"
-              aria-pressed={viewMode === 'list'}
+      {/* Category chips stay visible; the rest sits in the panel */}
+      {facets.categories.length > 0 && (
+        <div className="flex flex-wrap gap-2" role="group" aria-label="Category">
+          <Chip active={filters.categories.length === 0} onClick={() => onChange({ categories: [] })}>
+            All
+          </Chip>
+          {facets.categories.map(category => (
+            <Chip
+              key={category.key}
+              active={filters.categories.includes(category.key)}
+              onClick={() => onChange({ categories: toggle(filters.categories, category.key) })}
             >
-              <HiViewList className="w-5 h-5" />
-            </button>
-          </div>
+              {category.label} <span className="opacity-60">{category.count}</span>
+            </Chip>
+          ))}
         </div>
-      </div>
+      )}
 
       {/* Expanded Filters Panel */}
       {showFilters && (
         <div className="glass-card p-4 rounded-xl space-y-4 animate-fade-in">
-          <div className="flex flex-col sm:flex-row gap-4">
-            {/* Category Filter */}
-            <div className="flex-1">
-              <label className="block text-sm font-medium text-gray-400 mb-2">
-                Category
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Status</label>
+            <div className="flex flex-wrap gap-2" role="group" aria-label="Status">
+              {facets.statuses.map(status => (
+                <Chip
+                  key={status.id}
+                  active={filters.statuses.includes(status.id)}
+                  onClick={() => onChange({ statuses: toggle(filters.statuses, status.id) })}
+                >
+                  {status.label} <span className="opacity-60">{status.count}</span>
+                </Chip>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {/* Creator */}
+            <div>
+              <label htmlFor="filter-creator" className="block text-sm font-medium text-gray-400 mb-2">
+                Creator
               </label>
-              <div className="flex flex-wrap gap-2">
-                {categories.map(category => (
-                  <button
-                    key={category}
-                    onClick={() => setSelectedCategory(category)}
-                    className={`px-3 py-1.5 text-sm rounded-full transition-all ${
-                      selectedCategory === category
-                        ? 'bg-arena-purple text-white'
-                        : 'bg-arena-purple/20 hover:bg-arena-purple/30 text-gray-300'
-                    }`}
-                    aria-pressed={selectedCategory === category}
-                  >
-                    {category}
-                  </button>
+              <select
+                id="filter-creator"
+                value={filters.creator}
+                onChange={(e) => onChange({ creator: e.target.value })}
+                className="input-field w-full px-3 py-2 rounded-xl text-white bg-arena-darker"
+              >
+                <option value="">Anyone</option>
+                {facets.creators.map(({ address, count }) => (
+                  <option key={address} value={address}>
+                    {truncateAddress(address)} ({count})
+                  </option>
                 ))}
+                {/* A creator from a shared link who has no markets here */}
+                {filters.creator && !facets.creators.some(({ address }) => address === filters.creator) && (
+                  <option value={filters.creator}>{truncateAddress(filters.creator)} (0)</option>
+                )}
+              </select>
+            </div>
+
+            {/* Volume Range */}
+            <div>
+              <span className="block text-sm font-medium text-gray-400 mb-2">Volume (STX)</span>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.minVolume ?? ''}
+                  onChange={setAmount('minVolume')}
+                  placeholder="Min"
+                  className="input-field w-full px-3 py-2 rounded-xl text-white"
+                  aria-label="Minimum volume in STX"
+                />
+                <span className="text-gray-500">–</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.maxVolume ?? ''}
+                  onChange={setAmount('maxVolume')}
+                  placeholder="Max"
+                  className="input-field w-full px-3 py-2 rounded-xl text-white"
+                  aria-label="Maximum volume in STX"
+                />
               </div>
             </div>
 
-            {/* Sort Options */}
-            <div className="sm:w-64">
-              <label className="block text-sm font-medium text-gray-400 mb-2">
-                Sort By
-              </label>
-              <div className="flex gap-2">
-                <select
-                  value={sortBy}
-                  onChange={(e) => setSortBy(e.target.value)}
-                  className="input-field flex-1 px-3 py-2 rounded-xl text-white bg-arena-darker"
-                  aria-label="Sort by"
-                >
-                  {sortOptions.map(option => (
-                    <option key={option.value} value={option.value}>
-                      {option.label}
-                    </option>
-                  ))}
-                </select>
-                <button
-                  onClick={toggleSortOrder}
-                  className="glass-card px-3 py-2 rounded-xl hover:bg-arena-purple/20 transition-colors"
-                  aria-label={`Sort ${sortOrder === 'desc' ? 'ascending' : 'descending'}`}
-                >
-                  {sortOrder === 'desc' ? (
-                    <HiSortDescending className="w-5 h-5" />
-                  ) : (
-                    <HiSortAscending className="w-5 h-5" />
-                  )}
-                </button>
+            {/* End Date Range */}
+            <div>
+              <span className="block text-sm font-medium text-gray-400 mb-2">Ends between</span>
+              <div className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={filters.endAfter}
+                  max={filters.endBefore || undefined}
+                  onChange={(e) => onChange({ endAfter: e.target.value })}
+                  className="input-field w-full px-3 py-2 rounded-xl text-white"
+                  aria-label="Ends on or after"
+                />
+                <span className="text-gray-500">–</span>
+                <input
+                  type="date"
+                  value={filters.endBefore}
+                  min={filters.endAfter || undefined}
+                  onChange={(e) => onChange({ endBefore: e.target.value })}
+                  className="input-field w-full px-3 py-2 rounded-xl text-white"
+                  aria-label="Ends on or before"
+                />
               </div>
             </div>
           </div>
 
           {/* Reset Button */}
-          {hasActiveFilters && (
+          {(activeCount > 0 || filters.q || filters.sort) && (
             <button
-              onClick={resetFilters}
+              onClick={onReset || (() => onChange(DEFAULT_FILTERS))}
               className="text-sm text-arena-cyan hover:text-arena-pink transition-colors"
             >
               Reset all filters
@@ -262,17 +262,12 @@ const MarketFilters = ({
       {/* Results Count */}
       <div className="flex items-center justify-between text-sm text-gray-400">
         <p>
-          Showing <span className="text-white font-medium">{filteredMarkets.length}</span> of{' '}
-          <span className="text-white font-medium">{markets.length}</span> markets
-          {selectedCategory !== 'All' && (
-            <span className="ml-1">
-              in <span className="text-arena-cyan">{selectedCategory}</span>
-            </span>
-          )}
+          Showing <span className="text-white font-medium">{resultCount}</span> of{' '}
+          <span className="text-white font-medium">{totalCount}</span> markets
         </p>
-        {searchQuery && (
+        {filters.q && (
           <p>
-            Results for "<span className="text-arena-cyan">{searchQuery}</span>"
+            Results for "<span className="text-arena-cyan">{filters.q}</span>"
           </p>
         )}
       </div>
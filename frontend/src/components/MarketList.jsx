@@ -1,111 +1,96 @@
 import React, { useEffect, useMemo, useState } from 'react'
-import { HiClock, HiUsers, HiCurrencyDollar, HiSearch, HiHeart } from 'react-icons/hi'
-import { openContractCall } from '@stacks/connect'
-import { uintCV, standardPrincipalCV, PostConditionMode, makeStandardSTXPostCondition, FungibleConditionCode } from '@stacks/transactions'
+import { HiClock, HiUsers, HiCurrencyDollar, HiHeart, HiCheckCircle } from 'react-icons/hi'
 import toast from 'react-hot-toast'
 
-import { CONFIG } from '../lib/config'
-import { fetchStacksTipHeight, optionalFromClarityJson } from '../lib/hiro'
-import { readOnly } from '../lib/contract'
+import BetPanel, { getOdds } from './BetPanel'
+import { MarketStatusBadge } from './Badge'
+import { NoSearchResults } from './EmptyState'
+import MarketFilters, { useMarketFilters } from './MarketFilters'
+import { Link } from '../context/RouterContext'
+import { useTransactions } from '../context/TransactionContext'
+import { marketsApi, useProtocolPaused } from '../lib/api'
+import { usesBackend } from '../lib/config'
+import { claimWinnings } from '../lib/contract'
+import { getMarketIndex } from '../lib/marketIndex'
+import { getMarketHistory } from '../lib/marketHistory'
+import { buildSearchIndex, getFacets, searchMarkets } from '../lib/marketSearch'
+import { MARKET_STATUS, describeMarket } from '../lib/marketStatus'
+import { marketPath } from '../lib/router'
+import { TX_TYPES } from '../lib/txTracker'
+import { getContractCallMessage } from '../lib/errors'
+import { useBlockTimeEstimator } from '../lib/blockTime'
 
 const MarketList = ({ userData, userAddress, userSession, network, contractAddress, contractName, onConnect, filterUserBets }) => {
   const [selectedMarket, setSelectedMarket] = useState(null)
-  const [betAmount, setBetAmount] = useState('')
-  const [betSide, setBetSide] = useState(null)
-  const [isLoading, setIsLoading] = useState(false)
-  const [filter, setFilter] = useState('all')
-  const [searchTerm, setSearchTerm] = useState('')
-  const [sortBy, setSortBy] = useState('newest')
+  const { filters, setFilters, resetFilters } = useMarketFilters()
   const [favorites, setFavorites] = useState(JSON.parse(localStorage.getItem('favorites') || '[]'))
 
   const [markets, setMarkets] = useState([])
   const [tipHeight, setTipHeight] = useState(null)
   const [isLoadingMarkets, setIsLoadingMarkets] = useState(false)
+  const [participants, setParticipants] = useState({})
+  const [positions, setPositions] = useState({})
+  const [payouts, setPayouts] = useState({})
+  const [claimingId, setClaimingId] = useState(null)
+  const [isClaimingAll, setIsClaimingAll] = useState(false)
+  const { track, isPending, revision, withPendingBets } = useTransactions()
+  const estimator = useBlockTimeEstimator(network)
+  // Pausing stops betting only; claims stay open
+  const paused = !!useProtocolPaused({ network, contractAddress, contractName }).data
 
   useEffect(() => {
+    if (!contractAddress || !contractName) return
     let cancelled = false
+    const contract = { network, contractAddress, contractName }
+    const index = getMarketIndex(contract)
+    // The backend lists markets with their participant counts; positions are still read on chain
+    const fromBackend = usesBackend(contract) && !filterUserBets
 
-    async function loadMarkets() {
-      if (!contractAddress || !contractName) return
+    async function loadBackendMarkets() {
       setIsLoadingMarkets(true)
       try {
-        const tip = await fetchStacksTipHeight(CONFIG.hiroApiUrl)
+        const rows = []
+        let page
+        do {
+          page = await marketsApi.getAll({ limit: 100, offset: rows.length })
+          rows.push(...page.markets)
+        } while (rows.length < page.total && page.markets.length > 0)
         if (cancelled) return
-        setTipHeight(tip)
-
-        const senderAddress = userAddress || contractAddress
-
-        const nextIdJson = await readOnly({
-          network,
-          contractAddress,
-          contractName,
-          functionName: 'get-next-market-id',
-          functionArgs: [],
-          senderAddress,
-        })
-
-        const nextMarketId = Number(nextIdJson.value)
-        const ids = []
-        for (let i = 1; i < nextMarketId; i++) ids.push(i)
-
-        const marketJsons = await Promise.all(
-          ids.map((id) =>
-            readOnly({
-              network,
-              contractAddress,
-              contractName,
-              functionName: 'get-market',
-              functionArgs: [uintCV(id)],
-              senderAddress,
-            }).then((json) => ({ id, json }))
-          )
-        )
-
-        const parsed = marketJsons
-          .map(({ id, json }) => {
-            const some = optionalFromClarityJson(json)
-            if (!some) return null
-            const tuple = some.value
-            const v = tuple.value
+        setTipHeight(page.tipHeight)
+        setMarkets(rows)
+        setParticipants(Object.fromEntries(rows.map((m) => [m.id, m.participants])))
+      } catch {
+        if (!cancelled) setMarkets([])
+      } finally {
+        if (!cancelled) setIsLoadingMarkets(false)
+      }
+    }
 
-            return {
-              id,
-              title: v.title.value,
-              category: v.category.value,
-              yesPoolMicro: Number(v['total-yes-amount'].value),
-              noPoolMicro: Number(v['total-no-amount'].value),
-              endBlock: Number(v['end-time'].value),
-              creator: v.creator.value,
-              resolved: v.resolved.value,
-            }
-          })
-          .filter(Boolean)
+    async function loadMarkets() {
+      setIsLoadingMarkets(true)
+      try {
+        const indexed = await index.refresh()
+        if (cancelled) return
+        setTipHeight(index.tipHeight)
 
         // Optional: filter to only markets where this user has a position.
         if (filterUserBets && userAddress) {
-          const positions = await Promise.all(
-            parsed.map((m) =>
-              readOnly({
-                network,
-                contractAddress,
-                contractName,
-                functionName: 'get-position',
-                functionArgs: [uintCV(m.id), standardPrincipalCV(userAddress)],
-                senderAddress,
-              }).then((posJson) => ({ id: m.id, posJson }))
-            )
-          )
-          const hasBet = new Set(
-            positions
-              .filter(({ posJson }) => {
-                const invested = Number(posJson.value['total-invested'].value)
-                return invested > 0
+          const userPositions = await index.getPositions(userAddress)
+          const withBets = indexed.filter((m) => userPositions.get(m.id)?.totalInvested > 0)
+          const resolvedPayouts = {}
+          await Promise.all(
+            withBets
+              .filter((m) => m.resolved)
+              .map(async (m) => {
+                resolvedPayouts[m.id] = await index.getPayout(m.id, userAddress)
               })
-              .map(({ id }) => id)
           )
-          if (!cancelled) setMarkets(parsed.filter((m) => hasBet.has(m.id)))
+          if (cancelled) return
+          setPositions(Object.fromEntries(userPositions))
+          setPayouts(resolvedPayouts)
+          setMarkets(withBets)
         } else {
-          if (!cancelled) setMarkets(parsed)
+          setMarkets(indexed)
         }
       } catch {
         if (!cancelled) setMarkets([])
@@ -114,92 +99,146 @@ const MarketList = ({ userData, userAddress, userSession, network, contractAddre
       }
     }
 
-    loadMarkets()
-    return () => {
-      cancelled = true
+    async function loadParticipants() {
+      const history = getMarketHistory(contract)
+      try {
+        await history.sync()
+        if (cancelled) return
+        const counts = {}
+        index.getMarkets().forEach((m) => {
+          counts[m.id] = history.getParticipantCount(m.id)
+        })
+        setParticipants(counts)
+      } catch {
+        // Participant counts are decorative; keep showing the placeholder.
+      }
     }
-  }, [contractAddress, contractName, filterUserBets, network, userAddress])
 
-  const filteredMarkets = useMemo(() => {
-    let filtered = markets
-    if (filter !== 'all') {
-      filtered = filtered.filter((m) => m.category.toLowerCase() === filter)
-    }
-    if (searchTerm) {
-      filtered = filtered.filter((m) => m.title.toLowerCase().includes(searchTerm.toLowerCase()))
+    if (fromBackend) {
+      loadBackendMarkets()
+    } else {
+      loadMarkets()
+      loadParticipants()
     }
-    // Sort
-    if (sortBy === 'ending-soon') {
-      filtered.sort((a, b) => a.endBlock - b.endBlock)
-    } else if (sortBy === 'newest') {
-      filtered.sort((a, b) => b.id - a.id)
-    } else if (sortBy === 'volume') {
-      filtered.sort((a, b) => (b.yesPoolMicro + b.noPoolMicro) - (a.yesPoolMicro + a.noPoolMicro))
+    return () => {
+      cancelled = true
     }
-    return filtered
-  }, [filter, markets, searchTerm, sortBy])
+  }, [contractAddress, contractName, filterUserBets, network, userAddress, revision])
 
-  const getOdds = (market) => {
-    const yesPool = market.yesPoolMicro / 1_000_000
-    const noPool = market.noPoolMicro / 1_000_000
-    const total = yesPool + noPool
-    return {
-      yes: total > 0 ? ((noPool / total) * 100).toFixed(1) : 50,
-      no: total > 0 ? ((yesPool / total) * 100).toFixed(1) : 50
-    }
-  }
+  // Signed bets show up in the pools right away, before they are mined
+  const searchIndex = useMemo(() => buildSearchIndex(markets.map(withPendingBets)), [markets, withPendingBets])
+  const facets = useMemo(
+    () => getFacets(markets, tipHeight, { paused, estimator }),
+    [markets, tipHeight, paused, estimator, estimator.sample]
+  )
+  const filteredMarkets = useMemo(
+    () => searchMarkets(searchIndex, filters, { tipHeight, estimator, participants, paused }),
+    // The estimator object is stable; its sample changes when it re-measures
+    [searchIndex, filters, tipHeight, estimator, estimator.sample, participants, paused]
+  )
+
+  const describe = (market) => describeMarket(market, tipHeight, { paused, estimator })
 
-  const getTimeRemaining = (endBlock) => {
+  const getTimeRemaining = (market, status) => {
     if (tipHeight == null) return '—'
-    const remaining = endBlock - tipHeight
-    if (remaining <= 0) return 'Ended'
-    const blocksPerDay = 144
-    const days = Math.floor(remaining / blocksPerDay)
-    const hours = Math.floor(((remaining % blocksPerDay) / blocksPerDay) * 24)
-    return days > 0 ? `${days}d ${hours}h` : `${hours}h`
+    if (status.phase !== 'betting') return 'Ended'
+    // Wall-clock estimate at the measured block time
+    const seconds = estimator.secondsUntil(market.endTime, { currentBlock: tipHeight })
+    const days = Math.floor(seconds / 86400)
+    const hours = Math.floor((seconds % 86400) / 3600)
+    return days > 0 ? `${days}d ${hours}h` : `~${Math.max(hours, 1)}h`
   }
 
-  const handlePlaceBet = async (market) => {
-    if (!userData) { onConnect(); return }
-    if (!userAddress) { toast.error('Wallet address not found. Reconnect your wallet and try again.'); return }
-    if (!userSession) { toast.error('Wallet session not initialized. Refresh and reconnect.'); return }
-    if (!betAmount || parseFloat(betAmount) < 0.1) { toast.error('Minimum bet is 0.1 STX'); return }
-    if (!betSide) { toast.error('Select YES or NO'); return }
+  const claimableMarkets = filterUserBets
+    ? markets.filter((m) =>
+        describe(m).canClaim &&
+        payouts[m.id] > 0 &&
+        !positions[m.id]?.claimed &&
+        !isPending(TX_TYPES.CLAIM, m.id)
+      )
+    : []
 
-    setIsLoading(true)
+  const claimMarket = async (market) => {
+    setClaimingId(market.id)
     try {
-      const amountInMicroSTX = Math.floor(parseFloat(betAmount) * 1000000)
-      const outcome = betSide === 'yes' ? 1 : 2
-
-      await openContractCall({
-        appDetails: {
-          name: 'StacksBet Arena',
-          icon: window.location.origin + '/logo.png',
-        },
+      const { txId } = await claimWinnings({
         network,
-        stxAddress: userAddress,
+        userSession,
+        userAddress,
         contractAddress,
         contractName,
-        functionName: 'place-bet',
-        functionArgs: [uintCV(market.id), uintCV(outcome), uintCV(amountInMicroSTX)],
-        postConditionMode: PostConditionMode.Deny,
-        postConditions: [makeStandardSTXPostCondition(userAddress, FungibleConditionCode.LessEqual, amountInMicroSTX)],
-        userSession,
-        onFinish: () => {
-          toast.success('Bet placed successfully!')
-          setBetAmount('')
-          setBetSide(null)
-          setSelectedMarket(null)
-        },
-        onCancel: () => toast.error('Transaction cancelled')
+        marketId: market.id,
+        payout: payouts[market.id],
       })
+      track({ txId, type: TX_TYPES.CLAIM, marketId: market.id, marketTitle: market.title, amount: payouts[market.id] })
+      return true
     } catch (error) {
-      toast.error('Failed to place bet')
+      toast.error(getContractCallMessage(error, 'Failed to claim winnings'))
+      return false
     } finally {
-      setIsLoading(false)
+      setClaimingId(null)
     }
   }
 
+  // Queue one claim per eligible market; stop as soon as one is cancelled or fails.
+  const handleClaimAll = async () => {
+    setIsClaimingAll(true)
+    for (const market of claimableMarkets) {
+      const submitted = await claimMarket(market)
+      if (!submitted) break
+    }
+    setIsClaimingAll(false)
+  }
+
+  const renderClaimSection = (market, status) => {
+    const payout = payouts[market.id]
+    const isClaimed = positions[market.id]?.claimed
+    const isSubmitted = isPending(TX_TYPES.CLAIM, market.id)
+    // Cancelled and emergency-closed markets both resolve as INVALID: every stake is refunded.
+    const isRefund = status.status === MARKET_STATUS.INVALID
+
+    const badge = isRefund
+      ? !isClaimed && payout > 0
+        ? { label: 'Refund available', className: 'bg-yellow-500/20 text-yellow-400' }
+        : { label: isClaimed ? 'Refunded' : 'Invalid', className: 'bg-gray-700/50 text-gray-300' }
+      : payout > 0
+        ? { label: 'Won', className: 'bg-arena-green/20 text-arena-green' }
+        : { label: 'Lost', className: 'bg-red-500/20 text-red-400' }
+
+    return (
+      <div className="space-y-3 pt-4 border-t border-arena-purple/20">
+        <div className="flex items-center justify-between text-sm">
+          <span className={`px-3 py-1 rounded-full text-xs font-medium ${badge.className}`}>{badge.label}</span>
+          <span className="text-white font-medium">
+            {payout == null ? '—' : `${(payout / 1_000_000).toLocaleString()} STX`}
+          </span>
+        </div>
+        {isClaimed ? (
+          <div className="w-full py-3 rounded-xl font-medium text-center glass-card text-arena-green flex items-center justify-center gap-2">
+            <HiCheckCircle className="w-5 h-5" />
+            {isRefund ? 'Refunded' : 'Claimed'}
+          </div>
+        ) : isSubmitted ? (
+          <div className="w-full py-3 rounded-xl font-medium text-center glass-card text-gray-400">
+            {isRefund ? 'Refund pending…' : 'Claim pending…'}
+          </div>
+        ) : payout > 0 ? (
+          <button
+            onClick={() => claimMarket(market)}
+            disabled={claimingId !== null || isClaimingAll}
+            className="w-full btn-primary py-3 rounded-xl font-medium"
+          >
+            {claimingId === market.id ? <div className="spinner w-5 h-5 mx-auto" /> : isRefund ? 'Claim refund' : 'Claim'}
+          </button>
+        ) : (
+          <div className="w-full py-3 rounded-xl font-medium text-center glass-card text-gray-500">
+            No payout
+          </div>
+        )}
+      </div>
+    )
+  }
+
   const toggleFavorite = (marketId) => {
     const newFavorites = favorites.includes(marketId) ? favorites.filter(id => id !== marketId) : [...favorites, marketId]
     setFavorites(newFavorites)
@@ -213,42 +252,36 @@ const MarketList = ({ userData, userAddress, userSession, network, contractAddre
           <h2 className="text-3xl font-bold mb-2"><span className="gradient-text">Prediction Markets</span></h2>
           <p className="text-gray-400">Choose a market and place your bet</p>
         </div>
-        <div className="flex gap-2 flex-wrap">
-          {['all', 'crypto', 'sports', 'finance', 'defi'].map(cat => (
-            <button
-              key={cat}
-              onClick={() => setFilter(cat)}
-              className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${
-                filter === cat ? 'bg-arena-purple text-white' : 'glass-card text-gray-400 hover:text-white'
-              }`}
-            >
-              {cat.charAt(0).toUpperCase() + cat.slice(1)}
-            </button>
-          ))}
-        </div>
       </div>
 
-      <div className="flex flex-col sm:flex-row gap-4 mb-6">
-        <div className="relative flex-1">
-          <HiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
-          <input
-            type="text"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            placeholder="Search markets..."
-            className="input-field w-full pl-10 pr-4 py-3 rounded-xl text-white"
-          />
+      {claimableMarkets.length > 0 && (
+        <div className="glass-card rounded-2xl p-4 mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-gray-300">
+            {claimableMarkets.length} resolved {claimableMarkets.length === 1 ? 'market' : 'markets'} ready to claim
+            {' · '}
+            <span className="text-arena-green font-medium">
+              {(claimableMarkets.reduce((sum, m) => sum + payouts[m.id], 0) / 1_000_000).toLocaleString()} STX
+            </span>
+          </p>
+          <button
+            onClick={handleClaimAll}
+            disabled={isClaimingAll || claimingId !== null}
+            className="btn-primary px-6 py-3 rounded-xl font-medium"
+          >
+            {isClaimingAll ? <div className="spinner w-5 h-5 mx-auto" /> : 'Claim all'}
+          </button>
         </div>
-        <select
-          value={sortBy}
-          onChange={(e) => setSortBy(e.target.value)}
-          className="input-field px-4 py-3 rounded-xl text-white bg-transparent min-w-[180px]"
-        >
-          <option value="newest">Newest First</option>
-          <option value="ending-soon">Ending Soon</option>
-          <option value="volume">Highest Volume</option>
-        </select>
-      </div>
+      )}
+
+      <MarketFilters
+        filters={filters}
+        facets={facets}
+        onChange={setFilters}
+        onReset={resetFilters}
+        resultCount={filteredMarkets.length}
+        totalCount={markets.length}
+        className="mb-6"
+      />
 
       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
         {isLoadingMarkets && (
@@ -257,27 +290,42 @@ const MarketList = ({ userData, userAddress, userSession, network, contractAddre
             Loading markets…
           </div>
         )}
+        {!isLoadingMarkets && markets.length > 0 && filteredMarkets.length === 0 && (
+          <NoSearchResults
+            query={filters.q || 'these filters'}
+            onClear={resetFilters}
+            className="col-span-full"
+          />
+        )}
         {filteredMarkets.map(market => {
           const odds = getOdds(market)
-          const yesPool = market.yesPoolMicro / 1_000_000
-          const noPool = market.noPoolMicro / 1_000_000
+          const yesPool = market.totalYes / 1_000_000
+          const noPool = market.totalNo / 1_000_000
+          const status = describe(market)
           return (
             <div key={market.id} className="market-card glass-card rounded-2xl overflow-hidden">
               <div className="p-6">
                 <div className="flex items-start justify-between mb-4">
-                  <span className="category-badge px-3 py-1 rounded-full text-xs font-medium text-arena-purple">
-                    {market.category}
-                  </span>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="category-badge px-3 py-1 rounded-full text-xs font-medium text-arena-purple">
+                      {market.category}
+                    </span>
+                    <MarketStatusBadge status={status.status} size="sm" />
+                  </div>
                   <div className="flex items-center gap-2 text-gray-400 text-sm">
                     <HiClock className="w-4 h-4" />
-                    {getTimeRemaining(market.endBlock)}
+                    {getTimeRemaining(market, status)}
                     <button onClick={() => toggleFavorite(market.id)} className="hover:text-red-400 transition-colors" title={favorites.includes(market.id) ? 'Remove from favorites' : 'Add to favorites'}>
                       <HiHeart className={`w-4 h-4 ${favorites.includes(market.id) ? 'text-red-500 fill-current' : ''}`} />
                     </button>
                   </div>
                 </div>
 
-                <h3 className="text-lg font-semibold mb-4 leading-tight">{market.title}</h3>
+                <h3 className="text-lg font-semibold mb-4 leading-tight">
+                  <Link to={marketPath(market.id)} className="hover:text-arena-purple transition-colors">
+                    {market.title}
+                  </Link>
+                </h3>
 
                 <div className="mb-4">
                   <div className="flex justify-between text-sm mb-2">
@@ -291,64 +339,36 @@ const MarketList = ({ userData, userAddress, userSession, network, contractAddre
                 </div>
 
                 <div className="flex items-center justify-between text-sm text-gray-400 mb-4">
-                  <span className="flex items-center gap-1"><HiCurrencyDollar className="w-4 h-4" />{(yesPool + noPool).toLocaleString()} STX</span>
-                  <span className="flex items-center gap-1"><HiUsers className="w-4 h-4" />—</span>
+                  <span className="flex items-center gap-1">
+                    <HiCurrencyDollar className="w-4 h-4" />
+                    {(yesPool + noPool).toLocaleString()} STX
+                    {market.pendingAmount > 0 && <span className="text-xs text-yellow-400">(pending)</span>}
+                  </span>
+                  <span className="flex items-center gap-1"><HiUsers className="w-4 h-4" />{participants[market.id] ?? '—'}</span>
                 </div>
 
-                {selectedMarket === market.id ? (
-                  <div className="space-y-3 pt-4 border-t border-arena-purple/20">
-                    <div className="flex gap-2">
-                      <button
-                        onClick={() => setBetSide('yes')}
-                        className={`flex-1 py-3 rounded-xl font-medium transition-all ${
-                          betSide === 'yes' ? 'btn-yes text-white' : 'glass-card text-yes hover:bg-yes/10'
-                        }`}
-                      >
-                        YES ({odds.yes}%)
-                      </button>
-                      <button
-                        onClick={() => setBetSide('no')}
-                        className={`flex-1 py-3 rounded-xl font-medium transition-all ${
-                          betSide === 'no' ? 'btn-no text-white' : 'glass-card text-no hover:bg-no/10'
-                        }`}
-                      >
-                        NO ({odds.no}%)
-                      </button>
-                    </div>
-                    <div className="relative">
-                      <input
-                        type="number"
-                        value={betAmount}
-                        onChange={(e) => setBetAmount(e.target.value)}
-                        placeholder="Amount in STX"
-                        className="input-field w-full px-4 py-3 rounded-xl text-white"
-                        min="0.1"
-                        step="0.1"
-                      />
-                      <span className="absolute right-4 top-1/2 -translate-y-1/2 text-gray-400 text-sm">STX</span>
-                    </div>
-                    {betAmount && betSide && (
-                      <div className="glass-card p-3 rounded-xl text-sm">
-                        <p className="text-gray-400">Potential Win: <span className="text-white font-medium">
-                          {(parseFloat(betAmount) * (parseFloat(betSide === 'yes' ? odds.yes : odds.no) / 100 + 1)).toFixed(2)} STX
-                        </span></p>
-                      </div>
-                    )}
-                    <div className="flex gap-2">
-                      <button
-                        onClick={() => handlePlaceBet(market)}
-                        disabled={isLoading || !betSide || !betAmount}
-                        className="flex-1 btn-primary py-3 rounded-xl font-medium"
-                      >
-                        {isLoading ? <div className="spinner w-5 h-5 mx-auto" /> : 'Place Bet'}
-                      </button>
-                      <button
-                        onClick={() => { setSelectedMarket(null); setBetAmount(''); setBetSide(null) }}
-                        className="btn-secondary px-4 py-3 rounded-xl"
-                      >
-                        Cancel
-                      </button>
-                    </div>
+                {filterUserBets && status.phase === 'settled' ? (
+                  renderClaimSection(market, status)
+                ) : !status.canBet ? (
+                  <div className="w-full py-3 rounded-xl font-medium text-center glass-card text-gray-500">
+                    {status.status === MARKET_STATUS.PAUSED
+                      ? 'Betting paused'
+                      : status.status === MARKET_STATUS.LOADING ? 'Checking the chain…' : 'Betting closed'}
+                  </div>
+                ) : selectedMarket === market.id ? (
+                  <div className="pt-4 border-t border-arena-purple/20">
+                    <BetPanel
+                      market={market}
+                      userData={userData}
+                      userAddress={userAddress}
+                      userSession={userSession}
+                      network={network}
+                      contractAddress={contractAddress}
+                      contractName={contractName}
+                      onConnect={onConnect}
+                      onCancel={() => setSelectedMarket(null)}
+                      onPlaced={() => setSelectedMarket(null)}
+                    />
                   </div>
                 ) : (
                   <button
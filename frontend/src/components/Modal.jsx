@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useCallback } from 'react'
+import React, { useEffect, useRef, useCallback, useState } from 'react'
 import { createPortal } from 'react-dom'
 import { HiX } from 'react-icons/hi'
 
@@ -198,6 +198,82 @@ export const ConfirmModal = ({
   )
 }
 
+// Typed confirmation preset: the confirm button stays disabled until the
+// user types `confirmPhrase` exactly. Used for irreversible admin actions.
+export const TypedConfirmModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  title = 'Confirm Action',
+  message,
+  confirmPhrase,
+  confirmText = 'Confirm',
+  cancelText = 'Cancel',
+  confirmVariant = 'danger',
+  isLoading = false,
+}) => {
+  const [typed, setTyped] = useState('')
+  const buttonStyles = {
+    primary: 'btn-primary',
+    danger: 'bg-red-500 hover:bg-red-600',
+  }
+
+  useEffect(() => {
+    if (!isOpen) setTyped('')
+  }, [isOpen])
+
+  const matches = typed.trim() === String(confirmPhrase)
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={title}
+      size="sm"
+    >
+      <form
+        className="p-6"
+        onSubmit={(e) => {
+          e.preventDefault()
+          if (matches && !isLoading) onConfirm()
+        }}
+      >
+        {message && <div className="text-gray-300 mb-4">{message}</div>}
+        <label htmlFor="typed-confirm" className="block text-sm text-gray-400 mb-2">
+          Type <span className="font-mono text-white">{confirmPhrase}</span> to confirm
+        </label>
+        <input
+          id="typed-confirm"
+          type="text"
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          autoComplete="off"
+          spellCheck={false}
+          className="input-field w-full px-4 py-3 rounded-xl text-white font-mono mb-6"
+        />
+        <div className="flex gap-3 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 rounded-xl glass-card hover:bg-arena-purple/20 transition-colors font-medium disabled:opacity-50"
+          >
+            {cancelText}
+          </button>
+          <button
+            type="submit"
+            disabled={isLoading || !matches}
+            className={`px-4 py-2 rounded-xl font-medium transition-colors flex items-center gap-2 ${buttonStyles[confirmVariant]} disabled:opacity-50`}
+          >
+            {isLoading && <div className="spinner w-4 h-4" />}
+            {confirmText}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
 // Alert modal preset
 export const AlertModal = ({
   isOpen,
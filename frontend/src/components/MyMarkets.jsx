@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react'
+import { HiClock, HiCurrencyDollar, HiXCircle } from 'react-icons/hi'
+import toast from 'react-hot-toast'
+
+import { MarketStatusBadge } from './Badge'
+import { ConfirmModal } from './Modal'
+import { useTransactions } from '../context/TransactionContext'
+import { useProtocolPaused } from '../lib/api'
+import { cancelMarket } from '../lib/contract'
+import { getMarketIndex } from '../lib/marketIndex'
+import { describeMarket } from '../lib/marketStatus'
+import { TX_TYPES } from '../lib/txTracker'
+import { getContractCallMessage } from '../lib/errors'
+
+const MyMarkets = ({ userAddress, userSession, network, contractAddress, contractName }) => {
+  const [markets, setMarkets] = useState([])
+  const [tipHeight, setTipHeight] = useState(null)
+  const [isLoadingMarkets, setIsLoadingMarkets] = useState(false)
+  const [pendingCancel, setPendingCancel] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const { track, isPending, revision } = useTransactions()
+  const { data: paused } = useProtocolPaused({ network, contractAddress, contractName })
+
+  useEffect(() => {
+    if (!contractAddress || !contractName || !userAddress) return
+    let cancelled = false
+    const index = getMarketIndex({ network, contractAddress, contractName })
+
+    async function load() {
+      setIsLoadingMarkets(true)
+      try {
+        const indexed = await index.refresh()
+        if (cancelled) return
+        setTipHeight(index.tipHeight)
+        setMarkets(indexed.filter((m) => m.creator === userAddress))
+      } catch {
+        if (!cancelled) setMarkets([])
+      } finally {
+        if (!cancelled) setIsLoadingMarkets(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, network, userAddress, revision])
+
+  const handleCancel = async () => {
+    if (!pendingCancel) return
+    setIsSubmitting(true)
+    try {
+      const { txId } = await cancelMarket({
+        network,
+        userSession,
+        userAddress,
+        contractAddress,
+        contractName,
+        marketId: pendingCancel.id,
+      })
+      track({ txId, type: TX_TYPES.CANCEL, marketId: pendingCancel.id, marketTitle: pendingCancel.title })
+      setPendingCancel(null)
+    } catch (error) {
+      toast.error(getContractCallMessage(error, 'Failed to cancel market'))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <section id="my-markets" className="py-8" aria-label="Markets you created">
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold mb-2">
+          <span className="gradient-text">🧱 My Markets</span>
+        </h2>
+        <p className="text-gray-400">Markets created by your address</p>
+      </div>
+
+      {isLoadingMarkets && (
+        <div className="glass-card rounded-2xl p-6 text-gray-400 flex items-center justify-center gap-3">
+          <div className="spinner w-6 h-6" />
+          Loading markets…
+        </div>
+      )}
+
+      {!isLoadingMarkets && markets.length === 0 && (
+        <div className="glass-card rounded-2xl p-8 text-center text-gray-400">
+          You haven't created any markets yet.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+        {markets.map((market) => {
+          const status = describeMarket(market, tipHeight, { paused: !!paused })
+          const pool = (market.totalYes + market.totalNo) / 1_000_000
+          const isSubmitted = isPending(TX_TYPES.CANCEL, market.id)
+
+          return (
+            <div key={market.id} className="market-card glass-card rounded-2xl p-6 flex flex-col">
+              <div className="flex items-start justify-between mb-4 gap-2">
+                <span className="category-badge px-3 py-1 rounded-full text-xs font-medium text-arena-purple">
+                  {market.category}
+                </span>
+                <MarketStatusBadge status={status.status} size="sm" />
+              </div>
+
+              <h3 className="text-lg font-semibold mb-4 leading-tight flex-1">{market.title}</h3>
+
+              <div className="flex items-center justify-between text-sm text-gray-400 mb-4">
+                <span className="flex items-center gap-1"><HiCurrencyDollar className="w-4 h-4" />{pool.toLocaleString()} STX</span>
+                <span className="flex items-center gap-1"><HiClock className="w-4 h-4" />ends #{market.endTime.toLocaleString()}</span>
+              </div>
+
+              {/* `cancel-market` works until the market is settled */}
+              {status.phase !== 'settled' && (
+                isSubmitted ? (
+                  <div className="w-full py-3 rounded-xl font-medium text-center glass-card text-gray-400">
+                    Cancellation pending…
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setPendingCancel(market)}
+                    className="w-full py-3 rounded-xl font-medium glass-card text-red-400 hover:bg-red-500/10 transition-colors flex items-center justify-center gap-2"
+                  >
+                    <HiXCircle className="w-5 h-5" />
+                    Cancel market
+                  </button>
+                )
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      <ConfirmModal
+        isOpen={!!pendingCancel}
+        onClose={() => !isSubmitting && setPendingCancel(null)}
+        onConfirm={handleCancel}
+        title="Cancel market"
+        message={
+          pendingCancel
+            ? `"${pendingCancel.title}" will be marked INVALID and every bettor will be able to claim a full refund of their stake. Your initial liquidity is not a position and will not be refunded. This cannot be undone.`
+            : ''
+        }
+        confirmText="Cancel market"
+        cancelText="Keep market"
+        confirmVariant="danger"
+        isLoading={isSubmitting}
+      />
+    </section>
+  )
+}
+
+export default MyMarkets
@@ -1,70 +1,36 @@
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect } from 'react'
 import { HiStatusOnline, HiStatusOffline, HiRefresh } from 'react-icons/hi'
+import { useNetwork } from '../context/NetworkContext'
+import { CONNECTION_STATES, POLL_INTERVAL, useChainStatus } from '../lib/realtime'
 
 /**
  * Network and blockchain status indicator
- * Shows connection status, block height, and network health
+ * Shows the live connection to the chain (websocket or polling fallback),
+ * block height, and network health
  */
 
-// Hook for network status
-export const useNetworkStatus = (apiUrl, pollInterval = 30000) => {
-  const [status, setStatus] = useState({
-    isOnline: navigator.onLine,
-    blockHeight: null,
-    lastUpdated: null,
-    isLoading: true,
-    error: null
-  })
-
-  const fetchStatus = useCallback(async () => {
-    if (!navigator.onLine) {
-      setStatus(prev => ({
-        ...prev,
-        isOnline: false,
-        isLoading: false,
-        error: 'No internet connection'
-      }))
-      return
-    }
+const CONNECTION_LABELS = {
+  [CONNECTION_STATES.CONNECTING]: 'Connecting...',
+  [CONNECTION_STATES.LIVE]: 'Live',
+  [CONNECTION_STATES.POLLING]: 'Polling',
+  [CONNECTION_STATES.OFFLINE]: 'Disconnected',
+}
 
-    try {
-      const response = await fetch(`${apiUrl}/extended/v1/status`)
-      if (!response.ok) throw new Error(`HTTP ${response.status}`)
-      
-      const data = await response.json()
-      
-      setStatus({
-        isOnline: true,
-        blockHeight: data.chain_tip?.block_height,
-        lastUpdated: new Date(),
-        isLoading: false,
-        error: null
-      })
-    } catch (error) {
-      setStatus(prev => ({
-        ...prev,
-        isLoading: false,
-        error: error.message
-      }))
-    }
-  }, [apiUrl])
+const CONNECTION_HINTS = {
+  [CONNECTION_STATES.LIVE]: 'Streaming new blocks and contract calls',
+  [CONNECTION_STATES.POLLING]: `Live stream unavailable; checking for new blocks every ${POLL_INTERVAL / 1000} seconds`,
+}
 
-  // Initial fetch and polling
-  useEffect(() => {
-    fetchStatus()
-    const interval = setInterval(fetchStatus, pollInterval)
-    return () => clearInterval(interval)
-  }, [fetchStatus, pollInterval])
+// Hook for network status
+export const useNetworkStatus = () => {
+  const { network, contractAddress, contractName } = useNetwork()
+  const chain = useChainStatus({ network, contractAddress, contractName })
+  const [hasInternet, setHasInternet] = useState(navigator.onLine)
 
   // Listen for online/offline events
   useEffect(() => {
-    const handleOnline = () => {
-      setStatus(prev => ({ ...prev, isOnline: true }))
-      fetchStatus()
-    }
-    const handleOffline = () => {
-      setStatus(prev => ({ ...prev, isOnline: false, error: 'No internet connection' }))
-    }
+    const handleOnline = () => setHasInternet(true)
+    const handleOffline = () => setHasInternet(false)
 
     window.addEventListener('online', handleOnline)
     window.addEventListener('offline', handleOffline)
@@ -73,20 +39,31 @@ export const useNetworkStatus = (apiUrl, pollInterval = 30000) => {
       window.removeEventListener('online', handleOnline)
       window.removeEventListener('offline', handleOffline)
     }
-  }, [fetchStatus])
-
-  return { ...status, refetch: fetchStatus }
+  }, [])
+
+  const connection = hasInternet ? chain.state : CONNECTION_STATES.OFFLINE
+  return {
+    connection,
+    label: CONNECTION_LABELS[connection],
+    hint: CONNECTION_HINTS[connection],
+    isOnline: connection === CONNECTION_STATES.LIVE || connection === CONNECTION_STATES.POLLING,
+    isLoading: connection === CONNECTION_STATES.CONNECTING,
+    blockHeight: chain.tipHeight,
+    lastUpdated: chain.lastUpdated,
+    error: hasInternet ? chain.error : 'No internet connection',
+    refetch: chain.refresh,
+  }
 }
 
 // Main status indicator component
 const NetworkStatusIndicator = ({
-  apiUrl = 'https://api.mainnet.hiro.so',
   showBlockHeight = true,
   showRefresh = true,
   compact = false,
   className = ''
 }) => {
-  const { isOnline, blockHeight, lastUpdated, isLoading, error, refetch } = useNetworkStatus(apiUrl)
+  const { connection, label, hint, isOnline, blockHeight, lastUpdated, isLoading, error, refetch } = useNetworkStatus()
+  const isPolling = connection === CONNECTION_STATES.POLLING
 
   const formatTime = (date) => {
     if (!date) return ''
@@ -97,14 +74,17 @@ const NetworkStatusIndicator = ({
     return (
       <div 
         className={`inline-flex items-center gap-2 ${className}`}
-        title={isOnline ? `Block: ${blockHeight?.toLocaleString()}` : error || 'Offline'}
+        title={isOnline ? [hint, blockHeight && `Block: ${blockHeight.toLocaleString()}`].filter(Boolean).join(' · ') : error || 'Offline'}
+        role="status"
       >
         <span 
-          className={`w-2 h-2 rounded-full ${isOnline ? 'bg-arena-green animate-pulse' : 'bg-red-500'}`}
+          className={`w-2 h-2 rounded-full ${
+            isLoading ? 'bg-gray-500 animate-pulse' : isPolling ? 'bg-yellow-400' : isOnline ? 'bg-arena-green animate-pulse' : 'bg-red-500'
+          }`}
           aria-hidden="true"
         />
         <span className="text-xs text-gray-400">
-          {isOnline ? 'Connected' : 'Offline'}
+          {label}
         </span>
       </div>
     )
@@ -126,12 +106,15 @@ const NetworkStatusIndicator = ({
 
           {/* Status text */}
           <div>
-            <p className={`font-medium ${isOnline ? 'text-arena-green' : 'text-red-500'}`}>
-              {isLoading ? 'Connecting...' : isOnline ? 'Connected' : 'Disconnected'}
+            <p className={`font-medium ${isPolling ? 'text-yellow-400' : isOnline ? 'text-arena-green' : 'text-red-500'}`}>
+              {label}
             </p>
             {error && !isOnline && (
               <p className="text-xs text-red-400">{error}</p>
             )}
+            {hint && isOnline && (
+              <p className="text-xs text-gray-500">{hint}</p>
+            )}
           </div>
         </div>
 
@@ -168,11 +151,10 @@ const NetworkStatusIndicator = ({
 
 // Inline status badge
 export const NetworkBadge = ({
-  apiUrl = 'https://api.mainnet.hiro.so',
-  network = 'mainnet',
   className = ''
 }) => {
-  const { isOnline, blockHeight, isLoading } = useNetworkStatus(apiUrl)
+  const { networkId: network } = useNetwork()
+  const { isOnline, blockHeight, isLoading, label } = useNetworkStatus()
 
   const networkStyles = {
     mainnet: 'bg-arena-green/20 text-arena-green border-arena-green/30',
@@ -181,12 +163,13 @@ export const NetworkBadge = ({
 
   return (
     <div 
-      className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full border ${networkStyles[network]} ${className}`}
+      className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full border ${networkStyles[network] || networkStyles.testnet} ${className}`}
     >
       <span 
         className={`w-2 h-2 rounded-full ${
           isLoading ? 'bg-gray-500 animate-pulse' : isOnline ? 'bg-current animate-pulse' : 'bg-red-500'
         }`}
+        title={label}
       />
       <span className="text-sm font-medium capitalize">{network}</span>
       {blockHeight && (
@@ -198,10 +181,9 @@ export const NetworkBadge = ({
 
 // Floating status bar for bottom of page
 export const NetworkStatusBar = ({
-  apiUrl = 'https://api.mainnet.hiro.so',
   className = ''
 }) => {
-  const { isOnline, blockHeight, error } = useNetworkStatus(apiUrl)
+  const { isOnline, error } = useNetworkStatus()
 
   if (isOnline && !error) return null
 
@@ -0,0 +1,118 @@
+import React, { useState } from 'react'
+import toast from 'react-hot-toast'
+
+import Dropdown, { DropdownTrigger, DropdownItem } from './Dropdown'
+import Modal from './Modal'
+import { useNetwork } from '../context/NetworkContext'
+
+const DOT_COLORS = {
+  mainnet: 'bg-green-500',
+  testnet: 'bg-yellow-400',
+  devnet: 'bg-arena-cyan',
+  mock: 'bg-gray-400',
+  custom: 'bg-arena-pink',
+}
+
+const NetworkSwitcher = ({ className = '' }) => {
+  const { networkId, networkConfig, networks, switchNetwork } = useNetwork()
+  const [showCustom, setShowCustom] = useState(false)
+  const [customUrl, setCustomUrl] = useState(networkId === 'custom' ? networkConfig.apiUrl : '')
+  const [customContract, setCustomContract] = useState(networkId === 'custom' ? networkConfig.contractAddress : '')
+
+  const select = (id, overrides) => {
+    try {
+      switchNetwork(id, overrides)
+      return true
+    } catch (error) {
+      toast.error(error.message)
+      return false
+    }
+  }
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault()
+    if (!/^https?:\/\//i.test(customUrl.trim())) {
+      toast.error('Enter an http(s) API URL')
+      return
+    }
+    const switched = select('custom', {
+      apiUrl: customUrl.trim(),
+      contractAddress: customContract.trim(),
+    })
+    if (switched) setShowCustom(false)
+  }
+
+  return (
+    <>
+      <Dropdown
+        align="right"
+        className={className}
+        trigger={
+          <DropdownTrigger variant="ghost" size="sm" className="glass">
+            <span className={`w-2 h-2 rounded-full ${DOT_COLORS[networkId]}`} aria-hidden="true" />
+            <span>{networkConfig.label}</span>
+            <span className="sr-only">network, click to switch</span>
+          </DropdownTrigger>
+        }
+      >
+        {networks.map((option) => (
+          <DropdownItem
+            key={option.id}
+            selected={option.id === networkId}
+            icon={<span className={`block w-2 h-2 rounded-full ${DOT_COLORS[option.id]}`} />}
+            onClick={() => (option.id === 'custom' ? setShowCustom(true) : select(option.id))}
+          >
+            {option.id === 'custom' ? 'Custom…' : option.label}
+          </DropdownItem>
+        ))}
+      </Dropdown>
+
+      <Modal
+        isOpen={showCustom}
+        onClose={() => setShowCustom(false)}
+        title="Custom network"
+        description="Point the app at any Stacks node that serves the Hiro API."
+        size="sm"
+      >
+        <form className="p-6 space-y-4" onSubmit={handleCustomSubmit}>
+          <div>
+            <label htmlFor="custom-network-url" className="block text-sm text-gray-400 mb-2">API URL</label>
+            <input
+              id="custom-network-url"
+              type="url"
+              value={customUrl}
+              onChange={(e) => setCustomUrl(e.target.value)}
+              placeholder="http://localhost:3999"
+              className="input-field w-full px-4 py-3 rounded-xl text-white font-mono text-sm"
+            />
+          </div>
+          <div>
+            <label htmlFor="custom-network-contract" className="block text-sm text-gray-400 mb-2">Contract deployer</label>
+            <input
+              id="custom-network-contract"
+              type="text"
+              value={customContract}
+              onChange={(e) => setCustomContract(e.target.value)}
+              placeholder="ST…"
+              className="input-field w-full px-4 py-3 rounded-xl text-white font-mono text-sm"
+            />
+          </div>
+          <div className="flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={() => setShowCustom(false)}
+              className="px-4 py-2 rounded-xl glass-card hover:bg-arena-purple/20 transition-colors font-medium"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary px-4 py-2 rounded-xl font-medium">
+              Connect
+            </button>
+          </div>
+        </form>
+      </Modal>
+    </>
+  )
+}
+
+export default NetworkSwitcher
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react'
+import { HiScale, HiExternalLink } from 'react-icons/hi'
+import toast from 'react-hot-toast'
+
+import { ConfirmModal } from './Modal'
+import { useTransactions } from '../context/TransactionContext'
+import { OUTCOME } from '../lib/config'
+import { resolveMarket } from '../lib/contract'
+import { getMarketIndex } from '../lib/marketIndex'
+import { MARKET_STATUS, marketStatus } from '../lib/marketStatus'
+import { TX_TYPES } from '../lib/txTracker'
+import { getContractCallMessage } from '../lib/errors'
+
+const OUTCOME_OPTIONS = [
+  { value: OUTCOME.YES, label: 'YES', className: 'btn-yes text-white', idleClassName: 'glass-card text-yes hover:bg-yes/10' },
+  { value: OUTCOME.NO, label: 'NO', className: 'btn-no text-white', idleClassName: 'glass-card text-no hover:bg-no/10' },
+  { value: OUTCOME.INVALID, label: 'INVALID', className: 'bg-yellow-500 text-black', idleClassName: 'glass-card text-yellow-400 hover:bg-yellow-500/10' },
+]
+
+const outcomeLabel = (value) => OUTCOME_OPTIONS.find((o) => o.value === value)?.label
+
+const isUrl = (value) => /^https?:\/\//i.test(value)
+
+const OracleConsole = ({ userAddress, userSession, network, contractAddress, contractName }) => {
+  const [isOracle, setIsOracle] = useState(null)
+  const [markets, setMarkets] = useState([])
+  const [tipHeight, setTipHeight] = useState(null)
+  const [isLoadingMarkets, setIsLoadingMarkets] = useState(false)
+  const [choices, setChoices] = useState({})
+  const [pending, setPending] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const { track, isPending, revision } = useTransactions()
+
+  useEffect(() => {
+    if (!contractAddress || !contractName || !userAddress) return
+    let cancelled = false
+    const index = getMarketIndex({ network, contractAddress, contractName })
+
+    async function load() {
+      setIsLoadingMarkets(true)
+      try {
+        const allowed = await index.isOracle(userAddress)
+        if (cancelled) return
+        setIsOracle(allowed)
+        if (!allowed) return
+
+        const indexed = await index.refresh()
+        if (cancelled) return
+        setTipHeight(index.tipHeight)
+        setMarkets(indexed.filter((m) => marketStatus(m, index.tipHeight) === MARKET_STATUS.RESOLVABLE))
+      } catch {
+        if (!cancelled) setIsOracle(false)
+      } finally {
+        if (!cancelled) setIsLoadingMarkets(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, network, userAddress, revision])
+
+  const handleResolve = async () => {
+    if (!pending) return
+    setIsSubmitting(true)
+    try {
+      const { txId } = await resolveMarket({
+        network,
+        userSession,
+        userAddress,
+        contractAddress,
+        contractName,
+        marketId: pending.market.id,
+        outcome: pending.outcome,
+      })
+      track({ txId, type: TX_TYPES.RESOLVE, marketId: pending.market.id, marketTitle: pending.market.title })
+      setPending(null)
+    } catch (error) {
+      toast.error(getContractCallMessage(error, 'Failed to resolve market'))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (isOracle === false) {
+    return (
+      <section id="oracle" className="py-8">
+        <div className="glass-card rounded-2xl p-8 text-center text-gray-400">
+          This address is not registered as an oracle.
+        </div>
+      </section>
+    )
+  }
+
+  return (
+    <section id="oracle" className="py-8" aria-label="Oracle resolution console">
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold mb-2">
+          <span className="gradient-text">⚖️ Oracle Console</span>
+        </h2>
+        <p className="text-gray-400">Markets past their resolution block that still need an outcome</p>
+      </div>
+
+      {isLoadingMarkets && (
+        <div className="glass-card rounded-2xl p-6 text-gray-400 flex items-center justify-center gap-3">
+          <div className="spinner w-6 h-6" />
+          Loading markets…
+        </div>
+      )}
+
+      {!isLoadingMarkets && isOracle && markets.length === 0 && (
+        <div className="glass-card rounded-2xl p-8 text-center text-gray-400">
+          Nothing to resolve right now.
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {markets.map((market) => {
+          const choice = choices[market.id]
+          const isSubmitted = isPending(TX_TYPES.RESOLVE, market.id)
+
+          return (
+            <div key={market.id} className="glass-card rounded-2xl p-6">
+              <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-2 text-sm text-gray-400">
+                    <span className="category-badge px-3 py-1 rounded-full text-xs font-medium text-arena-purple">
+                      {market.category}
+                    </span>
+                    <span>#{market.id}</span>
+                    <span>· resolvable from block {market.resolutionTime.toLocaleString()}</span>
+                    {tipHeight != null && tipHeight >= market.resolutionTime && (
+                      <span>({(tipHeight - market.resolutionTime).toLocaleString()} blocks ago)</span>
+                    )}
+                  </div>
+                  <h3 className="text-lg font-semibold mb-2">{market.title}</h3>
+                  <p className="text-sm text-gray-400">
+                    <span className="text-gray-500">Resolution source: </span>
+                    {isUrl(market.resolutionSource) ? (
+                      <a
+                        href={market.resolutionSource}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-arena-cyan hover:underline inline-flex items-center gap-1"
+                      >
+                        {market.resolutionSource}
+                        <HiExternalLink className="w-4 h-4" />
+                      </a>
+                    ) : (
+                      <span className="text-white">{market.resolutionSource}</span>
+                    )}
+                  </p>
+                </div>
+
+                {isSubmitted ? (
+                  <div className="px-6 py-3 rounded-xl glass-card text-gray-400 text-center">
+                    Resolution pending…
+                  </div>
+                ) : (
+                  <div className="flex flex-col gap-2 lg:w-72">
+                    <div className="flex gap-2" role="radiogroup" aria-label={`Outcome for market ${market.id}`}>
+                      {OUTCOME_OPTIONS.map((option) => (
+                        <button
+                          key={option.value}
+                          role="radio"
+                          aria-checked={choice === option.value}
+                          onClick={() => setChoices((prev) => ({ ...prev, [market.id]: option.value }))}
+                          className={`flex-1 py-2 rounded-xl text-sm font-medium transition-all ${
+                            choice === option.value ? option.className : option.idleClassName
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                    <button
+                      onClick={() => setPending({ market, outcome: choice })}
+                      disabled={!choice}
+                      className="btn-primary py-3 rounded-xl font-medium flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <HiScale className="w-5 h-5" />
+                      Resolve
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      <ConfirmModal
+        isOpen={!!pending}
+        onClose={() => !isSubmitting && setPending(null)}
+        onConfirm={handleResolve}
+        title="Confirm resolution"
+        message={
+          pending
+            ? `Resolve market #${pending.market.id} "${pending.market.title}" as ${outcomeLabel(pending.outcome)}? This cannot be undone.`
+            : ''
+        }
+        confirmText={pending ? `Resolve as ${outcomeLabel(pending.outcome)}` : 'Resolve'}
+        confirmVariant={pending?.outcome === OUTCOME.INVALID ? 'danger' : 'primary'}
+        isLoading={isSubmitting}
+      />
+    </section>
+  )
+}
+
+export default OracleConsole
@@ -0,0 +1,175 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { HiDownload } from 'react-icons/hi'
+import toast from 'react-hot-toast'
+
+import { MarketStatusBadge } from './Badge'
+import Table from './Table'
+import { Link } from '../context/RouterContext'
+import { useTransactions } from '../context/TransactionContext'
+import { getMarketIndex } from '../lib/marketIndex'
+import { loadPortfolio, buildPortfolio, exportPortfolio, isSettled } from '../lib/portfolio'
+import { EXPORT_FORMATS, downloadFile } from '../lib/export'
+import { marketPath } from '../lib/router'
+import { formatSTX } from '../lib/formatUtils'
+
+const SignedSTX = ({ value }) => (
+  <span className={value > 0 ? 'text-arena-green' : value < 0 ? 'text-red-400' : 'text-gray-400'}>
+    {value > 0 ? '+' : ''}{formatSTX(value)}
+  </span>
+)
+
+const COLUMNS = [
+  {
+    key: 'title',
+    header: 'Market',
+    render: (title, row) => (
+      <Link to={marketPath(row.marketId)} className="text-white hover:text-arena-purple">
+        <span className="text-gray-500 mr-2">#{row.marketId}</span>
+        {title}
+      </Link>
+    ),
+  },
+  {
+    key: 'status',
+    header: 'Status',
+    render: (_, row) => row.pending ? (
+      <span className="px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap bg-yellow-500/20 text-yellow-400">Pending</span>
+    ) : (
+      <span className="whitespace-nowrap"><MarketStatusBadge status={row.marketStatus} size="sm" /></span>
+    ),
+  },
+  { key: 'side', header: 'Side' },
+  { key: 'stake', header: 'Stake', align: 'right', render: (stake) => formatSTX(stake) },
+  {
+    key: 'value',
+    header: 'Value / payout',
+    align: 'right',
+    sortable: false,
+    render: (_, row) => isSettled(row) ? (
+      <span title="calculate-payout">{formatSTX(row.payout)}</span>
+    ) : (
+      <span title={`If YES wins: ${formatSTX(row.payoutIfYes)} · If NO wins: ${formatSTX(row.payoutIfNo)}`}>
+        {formatSTX(row.impliedValue)}
+        <span className="block text-xs text-gray-500">
+          wins {formatSTX(row.side === 'NO' ? row.payoutIfNo : row.payoutIfYes)}
+          {row.side === 'YES+NO' && ` / ${formatSTX(row.payoutIfNo)}`}
+        </span>
+      </span>
+    ),
+  },
+  {
+    key: 'pnl',
+    header: 'P&L',
+    align: 'right',
+    sortable: false,
+    render: (_, row) => (
+      <>
+        <SignedSTX value={isSettled(row) ? row.realizedPnl : row.unrealizedPnl} />
+        <span className="block text-xs text-gray-500">
+          {isSettled(row) ? (row.unclaimed > 0 ? 'unclaimed' : 'realized') : 'unrealized'}
+        </span>
+      </>
+    ),
+  },
+]
+
+const Portfolio = ({ userAddress, network, contractAddress, contractName }) => {
+  const [data, setData] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const { revision, withPendingBets, withPendingPosition } = useTransactions()
+
+  useEffect(() => {
+    if (!contractAddress || !contractName || !userAddress) return
+    let cancelled = false
+    const index = getMarketIndex({ network, contractAddress, contractName })
+
+    async function load() {
+      setIsLoading(true)
+      try {
+        const loaded = await loadPortfolio({ index, address: userAddress })
+        if (!cancelled) setData(loaded)
+      } catch {
+        if (!cancelled) toast.error('Failed to load portfolio')
+      } finally {
+        if (!cancelled) setIsLoading(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, network, revision, userAddress])
+
+  // Chain state plus bets from this browser that are still being mined
+  const portfolio = useMemo(() => {
+    if (!data) return null
+    const markets = data.markets.map(withPendingBets)
+    const positions = new Map(markets.map((m) => [m.id, withPendingPosition(m.id, data.positions.get(m.id))]))
+    return buildPortfolio({ ...data, markets, positions })
+  }, [data, withPendingBets, withPendingPosition])
+
+  const handleExport = (format) => {
+    const { filename, content } = exportPortfolio(portfolio, { address: userAddress, format })
+    downloadFile(filename, content, format)
+  }
+
+  const totals = portfolio?.totals
+  const stats = portfolio?.stats
+  const summary = totals ? [
+    { label: 'Open stake', value: formatSTX(totals.openStake) },
+    { label: 'Implied value', value: formatSTX(totals.impliedValue) },
+    { label: 'Unrealized P&L', value: <SignedSTX value={totals.unrealizedPnl} /> },
+    { label: 'Realized P&L', value: <SignedSTX value={totals.realizedPnl} /> },
+    { label: 'Unclaimed', value: formatSTX(totals.unclaimed) },
+    { label: 'Win rate', value: `${stats.winRate}%`, detail: `${stats.totalBets} bets · ${formatSTX(stats.totalVolume)}` },
+  ] : []
+
+  return (
+    <section id="portfolio" className="py-8" aria-label="Portfolio">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 mb-8">
+        <div>
+          <h2 className="text-3xl font-bold mb-2"><span className="gradient-text">Portfolio</span></h2>
+          <p className="text-gray-400">Your positions, marked to the current pools</p>
+        </div>
+        <div className="flex gap-2">
+          {[EXPORT_FORMATS.CSV, EXPORT_FORMATS.JSON].map((format) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={!portfolio || portfolio.rows.length === 0}
+              className="btn-secondary px-4 py-2 rounded-xl text-sm font-medium flex items-center gap-2"
+            >
+              <HiDownload className="w-4 h-4" />
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {summary.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4 mb-8">
+          {summary.map((stat) => (
+            <div key={stat.label} className="glass-card rounded-2xl p-4">
+              <p className="text-sm text-gray-400">{stat.label}</p>
+              <p className="text-xl font-bold text-white">{stat.value}</p>
+              {stat.detail && <p className="text-xs text-gray-500 mt-1">{stat.detail}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="glass-card rounded-2xl overflow-hidden">
+        <Table
+          columns={COLUMNS}
+          data={(portfolio?.rows || []).map((row) => ({ ...row, id: row.marketId }))}
+          sortable
+          loading={isLoading && !portfolio}
+          emptyMessage="No positions yet. Place a bet to start your portfolio."
+        />
+      </div>
+    </section>
+  )
+}
+
+export default Portfolio
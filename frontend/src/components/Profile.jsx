@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react'
+import { HiOutlineExclamation } from 'react-icons/hi'
+
+import EmptyState from './EmptyState'
+import { AddressDisplay } from './AddressUtils'
+import { Link } from '../context/RouterContext'
+import { useTransactions } from '../context/TransactionContext'
+import { getMarketIndex } from '../lib/marketIndex'
+import { useUserStatsQuery } from '../lib/api'
+import { ROUTES, marketPath } from '../lib/router'
+import { ProfilePageSEO } from '../lib/seo'
+import { formatSTX, isValidStacksAddress } from '../lib/formatUtils'
+
+const EMPTY_STATS = { totalBets: 0, totalVolume: 0, totalWinnings: 0, totalLosses: 0, marketsCreated: 0, winRate: 0 }
+
+const MarketRow = ({ market, detail }) => (
+  <li className="flex items-center justify-between gap-4 py-3 border-b border-arena-purple/10 last:border-0">
+    <Link to={marketPath(market.id)} className="text-white hover:text-arena-purple truncate">
+      <span className="text-gray-500 mr-2">#{market.id}</span>
+      {market.title}
+    </Link>
+    <span className="text-sm text-gray-400 whitespace-nowrap">{detail}</span>
+  </li>
+)
+
+const Profile = ({ address, userAddress, network, contractAddress, contractName }) => {
+  const [bets, setBets] = useState([])
+  const [created, setCreated] = useState([])
+  const [isLoadingProfile, setIsLoadingProfile] = useState(false)
+  const { revision } = useTransactions()
+
+  const isValid = isValidStacksAddress(address)
+  const { data: userStats } = useUserStatsQuery(isValid ? address : null, { network, contractAddress, contractName })
+  const stats = userStats || EMPTY_STATS
+
+  useEffect(() => {
+    if (!contractAddress || !contractName || !isValid) return
+    let cancelled = false
+    const index = getMarketIndex({ network, contractAddress, contractName })
+
+    async function load() {
+      setIsLoadingProfile(true)
+      try {
+        const markets = await index.refresh()
+        const positions = await index.getPositions(address)
+        if (cancelled) return
+        setBets(
+          markets
+            .filter((m) => positions.get(m.id)?.totalInvested > 0)
+            .map((m) => ({ market: m, position: positions.get(m.id) }))
+        )
+        setCreated(markets.filter((m) => m.creator === address))
+      } catch {
+        if (!cancelled) {
+          setBets([])
+          setCreated([])
+        }
+      } finally {
+        if (!cancelled) setIsLoadingProfile(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [address, contractAddress, contractName, isValid, network, revision])
+
+  if (!isValid) {
+    return (
+      <div className="glass-card rounded-2xl">
+        <EmptyState
+          icon={HiOutlineExclamation}
+          title="Invalid address"
+          description={`"${address}" is not a Stacks address.`}
+          action={<Link to={ROUTES.HOME} className="btn-primary px-6 py-3 rounded-xl font-medium">Browse markets</Link>}
+        />
+      </div>
+    )
+  }
+
+  const statCards = [
+    { label: 'Bets', value: stats.totalBets.toLocaleString() },
+    { label: 'Volume', value: formatSTX(stats.totalVolume) },
+    { label: 'Winnings', value: formatSTX(stats.totalWinnings) },
+    { label: 'Losses', value: formatSTX(stats.totalLosses) },
+    { label: 'Win rate', value: `${stats.winRate}%` },
+    { label: 'Markets created', value: stats.marketsCreated.toLocaleString() },
+  ]
+
+  return (
+    <section id="profile" className="py-8" aria-label="Trader profile">
+      <ProfilePageSEO user={{ address, totalBets: stats.totalBets, winRate: stats.winRate }} />
+
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold mb-2">
+          <span className="gradient-text">{address === userAddress ? 'Your Profile' : 'Trader Profile'}</span>
+        </h2>
+        <AddressDisplay address={address} truncate={false} showExplorer />
+        {isLoadingProfile && (
+          <p className="text-sm text-gray-500 mt-2 flex items-center gap-2">
+            <span className="spinner w-4 h-4" /> Loading profile…
+          </p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4 mb-8">
+        {statCards.map((stat) => (
+          <div key={stat.label} className="glass-card rounded-2xl p-4">
+            <p className="text-sm text-gray-400">{stat.label}</p>
+            <p className="text-xl font-bold text-white">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="glass-card rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Positions</h3>
+          {bets.length === 0 ? (
+            <p className="text-sm text-gray-500">No positions yet.</p>
+          ) : (
+            <ul>
+              {bets.map(({ market, position }) => (
+                <MarketRow key={market.id} market={market} detail={formatSTX(position.totalInvested)} />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="glass-card rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Markets created</h3>
+          {created.length === 0 ? (
+            <p className="text-sm text-gray-500">No markets created.</p>
+          ) : (
+            <ul>
+              {created.map((market) => (
+                <MarketRow key={market.id} market={market} detail={formatSTX(market.totalYes + market.totalNo)} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Profile
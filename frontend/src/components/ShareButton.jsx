@@ -351,7 +351,7 @@ export const MarketShareCard = ({
 }) => {
   const shareText = `${market.title} - Currently trading at ${market.yesPercentage}% YES on StacksBet Arena!`
   const shareUrl = typeof window !== 'undefined' 
-    ? `${window.location.origin}/market/${market.id}` 
+    ? `${window.location.origin}/markets/${market.id}` 
     : ''
 
   return (
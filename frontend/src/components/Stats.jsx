@@ -1,9 +1,7 @@
 import React, { useEffect, useState, useRef } from 'react'
-import { StacksMainnet } from '@stacks/network'
 
-import { CONFIG } from '../lib/config'
-import { fetchStacksTipHeight } from '../lib/hiro'
-import { readOnly } from '../lib/contract'
+import { useNetwork } from '../context/NetworkContext'
+import { useProtocolTotals } from '../lib/api'
 
 // Custom hook for counting animation
 const useCountUp = (end, duration = 2000, startOnView = true) => {
@@ -110,77 +108,15 @@ const StatCard = ({ label, value, color, icon, index, isLoading }) => {
 }
 
 const Stats = () => {
-  const [stats, setStats] = useState({ volumeStx: 0, markets: 0, bets: 0, users: '-' })
-  const [isLoading, setIsLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    let cancelled = false
-    const network = new StacksMainnet()
-
-    async function load() {
-      try {
-        setIsLoading(true)
-        setError(null)
-        
-        // ping chain once to ensure API is reachable
-        await fetchStacksTipHeight(CONFIG.hiroApiUrl)
-
-        const senderAddress = CONFIG.contractAddress
-
-        const [totalVolume, totalMarkets, totalBets] = await Promise.all([
-          readOnly({
-            network,
-            contractAddress: CONFIG.contractAddress,
-            contractName: CONFIG.contractName,
-            functionName: 'get-total-volume',
-            functionArgs: [],
-            senderAddress,
-          }),
-          readOnly({
-            network,
-            contractAddress: CONFIG.contractAddress,
-            contractName: CONFIG.contractName,
-            functionName: 'get-total-markets',
-            functionArgs: [],
-            senderAddress,
-          }),
-          readOnly({
-            network,
-            contractAddress: CONFIG.contractAddress,
-            contractName: CONFIG.contractName,
-            functionName: 'get-total-bets',
-            functionArgs: [],
-            senderAddress,
-          }),
-        ])
-
-        if (cancelled) return
-
-        const volumeMicro = Number(totalVolume.value)
-        setStats({
-          volumeStx: volumeMicro / 1_000_000,
-          markets: Number(totalMarkets.value),
-          bets: Number(totalBets.value),
-          users: '-',
-        })
-      } catch (err) {
-        if (!cancelled) {
-          setError(err.message)
-          console.error('Failed to load stats:', err)
-        }
-      } finally {
-        if (!cancelled) {
-          setIsLoading(false)
-        }
-      }
-    }
-
-    load()
-    return () => {
-      cancelled = true
-    }
-  }, [])
+  const { network, contractAddress, contractName } = useNetwork()
+  const { data: totals, isLoading, error } = useProtocolTotals({ network, contractAddress, contractName })
+
+  const stats = {
+    volumeStx: (totals?.totalVolume ?? 0) / 1_000_000,
+    markets: totals?.totalMarkets ?? 0,
+    bets: totals?.totalBets ?? 0,
+    users: '-',
+  }
 
   const statItems = [
     { label: 'Total Volume', value: stats.volumeStx, color: 'arena-purple', icon: '💎' },
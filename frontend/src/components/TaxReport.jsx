@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { HiDownload } from 'react-icons/hi'
+import toast from 'react-hot-toast'
+
+import Table from './Table'
+import { useTransactions } from '../context/TransactionContext'
+import { getMarketHistory } from '../lib/marketHistory'
+import {
+  loadAccountHistory,
+  withFiatValues,
+  summarizeByYear,
+  exportAccountHistory,
+  exportTaxSummary,
+} from '../lib/taxReport'
+import { EXPORT_FORMATS, downloadFile } from '../lib/export'
+import { formatCurrency } from '../lib/currency'
+import { formatSTX } from '../lib/formatUtils'
+
+// Fiat currencies the yearly summary can be valued in
+const FIAT_OPTIONS = ['USD', 'EUR', 'GBP']
+
+const signedClass = (value) => (value > 0 ? 'text-arena-green' : value < 0 ? 'text-red-400' : 'text-gray-400')
+
+const TaxReport = ({ userAddress, network, contractAddress, contractName }) => {
+  const [history, setHistory] = useState(null)
+  const [currency, setCurrency] = useState('')
+  const [realizations, setRealizations] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isPricing, setIsPricing] = useState(false)
+  const { revision } = useTransactions()
+
+  useEffect(() => {
+    if (!contractAddress || !contractName || !userAddress) return
+    let cancelled = false
+
+    async function load() {
+      setIsLoading(true)
+      try {
+        const loaded = await loadAccountHistory({
+          history: getMarketHistory({ network, contractAddress, contractName }),
+          address: userAddress,
+        })
+        if (!cancelled) setHistory(loaded)
+      } catch {
+        if (!cancelled) toast.error('Failed to load bet history')
+      } finally {
+        if (!cancelled) setIsLoading(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [contractAddress, contractName, network, revision, userAddress])
+
+  // Value every realization at the STX price of its day
+  useEffect(() => {
+    if (!history) return
+    if (!currency) {
+      setRealizations(history.realizations)
+      return
+    }
+    let cancelled = false
+
+    setIsPricing(true)
+    withFiatValues(history.realizations, currency)
+      .then((priced) => {
+        if (!cancelled) setRealizations(priced)
+      })
+      .finally(() => {
+        if (!cancelled) setIsPricing(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [history, currency])
+
+  const summary = useMemo(() => summarizeByYear(realizations), [realizations])
+  const priced = !!currency && !isPricing
+
+  const columns = [
+    { key: 'year', header: 'Year' },
+    { key: 'realizations', header: 'Realizations', align: 'right' },
+    { key: 'gains', header: 'Gains', align: 'right', render: (gains) => formatSTX(gains) },
+    { key: 'losses', header: 'Losses', align: 'right', render: (losses) => formatSTX(losses) },
+    {
+      key: 'net',
+      header: 'Net',
+      align: 'right',
+      render: (net) => <span className={signedClass(net)}>{formatSTX(net)}</span>,
+    },
+    ...(priced
+      ? [
+          {
+            key: 'fiatNet',
+            header: `Net (${currency})`,
+            align: 'right',
+            render: (fiatNet, row) => (
+              <span className={signedClass(fiatNet)} title={row.missingPrices ? `${row.missingPrices} without a price` : undefined}>
+                {formatCurrency(fiatNet, currency)}
+                {row.missingPrices > 0 && '*'}
+              </span>
+            ),
+          },
+        ]
+      : []),
+  ]
+
+  const report = history && { ...history, realizations, summary }
+  const exportOptions = { address: userAddress, currency: priced ? currency : null }
+
+  const handleExport = (build) => {
+    const { filename, content } = build()
+    downloadFile(filename, content, filename.endsWith('.json') ? EXPORT_FORMATS.JSON : EXPORT_FORMATS.CSV)
+  }
+
+  const exports = [
+    { label: 'History CSV', build: () => exportAccountHistory(report, exportOptions) },
+    { label: 'Tax summary CSV', build: () => exportTaxSummary(report, exportOptions) },
+    { label: 'JSON', build: () => exportAccountHistory(report, { ...exportOptions, format: EXPORT_FORMATS.JSON }) },
+  ]
+
+  return (
+    <section className="py-8" aria-label="Bet history and tax report">
+      <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between gap-4 mb-6">
+        <div>
+          <h3 className="text-2xl font-bold mb-2">History &amp; tax report</h3>
+          <p className="text-gray-400">
+            {history
+              ? `${history.transactions.length} transactions · gains and losses by the year they were realized`
+              : 'Every bet, claim, refund and market you created'}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            aria-label="Fiat currency"
+            className="px-3 py-2 rounded-xl text-sm text-white
+                       bg-arena-card border border-gray-700
+                       focus:border-arena-purple focus:outline-none
+                       cursor-pointer"
+          >
+            <option value="">STX only</option>
+            {FIAT_OPTIONS.map((code) => (
+              <option key={code} value={code}>
+                STX + {code}
+              </option>
+            ))}
+          </select>
+          {exports.map(({ label, build }) => (
+            <button
+              key={label}
+              onClick={() => handleExport(build)}
+              disabled={!history || history.transactions.length === 0 || isPricing}
+              className="btn-secondary px-4 py-2 rounded-xl text-sm font-medium flex items-center gap-2"
+            >
+              <HiDownload className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="glass-card rounded-2xl overflow-hidden">
+        <Table
+          columns={columns}
+          data={summary.map((row) => ({ ...row, id: row.year }))}
+          loading={(isLoading && !history) || isPricing}
+          emptyMessage="Nothing realized yet. Gains and losses appear once your markets resolve."
+        />
+      </div>
+      {priced && summary.some((row) => row.missingPrices > 0) && (
+        <p className="text-xs text-gray-500 mt-2">* Some realizations have no {currency} price for their day and are left out of the fiat totals.</p>
+      )}
+    </section>
+  )
+}
+
+export default TaxReport
@@ -1,6 +1,7 @@
 import React from 'react'
 import toast, { Toaster } from 'react-hot-toast'
 import { HiCheckCircle, HiXCircle, HiInformationCircle, HiExclamation, HiX } from 'react-icons/hi'
+import { getTxExplorerUrl } from '../lib/formatUtils'
 
 /**
  * Custom toast notification system with improved UX
@@ -129,7 +130,7 @@ export const showInfo = (message, title = null) => {
 }
 
 // Transaction toast with loading state
-export const showTransaction = (txId, explorerUrl = 'https://explorer.stacks.co/txid') => {
+export const showTransaction = (txId, explorerUrl) => {
   const toastId = toast.custom((t) => (
     <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} flex items-start gap-3`}>
       <div className="flex-shrink-0 mt-1">
@@ -139,7 +140,7 @@ export const showTransaction = (txId, explorerUrl = 'https://explorer.stacks.co/
         <p className="font-semibold text-white text-sm mb-1">Transaction Submitted</p>
         <p className="text-gray-400 text-xs mb-2">Waiting for confirmation...</p>
         <a
-          href={`${explorerUrl}/${txId}`}
+          href={explorerUrl ? `${explorerUrl}/${txId}` : getTxExplorerUrl(txId)}
           target="_blank"
           rel="noopener noreferrer"
           className="text-arena-cyan text-xs hover:underline flex items-center gap-1"
@@ -6,8 +6,12 @@ import {
   HiCheckCircle,
   HiXCircle,
   HiClock,
-  HiRefresh
+  HiRefresh,
+  HiBan,
+  HiCog
 } from 'react-icons/hi'
+import { useTransactions } from '../context/TransactionContext'
+import { formatSTX, getTxExplorerUrl } from '../lib/formatUtils'
 
 /**
  * Transaction History components for displaying blockchain transactions
@@ -66,13 +70,25 @@ const TYPE_CONFIG = {
     label: 'Resolve',
     color: 'text-arena-cyan',
     description: 'Resolved a market'
+  },
+  cancel: {
+    icon: HiBan,
+    label: 'Cancel Market',
+    color: 'text-yellow-400',
+    description: 'Cancelled a market'
+  },
+  admin: {
+    icon: HiCog,
+    label: 'Admin',
+    color: 'text-gray-300',
+    description: 'Protocol admin action'
   }
 }
 
 // Single Transaction Item
 const TransactionItem = ({
   tx,
-  explorerUrl = 'https://explorer.hiro.so/txid/',
+  explorerUrl,
   onRetry,
   className = ''
 }) => {
@@ -113,9 +129,9 @@ const TransactionItem = ({
       <div className="flex-1 min-w-0">
         <div className="flex items-center gap-2">
           <span className="font-medium text-white">{type.label}</span>
-          {tx.marketTitle && (
+          {(tx.marketTitle || tx.description) && (
             <span className="text-gray-500 truncate text-sm">
-              • {tx.marketTitle}
+              • {tx.marketTitle || tx.description}
             </span>
           )}
         </div>
@@ -125,7 +141,7 @@ const TransactionItem = ({
             <>
               <span>•</span>
               <a
-                href={`${explorerUrl}${tx.txHash}`}
+                href={explorerUrl ? `${explorerUrl}${tx.txHash}` : getTxExplorerUrl(tx.txHash)}
                 target="_blank"
                 rel="noopener noreferrer"
                 className="hover:text-arena-cyan transition-colors flex items-center gap-1"
@@ -136,15 +152,21 @@ const TransactionItem = ({
             </>
           )}
         </div>
+        {tx.status === 'failed' && tx.error && (
+          <p className="text-xs text-red-400 mt-1">
+            {tx.error}
+            {tx.remediation && <span className="text-gray-500"> {tx.remediation}</span>}
+          </p>
+        )}
       </div>
 
       {/* Amount */}
-      {tx.amount !== undefined && (
+      {tx.amount != null && (
         <div className="text-right">
           <span className={`font-semibold ${
             tx.type.includes('claim') ? 'text-arena-green' : 'text-white'
           }`}>
-            {tx.type.includes('claim') ? '+' : '-'}{tx.amount} STX
+            {tx.type.includes('claim') ? '+' : '-'}{formatSTX(tx.amount)}
           </span>
         </div>
       )}
@@ -407,9 +429,9 @@ export const RecentActivity = ({
                 <span className="flex-1 text-sm text-gray-300 truncate">
                   {type.description}
                 </span>
-                {tx.amount && (
+                {tx.amount != null && (
                   <span className="text-sm font-medium text-white">
-                    {tx.amount} STX
+                    {formatSTX(tx.amount)}
                   </span>
                 )}
               </div>
@@ -421,27 +443,10 @@ export const RecentActivity = ({
   )
 }
 
-// useTransactionHistory hook
+// useTransactionHistory hook: the connected wallet's (or `address`'s) tracked transactions
 export const useTransactionHistory = (address) => {
-  const [transactions, setTransactions] = useState([])
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState(null)
-
-  const addTransaction = (tx) => {
-    setTransactions(prev => [tx, ...prev])
-  }
-
-  const updateTransaction = (txHash, updates) => {
-    setTransactions(prev => 
-      prev.map(tx => 
-        tx.txHash === txHash ? { ...tx, ...updates } : tx
-      )
-    )
-  }
-
-  const removeTransaction = (txHash) => {
-    setTransactions(prev => prev.filter(tx => tx.txHash !== txHash))
-  }
+  const { transactions: all, userTransactions, track, remove } = useTransactions()
+  const transactions = address ? all.filter(tx => tx.sender === address) : userTransactions
 
   const filterByType = (type) => {
     if (type === 'all') return transactions
@@ -455,14 +460,34 @@ export const useTransactionHistory = (address) => {
 
   return {
     transactions,
-    loading,
-    error,
-    addTransaction,
-    updateTransaction,
-    removeTransaction,
+    loading: false,
+    error: null,
+    addTransaction: track,
+    removeTransaction: remove,
     filterByType,
     pendingCount
   }
 }
 
+// The connected wallet's tracked transactions with filter tabs
+export const MyTransactions = ({ className = '' }) => {
+  const [filter, setFilter] = useState('all')
+  const { transactions, filterByType, pendingCount } = useTransactionHistory()
+
+  const counts = {
+    all: transactions.length,
+    bets: filterByType('bets').length,
+    claims: filterByType('claims').length,
+    pending: pendingCount
+  }
+
+  return (
+    <div className={`glass-card rounded-2xl p-6 ${className}`}>
+      <h3 className="text-lg font-semibold mb-4">Recent transactions</h3>
+      <TransactionFilters activeFilter={filter} onFilterChange={setFilter} counts={counts} className="mb-4" />
+      <TransactionHistory transactions={filterByType(filter)} />
+    </div>
+  )
+}
+
 export default TransactionHistory
@@ -0,0 +1,41 @@
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react'
+import { NETWORKS, getActiveNetwork, setActiveNetwork } from '../lib/config'
+import { getTxExplorerUrl, getAddressExplorerUrl } from '../lib/formatUtils'
+
+const NetworkContext = createContext()
+
+export const useNetwork = () => {
+  const context = useContext(NetworkContext)
+  if (!context) {
+    throw new Error('useNetwork must be used within a NetworkProvider')
+  }
+  return context
+}
+
+export const NetworkProvider = ({ children }) => {
+  const [active, setActive] = useState(getActiveNetwork)
+
+  // Throws when a custom network has no API URL; callers surface the error
+  const switchNetwork = useCallback((id, overrides = {}) => {
+    setActive(setActiveNetwork(id, overrides))
+  }, [])
+
+  const value = useMemo(() => ({
+    networkId: active.config.id,
+    networkConfig: active.config,
+    network: active.network,
+    contractAddress: active.config.contractAddress,
+    contractName: active.config.contractName,
+    chainId: active.config.chainId,
+    networks: Object.values(NETWORKS),
+    switchNetwork,
+    getTxUrl: (txId) => getTxExplorerUrl(txId, active.config),
+    getAddressUrl: (address) => getAddressExplorerUrl(address, active.config),
+  }), [active, switchNetwork])
+
+  return (
+    <NetworkContext.Provider value={value}>
+      {children}
+    </NetworkContext.Provider>
+  )
+}
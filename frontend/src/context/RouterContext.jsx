@@ -0,0 +1,75 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react'
+import { matchRoute, navigate, NAVIGATE_EVENT } from '../lib/router'
+
+const RouterContext = createContext()
+
+export const useRouter = () => {
+  const context = useContext(RouterContext)
+  if (!context) {
+    throw new Error('useRouter must be used within a RouterProvider')
+  }
+  return context
+}
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+})
+
+export const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation)
+
+  useEffect(() => {
+    const handleChange = () => setLocation(readLocation())
+
+    // Back/forward buttons fire popstate; our own navigate() fires NAVIGATE_EVENT
+    window.addEventListener('popstate', handleChange)
+    window.addEventListener(NAVIGATE_EVENT, handleChange)
+    return () => {
+      window.removeEventListener('popstate', handleChange)
+      window.removeEventListener(NAVIGATE_EVENT, handleChange)
+    }
+  }, [])
+
+  const value = useMemo(() => {
+    const route = matchRoute(location.pathname)
+    return {
+      ...location,
+      route: route.name,
+      params: route.params,
+      navigate,
+    }
+  }, [location])
+
+  return (
+    <RouterContext.Provider value={value}>
+      {children}
+    </RouterContext.Provider>
+  )
+}
+
+/**
+ * Anchor that navigates in-app. Modified clicks (new tab, new window) and
+ * `target` links fall through to the browser.
+ */
+export const Link = ({ to, replace = false, onClick, children, ...props }) => {
+  const handleClick = (e) => {
+    onClick?.(e)
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey || e.ctrlKey || e.shiftKey || e.altKey ||
+      props.target
+    ) {
+      return
+    }
+    e.preventDefault()
+    navigate(to, { replace })
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
@@ -0,0 +1,127 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { useNetwork } from './NetworkContext'
+import { useWallet } from './WalletContext'
+import { getTxTracker, TX_TYPES, TX_STATUS } from '../lib/txTracker'
+import { getPendingBets, applyPendingBets, applyPendingPosition } from '../lib/optimisticBets'
+import { getChainEventStream } from '../lib/realtime'
+import { invalidateTransactionQueries } from '../lib/api'
+import { showTransaction, updateTransaction, showSuccess, showError } from '../components/ToastNotifications'
+
+const TransactionContext = createContext()
+
+export const useTransactions = () => {
+  const context = useContext(TransactionContext)
+  if (!context) {
+    throw new Error('useTransactions must be used within a TransactionProvider')
+  }
+  return context
+}
+
+const CONFIRMED_MESSAGES = {
+  [TX_TYPES.BET_YES]: 'Bet confirmed',
+  [TX_TYPES.BET_NO]: 'Bet confirmed',
+  [TX_TYPES.CREATE_MARKET]: 'Market created',
+  [TX_TYPES.CLAIM]: 'Winnings claimed',
+  [TX_TYPES.RESOLVE]: 'Market resolved',
+  [TX_TYPES.CANCEL]: 'Market cancelled',
+}
+
+const BET_TYPES = [TX_TYPES.BET_YES, TX_TYPES.BET_NO]
+
+export const TransactionProvider = ({ children }) => {
+  const { network, contractAddress, contractName } = useNetwork()
+  const { userData } = useWallet()
+  const tracker = useMemo(
+    () => getTxTracker({ network, contractAddress, contractName }),
+    [network, contractAddress, contractName]
+  )
+  const [transactions, setTransactions] = useState(() => tracker.getTransactions())
+  // Bumped after a confirmed transaction's market data has been re-read, and
+  // after a live chain update that changed a market
+  const [revision, setRevision] = useState(0)
+  // txId -> pending toast id
+  const toastIds = useRef(new Map())
+
+  useEffect(() => {
+    setTransactions(tracker.getTransactions())
+    const unsubscribe = tracker.subscribe((tx, previous) => {
+      setTransactions(tracker.getTransactions())
+
+      if (!previous) {
+        toastIds.current.set(tx.id, showTransaction(tx.id))
+        return
+      }
+      if (tx.status === previous.status) return
+
+      const toastId = toastIds.current.get(tx.id)
+      toastIds.current.delete(tx.id)
+      const success = tx.status === TX_STATUS.SUCCESS
+      // A failed bet also drops out of the optimistic pools, so say so
+      const failurePrefix = BET_TYPES.includes(tx.type) ? 'Bet rolled back' : 'Transaction failed'
+      const message = success
+        ? CONFIRMED_MESSAGES[tx.type] || (tx.description ? `${tx.description} confirmed` : 'Transaction confirmed!')
+        : [`${failurePrefix}: ${tx.error}`, tx.remediation].filter(Boolean).join(' ')
+      if (toastId) updateTransaction(toastId, success, message)
+      else if (success) showSuccess(message)
+      else showError(message)
+
+      if (success) {
+        invalidateTransactionQueries({ network, contractAddress, contractName }, tx)
+        setRevision((r) => r + 1)
+      }
+    })
+    tracker.start()
+    return () => {
+      unsubscribe()
+      tracker.stop()
+    }
+  }, [tracker, network, contractAddress, contractName])
+
+  // Live updates: blocks and contract calls from anyone, not only this browser
+  useEffect(() => {
+    const stream = getChainEventStream({ network, contractAddress, contractName })
+    const unsubscribe = stream.subscribe((update) => {
+      // Pending transactions may have just been mined; check them now
+      if (update.events.length > 0 && tracker.getPending().length > 0) tracker.poll()
+      if (update.marketIds.length > 0) setRevision((r) => r + 1)
+    })
+    stream.start()
+    return () => {
+      unsubscribe()
+      stream.stop()
+    }
+  }, [network, contractAddress, contractName, tracker])
+
+  const track = useCallback(
+    (details) => tracker.track({ sender: userData?.address, ...details }),
+    [tracker, userData]
+  )
+
+  // Signed bets not mined yet, shown optimistically in pools and positions
+  const pendingBets = useMemo(() => getPendingBets(transactions), [transactions])
+
+  const value = useMemo(() => ({
+    transactions,
+    pendingBets,
+    withPendingBets: (market) => applyPendingBets(market, pendingBets),
+    withPendingPosition: (marketId, position) =>
+      applyPendingPosition(position, marketId, userData?.address, pendingBets),
+    userTransactions: userData?.address ? transactions.filter((tx) => tx.sender === userData.address) : [],
+    pendingCount: transactions.filter((tx) => tx.status === TX_STATUS.PENDING).length,
+    revision,
+    track,
+    // Whether a `type` transaction for `marketId` is still waiting to be mined
+    isPending: (type, marketId) =>
+      transactions.some((tx) => tx.type === type && tx.marketId === marketId && tx.status === TX_STATUS.PENDING),
+    remove: (txId) => {
+      tracker.remove(txId)
+      setTransactions(tracker.getTransactions())
+    },
+  }), [transactions, pendingBets, revision, track, tracker, userData])
+
+  return (
+    <TransactionContext.Provider value={value}>
+      {children}
+    </TransactionContext.Provider>
+  )
+}
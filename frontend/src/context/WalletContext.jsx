@@ -1,5 +1,7 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react'
 import { initWalletConnect, wcConnect, wcDisconnect, getStacksAddresses } from '../utils/walletconnect'
+import { useNetwork } from './NetworkContext'
+import { MOCK_ACCOUNTS } from '../lib/config'
 
 const WalletContext = createContext()
 
@@ -12,6 +14,9 @@ export const useWallet = () => {
 }
 
 export const WalletProvider = ({ children }) => {
+  const { chainId, networkId } = useNetwork()
+  // Connector listeners are registered once; read the current chain through a ref
+  const chainIdRef = useRef(chainId)
   const [userData, setUserData] = useState(null)
   const [isConnecting, setIsConnecting] = useState(false)
   const [wcUri, setWcUri] = useState(null)
@@ -57,9 +62,21 @@ export const WalletProvider = ({ children }) => {
     }
   }, [])
 
+  // Re-resolve the address when the network changes: SP… on mainnet, ST… elsewhere
+  useEffect(() => {
+    chainIdRef.current = chainId
+    if (userData?.session) getAddressesFromSession(userData.session)
+  }, [chainId])
+
+  // The mock account only exists on the mock node
+  useEffect(() => {
+    if (networkId !== 'mock' && userData?.isMock) setUserData(null)
+  }, [networkId])
+
   const getAddressesFromSession = async (session) => {
+    const chainId = chainIdRef.current
     try {
-      const addresses = await getStacksAddresses(session)
+      const addresses = await getStacksAddresses(session, chainId)
       setUserData({
         session,
         address: addresses.address,
@@ -68,13 +85,16 @@ export const WalletProvider = ({ children }) => {
     } catch (error) {
       console.error('Failed to get addresses', error)
       // Still set userData with session info as fallback
-      const account = session.namespaces.stacks.accounts[0]
+      const account = session.namespaces.stacks.accounts.find((a) => a.startsWith(`${chainId}:`))
       if (account) {
         const [, , address] = account.split(':')
         setUserData({
           session,
           address,
         })
+      } else {
+        // The session was approved for another chain
+        setUserData(null)
       }
     } finally {
       setIsConnecting(false)
@@ -84,10 +104,16 @@ export const WalletProvider = ({ children }) => {
   const connectWallet = async () => {
     if (userData) return // Already connected
 
+    // The mock node needs no wallet: act as the contract deployer so every panel is reachable
+    if (networkId === 'mock') {
+      setUserData({ address: MOCK_ACCOUNTS.deployer, isMock: true })
+      return
+    }
+
     setIsConnecting(true)
 
     try {
-      await wcConnect()
+      await wcConnect(chainIdRef.current)
       // Connection handled by event listeners
     } catch (error) {
       console.error('Failed to initiate WalletConnect', error)
@@ -97,6 +123,10 @@ export const WalletProvider = ({ children }) => {
   }
 
   const disconnectWallet = async () => {
+    if (userData?.isMock) {
+      setUserData(null)
+      return
+    }
     try {
       await wcDisconnect()
       setUserData(null)
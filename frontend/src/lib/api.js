@@ -1,8 +1,16 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
+import { getActiveNetwork, usesBackend } from './config'
+import { getMarketIndex } from './marketIndex'
+import { getChainEventStream } from './realtime'
+import { TX_TYPES } from './txTracker'
 
 /**
  * API Client utilities for StacksBet Arena
- * Comprehensive HTTP client with caching, retries, and React hooks
+ * HTTP client with caching, retries, and React hooks, plus the read-only
+ * contract queries every component shares. Contract reads go through the
+ * MarketIndex, or the indexer backend at `VITE_API_URL` when
+ * `VITE_DATA_SOURCE=backend`; their cache entries stay fresh for the block
+ * they were read at.
  */
 
 // ============================================
@@ -44,6 +52,13 @@ class CacheManager {
   }
 
   get(key) {
+    return this.getEntry(key)?.data ?? null
+  }
+
+  /**
+   * The whole entry: `{ data, expiry, timestamp, blockHeight }`
+   */
+  getEntry(key) {
     const cached = this.cache.get(key)
     if (!cached) return null
     
@@ -52,33 +67,53 @@ class CacheManager {
       return null
     }
     
-    return cached.data
+    return cached
   }
 
-  set(key, data, ttl = 60000) {
+  /**
+   * Store `data`. A null `ttl` never expires; `blockHeight` records the
+   * chain tip it was read at.
+   */
+  set(key, data, ttl = 60000, blockHeight = null) {
     this.cache.set(key, {
       data,
       expiry: ttl ? Date.now() + ttl : null,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      blockHeight
     })
     
     // Notify subscribers
-    this.subscriptions.get(key)?.forEach(cb => cb(data))
+    this.subscriptions.get(key)?.forEach(cb => cb(data, { removed: false }))
+  }
+
+  // Subscribers hear `{ removed: true }` when their key is dropped; a cached
+  // `null` is a value like any other
+  remove(key) {
+    this.cache.delete(key)
+    this.subscriptions.get(key)?.forEach(cb => cb(null, { removed: true }))
   }
 
   invalidate(key) {
     if (key) {
-      this.cache.delete(key)
+      this.remove(key)
     } else {
-      this.cache.clear()
+      Array.from(this.cache.keys()).forEach(k => this.remove(k))
     }
   }
 
   invalidatePattern(pattern) {
     const regex = new RegExp(pattern)
-    for (const key of this.cache.keys()) {
+    for (const key of Array.from(this.cache.keys())) {
       if (regex.test(key)) {
-        this.cache.delete(key)
+        this.remove(key)
+      }
+    }
+  }
+
+  invalidatePrefix(prefix) {
+    for (const key of Array.from(this.cache.keys())) {
+      if (key.startsWith(prefix)) {
+        this.remove(key)
       }
     }
   }
@@ -132,6 +167,41 @@ class RequestQueue {
 
 const requestQueue = new RequestQueue()
 
+// ============================================
+// RETRIES
+// ============================================
+
+/**
+ * Run `task` until it succeeds, waiting a little longer before each retry.
+ * Aborts and client errors (4xx) are not retried.
+ */
+export const withRetries = async (task, { retries = globalConfig.retries, retryDelay = globalConfig.retryDelay } = {}) => {
+  let lastError = null
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await task(attempt)
+    } catch (err) {
+      lastError = err
+
+      // Don't retry on abort or certain status codes
+      if (
+        err.name === 'AbortError' ||
+        [400, 401, 403, 404, 422].includes(err.status)
+      ) {
+        throw err
+      }
+
+      // Wait before retry
+      if (attempt < retries) {
+        await new Promise(r => setTimeout(r, retryDelay * (attempt + 1)))
+      }
+    }
+  }
+
+  throw lastError
+}
+
 // ============================================
 // HTTP CLIENT
 // ============================================
@@ -178,82 +248,61 @@ export const request = async (url, options = {}) => {
     if (cached) return cached
   }
 
-  // Request function
-  const executeRequest = async () => {
-    let lastError = null
-    
-    for (let attempt = 0; attempt <= retries; attempt++) {
-      try {
-        // Create abort controller for timeout
-        const controller = new AbortController()
-        const timeoutId = setTimeout(() => controller.abort(), timeout)
-
-        const response = await fetch(fullUrl, {
-          method,
-          headers: {
-            ...globalConfig.headers,
-            ...headers
-          },
-          body: body ? JSON.stringify(body) : undefined,
-          signal: signal || controller.signal
-        })
-
-        clearTimeout(timeoutId)
-
-        // Handle response
-        if (!response.ok) {
-          const error = new Error(`HTTP ${response.status}: ${response.statusText}`)
-          error.status = response.status
-          error.statusText = response.statusText
-          
-          try {
-            error.data = await response.json()
-          } catch {
-            error.data = null
-          }
-          
-          throw error
-        }
+  // One attempt; withRetries repeats it
+  const attemptRequest = async () => {
+    // Create abort controller for timeout
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), timeout)
+
+    const response = await fetch(fullUrl, {
+      method,
+      headers: {
+        ...globalConfig.headers,
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: signal || controller.signal
+    })
 
-        // Parse response
-        const contentType = response.headers.get('content-type')
-        let data
-        
-        if (contentType?.includes('application/json')) {
-          data = await response.json()
-        } else if (contentType?.includes('text/')) {
-          data = await response.text()
-        } else {
-          data = await response.blob()
-        }
+    clearTimeout(timeoutId)
 
-        // Cache successful GET requests
-        if (useCache && method === 'GET') {
-          cache.set(cacheKey, data, cacheTTL)
-        }
+    // Handle response
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`)
+      error.status = response.status
+      error.statusText = response.statusText
+      
+      try {
+        error.data = await response.json()
+      } catch {
+        error.data = null
+      }
+      
+      throw error
+    }
 
-        return data
-      } catch (err) {
-        lastError = err
-        
-        // Don't retry on abort or certain status codes
-        if (
-          err.name === 'AbortError' ||
-          [400, 401, 403, 404, 422].includes(err.status)
-        ) {
-          throw err
-        }
+    // Parse response
+    const contentType = response.headers.get('content-type')
+    let data
+    
+    if (contentType?.includes('application/json')) {
+      data = await response.json()
+    } else if (contentType?.includes('text/')) {
+      data = await response.text()
+    } else {
+      data = await response.blob()
+    }
 
-        // Wait before retry
-        if (attempt < retries) {
-          await new Promise(r => setTimeout(r, retryDelay * (attempt + 1)))
-        }
-      }
+    // Cache successful GET requests
+    if (useCache && method === 'GET') {
+      cache.set(cacheKey, data, cacheTTL)
     }
 
-    throw lastError
+    return data
   }
 
+  const executeRequest = () => withRetries(attemptRequest, { retries, retryDelay })
+
   // Dedupe concurrent identical requests
   if (dedupe && method === 'GET') {
     return requestQueue.dedupe(cacheKey, executeRequest)
@@ -561,134 +610,327 @@ export const useInfiniteQuery = (getUrl, options = {}) => {
 }
 
 // ============================================
-// API ENDPOINTS
+// BACKEND ENDPOINTS
 // ============================================
 
 /**
- * Market API endpoints
+ * Markets read from the indexer backend (`backend/`). Every response carries
+ * the `tipHeight` the index had reached.
  */
 export const marketsApi = {
-  getAll: (params) => api.get('/markets', { params, cache: true }),
-  getById: (id) => api.get(`/markets/${id}`, { cache: true }),
-  getFeatured: () => api.get('/markets/featured', { cache: true, cacheTTL: 30000 }),
-  getTrending: () => api.get('/markets/trending', { cache: true, cacheTTL: 30000 }),
-  getByCategory: (category) => api.get(`/markets/category/${category}`, { cache: true }),
-  search: (query) => api.get('/markets/search', { params: { q: query } }),
-  create: (data) => api.post('/markets', data),
-  resolve: (id, outcome) => api.post(`/markets/${id}/resolve`, { outcome })
+  getAll: (params) => api.get('/markets', { params }),
+  getById: (id) => api.get(`/markets/${id}`),
+  getBets: (id, params) => api.get(`/markets/${id}/bets`, { params }),
+  getTrending: (params) => api.get('/markets/trending', { params }),
+  search: (query, params) => api.get('/markets/search', { params: { ...params, q: query } }),
+  // Events after block `since` and the markets they (or the passing blocks) changed
+  getEvents: (since) => api.get('/events', { params: { since } })
 }
 
 /**
- * Bets API endpoints
+ * Users read from the indexer backend
  */
-export const betsApi = {
-  getByMarket: (marketId) => api.get(`/markets/${marketId}/bets`, { cache: true }),
-  getByUser: (address) => api.get(`/users/${address}/bets`, { cache: true }),
-  place: (marketId, data) => api.post(`/markets/${marketId}/bets`, data),
-  claim: (betId) => api.post(`/bets/${betId}/claim`)
+export const usersApi = {
+  getProfile: (address) => api.get(`/users/${address}`),
+  getBets: (address, params) => api.get(`/users/${address}/bets`, { params }),
+  getLeaderboard: (params) => api.get('/leaderboard', { params })
 }
 
 /**
- * User API endpoints
+ * Protocol totals and indexer status from the backend
  */
-export const usersApi = {
-  getProfile: (address) => api.get(`/users/${address}`, { cache: true }),
-  updateProfile: (address, data) => api.put(`/users/${address}`, data),
-  getStats: (address) => api.get(`/users/${address}/stats`, { cache: true }),
-  getLeaderboard: (params) => api.get('/leaderboard', { params, cache: true })
+export const statsApi = {
+  getTotals: () => api.get('/stats'),
+  getStatus: () => api.get('/status')
 }
 
+// What `get-position` returns for an address that never bet on the market
+const EMPTY_POSITION = { yesShares: 0, noShares: 0, totalInvested: 0, claimed: false }
+
+// The backend answers 404 for markets that do not exist; the chain answers none
+const orNull = (promise) =>
+  promise.catch((err) => {
+    if (err.status === 404) return null
+    throw err
+  })
+
+// ============================================
+// CONTRACT QUERIES
+// ============================================
+
 /**
- * Stacks blockchain API endpoints
+ * The contract a query reads: `{ network, contractAddress, contractName }`,
+ * filled in from the active network
  */
-export const stacksApi = {
-  getBalance: (address) => api.get(
-    `https://stacks-node-api.mainnet.stacks.co/extended/v1/address/${address}/balances`,
-    { cache: true, cacheTTL: 15000 }
-  ),
-  getTransaction: (txId) => api.get(
-    `https://stacks-node-api.mainnet.stacks.co/extended/v1/tx/${txId}`,
-    { cache: true }
-  ),
-  getAccountTransactions: (address, params) => api.get(
-    `https://stacks-node-api.mainnet.stacks.co/extended/v1/address/${address}/transactions`,
-    { params, cache: true, cacheTTL: 30000 }
-  )
+const resolveContract = (contract = {}) => {
+  const active = getActiveNetwork()
+  return {
+    network: contract.network || active.network,
+    contractAddress: contract.contractAddress || active.config.contractAddress,
+    contractName: contract.contractName || active.config.contractName,
+  }
 }
 
-// ============================================
-// CUSTOM HOOKS FOR SPECIFIC DATA
-// ============================================
+const contractPrefix = ({ network, contractAddress, contractName }) =>
+  `chain|${network.coreApiUrl}|${contractAddress}.${contractName}|`
 
 /**
- * Hook for fetching markets
+ * Cache keys of the contract queries. They start with the node and contract,
+ * so switching networks never mixes caches.
  */
-export const useMarkets = (params = {}) => {
-  return useQuery('/markets', {
-    params,
-    cache: true,
-    cacheTTL: 30000,
-    refetchInterval: 60000
-  })
+export const chainQueryKeys = {
+  all: (contract) => contractPrefix(contract),
+  market: (contract, marketId) => `${contractPrefix(contract)}market|${marketId}`,
+  position: (contract, marketId, address) => `${contractPrefix(contract)}position|${marketId}|${address}`,
+  userStats: (contract, address) => `${contractPrefix(contract)}user-stats|${address}`,
+  totals: (contract) => `${contractPrefix(contract)}totals`,
+  paused: (contract) => `${contractPrefix(contract)}paused`,
 }
 
+const chainQueryState = (entry, extra = {}) => ({
+  data: entry?.data ?? null,
+  blockHeight: entry?.blockHeight ?? null,
+  error: null,
+  isLoading: !entry,
+  isError: false,
+  isSuccess: !!entry,
+  isFetching: false,
+  ...extra
+})
+
 /**
- * Hook for fetching single market
+ * Shared read-only contract query. `queryFn(index)` reads through the
+ * contract's MarketIndex; in backend mode `backendFn()` answers instead with
+ * `{ data, tipHeight }`. The result is cached under `key` and stays fresh
+ * for the block it was read at: when the chain stream reports a new tip it
+ * is read again (the index answers from its own cache unless a transaction
+ * touched it), and invalidating `key` re-reads it at once.
  */
-export const useMarket = (id) => {
-  return useQuery(id ? `/markets/${id}` : null, {
-    enabled: !!id,
-    cache: true,
-    cacheTTL: 15000
-  })
+export const useChainQuery = (key, queryFn, options = {}) => {
+  const {
+    contract,
+    backendFn,
+    enabled = true,
+    retries = globalConfig.retries,
+    retryDelay = globalConfig.retryDelay
+  } = options
+
+  const resolved = resolveContract(contract)
+  const stream = getChainEventStream(resolved)
+  const index = getMarketIndex(resolved)
+  const fromBackend = !!backendFn && usesBackend(resolved)
+  const active = enabled && !!key
+
+  const [state, setState] = useState(() =>
+    active ? chainQueryState(cache.getEntry(key)) : chainQueryState(null, { isLoading: false })
+  )
+  const [tipHeight, setTipHeight] = useState(stream.status.tipHeight)
+  const queryFnRef = useRef(queryFn)
+  queryFnRef.current = queryFn
+  const backendFnRef = useRef(backendFn)
+  backendFnRef.current = backendFn
+  const mountedRef = useRef(true)
+
+  useEffect(() => {
+    mountedRef.current = true
+    return () => {
+      mountedRef.current = false
+    }
+  }, [])
+
+  const fetchData = useCallback(async () => {
+    if (!active) return
+    setState(prev => ({ ...prev, isFetching: true }))
+
+    try {
+      // Subscribers, this hook included, pick the result up from the cache
+      await requestQueue.dedupe(key, async () => {
+        if (fromBackend) {
+          // `request` retries on its own
+          const { data, tipHeight: blockHeight } = await backendFnRef.current()
+          cache.set(key, data, null, blockHeight)
+          return data
+        }
+        const data = await withRetries(() => queryFnRef.current(index), { retries, retryDelay })
+        cache.set(key, data, null, index.tipHeight)
+        return data
+      })
+    } catch (err) {
+      if (mountedRef.current) {
+        setState(prev => ({
+          ...prev,
+          error: err,
+          isLoading: false,
+          isError: true,
+          isFetching: false
+        }))
+      }
+    }
+  }, [active, key, index, fromBackend, retries, retryDelay])
+
+  // Follow the tip; the stream keeps running while a query is mounted
+  useEffect(() => {
+    setTipHeight(stream.status.tipHeight)
+    const unsubscribe = stream.subscribeStatus((status) => setTipHeight(status.tipHeight))
+    stream.start()
+    return () => {
+      unsubscribe()
+      stream.stop()
+    }
+  }, [stream])
+
+  // Results from any component, and invalidations
+  useEffect(() => {
+    if (!active) return
+    return cache.subscribe(key, (data, { removed }) => {
+      if (removed) fetchData()
+      else if (mountedRef.current) setState(chainQueryState(cache.getEntry(key)))
+    })
+  }, [active, key, fetchData])
+
+  // Read when there is nothing cached or the entry is from an older block
+  useEffect(() => {
+    if (!active) {
+      setState(chainQueryState(null, { isLoading: false }))
+      return
+    }
+    const entry = cache.getEntry(key)
+    const isStale = !entry || (tipHeight != null && (entry.blockHeight ?? -1) < tipHeight)
+    if (entry) setState(chainQueryState(entry))
+    if (isStale) fetchData()
+  }, [active, key, tipHeight, fetchData])
+
+  const refetch = useCallback(() => {
+    cache.invalidate(key)
+    return fetchData()
+  }, [key, fetchData])
+
+  return {
+    ...state,
+    refetch
+  }
 }
 
 /**
- * Hook for fetching user profile
+ * `get-market`; `data` is null when the market does not exist
  */
-export const useUserProfile = (address) => {
-  return useQuery(address ? `/users/${address}` : null, {
-    enabled: !!address,
-    cache: true,
-    cacheTTL: 60000
-  })
+export const useMarketQuery = (marketId, contract) => {
+  const resolved = resolveContract(contract)
+  const valid = Number.isInteger(Number(marketId)) && Number(marketId) > 0
+  return useChainQuery(
+    valid ? chainQueryKeys.market(resolved, Number(marketId)) : null,
+    (index) => index.fetchMarket(Number(marketId)),
+    {
+      contract: resolved,
+      backendFn: () =>
+        orNull(marketsApi.getById(Number(marketId))).then((res) => ({
+          data: res?.market ?? null,
+          tipHeight: res?.tipHeight ?? null
+        }))
+    }
+  )
 }
 
 /**
- * Hook for placing bets
+ * `get-position` of `address` on a market
  */
-export const usePlaceBet = (marketId) => {
-  return useMutation(
-    (betData) => betsApi.place(marketId, betData),
+export const usePositionQuery = (marketId, address, contract) => {
+  const resolved = resolveContract(contract)
+  return useChainQuery(
+    marketId != null && address ? chainQueryKeys.position(resolved, Number(marketId), address) : null,
+    (index) => index.getPosition(Number(marketId), address),
     {
-      invalidateKeys: [`/markets/${marketId}`, '/users/'],
-      onSuccess: () => {
-        // Optionally show toast notification
-      }
+      contract: resolved,
+      backendFn: () =>
+        usersApi.getProfile(address).then((res) => {
+          const { yesShares, noShares, totalInvested, claimed } =
+            res.positions.find((p) => p.marketId === Number(marketId)) || EMPTY_POSITION
+          return { data: { yesShares, noShares, totalInvested, claimed }, tipHeight: res.tipHeight }
+        })
     }
   )
 }
 
+/**
+ * `get-user-stats` of `address`
+ */
+export const useUserStatsQuery = (address, contract) => {
+  const resolved = resolveContract(contract)
+  return useChainQuery(
+    address ? chainQueryKeys.userStats(resolved, address) : null,
+    (index) => index.getUserStats(address),
+    {
+      contract: resolved,
+      backendFn: () => usersApi.getProfile(address).then((res) => ({ data: res.stats, tipHeight: res.tipHeight }))
+    }
+  )
+}
+
+/**
+ * Protocol-wide volume, market and bet counts
+ */
+export const useProtocolTotals = (contract) => {
+  const resolved = resolveContract(contract)
+  return useChainQuery(
+    chainQueryKeys.totals(resolved),
+    (index) => index.getTotals(),
+    {
+      contract: resolved,
+      backendFn: () =>
+        statsApi.getTotals().then(({ tipHeight, ...totals }) => ({ data: totals, tipHeight }))
+    }
+  )
+}
+
+/**
+ * The protocol pause flag; `data` is true while `create-market` and
+ * `place-bet` are refused. Read from the chain in backend mode too.
+ */
+export const useProtocolPaused = (contract) => {
+  const resolved = resolveContract(contract)
+  return useChainQuery(chainQueryKeys.paused(resolved), (index) => index.isPaused(), { contract: resolved })
+}
+
+/**
+ * Drop the queries one of our confirmed transactions may have changed: its
+ * market, every position on it, the sender's stats and the protocol totals,
+ * plus the pause flag after an admin call
+ */
+export const invalidateTransactionQueries = (contract, { marketId, sender, type }) => {
+  const resolved = resolveContract(contract)
+  if (marketId != null) {
+    cache.invalidate(chainQueryKeys.market(resolved, marketId))
+    cache.invalidatePrefix(chainQueryKeys.position(resolved, marketId, ''))
+  }
+  if (sender) cache.invalidate(chainQueryKeys.userStats(resolved, sender))
+  cache.invalidate(chainQueryKeys.totals(resolved))
+  if (type === TX_TYPES.ADMIN) cache.invalidate(chainQueryKeys.paused(resolved))
+}
+
 export default {
   // Configuration
   configureApi,
   // HTTP Client
   request,
   api,
+  withRetries,
   // Cache
   cache,
   // Hooks
   useQuery,
   useMutation,
   useInfiniteQuery,
-  // API Endpoints
+  // Backend endpoints
   marketsApi,
-  betsApi,
   usersApi,
-  stacksApi,
-  // Custom Hooks
-  useMarkets,
-  useMarket,
-  useUserProfile,
-  usePlaceBet
+  statsApi,
+  // Contract queries
+  chainQueryKeys,
+  useChainQuery,
+  useMarketQuery,
+  usePositionQuery,
+  useUserStatsQuery,
+  useProtocolTotals,
+  useProtocolPaused,
+  invalidateTransactionQueries
 }
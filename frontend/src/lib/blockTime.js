@@ -0,0 +1,246 @@
+import { useEffect, useState } from 'react'
+import { getActiveNetwork } from './config'
+import { fetchStacksTipHeight } from './hiro'
+
+/**
+ * Block time estimation for StacksBet Arena
+ * Market deadlines are block heights. The estimator measures how long
+ * recent blocks took on the connected node and converts between heights and
+ * wall-clock times. Every estimate comes with a range spanning the fastest
+ * and slowest of the measured windows, so it widens with distance.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Used until the node has been measured, or when it cannot be
+export const DEFAULT_BLOCK_TIME_SECONDS = 600
+// Unmeasured estimates allow blocks this much faster or slower
+const UNMEASURED_SPREAD = 0.5
+// Block counts the average is measured over; the longest available wins
+const WINDOWS = [1000, 10000]
+const PAGE_SIZE = 30
+const REFRESH_INTERVAL = 10 * 60 * 1000
+
+const blockTimestamp = (block) => (block.block_time ?? block.burn_block_time) * 1000
+
+/**
+ * Average seconds per block between two `{ height, time }` points (time in
+ * ms), or null when they are the same block
+ */
+export const averageBlockSeconds = (newer, older) => {
+  const blocks = newer.height - older.height
+  if (blocks <= 0) return null
+  return (newer.time - older.time) / 1000 / blocks
+}
+
+/**
+ * Sample from the measured windows: the tip, the average of the longest
+ * window and the fastest and slowest averages seen
+ */
+export const summarizeBlockTimes = (tip, points) => {
+  const averages = points
+    .map((point) => averageBlockSeconds(tip, point))
+    .filter((seconds) => seconds != null && seconds > 0)
+  if (averages.length === 0) return null
+
+  return {
+    tip,
+    secondsPerBlock: averages[averages.length - 1],
+    fastest: Math.min(...averages),
+    slowest: Math.max(...averages),
+    windows: averages.length,
+    measured: true,
+  }
+}
+
+// ============================================
+// ESTIMATOR
+// ============================================
+
+export class BlockTimeEstimator {
+  constructor({ network }) {
+    this.network = network
+    this.sample = null
+    this.measuredAt = 0
+    this.pendingRefresh = null
+    this.listeners = new Set()
+  }
+
+  async fetchJson(path) {
+    const res = await this.network.fetchFn(`${this.network.coreApiUrl}${path}`)
+    if (!res.ok) {
+      const error = new Error(`Failed to fetch ${path} (${res.status})`)
+      error.status = res.status
+      throw error
+    }
+    return res.json()
+  }
+
+  /**
+   * Re-measure block times. Concurrent callers share one request.
+   */
+  refresh() {
+    if (this.pendingRefresh) return this.pendingRefresh
+
+    this.pendingRefresh = this.measure()
+      .then((sample) => {
+        this.sample = sample
+        this.measuredAt = Date.now()
+        this.notify()
+        return sample
+      })
+      .finally(() => {
+        this.pendingRefresh = null
+      })
+    return this.pendingRefresh
+  }
+
+  /**
+   * Refresh when there is no sample yet or it is older than `maxAge` ms
+   */
+  ensure(maxAge = REFRESH_INTERVAL) {
+    if (this.sample && Date.now() - this.measuredAt < maxAge) return Promise.resolve(this.sample)
+    return this.refresh()
+  }
+
+  async measure() {
+    try {
+      const page = await this.fetchJson(`/extended/v1/block?limit=${PAGE_SIZE}`)
+      const blocks = (page.results || []).map((block) => ({ height: block.height, time: blockTimestamp(block) }))
+      if (blocks.length === 0) throw new Error('No blocks returned')
+
+      const tip = blocks[0]
+      const older = await Promise.all(
+        WINDOWS.filter((size) => tip.height - size >= 0).map((size) =>
+          this.fetchJson(`/extended/v1/block/by_height/${tip.height - size}`)
+            .then((block) => ({ height: block.height, time: blockTimestamp(block) }))
+            .catch(() => null)
+        )
+      )
+
+      const sample = summarizeBlockTimes(tip, [blocks[blocks.length - 1], ...older.filter(Boolean)])
+      if (sample) return sample
+    } catch {
+      // Fall through to the unmeasured estimate below
+    }
+
+    // Nothing to measure: take the tip as mined now and assume the default
+    const height = await fetchStacksTipHeight(this.network.coreApiUrl, this.network.fetchFn)
+    return {
+      tip: { height, time: Date.now() },
+      secondsPerBlock: DEFAULT_BLOCK_TIME_SECONDS,
+      fastest: DEFAULT_BLOCK_TIME_SECONDS * (1 - UNMEASURED_SPREAD),
+      slowest: DEFAULT_BLOCK_TIME_SECONDS * (1 + UNMEASURED_SPREAD),
+      windows: 0,
+      measured: false,
+    }
+  }
+
+  get secondsPerBlock() {
+    return this.sample?.secondsPerBlock ?? DEFAULT_BLOCK_TIME_SECONDS
+  }
+
+  get tipHeight() {
+    return this.sample?.tip.height ?? null
+  }
+
+  /**
+   * When block `height` is (or was) mined: `{ time, earliest, latest }` in
+   * ms. Null until the first measurement.
+   */
+  estimateTime(height) {
+    if (!this.sample) return null
+    const { tip, secondsPerBlock, fastest, slowest } = this.sample
+    const blocks = height - tip.height
+    const at = (seconds) => tip.time + blocks * seconds * 1000
+    return {
+      time: at(secondsPerBlock),
+      earliest: Math.min(at(fastest), at(slowest)),
+      latest: Math.max(at(fastest), at(slowest)),
+    }
+  }
+
+  /**
+   * The first block expected at or after `date`: `{ height, low, high }`.
+   * Null until the first measurement.
+   */
+  estimateHeight(date) {
+    if (!this.sample) return null
+    const { tip, secondsPerBlock, fastest, slowest } = this.sample
+    const seconds = (new Date(date).getTime() - tip.time) / 1000
+    const at = (perBlock) => tip.height + Math.ceil(seconds / perBlock)
+    return {
+      height: at(secondsPerBlock),
+      low: Math.min(at(fastest), at(slowest)),
+      high: Math.max(at(fastest), at(slowest)),
+    }
+  }
+
+  /**
+   * Expected seconds from `now` until block `height`; 0 once it is due.
+   * Before the first measurement, `currentBlock` and the default block time
+   * stand in.
+   */
+  secondsUntil(height, { currentBlock = null, now = Date.now() } = {}) {
+    const estimate = this.estimateTime(height)
+    if (estimate) return Math.max(0, Math.round((estimate.time - now) / 1000))
+    if (currentBlock == null) return null
+    return Math.max(0, (height - currentBlock) * DEFAULT_BLOCK_TIME_SECONDS)
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.sample))
+  }
+}
+
+// ============================================
+// SHARED INSTANCES
+// ============================================
+
+const estimators = new Map()
+
+/**
+ * Get the shared estimator for a network
+ */
+export const getBlockTimeEstimator = ({ network = getActiveNetwork().network } = {}) => {
+  const key = network.coreApiUrl
+  if (!estimators.has(key)) {
+    estimators.set(key, new BlockTimeEstimator({ network }))
+  }
+  return estimators.get(key)
+}
+
+/**
+ * The shared estimator for `network`, measured on mount and re-rendering
+ * the caller whenever a new sample arrives
+ */
+export const useBlockTimeEstimator = (network = getActiveNetwork().network) => {
+  const estimator = getBlockTimeEstimator({ network })
+  const [, setSample] = useState(estimator.sample)
+
+  useEffect(() => {
+    const unsubscribe = estimator.subscribe(setSample)
+    estimator.ensure().catch(() => {})
+    return unsubscribe
+  }, [estimator])
+
+  return estimator
+}
+
+export default {
+  DEFAULT_BLOCK_TIME_SECONDS,
+  BlockTimeEstimator,
+  getBlockTimeEstimator,
+  useBlockTimeEstimator,
+  averageBlockSeconds,
+  summarizeBlockTimes,
+}
@@ -2,11 +2,184 @@
 // StacksBet Arena - Configuration
 // ============================================================
 
+import { StacksMainnet, StacksTestnet, StacksMocknet } from '@stacks/network'
+import { getStorageItem, setStorageItem } from './storage'
+
 export const CONFIG = {
   reownProjectId: import.meta.env.VITE_REOWN_PROJECT_ID || '',
   contractAddress: import.meta.env.VITE_CONTRACT_ADDRESS || '',
   contractName: import.meta.env.VITE_CONTRACT_NAME || 'stacksbet-arena',
   hiroApiUrl: import.meta.env.VITE_HIRO_API_URL || 'https://api.mainnet.hiro.so',
+  // 'chain' reads the contract directly; 'backend' reads the indexer API at VITE_API_URL
+  dataSource: import.meta.env.VITE_DATA_SOURCE === 'backend' ? 'backend' : 'chain',
+}
+
+// ============================================================
+// Mock network
+// ============================================================
+
+// The node itself lives in lib/mockNode and is imported only once the mock
+// network is used, so production bundles load it on demand at most
+export const MOCK_API_URL = 'http://mocknet.stacksbet.local'
+
+// Clarinet's default devnet accounts; the deployer owns the contract on the
+// mock network and on a fresh devnet alike
+export const MOCK_ACCOUNTS = {
+  deployer: 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM',
+  wallet1: 'ST1SJ3DTE5DN7X54YDH5D64R3BCB6A2AG2ZQ8YPD5',
+  wallet2: 'ST2CY5V39NHDPWSXMW9QDT3HC3GD6Q6XX4CFRK9AG',
+  wallet3: 'ST2JHG361ZXG51QTKY2NQCVBPPRRE2KZB1HR05NNC',
+}
+
+export const isMockNetwork = (network) => network?.coreApiUrl === MOCK_API_URL
+
+let mockNodeModule = null
+
+/**
+ * lib/mockNode, imported on first use
+ */
+export const loadMockNode = () => {
+  if (!mockNodeModule) mockNodeModule = import('./mockNode')
+  return mockNodeModule
+}
+
+// ============================================================
+// Networks
+// ============================================================
+
+const NETWORK_STORAGE_KEY = 'network'
+
+/**
+ * Every network the app can talk to. `chainId` is the CAIP-2 id used for the
+ * WalletConnect `stacks` namespace; `explorerChain` is the Hiro explorer's
+ * `chain` query param.
+ */
+export const NETWORKS = {
+  mainnet: {
+    id: 'mainnet',
+    label: 'Mainnet',
+    apiUrl: CONFIG.hiroApiUrl,
+    chainId: 'stacks:1',
+    explorerChain: 'mainnet',
+    isMainnet: true,
+    contractAddress: CONFIG.contractAddress,
+    contractAddressEnv: 'VITE_CONTRACT_ADDRESS',
+  },
+  testnet: {
+    id: 'testnet',
+    label: 'Testnet',
+    apiUrl: import.meta.env.VITE_TESTNET_API_URL || 'https://api.testnet.hiro.so',
+    chainId: 'stacks:2147483648',
+    explorerChain: 'testnet',
+    isMainnet: false,
+    contractAddress: import.meta.env.VITE_TESTNET_CONTRACT_ADDRESS || '',
+    contractAddressEnv: 'VITE_TESTNET_CONTRACT_ADDRESS',
+  },
+  devnet: {
+    id: 'devnet',
+    label: 'Devnet',
+    apiUrl: import.meta.env.VITE_DEVNET_API_URL || 'http://localhost:3999',
+    chainId: 'stacks:2147483648',
+    explorerChain: 'testnet',
+    isMainnet: false,
+    contractAddress: import.meta.env.VITE_DEVNET_CONTRACT_ADDRESS || MOCK_ACCOUNTS.deployer,
+    contractAddressEnv: 'VITE_DEVNET_CONTRACT_ADDRESS',
+  },
+  // Simulated in the browser by lib/mockNode; no wallet or network needed
+  mock: {
+    id: 'mock',
+    label: 'Mock node',
+    apiUrl: MOCK_API_URL,
+    chainId: 'stacks:2147483648',
+    explorerChain: 'testnet',
+    isMainnet: false,
+    contractAddress: MOCK_ACCOUNTS.deployer,
+  },
+  custom: {
+    id: 'custom',
+    label: 'Custom',
+    apiUrl: '',
+    chainId: 'stacks:2147483648',
+    explorerChain: 'testnet',
+    isMainnet: false,
+    contractAddress: '',
+  },
+}
+
+export const DEFAULT_NETWORK_ID = NETWORKS[import.meta.env.VITE_STACKS_NETWORK]
+  ? import.meta.env.VITE_STACKS_NETWORK
+  : 'mainnet'
+
+/**
+ * Resolve a registry entry. `custom` takes its API URL (and optionally the
+ * contract deployer) from `overrides`; the others may override the deployer.
+ */
+export function getNetworkConfig(id = DEFAULT_NETWORK_ID, overrides = {}) {
+  const base = NETWORKS[id] || NETWORKS[DEFAULT_NETWORK_ID]
+  const apiUrl = (base.id === 'custom' ? overrides.apiUrl : base.apiUrl) || ''
+  return {
+    ...base,
+    apiUrl: apiUrl.replace(/\/+$/, ''),
+    contractAddress: overrides.contractAddress || base.contractAddress,
+    contractName: CONFIG.contractName,
+  }
+}
+
+/**
+ * Build the `@stacks/network` instance every read-only call and
+ * `openContractCall` goes through
+ */
+export function createStacksNetwork(networkConfig) {
+  const opts = { url: networkConfig.apiUrl }
+  if (networkConfig.isMainnet) return new StacksMainnet(opts)
+  if (networkConfig.id === 'devnet') return new StacksMocknet(opts)
+  // Look the node up per request so `resetMockNode` takes effect
+  if (networkConfig.id === 'mock') {
+    return new StacksTestnet({ ...opts, fetchFn: async (...args) => (await loadMockNode()).getMockNode().fetch(...args) })
+  }
+  return new StacksTestnet(opts)
+}
+
+let activeNetwork = null
+
+/**
+ * The selected network: `{ config, network }`. Restored from storage on first
+ * use so modules outside React (and a reload) agree with the NetworkProvider.
+ */
+export function getActiveNetwork() {
+  if (!activeNetwork) {
+    const stored = getStorageItem(NETWORK_STORAGE_KEY, null)
+    let config = getNetworkConfig(stored?.id, stored?.overrides)
+    // A custom network saved without a URL cannot be reached; use the default
+    if (!config.apiUrl) config = getNetworkConfig(DEFAULT_NETWORK_ID)
+    activeNetwork = { config, network: createStacksNetwork(config) }
+  }
+  return activeNetwork
+}
+
+/**
+ * Switch the active network and remember the choice
+ */
+export function setActiveNetwork(id, overrides = {}) {
+  const config = getNetworkConfig(id, overrides)
+  if (!config.apiUrl) throw new Error(`No API URL configured for the ${config.label} network`)
+
+  activeNetwork = { config, network: createStacksNetwork(config) }
+  setStorageItem(NETWORK_STORAGE_KEY, { id: config.id, overrides })
+  return activeNetwork
+}
+
+/**
+ * Whether reads for this contract go to the backend. The backend indexes the
+ * default network's contract only, so any other network or deployer is read
+ * from the chain.
+ */
+export function usesBackend({ network, contractAddress, contractName }) {
+  if (CONFIG.dataSource !== 'backend') return false
+  const indexed = getNetworkConfig(DEFAULT_NETWORK_ID)
+  return network?.coreApiUrl === indexed.apiUrl
+    && contractAddress === indexed.contractAddress
+    && contractName === indexed.contractName
 }
 
 // Outcome constants (must match Clarity contract)
@@ -31,9 +204,12 @@ export const APP_METADATA = {
   icons: ['/logo.png'],
 }
 
-export function assertFrontendConfig() {
+export function assertFrontendConfig(networkConfig = getActiveNetwork().config) {
+  if (networkConfig.id === 'custom' && !networkConfig.contractAddress) {
+    throw new Error('Missing contract address for the custom network')
+  }
   const missing = []
-  if (!CONFIG.contractAddress) missing.push('VITE_CONTRACT_ADDRESS')
+  if (!networkConfig.contractAddress) missing.push(networkConfig.contractAddressEnv)
   if (!CONFIG.contractName) missing.push('VITE_CONTRACT_NAME')
   if (missing.length) {
     throw new Error(`Missing required env vars: ${missing.join(', ')}`)
@@ -2,9 +2,29 @@ import {
   callReadOnlyFunction,
   cvToJSON,
   noneCV,
+  principalCV,
   standardPrincipalCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  uintCV,
+  PostConditionMode,
+  FungibleConditionCode,
+  makeContractSTXPostCondition,
+  makeStandardSTXPostCondition,
 } from '@stacks/transactions'
+import { openContractCall } from '@stacks/connect'
+import { isMockNetwork, loadMockNode } from './config'
+import { toContractError } from './errors'
 
+export const APP_DETAILS = {
+  name: 'StacksBet Arena',
+  icon: typeof window !== 'undefined' ? window.location.origin + '/logo.png' : '/logo.png',
+}
+
+/**
+ * Call a read-only function and return its `cvToJSON` result. An `(err uN)`
+ * response is thrown as a ContractError.
+ */
 export async function readOnly({
   network,
   contractAddress,
@@ -22,7 +42,170 @@ export async function readOnly({
     senderAddress,
   })
 
-  return cvToJSON(resultCv)
+  const json = cvToJSON(resultCv)
+  const contractError = toContractError(json, { functionName })
+  if (contractError) throw contractError
+  return json
+}
+
+/**
+ * Open the wallet for a contract call and resolve with the broadcast data
+ * once it is signed. Rejects with `{ cancelled: true }` when the user closes
+ * the wallet prompt. On the mock network the call runs straight against the
+ * in-browser node as `userAddress`.
+ */
+export function contractCall({
+  network,
+  userSession,
+  userAddress,
+  contractAddress,
+  contractName,
+  functionName,
+  functionArgs,
+  postConditions = [],
+}) {
+  if (isMockNetwork(network)) {
+    return loadMockNode().then(({ getMockNode }) => {
+      const tx = getMockNode().submitContractCall({ sender: userAddress, functionName, functionArgs })
+      return { txId: tx.tx_id, txRaw: null }
+    })
+  }
+
+  return new Promise((resolve, reject) => {
+    openContractCall({
+      appDetails: APP_DETAILS,
+      network,
+      stxAddress: userAddress,
+      contractAddress,
+      contractName,
+      functionName,
+      functionArgs,
+      postConditionMode: PostConditionMode.Deny,
+      postConditions,
+      userSession,
+      onFinish: (data) => resolve(data),
+      onCancel: () => {
+        const error = new Error('Transaction cancelled')
+        error.cancelled = true
+        reject(error)
+      },
+    }).catch(reject)
+  })
+}
+
+/**
+ * Create a market seeded with `liquidity` micro-STX. `endTime` and
+ * `resolutionTime` are block heights. The post-condition caps the creator's
+ * STX outflow at the liquidity.
+ */
+export function createMarket({
+  title,
+  description,
+  category,
+  resolutionSource,
+  endTime,
+  resolutionTime,
+  liquidity,
+  ...options
+}) {
+  return contractCall({
+    ...options,
+    functionName: 'create-market',
+    functionArgs: [
+      stringUtf8CV(title),
+      stringUtf8CV(description),
+      stringAsciiCV(category),
+      stringUtf8CV(resolutionSource),
+      uintCV(endTime),
+      uintCV(resolutionTime),
+      uintCV(liquidity),
+    ],
+    postConditions: [
+      makeStandardSTXPostCondition(options.userAddress, FungibleConditionCode.LessEqual, liquidity),
+    ],
+  })
+}
+
+/**
+ * Place a bet of `amount` micro-STX on `outcome`. The post-condition caps the
+ * bettor's STX outflow at the stake; fees are taken out of it by the contract.
+ */
+export function placeBet({ marketId, outcome, amount, ...options }) {
+  return contractCall({
+    ...options,
+    functionName: 'place-bet',
+    functionArgs: [uintCV(marketId), uintCV(outcome), uintCV(amount)],
+    postConditions: [
+      makeStandardSTXPostCondition(options.userAddress, FungibleConditionCode.LessEqual, amount),
+    ],
+  })
+}
+
+/**
+ * Claim winnings (or a refund) on a resolved market. The post-condition caps
+ * the contract's STX outflow at the payout reported by `calculate-payout`.
+ */
+export function claimWinnings({ marketId, payout, ...options }) {
+  return contractCall({
+    ...options,
+    functionName: 'claim-winnings',
+    functionArgs: [uintCV(marketId)],
+    postConditions: [
+      makeContractSTXPostCondition(
+        options.contractAddress,
+        options.contractName,
+        FungibleConditionCode.LessEqual,
+        payout
+      ),
+    ],
+  })
+}
+
+/**
+ * Resolve a market (deployer or registered oracle only). No STX moves.
+ */
+export function resolveMarket({ marketId, outcome, ...options }) {
+  return contractCall({
+    ...options,
+    functionName: 'resolve-market',
+    functionArgs: [uintCV(marketId), uintCV(outcome)],
+  })
+}
+
+/**
+ * Cancel a market (creator only). It resolves as INVALID, so every position
+ * becomes refundable through `claim-winnings`. No STX moves.
+ */
+export function cancelMarket({ marketId, ...options }) {
+  return contractCall({
+    ...options,
+    functionName: 'cancel-market',
+    functionArgs: [uintCV(marketId)],
+  })
+}
+
+// ============================================================
+// Owner-only calls. None of them move STX.
+// ============================================================
+
+export function addOracle({ oracle, ...options }) {
+  return contractCall({ ...options, functionName: 'add-oracle', functionArgs: [principalCV(oracle)] })
+}
+
+export function removeOracle({ oracle, ...options }) {
+  return contractCall({ ...options, functionName: 'remove-oracle', functionArgs: [principalCV(oracle)] })
+}
+
+export function toggleProtocol(options) {
+  return contractCall({ ...options, functionName: 'toggle-protocol', functionArgs: [] })
+}
+
+export function setTreasury({ treasury, ...options }) {
+  return contractCall({ ...options, functionName: 'set-treasury', functionArgs: [principalCV(treasury)] })
+}
+
+export function emergencyClose({ marketId, ...options }) {
+  return contractCall({ ...options, functionName: 'emergency-close', functionArgs: [uintCV(marketId)] })
 }
 
 export function none() {
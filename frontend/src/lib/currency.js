@@ -78,6 +78,49 @@ export const fetchStxPrice = async () => {
   }
 }
 
+// Historical prices per UTC day ('dd-mm-yyyy' -> Promise of prices or null)
+const historyCache = new Map()
+
+const toCoinGeckoDate = (date) => {
+  const d = new Date(date)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${pad(d.getUTCDate())}-${pad(d.getUTCMonth() + 1)}-${d.getUTCFullYear()}`
+}
+
+/**
+ * Fetch the STX price on the UTC day of `date`. Unlike fetchStxPrice there
+ * is no fallback: resolves to null when the price is unknown, so reports
+ * never show a guessed figure.
+ */
+export const fetchHistoricalStxPrice = async (date, currency = 'USD') => {
+  const day = toCoinGeckoDate(date)
+
+  if (!historyCache.has(day)) {
+    const request = fetch(
+      `https://api.coingecko.com/api/v3/coins/blockstack/history?date=${day}&localization=false`
+    )
+      .then((response) => {
+        if (!response.ok) throw new Error('Failed to fetch historical price')
+        return response.json()
+      })
+      .then((data) => {
+        const price = data.market_data?.current_price
+        if (!price) return null
+        return { USD: price.usd, EUR: price.eur, GBP: price.gbp, BTC: price.btc, ETH: price.eth }
+      })
+      .catch((error) => {
+        console.error('Error fetching historical STX price:', error)
+        // Let a later call retry
+        historyCache.delete(day)
+        return null
+      })
+    historyCache.set(day, request)
+  }
+
+  const prices = await historyCache.get(day)
+  return prices?.[currency] ?? null
+}
+
 /**
  * Convert STX to fiat currency
  */
@@ -329,6 +372,7 @@ export default {
   CURRENCIES,
   CURRENCY_SYMBOLS,
   fetchStxPrice,
+  fetchHistoricalStxPrice,
   stxToFiat,
   fiatToStx,
   formatCurrency,
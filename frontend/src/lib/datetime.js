@@ -294,6 +294,15 @@ export const parseDate = (input) => {
   return isNaN(date.getTime()) ? null : date
 }
 
+/**
+ * Local `YYYY-MM-DDTHH:mm`, the value format of `<input type="datetime-local">`
+ */
+export const toDateTimeInputValue = (date) => {
+  const d = new Date(date)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
 /**
  * Add time to date
  */
@@ -494,26 +503,6 @@ export const useDeadlineStatus = (deadline, updateInterval = 60000) => {
   return status
 }
 
-/**
- * Hook: useMarketTimer
- */
-export const useMarketTimer = (market) => {
-  const countdown = useCountdown(market?.deadline || market?.endTime)
-  const status = useDeadlineStatus(market?.deadline || market?.endTime)
-
-  const canBet = !countdown.expired && market?.status === 'active'
-  const isResolved = market?.status === 'resolved'
-
-  return {
-    ...countdown,
-    ...status,
-    canBet,
-    isResolved,
-    timeLeft: countdown.total,
-    formattedTimeLeft: countdown.formatted.full
-  }
-}
-
 /**
  * Get date ranges
  */
@@ -599,9 +588,9 @@ export default {
   // Comparisons
   isToday, isYesterday, isThisWeek, getSmartDateLabel,
   // Utilities
-  parseDate, addTime, getDateDiff, getTimezoneInfo,
+  parseDate, toDateTimeInputValue, addTime, getDateDiff, getTimezoneInfo,
   getDateRanges, groupByDate,
   // Hooks
   useCountdown, useRelativeTime, useNow, useClock,
-  useDeadlineStatus, useMarketTimer
+  useDeadlineStatus
 }
@@ -30,6 +30,9 @@ export const ErrorCodes = {
   INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
   TRANSACTION_FAILED: 'TRANSACTION_FAILED',
   
+  // Contract errors
+  CONTRACT_ERROR: 'CONTRACT_ERROR',
+  
   // Validation errors
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   INVALID_INPUT: 'INVALID_INPUT',
@@ -55,6 +58,7 @@ export const ErrorMessages = {
   [ErrorCodes.WALLET_REJECTED]: 'Transaction was rejected.',
   [ErrorCodes.INSUFFICIENT_BALANCE]: 'Insufficient STX balance.',
   [ErrorCodes.TRANSACTION_FAILED]: 'Transaction failed. Please try again.',
+  [ErrorCodes.CONTRACT_ERROR]: 'The contract rejected this transaction.',
   [ErrorCodes.VALIDATION_ERROR]: 'Please check your input.',
   [ErrorCodes.INVALID_INPUT]: 'Invalid input provided.',
   [ErrorCodes.UNKNOWN_ERROR]: 'An unexpected error occurred.',
@@ -62,6 +66,106 @@ export const ErrorMessages = {
   [ErrorCodes.STATE_ERROR]: 'Application state error. Please refresh.'
 }
 
+// ============================================
+// CONTRACT ERROR CODES
+// ============================================
+
+// The contract's `(err u…)` constants
+export const ContractErrorCodes = {
+  NOT_AUTHORIZED: 2001,
+  MARKET_NOT_FOUND: 2002,
+  MARKET_CLOSED: 2003,
+  MARKET_NOT_RESOLVED: 2004,
+  ALREADY_RESOLVED: 2005,
+  INVALID_AMOUNT: 2006,
+  INVALID_OUTCOME: 2007,
+  NO_POSITION: 2008,
+  ALREADY_CLAIMED: 2009,
+  MARKET_ACTIVE: 2010,
+  INSUFFICIENT_LIQUIDITY: 2011
+}
+
+// `stx-transfer?` failures, which the contract passes through unchanged
+export const StxTransferErrorCodes = {
+  INSUFFICIENT_BALANCE: 1,
+  SAME_PRINCIPAL: 2,
+  NON_POSITIVE_AMOUNT: 3
+}
+
+// Contract constant name, user-facing message and what to do about it
+export const ContractErrorMessages = {
+  [StxTransferErrorCodes.INSUFFICIENT_BALANCE]: {
+    name: 'stx-transfer: insufficient balance',
+    message: 'Not enough STX.',
+    remediation: 'Top up your wallet or lower the amount.'
+  },
+  [StxTransferErrorCodes.SAME_PRINCIPAL]: {
+    name: 'stx-transfer: sender is recipient',
+    message: 'Sender and recipient are the same.',
+    remediation: 'Send from a different account.'
+  },
+  [StxTransferErrorCodes.NON_POSITIVE_AMOUNT]: {
+    name: 'stx-transfer: non-positive amount',
+    message: 'Nothing to transfer.',
+    remediation: 'Enter an amount above zero.'
+  },
+  [ContractErrorCodes.NOT_AUTHORIZED]: {
+    name: 'ERR-NOT-AUTHORIZED',
+    message: 'You are not allowed to do this.',
+    remediation: 'Switch to the market creator, a registered oracle or the contract owner.'
+  },
+  [ContractErrorCodes.MARKET_NOT_FOUND]: {
+    name: 'ERR-MARKET-NOT-FOUND',
+    message: 'This market does not exist.',
+    remediation: 'Check the market ID or refresh the market list.'
+  },
+  [ContractErrorCodes.MARKET_CLOSED]: {
+    name: 'ERR-MARKET-CLOSED',
+    message: 'This market has closed.',
+    remediation: 'Betting has ended or the protocol is paused. Pick an open market.'
+  },
+  [ContractErrorCodes.MARKET_NOT_RESOLVED]: {
+    name: 'ERR-MARKET-NOT-RESOLVED',
+    message: 'This market has not been resolved yet.',
+    remediation: 'Wait for an oracle to resolve it, then claim.'
+  },
+  [ContractErrorCodes.ALREADY_RESOLVED]: {
+    name: 'ERR-ALREADY-RESOLVED',
+    message: 'This market is already resolved.',
+    remediation: 'Refresh to see the final outcome.'
+  },
+  [ContractErrorCodes.INVALID_AMOUNT]: {
+    name: 'ERR-INVALID-AMOUNT',
+    message: 'Invalid amount or schedule.',
+    remediation: 'Bets need at least 0.1 STX; new markets need 1 STX of liquidity and an end before their resolution block.'
+  },
+  [ContractErrorCodes.INVALID_OUTCOME]: {
+    name: 'ERR-INVALID-OUTCOME',
+    message: 'Invalid outcome.',
+    remediation: 'Choose YES or NO (or INVALID when resolving).'
+  },
+  [ContractErrorCodes.NO_POSITION]: {
+    name: 'ERR-NO-POSITION',
+    message: 'Nothing to claim.',
+    remediation: 'Only winning positions, or any position on a cancelled market, pay out.'
+  },
+  [ContractErrorCodes.ALREADY_CLAIMED]: {
+    name: 'ERR-ALREADY-CLAIMED',
+    message: 'Already claimed.',
+    remediation: 'These winnings have been paid out; check your transaction history.'
+  },
+  [ContractErrorCodes.MARKET_ACTIVE]: {
+    name: 'ERR-MARKET-ACTIVE',
+    message: 'This market cannot be resolved yet.',
+    remediation: 'Wait until the resolution block has been reached.'
+  },
+  [ContractErrorCodes.INSUFFICIENT_LIQUIDITY]: {
+    name: 'ERR-INSUFFICIENT-LIQUIDITY',
+    message: 'Not enough liquidity in this market.',
+    remediation: 'Try a smaller amount.'
+  }
+}
+
 // ============================================
 // CUSTOM ERROR CLASSES
 // ============================================
@@ -108,10 +212,57 @@ export class ValidationError extends AppError {
   }
 }
 
+/**
+ * An `(err uN)` returned by the contract. `contractCode` is N.
+ */
+export class ContractError extends AppError {
+  constructor(contractCode, details = {}) {
+    const known = ContractErrorMessages[contractCode]
+    super(ErrorCodes.CONTRACT_ERROR, known?.message || `Contract error u${contractCode}.`, details)
+    this.name = 'ContractError'
+    this.contractCode = contractCode
+    this.errorName = known?.name || null
+    this.remediation = known?.remediation || null
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      contractCode: this.contractCode,
+      errorName: this.errorName,
+      remediation: this.remediation
+    }
+  }
+}
+
 // ============================================
 // ERROR PARSING & CLASSIFICATION
 // ============================================
 
+/**
+ * The N of an `(err uN)`, or null. Accepts a Clarity repr string, a
+ * `cvToJSON` response, or a Hiro API transaction (via its `tx_result`).
+ */
+export const parseContractErrorCode = (result) => {
+  if (typeof result === 'string') {
+    const match = /^\(err u(\d+)\)$/.exec(result.trim())
+    return match ? Number(match[1]) : null
+  }
+  if (result?.tx_result) return parseContractErrorCode(result.tx_result.repr)
+  if (result?.success === false && /^\d+$/.test(result.value?.value ?? '')) {
+    return Number(result.value.value)
+  }
+  return null
+}
+
+/**
+ * ContractError for an `(err uN)` result, or null when it is not one
+ */
+export const toContractError = (result, details = {}) => {
+  const code = parseContractErrorCode(result)
+  return code == null ? null : new ContractError(code, details)
+}
+
 /**
  * Parse error from various sources into AppError
  */
@@ -121,6 +272,17 @@ export const parseError = (error) => {
     return error
   }
 
+  // Contract call rejected on chain
+  const contractError = toContractError(error)
+  if (contractError) {
+    return contractError
+  }
+
+  // Wallet prompt closed (see contractCall in lib/contract)
+  if (error.cancelled) {
+    return new WalletError(ErrorCodes.WALLET_REJECTED, 'Transaction cancelled')
+  }
+
   // Fetch/Network errors
   if (error.name === 'TypeError' && error.message.includes('fetch')) {
     return new NetworkError('Network request failed')
@@ -164,6 +326,19 @@ export const getErrorMessage = (error) => {
   return parsed.message
 }
 
+/**
+ * Toast message for a failed contract call: contract errors with their
+ * remediation, wallet rejections as-is, anything else as `fallback`
+ */
+export const getContractCallMessage = (error, fallback = ErrorMessages[ErrorCodes.TRANSACTION_FAILED]) => {
+  const parsed = parseError(error)
+  if (parsed instanceof ContractError) {
+    return parsed.remediation ? `${parsed.message} ${parsed.remediation}` : parsed.message
+  }
+  if (parsed.code === ErrorCodes.WALLET_REJECTED) return parsed.message
+  return fallback
+}
+
 /**
  * Check if error is retryable
  */
@@ -625,9 +800,16 @@ export default {
   NetworkError,
   WalletError,
   ValidationError,
+  ContractError,
+  ContractErrorCodes,
+  StxTransferErrorCodes,
+  ContractErrorMessages,
   // Utilities
   parseError,
+  parseContractErrorCode,
+  toContractError,
   getErrorMessage,
+  getContractCallMessage,
   isRetryable,
   logError,
   createErrorReporter,
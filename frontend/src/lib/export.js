@@ -0,0 +1,65 @@
+/**
+ * File export helpers for StacksBet Arena
+ * Turns plain rows into CSV or JSON and hands the file to the browser.
+ */
+
+// ============================================
+// FORMATS
+// ============================================
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+}
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.JSON]: 'application/json',
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV with a header row. `columns` is `[{ key, header }]`; a column may
+ * provide `value(row)` instead of reading `row[key]`.
+ */
+export const toCSV = (rows, columns) => {
+  const header = columns.map((column) => escapeCsv(column.header)).join(',')
+  const lines = rows.map((row) =>
+    columns.map((column) => escapeCsv(column.value ? column.value(row) : row[column.key])).join(',')
+  )
+  return [header, ...lines].join('\r\n')
+}
+
+export const toJSON = (data) => JSON.stringify(data, null, 2)
+
+// ============================================
+// DOWNLOAD
+// ============================================
+
+/**
+ * Save `content` as `filename` through a temporary object URL
+ */
+export const downloadFile = (filename, content, format = EXPORT_FORMATS.JSON) => {
+  const blob = new Blob([content], { type: MIME_TYPES[format] || 'text/plain' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+export default {
+  EXPORT_FORMATS,
+  toCSV,
+  toJSON,
+  downloadFile,
+}
@@ -3,6 +3,8 @@
  * Handles numbers, currencies, dates, addresses, and more
  */
 
+import { getActiveNetwork, getNetworkConfig } from './config'
+
 // ============================================
 // Number Formatting
 // ============================================
@@ -203,24 +205,31 @@ export const formatTxHash = (hash, chars = 8) => {
   return truncateAddress(hash, chars, chars)
 }
 
+const EXPLORER_URL = 'https://explorer.hiro.so'
+
+/**
+ * Explorer query string for a network config (or registry id). Networks the
+ * explorer does not know get their API URL passed along.
+ */
+const explorerQuery = (network) => {
+  const config = typeof network === 'string' ? getNetworkConfig(network) : network
+  const params = new URLSearchParams({ chain: config.explorerChain })
+  if (config.id === 'devnet' || config.id === 'custom') params.set('api', config.apiUrl)
+  return params.toString()
+}
+
 /**
  * Get explorer URL for address
  */
-export const getAddressExplorerUrl = (address, network = 'mainnet') => {
-  const baseUrl = network === 'mainnet' 
-    ? 'https://explorer.stacks.co/address'
-    : 'https://explorer.stacks.co/address?chain=testnet'
-  return `${baseUrl}/${address}`
+export const getAddressExplorerUrl = (address, network = getActiveNetwork().config) => {
+  return `${EXPLORER_URL}/address/${address}?${explorerQuery(network)}`
 }
 
 /**
  * Get explorer URL for transaction
  */
-export const getTxExplorerUrl = (txId, network = 'mainnet') => {
-  const baseUrl = network === 'mainnet'
-    ? 'https://explorer.stacks.co/txid'
-    : 'https://explorer.stacks.co/txid?chain=testnet'
-  return `${baseUrl}/${txId}`
+export const getTxExplorerUrl = (txId, network = getActiveNetwork().config) => {
+  return `${EXPLORER_URL}/txid/${txId}?${explorerQuery(network)}`
 }
 
 // ============================================
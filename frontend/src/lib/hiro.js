@@ -1,7 +1,7 @@
 import { cvToJSON } from '@stacks/transactions'
 
-export async function fetchStacksTipHeight(hiroApiUrl) {
-  const res = await fetch(`${hiroApiUrl}/v2/info`)
+export async function fetchStacksTipHeight(hiroApiUrl, fetchFn = fetch) {
+  const res = await fetchFn(`${hiroApiUrl}/v2/info`)
   if (!res.ok) throw new Error('Failed to fetch Stacks chain info')
   const json = await res.json()
   if (typeof json?.stacks_tip_height !== 'number') {
@@ -12,7 +12,14 @@ export async function fetchStacksTipHeight(hiroApiUrl) {
 
 export function optionalFromClarityJson(clarityJson) {
   if (!clarityJson) return null
-  // `cvToJSON` represents optionals as:
+  // `cvToJSON` (v6) represents optionals as:
+  // { type: '(optional none)', value: null }
+  // { type: '(optional <inner-type>)', value: <inner json> }
+  if (typeof clarityJson.type === 'string' && clarityJson.type.startsWith('(optional')) {
+    return clarityJson.value ?? null
+  }
+
+  // Older shapes:
   // { type: 'optional', value: { type: 'none' } }
   // { type: 'optional', value: { type: 'some', value: <inner> } }
   if (clarityJson.type === 'optional') {
@@ -28,3 +35,13 @@ export function optionalFromClarityJson(clarityJson) {
   if (clarityJson.type === 'some') return clarityJson.value
   return null
 }
+
+/**
+ * Spendable micro-STX of `address` (balance minus locked)
+ */
+export async function fetchStxBalance(hiroApiUrl, address, fetchFn = fetch) {
+  const res = await fetchFn(`${hiroApiUrl}/extended/v1/address/${address}/stx`)
+  if (!res.ok) throw new Error('Failed to fetch STX balance')
+  const json = await res.json()
+  return Number(BigInt(json.balance ?? 0) - BigInt(json.locked ?? 0))
+}
@@ -1,18 +1,17 @@
 import React, { useState, useEffect, useCallback, createContext, useContext, useRef } from 'react'
-import { FiCommand, FiSearch, FiHome, FiTrendingUp, FiUser, FiSettings, FiHelpCircle, FiX } from 'react-icons/fi'
+import { FiCommand, FiSearch, FiHome, FiTrendingUp, FiUser, FiAward, FiHelpCircle, FiX } from 'react-icons/fi'
 
 /**
  * Keyboard shortcuts system for StacksBet Arena
  */
 
 // Default keyboard shortcuts
-const DEFAULT_SHORTCUTS = {
+export const DEFAULT_SHORTCUTS = {
   // Navigation
   'g h': { description: 'Go to Home', category: 'Navigation', action: 'navigate', path: '/' },
   'g m': { description: 'Go to Markets', category: 'Navigation', action: 'navigate', path: '/markets' },
   'g l': { description: 'Go to Leaderboard', category: 'Navigation', action: 'navigate', path: '/leaderboard' },
   'g p': { description: 'Go to Profile', category: 'Navigation', action: 'navigate', path: '/profile' },
-  'g s': { description: 'Go to Settings', category: 'Navigation', action: 'navigate', path: '/settings' },
   
   // Actions
   '/': { description: 'Focus Search', category: 'Actions', action: 'search' },
@@ -538,7 +537,7 @@ export const DEFAULT_COMMANDS = [
   { id: 'home', label: 'Go to Home', icon: FiHome, shortcut: 'G H', action: { type: 'navigate', path: '/' } },
   { id: 'markets', label: 'Browse Markets', icon: FiTrendingUp, shortcut: 'G M', action: { type: 'navigate', path: '/markets' } },
   { id: 'profile', label: 'View Profile', icon: FiUser, shortcut: 'G P', action: { type: 'navigate', path: '/profile' } },
-  { id: 'settings', label: 'Settings', icon: FiSettings, shortcut: 'G S', action: { type: 'navigate', path: '/settings' } },
+  { id: 'leaderboard', label: 'Leaderboard', icon: FiAward, shortcut: 'G L', action: { type: 'navigate', path: '/leaderboard' } },
   { id: 'help', label: 'Keyboard Shortcuts', icon: FiHelpCircle, shortcut: '?', action: { type: 'help' } },
   { id: 'search', label: 'Search Markets', icon: FiSearch, shortcut: '/', action: { type: 'search' } }
 ]
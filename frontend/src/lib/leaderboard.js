@@ -0,0 +1,190 @@
+import { usersApi } from './api'
+import { OUTCOME } from './config'
+import { MarketEventTypes } from './marketHistory'
+import { calculatePayout } from './payout'
+
+/**
+ * Leaderboard for StacksBet Arena
+ * Participants come from the contract's event history. All-time rows use the
+ * on-chain `get-user-stats` (or the indexer backend's copy of them); shorter
+ * windows replay the events inside them.
+ */
+
+// ============================================
+// WINDOWS & SORTING
+// ============================================
+
+export const LEADERBOARD_WINDOWS = [
+  { id: 'all', label: 'All time', days: null },
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '7d', label: '7 days', days: 7 },
+]
+
+export const LEADERBOARD_SORTS = ['profit', 'volume', 'winRate', 'totalBets']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const SETTLEMENT_EVENTS = new Set([
+  MarketEventTypes.MARKET_RESOLVED,
+  MarketEventTypes.MARKET_CANCELLED,
+  MarketEventTypes.MARKET_EMERGENCY_CLOSED,
+])
+
+/**
+ * Sort rows by one of LEADERBOARD_SORTS and number them
+ */
+export const rankTraders = (rows, sortBy = 'profit', sortOrder = 'desc') =>
+  [...rows]
+    .sort((a, b) => (sortOrder === 'desc' ? b[sortBy] - a[sortBy] : a[sortBy] - b[sortBy]) || b.volume - a.volume)
+    .map((row, idx) => ({ ...row, displayRank: idx + 1 }))
+
+// ============================================
+// REPLAY
+// ============================================
+
+/**
+ * Every principal that has placed a bet
+ */
+export const getParticipants = (history) => {
+  const participants = new Set()
+  history.logs.forEach((log) => {
+    log.forEach((event) => {
+      if (event.type === MarketEventTypes.BET_PLACED) participants.add(event.sender)
+    })
+  })
+  return participants
+}
+
+/**
+ * Replay one market: final pools, each bettor's shares and stake, and the
+ * settlement event if there is one
+ */
+const replayMarket = (log) => {
+  let totalYes = 0
+  let totalNo = 0
+  let settlement = null
+  const positions = new Map()
+
+  log.forEach((event) => {
+    if (event.type === MarketEventTypes.MARKET_CREATED) {
+      totalYes = Math.floor(event.liquidity / 2)
+      totalNo = Math.floor(event.liquidity / 2)
+    } else if (event.type === MarketEventTypes.BET_PLACED) {
+      const position = positions.get(event.sender) || { yesShares: 0, noShares: 0, invested: 0 }
+      if (event.outcome === OUTCOME.YES) {
+        totalYes += event.shares
+        position.yesShares += event.shares
+      } else {
+        totalNo += event.shares
+        position.noShares += event.shares
+      }
+      position.invested += event.amount
+      positions.set(event.sender, position)
+    } else if (SETTLEMENT_EVENTS.has(event.type) && !settlement) {
+      settlement = event
+    }
+  })
+
+  return { totalYes, totalNo, settlement, positions }
+}
+
+const payoutFor = (market, position) =>
+  calculatePayout(market, market.settlement.outcome, { ...position, totalInvested: position.invested })
+
+/**
+ * Per-trader stats for events at or after `since` (ms). Bets and volume
+ * count bets placed in the window; profit and win rate count markets settled
+ * in it, each bettor's result being payout minus everything they staked.
+ */
+export const computeWindowStats = (history, since) => {
+  const stats = new Map()
+  const statsFor = (address) => {
+    if (!stats.has(address)) {
+      stats.set(address, { address, totalBets: 0, volume: 0, profit: 0, settled: 0, wins: 0 })
+    }
+    return stats.get(address)
+  }
+
+  history.logs.forEach((log) => {
+    log.forEach((event) => {
+      if (event.type !== MarketEventTypes.BET_PLACED || event.timestamp < since) return
+      const row = statsFor(event.sender)
+      row.totalBets += 1
+      row.volume += event.amount
+    })
+
+    const market = replayMarket(log)
+    if (!market.settlement || market.settlement.timestamp < since) return
+    market.positions.forEach((position, address) => {
+      const result = payoutFor(market, position) - position.invested
+      const row = statsFor(address)
+      row.profit += result
+      // Refunds are neither wins nor losses
+      if (market.settlement.outcome === OUTCOME.INVALID) return
+      row.settled += 1
+      if (result > 0) row.wins += 1
+    })
+  })
+
+  return Array.from(stats.values()).map(({ settled, wins, ...row }) => ({
+    ...row,
+    winRate: settled ? Math.round((wins * 100) / settled) : 0,
+  }))
+}
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Every all-time row the backend has, page by page
+ */
+const loadBackendLeaderboard = async () => {
+  const rows = []
+  let page
+  do {
+    page = await usersApi.getLeaderboard({ limit: 100, offset: rows.length })
+    rows.push(...page.traders)
+  } while (rows.length < page.total && page.traders.length > 0)
+  return rows
+}
+
+/**
+ * Build leaderboard rows for a window. `history` and `index` are the shared
+ * MarketHistory and MarketIndex for the contract; with `backend` the
+ * all-time rows come from the indexer backend instead.
+ */
+export const loadLeaderboard = async ({ history, index, windowId = 'all', now = Date.now(), backend = false }) => {
+  const range = LEADERBOARD_WINDOWS.find((w) => w.id === windowId) || LEADERBOARD_WINDOWS[0]
+  if (backend && !range.days) return loadBackendLeaderboard()
+
+  await history.sync()
+  if (range.days) {
+    return computeWindowStats(history, now - range.days * DAY_MS)
+  }
+
+  if (index.tipHeight == null) await index.refresh()
+  const participants = Array.from(getParticipants(history))
+  const rows = await Promise.all(
+    participants.map(async (address) => {
+      const stats = await index.getUserStats(address)
+      return {
+        address,
+        totalBets: stats.totalBets,
+        volume: stats.totalVolume,
+        profit: stats.totalWinnings - stats.totalLosses,
+        winRate: stats.winRate,
+      }
+    })
+  )
+  return rows.filter((row) => row.totalBets > 0)
+}
+
+export default {
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_SORTS,
+  rankTraders,
+  getParticipants,
+  computeWindowStats,
+  loadLeaderboard,
+}
@@ -0,0 +1,386 @@
+import { hexToCV, cvToJSON } from '@stacks/transactions'
+import { OUTCOME, getActiveNetwork } from './config'
+import { impliedProbability } from './payout'
+
+/**
+ * Event-sourced market history for StacksBet Arena
+ * Walks the contract's transaction feed on the Hiro API, decodes contract
+ * calls into a typed event log per market and replays it into pool history.
+ */
+
+// ============================================
+// EVENT TYPES
+// ============================================
+
+export const MarketEventTypes = {
+  MARKET_CREATED: 'create-market',
+  BET_PLACED: 'place-bet',
+  MARKET_RESOLVED: 'resolve-market',
+  WINNINGS_CLAIMED: 'claim-winnings',
+  MARKET_CANCELLED: 'cancel-market',
+  MARKET_EMERGENCY_CLOSED: 'emergency-close',
+}
+
+// Owner-only calls that are not tied to a market
+export const AdminEventTypes = {
+  ORACLE_ADDED: 'add-oracle',
+  ORACLE_REMOVED: 'remove-oracle',
+  PROTOCOL_TOGGLED: 'toggle-protocol',
+  TREASURY_SET: 'set-treasury',
+}
+
+const TRACKED_FUNCTIONS = new Set([
+  ...Object.values(MarketEventTypes),
+  ...Object.values(AdminEventTypes),
+])
+const PAGE_SIZE = 50
+
+// ============================================
+// DECODING
+// ============================================
+
+/**
+ * Convert `cvToJSON` output into plain JS values (uints become numbers)
+ */
+export const clarityJsonToPlain = (json) => {
+  if (json === null || typeof json !== 'object') return json
+  if (Array.isArray(json)) return json.map(clarityJsonToPlain)
+
+  const { type, value } = json
+  if (type === 'uint' || type === 'int') return Number(value)
+  if (typeof type === 'string' && type.startsWith('(tuple')) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [key, clarityJsonToPlain(field)])
+    )
+  }
+  return clarityJsonToPlain(value)
+}
+
+const decodeHex = (hex) => clarityJsonToPlain(cvToJSON(hexToCV(hex)))
+
+/**
+ * Decode one Hiro transaction into a market event, or null if it is not a
+ * successful call to one of the tracked contract functions
+ */
+export const decodeContractCall = (tx) => {
+  if (tx?.tx_type !== 'contract_call' || tx.tx_status !== 'success') return null
+
+  const { function_name: fn, function_args: rawArgs = [] } = tx.contract_call || {}
+  if (!TRACKED_FUNCTIONS.has(fn)) return null
+
+  const args = Object.fromEntries(rawArgs.map((arg) => [arg.name, decodeHex(arg.hex)]))
+  const result = tx.tx_result?.hex ? decodeHex(tx.tx_result.hex) : null
+
+  const base = {
+    type: fn,
+    txId: tx.tx_id,
+    sender: tx.sender_address,
+    blockHeight: tx.block_height,
+    txIndex: tx.tx_index ?? 0,
+    timestamp: (tx.block_time ?? tx.burn_block_time ?? 0) * 1000,
+  }
+
+  switch (fn) {
+    case MarketEventTypes.MARKET_CREATED:
+      return {
+        ...base,
+        marketId: result,
+        title: args.title,
+        category: args.category,
+        endTime: args['end-time'],
+        resolutionTime: args['resolution-time'],
+        liquidity: args['initial-liquidity'],
+      }
+    case MarketEventTypes.BET_PLACED:
+      return {
+        ...base,
+        marketId: args['market-id'],
+        outcome: args.outcome,
+        amount: args.amount,
+        shares: result?.shares ?? 0,
+        fee: result?.fee ?? 0,
+      }
+    case MarketEventTypes.MARKET_RESOLVED:
+      return { ...base, marketId: args['market-id'], outcome: args.outcome }
+    case MarketEventTypes.WINNINGS_CLAIMED:
+      return { ...base, marketId: args['market-id'], payout: result ?? 0 }
+    case MarketEventTypes.MARKET_CANCELLED:
+    case MarketEventTypes.MARKET_EMERGENCY_CLOSED:
+      return { ...base, marketId: args['market-id'], outcome: OUTCOME.INVALID }
+    case AdminEventTypes.ORACLE_ADDED:
+    case AdminEventTypes.ORACLE_REMOVED:
+      return { ...base, oracle: args.oracle }
+    case AdminEventTypes.PROTOCOL_TOGGLED:
+      return base
+    case AdminEventTypes.TREASURY_SET:
+      return { ...base, treasury: args['new-treasury'] }
+    default:
+      return null
+  }
+}
+
+const compareEvents = (a, b) => a.blockHeight - b.blockHeight || a.txIndex - b.txIndex
+
+// ============================================
+// REPLAY
+// ============================================
+
+/**
+ * Replay a market's event log into pool sizes at every block that touched it
+ */
+export const rebuildPoolHistory = (events) => {
+  const snapshots = []
+  const bettors = new Set()
+  let totalYes = 0
+  let totalNo = 0
+  let outcome = 0
+
+  events.forEach((event) => {
+    if (event.type === MarketEventTypes.MARKET_CREATED) {
+      totalYes = Math.floor(event.liquidity / 2)
+      totalNo = Math.floor(event.liquidity / 2)
+    } else if (event.type === MarketEventTypes.BET_PLACED) {
+      if (event.outcome === OUTCOME.YES) totalYes += event.shares
+      else totalNo += event.shares
+      bettors.add(event.sender)
+    } else if (
+      event.type === MarketEventTypes.MARKET_RESOLVED ||
+      event.type === MarketEventTypes.MARKET_CANCELLED ||
+      event.type === MarketEventTypes.MARKET_EMERGENCY_CLOSED
+    ) {
+      outcome = event.outcome
+    } else {
+      return
+    }
+
+    const snapshot = {
+      blockHeight: event.blockHeight,
+      timestamp: event.timestamp,
+      totalYes,
+      totalNo,
+      participants: bettors.size,
+      outcome,
+    }
+
+    // Collapse several events in one block into the block's final state
+    const last = snapshots[snapshots.length - 1]
+    if (last && last.blockHeight === event.blockHeight) {
+      snapshots[snapshots.length - 1] = snapshot
+    } else {
+      snapshots.push(snapshot)
+    }
+  })
+
+  return snapshots
+}
+
+/**
+ * Chart points from pool snapshots: the YES pool's share (0-1) and total
+ * pool volume. Only snapshots at or after `since` (ms) are kept; the state
+ * carried into the window opens it, and `until` ({ blockHeight, timestamp })
+ * extends the last state to the present.
+ */
+export const buildOddsSeries = (snapshots, { since = 0, until = null } = {}) => {
+  const toPoint = (snapshot, at = snapshot) => ({
+    blockHeight: at.blockHeight,
+    timestamp: at.timestamp,
+    probability: impliedProbability(snapshot, OUTCOME.YES),
+    volume: snapshot.totalYes + snapshot.totalNo,
+  })
+
+  const inWindow = snapshots.filter((s) => s.timestamp >= since)
+  const carried = snapshots.filter((s) => s.timestamp < since).pop()
+  const points = inWindow.map((s) => toPoint(s))
+
+  if (carried) {
+    const start = inWindow[0] || until || carried
+    points.unshift(toPoint(carried, { blockHeight: start.blockHeight, timestamp: since }))
+  }
+  const last = inWindow[inWindow.length - 1] || carried
+  const end = points[points.length - 1]
+  if (last && until && (until.blockHeight > end.blockHeight || until.timestamp > end.timestamp)) {
+    points.push(toPoint(last, until))
+  }
+  return points
+}
+
+// ============================================
+// MARKET HISTORY
+// ============================================
+
+export class MarketHistory {
+  constructor({ network, contractAddress, contractName }) {
+    this.network = network
+    this.contractId = `${contractAddress}.${contractName}`
+    this.seenTxIds = new Set()
+    // market-id -> event[] (oldest first)
+    this.logs = new Map()
+    // owner-only events (oldest first)
+    this.adminLog = []
+    this.pendingSync = null
+    this.listeners = new Set()
+  }
+
+  async fetchPage(offset) {
+    const url = `${this.network.coreApiUrl}/extended/v1/address/${this.contractId}/transactions?limit=${PAGE_SIZE}&offset=${offset}`
+    const res = await this.network.fetchFn(url)
+    if (!res.ok) {
+      const error = new Error(`Failed to fetch contract transactions (${res.status})`)
+      error.status = res.status
+      throw error
+    }
+    return res.json()
+  }
+
+  /**
+   * Pull transactions newer than the last sync. The feed is newest first, so
+   * paging stops at the first transaction we have already seen.
+   */
+  sync() {
+    if (this.pendingSync) return this.pendingSync
+
+    this.pendingSync = this.runSync().finally(() => {
+      this.pendingSync = null
+    })
+    return this.pendingSync
+  }
+
+  async runSync() {
+    const fresh = []
+    // A transaction mined mid-sync shifts every older one down a place, so a
+    // page can repeat the last item of the one before it
+    const fetched = new Set()
+    let offset = 0
+    let total = Infinity
+    let caughtUp = false
+
+    while (!caughtUp && offset < total) {
+      const page = await this.fetchPage(offset)
+      total = page.total ?? 0
+      const results = page.results || []
+      if (results.length === 0) break
+      for (const tx of results) {
+        if (this.seenTxIds.has(tx.tx_id)) {
+          caughtUp = true
+          break
+        }
+        if (fetched.has(tx.tx_id)) continue
+        fetched.add(tx.tx_id)
+        fresh.push(tx)
+      }
+      offset += results.length
+    }
+
+    const added = []
+    fresh.forEach((tx) => {
+      this.seenTxIds.add(tx.tx_id)
+      const event = decodeContractCall(tx)
+      if (!event) return
+      if (event.marketId == null) {
+        this.adminLog.push(event)
+      } else {
+        if (!this.logs.has(event.marketId)) this.logs.set(event.marketId, [])
+        this.logs.get(event.marketId).push(event)
+      }
+      added.push(event)
+    })
+
+    this.logs.forEach((log) => log.sort(compareEvents))
+    this.adminLog.sort(compareEvents)
+    if (added.length) this.notify(added)
+    return added
+  }
+
+  getLog(marketId) {
+    return this.logs.get(Number(marketId)) || []
+  }
+
+  getPoolHistory(marketId) {
+    return rebuildPoolHistory(this.getLog(marketId))
+  }
+
+  /**
+   * Distinct bettors per market
+   */
+  getParticipantCount(marketId) {
+    const bettors = new Set(
+      this.getLog(marketId)
+        .filter((event) => event.type === MarketEventTypes.BET_PLACED)
+        .map((event) => event.sender)
+    )
+    return bettors.size
+  }
+
+  /**
+   * Most recent events across all markets, newest first
+   */
+  getActivity(limit = 20) {
+    return Array.from(this.logs.values())
+      .flat()
+      .sort((a, b) => compareEvents(b, a))
+      .slice(0, limit)
+  }
+
+  /**
+   * Replay the owner-only calls: every principal ever passed to
+   * `add-oracle`/`remove-oracle` with its last known state, the pause flag
+   * (each `toggle-protocol` flips it) and the current treasury
+   */
+  getAdminState() {
+    const oracles = new Map()
+    let paused = false
+    let treasury = null
+
+    this.adminLog.forEach((event) => {
+      if (event.type === AdminEventTypes.ORACLE_ADDED) oracles.set(event.oracle, true)
+      else if (event.type === AdminEventTypes.ORACLE_REMOVED) oracles.set(event.oracle, false)
+      else if (event.type === AdminEventTypes.PROTOCOL_TOGGLED) paused = !paused
+      else if (event.type === AdminEventTypes.TREASURY_SET) treasury = event.treasury
+    })
+
+    return { oracles, paused, treasury }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  notify(events) {
+    this.listeners.forEach((listener) => listener(events))
+  }
+}
+
+// ============================================
+// SHARED INSTANCES
+// ============================================
+
+const histories = new Map()
+
+/**
+ * Get the shared history for a network + contract pair
+ */
+export const getMarketHistory = ({
+  network = getActiveNetwork().network,
+  contractAddress = getActiveNetwork().config.contractAddress,
+  contractName = getActiveNetwork().config.contractName,
+} = {}) => {
+  const key = `${network.coreApiUrl}|${contractAddress}.${contractName}`
+  if (!histories.has(key)) {
+    histories.set(key, new MarketHistory({ network, contractAddress, contractName }))
+  }
+  return histories.get(key)
+}
+
+export default {
+  MarketEventTypes,
+  AdminEventTypes,
+  MarketHistory,
+  getMarketHistory,
+  decodeContractCall,
+  rebuildPoolHistory,
+  buildOddsSeries,
+  clarityJsonToPlain,
+}
@@ -0,0 +1,477 @@
+import { uintCV, standardPrincipalCV } from '@stacks/transactions'
+import { getActiveNetwork } from './config'
+import { readOnly } from './contract'
+import { fetchStacksTipHeight, optionalFromClarityJson } from './hiro'
+import { AdminEventTypes, getMarketHistory } from './marketHistory'
+import { getStorageItem, setStorageItem } from './storage'
+
+/**
+ * Client-side market index for StacksBet Arena
+ * Loads markets incrementally, caches them by market ID and last-seen block
+ * height, and throttles read-only calls so the Hiro node is not flooded.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const DEFAULT_CONCURRENCY = 4
+const STORAGE_KEY_PREFIX = 'market_index_'
+// How a node reports a read-only function the deployed contract lacks
+const MISSING_FUNCTION = /NoSuchPublicFunction|UndefinedFunction|Unknown function/
+
+// ============================================
+// THROTTLING
+// ============================================
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ */
+export const createThrottle = (concurrency = DEFAULT_CONCURRENCY) => {
+  let active = 0
+  const queue = []
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return
+    const { task, resolve, reject } = queue.shift()
+    active++
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parse the tuple fields of a `get-market` result
+ */
+export const parseMarket = (id, v) => ({
+  id,
+  creator: v.creator.value,
+  title: v.title.value,
+  description: v.description.value,
+  category: v.category.value,
+  resolutionSource: v['resolution-source'].value,
+  endTime: Number(v['end-time'].value),
+  resolutionTime: Number(v['resolution-time'].value),
+  totalYes: Number(v['total-yes-amount'].value),
+  totalNo: Number(v['total-no-amount'].value),
+  resolved: v.resolved.value,
+  outcome: Number(v.outcome.value),
+  createdAt: Number(v['created-at'].value),
+  isActive: v['is-active'].value,
+})
+
+/**
+ * Parse the tuple fields of a `get-position` result
+ */
+export const parsePosition = (v) => ({
+  yesShares: Number(v['yes-shares'].value),
+  noShares: Number(v['no-shares'].value),
+  totalInvested: Number(v['total-invested'].value),
+  claimed: v.claimed.value,
+})
+
+/**
+ * Parse the tuple fields of a `get-user-stats` result
+ */
+export const parseUserStats = (v) => ({
+  totalBets: Number(v['total-bets'].value),
+  totalVolume: Number(v['total-volume'].value),
+  totalWinnings: Number(v['total-winnings'].value),
+  totalLosses: Number(v['total-losses'].value),
+  marketsCreated: Number(v['markets-created'].value),
+  winRate: Number(v['win-rate'].value),
+})
+
+// ============================================
+// MARKET INDEX
+// ============================================
+
+export class MarketIndex {
+  constructor({ network, contractAddress, contractName, concurrency = DEFAULT_CONCURRENCY }) {
+    this.network = network
+    this.contractAddress = contractAddress
+    this.contractName = contractName
+    this.throttle = createThrottle(concurrency)
+    // Devnet and the mock node share a deployer address, so the node URL is part of the key
+    this.storageKey = `${STORAGE_KEY_PREFIX}${contractAddress}.${contractName}@${network.coreApiUrl}`
+
+    // market-id -> { market, seenAt }
+    this.markets = new Map()
+    // `${market-id}:${address}` -> { position, seenAt }
+    this.positions = new Map()
+    // `${market-id}:${address}` -> payout (resolved markets only)
+    this.payouts = new Map()
+    // address -> { stats, seenAt }
+    this.userStats = new Map()
+    this.totals = null
+    // { value, seenAt }
+    this.paused = null
+    // false once the contract turns out to predate `is-paused`
+    this.hasPauseGetter = true
+    this.nextMarketId = 1
+    this.tipHeight = null
+    this.pendingRefresh = null
+    this.listeners = new Set()
+
+    this.hydrate()
+  }
+
+  /**
+   * Restore resolved markets from storage; they can never change on-chain
+   */
+  hydrate() {
+    const stored = getStorageItem(this.storageKey, null)
+    if (!stored?.markets) return
+    stored.markets.forEach(({ market, seenAt }) => {
+      this.markets.set(market.id, { market, seenAt })
+    })
+  }
+
+  persist() {
+    const markets = Array.from(this.markets.values()).filter(({ market }) => market.resolved)
+    setStorageItem(this.storageKey, { markets })
+  }
+
+  /**
+   * Throttled read-only call
+   */
+  read(functionName, functionArgs = []) {
+    return this.throttle(() =>
+      readOnly({
+        network: this.network,
+        contractAddress: this.contractAddress,
+        contractName: this.contractName,
+        functionName,
+        functionArgs,
+        senderAddress: this.contractAddress,
+      })
+    )
+  }
+
+  /**
+   * Load markets created since the last refresh and re-read every unresolved
+   * market last seen below the current tip. Concurrent callers share one refresh.
+   */
+  refresh() {
+    if (this.pendingRefresh) return this.pendingRefresh
+
+    this.pendingRefresh = this.runRefresh().finally(() => {
+      this.pendingRefresh = null
+    })
+    return this.pendingRefresh
+  }
+
+  async runRefresh() {
+    const tip = await fetchStacksTipHeight(this.network.coreApiUrl, this.network.fetchFn)
+    const nextIdJson = await this.read('get-next-market-id')
+    const nextMarketId = Number(nextIdJson.value)
+
+    const ids = []
+    for (let id = 1; id < nextMarketId; id++) {
+      const entry = this.markets.get(id)
+      const isStale = entry && (entry.seenAt < 0 || (!entry.market.resolved && entry.seenAt < tip))
+      if (!entry || isStale) ids.push(id)
+    }
+
+    await Promise.all(ids.map((id) => this.loadMarket(id, tip)))
+
+    this.nextMarketId = nextMarketId
+    this.tipHeight = tip
+    this.persist()
+    this.notify()
+    return this.getMarkets()
+  }
+
+  async loadMarket(id, tip = this.tipHeight) {
+    const json = await this.read('get-market', [uintCV(id)])
+    const some = optionalFromClarityJson(json)
+    if (!some) return null
+    const market = parseMarket(id, some.value)
+    this.markets.set(id, { market, seenAt: tip ?? 0 })
+    return market
+  }
+
+  getMarket(id) {
+    return this.markets.get(Number(id))?.market || null
+  }
+
+  /**
+   * One market, read again only when it may have changed since it was last
+   * seen. Null when the market does not exist.
+   */
+  async fetchMarket(id) {
+    // The first read learns the tip and every market with it
+    if (this.tipHeight == null) await this.refresh()
+    const entry = this.markets.get(Number(id))
+    if (entry && entry.seenAt >= 0 && (entry.market.resolved || entry.seenAt >= this.tipHeight)) return entry.market
+    return this.loadMarket(Number(id), this.tipHeight)
+  }
+
+  /**
+   * All indexed markets, newest first
+   */
+  getMarkets() {
+    return Array.from(this.markets.values())
+      .map(({ market }) => market)
+      .sort((a, b) => b.id - a.id)
+  }
+
+  /**
+   * Positions of `userAddress` on every indexed market, keyed by market ID.
+   * A position is final once its market is resolved and it is claimed or
+   * empty; everything else is re-read when the tip has moved.
+   */
+  async getPositions(userAddress) {
+    const result = new Map()
+
+    await Promise.all(
+      this.getMarkets().map(async (market) => {
+        result.set(market.id, await this.getPosition(market.id, userAddress))
+      })
+    )
+
+    return result
+  }
+
+  /**
+   * `get-position` of `userAddress` on one market, with the same caching as
+   * `getPositions`
+   */
+  async getPosition(marketId, userAddress) {
+    const tip = this.tipHeight ?? 0
+    const market = this.getMarket(marketId)
+    const key = `${marketId}:${userAddress}`
+    const cached = this.positions.get(key)
+    const isFinal =
+      cached &&
+      market?.resolved &&
+      (cached.position.claimed || cached.position.totalInvested === 0)
+
+    if (cached && (isFinal || cached.seenAt >= tip)) return cached.position
+
+    const json = await this.read('get-position', [
+      uintCV(marketId),
+      standardPrincipalCV(userAddress),
+    ])
+    const position = parsePosition(json.value)
+    this.positions.set(key, { position, seenAt: tip })
+    return position
+  }
+
+  /**
+   * `calculate-payout` for a user. Pools are frozen once a market resolves,
+   * so resolved payouts are read once and kept.
+   */
+  async getPayout(marketId, userAddress) {
+    const key = `${marketId}:${userAddress}`
+    const market = this.getMarket(marketId)
+    if (market?.resolved && this.payouts.has(key)) return this.payouts.get(key)
+
+    const json = await this.read('calculate-payout', [
+      uintCV(marketId),
+      standardPrincipalCV(userAddress),
+    ])
+    const payout = Number(json.value)
+    if (market?.resolved) this.payouts.set(key, payout)
+    return payout
+  }
+
+  /**
+   * Whether `address` may call `resolve-market`: the deployer always can,
+   * anyone else needs an active `add-oracle` registration
+   */
+  async isOracle(address) {
+    if (!address) return false
+    if (address === this.contractAddress) return true
+
+    const json = await this.read('is-oracle', [standardPrincipalCV(address)])
+    return json.value['is-active'].value === true
+  }
+
+  /**
+   * The protocol pause flag set by `toggle-protocol`, read at most once per
+   * block. Contracts deployed before `is-paused` existed get it by replaying
+   * their `toggle-protocol` calls.
+   */
+  async isPaused() {
+    const tip = this.tipHeight ?? (await fetchStacksTipHeight(this.network.coreApiUrl, this.network.fetchFn))
+    if (this.paused && this.paused.seenAt >= tip) return this.paused.value
+
+    let value
+    if (this.hasPauseGetter) {
+      try {
+        const json = await this.read('is-paused')
+        value = json.value === true
+      } catch (error) {
+        if (!MISSING_FUNCTION.test(error?.message || '')) throw error
+        this.hasPauseGetter = false
+      }
+    }
+    if (value == null) {
+      const history = getMarketHistory({
+        network: this.network,
+        contractAddress: this.contractAddress,
+        contractName: this.contractName,
+      })
+      await history.sync()
+      value = history.getAdminState().paused
+    }
+    this.paused = { value, seenAt: tip }
+    return value
+  }
+
+  /**
+   * Protocol-wide totals, read at most once per block
+   */
+  async getTotals() {
+    const tip = this.tipHeight ?? (await fetchStacksTipHeight(this.network.coreApiUrl, this.network.fetchFn))
+    if (this.totals && this.totals.seenAt >= tip) return this.totals.value
+
+    const [volume, markets, bets] = await Promise.all([
+      this.read('get-total-volume'),
+      this.read('get-total-markets'),
+      this.read('get-total-bets'),
+    ])
+    const value = {
+      totalVolume: Number(volume.value),
+      totalMarkets: Number(markets.value),
+      totalBets: Number(bets.value),
+    }
+    this.totals = { value, seenAt: tip }
+    return value
+  }
+
+  /**
+   * `get-user-stats` for an address, read at most once per block
+   */
+  async getUserStats(address) {
+    const tip = this.tipHeight ?? 0
+    const cached = this.userStats.get(address)
+    if (cached && cached.seenAt >= tip) return cached.stats
+
+    const json = await this.read('get-user-stats', [standardPrincipalCV(address)])
+    const stats = parseUserStats(json.value)
+    this.userStats.set(address, { stats, seenAt: tip })
+    return stats
+  }
+
+  /**
+   * Force a market (and positions on it) to be re-read on the next refresh
+   */
+  invalidate(id) {
+    const entry = this.markets.get(Number(id))
+    if (entry) entry.seenAt = -1
+    for (const [key, cached] of this.positions) {
+      if (key.startsWith(`${id}:`)) cached.seenAt = -1
+    }
+    this.totals = null
+  }
+
+  /**
+   * Force `address`'s stats to be re-read, e.g. after its own transaction
+   */
+  invalidateUser(address) {
+    const cached = this.userStats.get(address)
+    if (cached) cached.seenAt = -1
+  }
+
+  /**
+   * Catch cached reads up to `tipHeight` from a synced MarketHistory. A
+   * market, position or user whose last contract call is at or after the
+   * block it was read at is invalidated; everything else is known unchanged
+   * and marked as seen at `tipHeight`. Returns the invalidated market IDs.
+   */
+  advance(tipHeight, history) {
+    const lastMarketEvent = new Map()
+    const lastSenderEvent = new Map()
+    let lastEvent = 0
+    history.logs.forEach((log, id) => {
+      log.forEach(({ sender, blockHeight }) => {
+        lastMarketEvent.set(id, Math.max(lastMarketEvent.get(id) ?? 0, blockHeight))
+        lastSenderEvent.set(sender, Math.max(lastSenderEvent.get(sender) ?? 0, blockHeight))
+        lastEvent = Math.max(lastEvent, blockHeight)
+      })
+    })
+    const catchUp = (cached, changedAt) => {
+      if (cached.seenAt < 0) return false
+      if (changedAt != null && changedAt >= cached.seenAt) {
+        cached.seenAt = -1
+        return false
+      }
+      cached.seenAt = Math.max(cached.seenAt, tipHeight)
+      return true
+    }
+
+    const changed = []
+    this.markets.forEach((entry, id) => {
+      if (!catchUp(entry, lastMarketEvent.get(id))) changed.push(id)
+    })
+    this.positions.forEach((cached, key) => {
+      catchUp(cached, lastMarketEvent.get(Number(key.split(':')[0])))
+    })
+    this.userStats.forEach((cached, address) => {
+      catchUp(cached, lastSenderEvent.get(address))
+    })
+    if (this.totals && !catchUp(this.totals, lastEvent || null)) this.totals = null
+    const lastToggle = history.adminLog.filter((event) => event.type === AdminEventTypes.PROTOCOL_TOGGLED).pop()
+    if (this.paused && !catchUp(this.paused, lastToggle?.blockHeight ?? null)) this.paused = null
+    return changed
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  notify() {
+    const markets = this.getMarkets()
+    this.listeners.forEach((listener) => listener(markets))
+  }
+}
+
+// ============================================
+// SHARED INSTANCES
+// ============================================
+
+const indexes = new Map()
+
+/**
+ * Get the shared index for a network + contract pair
+ */
+export const getMarketIndex = ({
+  network = getActiveNetwork().network,
+  contractAddress = getActiveNetwork().config.contractAddress,
+  contractName = getActiveNetwork().config.contractName,
+} = {}) => {
+  const key = `${network.coreApiUrl}|${contractAddress}.${contractName}`
+  if (!indexes.has(key)) {
+    indexes.set(key, new MarketIndex({ network, contractAddress, contractName }))
+  }
+  return indexes.get(key)
+}
+
+export default {
+  MarketIndex,
+  getMarketIndex,
+  createThrottle,
+  parseMarket,
+  parsePosition,
+  parseUserStats,
+}
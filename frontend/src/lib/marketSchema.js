@@ -0,0 +1,273 @@
+import { DAY } from './datetime'
+import { ContractError, ContractErrorCodes, StxTransferErrorCodes } from './errors'
+import { fetchStacksTipHeight, fetchStxBalance } from './hiro'
+import { getMarketIndex } from './marketIndex'
+
+/**
+ * Market schema for StacksBet Arena
+ * The one definition of a market's fields, derived from the signature and
+ * asserts of `create-market` in contracts/stacksbet-arena.clar. The create
+ * form validates against it, and a dry run replays the contract's asserts
+ * before the wallet opens.
+ */
+
+// ============================================
+// CONTRACT TYPES
+// ============================================
+
+export const CLARITY_TYPES = {
+  STRING_UTF8: 'string-utf8',
+  STRING_ASCII: 'string-ascii',
+  UINT: 'uint',
+}
+
+// `create-market` arguments in call order
+export const CREATE_MARKET_ARGS = [
+  { key: 'title', arg: 'title', type: CLARITY_TYPES.STRING_UTF8, max: 200 },
+  { key: 'description', arg: 'description', type: CLARITY_TYPES.STRING_UTF8, max: 500 },
+  { key: 'category', arg: 'category', type: CLARITY_TYPES.STRING_ASCII, max: 50 },
+  { key: 'resolutionSource', arg: 'resolution-source', type: CLARITY_TYPES.STRING_UTF8, max: 200 },
+  { key: 'endTime', arg: 'end-time', type: CLARITY_TYPES.UINT },
+  { key: 'resolutionTime', arg: 'resolution-time', type: CLARITY_TYPES.UINT },
+  { key: 'liquidity', arg: 'initial-liquidity', type: CLARITY_TYPES.UINT },
+]
+
+export const MARKET_LIMITS = {
+  MIN_LIQUIDITY: 1000000, // (>= initial-liquidity u1000000)
+  RESOLUTION_DELAY_DAYS: 7, // default gap between end and resolution
+}
+
+const MAX_UINT = 2n ** 128n - 1n
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/
+const PRINTABLE_ASCII = /^[\x20-\x7E]*$/
+
+// Clarity counts `string-utf8` lengths in characters (code points)
+export const charLength = (value) => [...value].length
+
+/**
+ * Why `value` does not fit the Clarity type of `spec`, or null
+ */
+export const checkClarityValue = (value, { type, max }) => {
+  if (type === CLARITY_TYPES.UINT) {
+    if (!Number.isSafeInteger(value) || value < 0 || BigInt(value) > MAX_UINT) return 'must be a whole number ≥ 0'
+    return null
+  }
+  if (typeof value !== 'string') return 'must be text'
+  if (type === CLARITY_TYPES.STRING_ASCII) {
+    if (!PRINTABLE_ASCII.test(value)) return 'may only use plain ASCII characters'
+    if (value.length > max) return `cannot exceed ${max} characters`
+    return null
+  }
+  if (LONE_SURROGATE.test(value)) return 'is not valid UTF-8'
+  if (charLength(value) > max) return `cannot exceed ${max} characters`
+  return null
+}
+
+/**
+ * The first `create-market` argument that does not fit its Clarity type, as
+ * `{ arg, type, message }`, or null
+ */
+export const checkCreateMarketArgs = (args) => {
+  for (const spec of CREATE_MARKET_ARGS) {
+    const problem = checkClarityValue(args[spec.key], spec)
+    if (problem) {
+      const type = spec.max ? `(${spec.type} ${spec.max})` : spec.type
+      return { arg: spec.arg, type, message: `${spec.arg} ${problem} (${type})` }
+    }
+  }
+  return null
+}
+
+// ============================================
+// FORM
+// ============================================
+
+/**
+ * Create-market form fields. `arg` links a field to the contract argument
+ * whose type bounds it; the rest are app rules on top of the contract.
+ */
+export const MARKET_FORM_FIELDS = {
+  title: { label: 'Question', required: true, minLength: 10, arg: 'title' },
+  description: { label: 'Description', arg: 'description' },
+  category: { label: 'Category', required: true, arg: 'category' },
+  resolutionSource: { label: 'Resolution source', arg: 'resolution-source' },
+  endDate: { label: 'End date', date: true, minFromNow: DAY, maxFromNow: 365 * DAY },
+  resolutionDate: { label: 'Resolution date', date: true, after: 'endDate' },
+  initialLiquidity: {
+    label: 'Initial liquidity',
+    unit: 'STX',
+    min: MARKET_LIMITS.MIN_LIQUIDITY / 1000000,
+    max: 100000,
+  },
+}
+
+const quantity = (value, unit) => `${value.toLocaleString()} ${value === 1 ? unit.replace(/s$/, '') : unit}`
+
+const argSpec = (arg) => CREATE_MARKET_ARGS.find((spec) => spec.arg === arg)
+
+/**
+ * The most characters a form field can hold before the contract rejects it
+ */
+export const getFieldMaxLength = (name) => argSpec(MARKET_FORM_FIELDS[name]?.arg)?.max
+
+const checkDate = (field, value, values) => {
+  const time = new Date(value).getTime()
+  if (Number.isNaN(time)) return `${field.label} is not a valid date`
+  const fromNow = time - Date.now()
+  if (field.minFromNow && fromNow < field.minFromNow) {
+    return `${field.label} must be at least ${quantity(field.minFromNow / DAY, 'days')} from now`
+  }
+  if (field.maxFromNow && fromNow > field.maxFromNow) {
+    return `${field.label} must be within ${quantity(field.maxFromNow / DAY, 'days')} from now`
+  }
+  const after = MARKET_FORM_FIELDS[field.after]
+  if (after && values[field.after] && time <= new Date(values[field.after]).getTime()) {
+    return `${field.label} must be after the ${after.label.toLowerCase()}`
+  }
+  return null
+}
+
+/**
+ * Error message for one form field, or null. `values` is the whole form,
+ * for fields checked against another one.
+ */
+export const validateMarketField = (name, value, values = {}) => {
+  const field = MARKET_FORM_FIELDS[name]
+  if (!field) return null
+  const empty = value === '' || value === null || value === undefined
+
+  if ((field.required || field.date) && (empty || !String(value).trim())) return `${field.label} is required`
+  if (field.date) return checkDate(field, value, values)
+  if (field.arg) {
+    if (empty) return null
+    if (field.minLength && value.length < field.minLength) {
+      return `${field.label} must be at least ${field.minLength} characters`
+    }
+    const problem = checkClarityValue(value, argSpec(field.arg))
+    return problem ? `${field.label} ${problem}` : null
+  }
+
+  if (empty || value < field.min) return `${field.label} must be at least ${quantity(field.min, field.unit)}`
+  if (value > field.max) return `${field.label} cannot exceed ${quantity(field.max, field.unit)}`
+  return null
+}
+
+/**
+ * Errors by field name; empty when the form is valid
+ */
+export const validateMarketForm = (values) =>
+  Object.keys(MARKET_FORM_FIELDS).reduce((errors, name) => {
+    const error = validateMarketField(name, values[name], values)
+    return error ? { ...errors, [name]: error } : errors
+  }, {})
+
+/**
+ * `create-market` arguments for the form, with the end and resolution dates
+ * turned into block heights by `estimator` (a BlockTimeEstimator)
+ */
+export const toCreateMarketArgs = (values, estimator) => ({
+  title: values.title,
+  description: values.description || 'No description provided',
+  category: values.category,
+  resolutionSource: values.resolutionSource || 'Manual resolution',
+  endTime: estimator.estimateHeight(values.endDate).height,
+  resolutionTime: estimator.estimateHeight(values.resolutionDate).height,
+  liquidity: Math.floor(values.initialLiquidity * 1000000),
+})
+
+// ============================================
+// DRY RUN
+// ============================================
+
+/**
+ * `create-market`'s asserts in the order the contract evaluates them.
+ * `check(args, state)` is true when the assert passes.
+ */
+export const CREATE_MARKET_ASSERTS = [
+  {
+    source: '(asserts! (not (var-get protocol-paused)) ERR-MARKET-CLOSED)',
+    code: ContractErrorCodes.MARKET_CLOSED,
+    detail: 'The protocol is paused, so no markets can be created.',
+    check: (args, { paused }) => !paused,
+  },
+  {
+    source: '(asserts! (> end-time block-height) ERR-INVALID-AMOUNT)',
+    code: ContractErrorCodes.INVALID_AMOUNT,
+    detail: 'The market would end before the block the transaction lands in.',
+    check: (args, { blockHeight }) => args.endTime > blockHeight,
+  },
+  {
+    source: '(asserts! (> resolution-time end-time) ERR-INVALID-AMOUNT)',
+    code: ContractErrorCodes.INVALID_AMOUNT,
+    detail: 'The resolution block must come after the end block.',
+    check: (args) => args.resolutionTime > args.endTime,
+  },
+  {
+    source: '(asserts! (>= initial-liquidity u1000000) ERR-INVALID-AMOUNT)',
+    code: ContractErrorCodes.INVALID_AMOUNT,
+    detail: 'Initial liquidity must be at least 1 STX.',
+    check: (args) => args.liquidity >= MARKET_LIMITS.MIN_LIQUIDITY,
+  },
+  {
+    source: '(try! (stx-transfer? initial-liquidity tx-sender (as-contract tx-sender)))',
+    code: StxTransferErrorCodes.INSUFFICIENT_BALANCE,
+    detail: 'Your balance does not cover the initial liquidity.',
+    check: (args, { balance }) => balance == null || balance >= args.liquidity,
+  },
+]
+
+/**
+ * Replay `create-market` against `state` ({ blockHeight, balance, paused },
+ * where blockHeight is the earliest block the call can land in). Returns
+ * `{ ok: true }` or `{ ok: false, failure }`; `failure` names the
+ * argument type or the assert that would abort and carries the matching
+ * ContractError when there is one.
+ */
+export const dryRunCreateMarket = (args, state) => {
+  const typeProblem = checkCreateMarketArgs(args)
+  if (typeProblem) {
+    return { ok: false, failure: { source: `argument ${typeProblem.arg}`, detail: typeProblem.message, error: null } }
+  }
+
+  const failed = CREATE_MARKET_ASSERTS.find((assert) => !assert.check(args, state))
+  if (!failed) return { ok: true }
+  return {
+    ok: false,
+    failure: {
+      source: failed.source,
+      detail: failed.detail,
+      error: new ContractError(failed.code, { functionName: 'create-market' }),
+    },
+  }
+}
+
+/**
+ * Chain state the dry run needs: the tip and next block height,
+ * `userAddress`'s spendable balance and the pause flag
+ */
+export const loadCreateMarketState = async ({ network, contractAddress, contractName, userAddress }) => {
+  const index = getMarketIndex({ network, contractAddress, contractName })
+  const [tipHeight, balance, paused] = await Promise.all([
+    fetchStacksTipHeight(network.coreApiUrl, network.fetchFn),
+    fetchStxBalance(network.coreApiUrl, userAddress, network.fetchFn),
+    index.isPaused(),
+  ])
+  return { tipHeight, blockHeight: tipHeight + 1, balance, paused }
+}
+
+export default {
+  CLARITY_TYPES,
+  CREATE_MARKET_ARGS,
+  MARKET_LIMITS,
+  MARKET_FORM_FIELDS,
+  CREATE_MARKET_ASSERTS,
+  charLength,
+  checkClarityValue,
+  checkCreateMarketArgs,
+  getFieldMaxLength,
+  validateMarketField,
+  validateMarketForm,
+  toCreateMarketArgs,
+  dryRunCreateMarket,
+  loadCreateMarketState,
+}
@@ -0,0 +1,357 @@
+import { MARKET_STATUS, STATUS_DETAILS, marketStatus } from './marketStatus'
+
+/**
+ * Market search for StacksBet Arena
+ * Tokenized, typo-tolerant and ranked matching over a market's title,
+ * description, category and resolution source, facet filters derived from
+ * the markets themselves, and the URL query string that keeps both.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Matches in the title count most
+const FIELD_WEIGHTS = [
+  { key: 'title', weight: 3 },
+  { key: 'category', weight: 2 },
+  { key: 'resolutionSource', weight: 1 },
+  { key: 'description', weight: 1 },
+]
+
+// Match quality per query token
+const EXACT = 1
+const PREFIX = 0.8
+const FUZZY = [0, 0.6, 0.4]
+// Extra score when the whole query appears in the title as typed
+const PHRASE_BONUS = 2
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'be', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'will'])
+
+// Each facet groups MARKET_STATUS values; a paused market still counts as
+// open, and so does one waiting for the chain tip
+export const STATUS_FACETS = [
+  { id: 'open', statuses: [MARKET_STATUS.OPEN, MARKET_STATUS.PAUSED, MARKET_STATUS.LOADING] },
+  { id: 'closing', statuses: [MARKET_STATUS.CLOSING_SOON] },
+  { id: 'closed', statuses: [MARKET_STATUS.AWAITING_RESOLUTION] },
+  { id: 'resolvable', statuses: [MARKET_STATUS.RESOLVABLE] },
+  { id: 'yes', statuses: [MARKET_STATUS.RESOLVED_YES] },
+  { id: 'no', statuses: [MARKET_STATUS.RESOLVED_NO] },
+  { id: 'invalid', label: 'Invalid', statuses: [MARKET_STATUS.INVALID] },
+].map((facet) => ({ label: STATUS_DETAILS[facet.statuses[0]].label, ...facet }))
+
+export const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best Match' },
+  { value: 'newest', label: 'Newest First' },
+  { value: 'ending', label: 'Ending Soon' },
+  { value: 'volume', label: 'Highest Volume' },
+  { value: 'participants', label: 'Most Active' },
+]
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  categories: [],
+  statuses: [],
+  creator: '',
+  // STX
+  minVolume: null,
+  maxVolume: null,
+  // YYYY-MM-DD, inclusive
+  endAfter: '',
+  endBefore: '',
+  // Empty: best match while searching, newest otherwise
+  sort: '',
+}
+
+// ============================================
+// TOKENIZING & MATCHING
+// ============================================
+
+/**
+ * Lower-case words without accents or stop words. Titles are `string-utf8`,
+ * so words are runs of letters and digits in any script; marks other than
+ * Latin accents stay part of their word.
+ */
+export const tokenize = (text = '') =>
+  String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}\p{M}]+/u)
+    .filter((token) => token && !STOP_WORDS.has(token))
+
+/**
+ * Levenshtein distance, or `max + 1` as soon as it must exceed `max`
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Longer words may carry more typos
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0)
+
+/**
+ * How well one query token matches one word: 1 exact, less for a prefix
+ * (the user is still typing) or a near miss, 0 for none
+ */
+export const matchToken = (query, word) => {
+  if (query === word) return EXACT
+  if (query.length >= 2 && word.startsWith(query)) return PREFIX
+  const max = allowedTypos(query)
+  if (!max) return 0
+  const distance = editDistance(query, word, max)
+  if (distance <= max) return FUZZY[distance]
+  // A typo in a word that is still being typed
+  const partial = editDistance(query, word.slice(0, query.length), max)
+  return partial <= max ? FUZZY[partial] * PREFIX : 0
+}
+
+// ============================================
+// SEARCH INDEX
+// ============================================
+
+/**
+ * Tokenize every searchable field once; pass the result to `searchMarkets`
+ */
+export const buildSearchIndex = (markets) =>
+  markets.map((market) => ({
+    market,
+    title: (market.title || '').toLowerCase(),
+    fields: FIELD_WEIGHTS.map(({ key, weight }) => ({ weight, words: Array.from(new Set(tokenize(market[key]))) })),
+  }))
+
+/**
+ * Relevance of one indexed market for the query tokens. Every token must
+ * match somewhere; 0 means no match.
+ */
+const scoreEntry = (entry, tokens, phrase) => {
+  let score = 0
+  for (const token of tokens) {
+    let best = 0
+    entry.fields.forEach(({ weight, words }) => {
+      words.forEach((word) => {
+        best = Math.max(best, weight * matchToken(token, word))
+      })
+    })
+    if (!best) return 0
+    score += best
+  }
+  return phrase && entry.title.includes(phrase) ? score + PHRASE_BONUS : score
+}
+
+// ============================================
+// FACETS
+// ============================================
+
+export const categoryKey = (category = '') => category.trim().toLowerCase()
+
+/**
+ * Which STATUS_FACETS entry a market falls in at `tipHeight`; `options` go
+ * to marketStatus
+ */
+export const getStatusFacet = (market, tipHeight, options) => {
+  const status = marketStatus(market, tipHeight, options)
+  return STATUS_FACETS.find((facet) => facet.statuses.includes(status)).id
+}
+
+const countBy = (items, keyOf) => {
+  const counts = new Map()
+  items.forEach((item) => {
+    const key = keyOf(item)
+    counts.set(key, (counts.get(key) || 0) + 1)
+  })
+  return counts
+}
+
+/**
+ * Facet values with counts, all taken from the markets: categories
+ * (grouped case-insensitively, labelled with their most common spelling),
+ * statuses and creators
+ */
+export const getFacets = (markets, tipHeight, { paused = false, estimator = null } = {}) => {
+  const spellings = new Map()
+  markets.forEach(({ category }) => {
+    const key = categoryKey(category)
+    if (!key) return
+    if (!spellings.has(key)) spellings.set(key, new Map())
+    const labels = spellings.get(key)
+    labels.set(category.trim(), (labels.get(category.trim()) || 0) + 1)
+  })
+
+  const categories = Array.from(spellings, ([key, labels]) => {
+    const ranked = Array.from(labels).sort((a, b) => b[1] - a[1])
+    return { key, label: ranked[0][0], count: ranked.reduce((sum, [, count]) => sum + count, 0) }
+  }).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+
+  const statusCounts = countBy(markets, (market) => getStatusFacet(market, tipHeight, { paused, estimator }))
+  const statuses = STATUS_FACETS.map((status) => ({ ...status, count: statusCounts.get(status.id) || 0 }))
+
+  const creators = Array.from(countBy(markets, (market) => market.creator), ([address, count]) => ({ address, count }))
+    .sort((a, b) => b.count - a.count)
+
+  return { categories, statuses, creators }
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+const volumeOf = (market) => (market.totalYes + market.totalNo) / 1_000_000
+
+const startOfDay = (day) => new Date(`${day}T00:00:00`).getTime()
+const endOfDay = (day) => new Date(`${day}T23:59:59.999`).getTime()
+
+const SORTERS = {
+  relevance: (a, b) => b.score - a.score || b.market.id - a.market.id,
+  newest: (a, b) => b.market.id - a.market.id,
+  ending: (a, b) => a.market.endTime - b.market.endTime,
+  volume: (a, b) => volumeOf(b.market) - volumeOf(a.market),
+  participants: (a, b) => (b.participants || 0) - (a.participants || 0) || b.market.id - a.market.id,
+}
+
+/**
+ * Count of filters other than the text query and sort
+ */
+export const countActiveFilters = (filters) =>
+  [
+    filters.categories.length > 0,
+    filters.statuses.length > 0,
+    !!filters.creator,
+    filters.minVolume != null || filters.maxVolume != null,
+    !!(filters.endAfter || filters.endBefore),
+  ].filter(Boolean).length
+
+export const resolveSort = (filters) => filters.sort || (filters.q.trim() ? 'relevance' : 'newest')
+
+/**
+ * Markets matching `filters`, ranked. `estimator` (a BlockTimeEstimator)
+ * dates each market's end block for the end-date range; until it has
+ * measured the chain that range is not applied. `participants` maps market
+ * IDs to bettor counts for the "Most Active" sort; `paused` is the protocol
+ * pause flag for the status facets.
+ */
+export const searchMarkets = (
+  index,
+  filters,
+  { tipHeight = null, estimator = null, participants = {}, paused = false } = {}
+) => {
+  const tokens = tokenize(filters.q)
+  const phrase = filters.q.trim().toLowerCase()
+  const categories = new Set(filters.categories)
+  const statuses = new Set(filters.statuses)
+  const endAfter = filters.endAfter ? startOfDay(filters.endAfter) : null
+  const endBefore = filters.endBefore ? endOfDay(filters.endBefore) : null
+  const datesKnown = !!estimator?.sample
+
+  const results = []
+  index.forEach((entry) => {
+    const { market } = entry
+    if (categories.size && !categories.has(categoryKey(market.category))) return
+    if (statuses.size && !statuses.has(getStatusFacet(market, tipHeight, { paused, estimator }))) return
+    if (filters.creator && market.creator !== filters.creator) return
+    if (filters.minVolume != null && volumeOf(market) < filters.minVolume) return
+    if (filters.maxVolume != null && volumeOf(market) > filters.maxVolume) return
+    if (datesKnown && (endAfter != null || endBefore != null)) {
+      const endsAt = estimator.estimateTime(market.endTime).time
+      if (endAfter != null && endsAt < endAfter) return
+      if (endBefore != null && endsAt > endBefore) return
+    }
+
+    const score = tokens.length ? scoreEntry(entry, tokens, phrase) : 0
+    if (tokens.length && !score) return
+    results.push({ market, score, participants: participants[market.id] })
+  })
+
+  return results.sort(SORTERS[resolveSort(filters)] || SORTERS.newest).map(({ market }) => market)
+}
+
+// ============================================
+// URL QUERY STRING
+// ============================================
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const parseList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : [])
+
+const parseAmount = (value) => {
+  if (value == null || value === '') return null
+  const amount = Number(value)
+  return Number.isFinite(amount) && amount >= 0 ? amount : null
+}
+
+/**
+ * Filters from a query string such as `?q=btc&category=crypto,defi&status=open`.
+ * Unknown or malformed values fall back to the defaults.
+ */
+export const parseMarketFilters = (search = '') => {
+  const params = new URLSearchParams(search)
+  const statusIds = new Set(STATUS_FACETS.map((status) => status.id))
+  const sort = params.get('sort')
+  const day = (key) => (DAY_PATTERN.test(params.get(key) || '') ? params.get(key) : '')
+
+  return {
+    ...DEFAULT_FILTERS,
+    q: params.get('q') || '',
+    categories: parseList(params.get('category')).map(categoryKey),
+    statuses: parseList(params.get('status')).filter((id) => statusIds.has(id)),
+    creator: params.get('creator') || '',
+    minVolume: parseAmount(params.get('minVolume')),
+    maxVolume: parseAmount(params.get('maxVolume')),
+    endAfter: day('endAfter'),
+    endBefore: day('endBefore'),
+    sort: SORT_OPTIONS.some((option) => option.value === sort) ? sort : '',
+  }
+}
+
+/**
+ * The query string for `filters` (with its `?`), leaving out defaults so
+ * unfiltered pages keep a bare URL
+ */
+export const serializeMarketFilters = (filters) => {
+  const params = new URLSearchParams()
+  if (filters.q.trim()) params.set('q', filters.q)
+  if (filters.categories.length) params.set('category', filters.categories.join(','))
+  if (filters.statuses.length) params.set('status', filters.statuses.join(','))
+  if (filters.creator) params.set('creator', filters.creator)
+  if (filters.minVolume != null) params.set('minVolume', String(filters.minVolume))
+  if (filters.maxVolume != null) params.set('maxVolume', String(filters.maxVolume))
+  if (filters.endAfter) params.set('endAfter', filters.endAfter)
+  if (filters.endBefore) params.set('endBefore', filters.endBefore)
+  if (filters.sort) params.set('sort', filters.sort)
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+export default {
+  STATUS_FACETS,
+  SORT_OPTIONS,
+  DEFAULT_FILTERS,
+  tokenize,
+  editDistance,
+  matchToken,
+  buildSearchIndex,
+  categoryKey,
+  getStatusFacet,
+  getFacets,
+  countActiveFilters,
+  resolveSort,
+  searchMarkets,
+  parseMarketFilters,
+  serializeMarketFilters,
+}
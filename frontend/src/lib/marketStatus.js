@@ -0,0 +1,108 @@
+import { OUTCOME } from './config'
+import { DEFAULT_BLOCK_TIME_SECONDS } from './blockTime'
+
+/**
+ * Market lifecycle for StacksBet Arena
+ * One status per market, derived from `get-market` and the chain tip the way
+ * the contract will judge the next transaction: `place-bet` needs the market
+ * active and `block-height < end-time`, `resolve-market` needs
+ * `block-height >= resolution-time`, and a transaction sent now lands in
+ * block `tip + 1` at the earliest. Cards, badges, filters and buttons all read
+ * it from here.
+ */
+
+// ============================================
+// STATUSES
+// ============================================
+
+export const MARKET_STATUS = {
+  LOADING: 'loading', // unresolved, chain tip not known yet
+  OPEN: 'open',
+  CLOSING_SOON: 'closing-soon',
+  PAUSED: 'paused', // betting window open, but the protocol is paused
+  AWAITING_RESOLUTION: 'awaiting-resolution', // betting over, resolution window not open yet
+  RESOLVABLE: 'resolvable',
+  RESOLVED_YES: 'resolved-yes',
+  RESOLVED_NO: 'resolved-no',
+  INVALID: 'invalid', // cancelled or emergency-closed: every stake is refunded
+}
+
+/**
+ * Where each status sits: `phase` is 'betting', 'closed' (betting over, not
+ * resolved) or 'settled'; the flags say which contract calls can succeed.
+ * `variant` is the Badge variant.
+ */
+export const STATUS_DETAILS = {
+  [MARKET_STATUS.LOADING]: { label: 'Loading', variant: 'default', phase: 'betting' },
+  [MARKET_STATUS.OPEN]: { label: 'Open', variant: 'primary', phase: 'betting', canBet: true },
+  [MARKET_STATUS.CLOSING_SOON]: { label: 'Closing soon', variant: 'warning', phase: 'betting', canBet: true },
+  [MARKET_STATUS.PAUSED]: { label: 'Paused', variant: 'default', phase: 'betting' },
+  [MARKET_STATUS.AWAITING_RESOLUTION]: { label: 'Awaiting resolution', variant: 'info', phase: 'closed' },
+  [MARKET_STATUS.RESOLVABLE]: { label: 'Resolvable', variant: 'info', phase: 'closed', canResolve: true },
+  [MARKET_STATUS.RESOLVED_YES]: { label: 'Resolved YES', variant: 'success', phase: 'settled', canClaim: true },
+  [MARKET_STATUS.RESOLVED_NO]: { label: 'Resolved NO', variant: 'danger', phase: 'settled', canClaim: true },
+  [MARKET_STATUS.INVALID]: { label: 'Invalid · refunds open', variant: 'warning', phase: 'settled', canClaim: true },
+}
+
+/**
+ * Whether `place-bet` can still succeed on an unresolved market at
+ * `tipHeight`: the next transaction lands in block `tip + 1` at the earliest,
+ * and the contract needs `block-height < end-time`
+ */
+export const isBettingOpen = (market, tipHeight) => market.isActive !== false && tipHeight + 1 < market.endTime
+
+// Betting counts as closing soon in its last day
+const CLOSING_SOON_SECONDS = 24 * 60 * 60
+
+// ============================================
+// DERIVATION
+// ============================================
+
+/**
+ * The MARKET_STATUS of `market` at `tipHeight`. `paused` is the protocol's
+ * pause flag, which stops betting only; `estimator` (a BlockTimeEstimator)
+ * turns the closing-soon window into blocks. Until the tip is known an
+ * unresolved market is LOADING, which takes no bets.
+ */
+export const marketStatus = (market, tipHeight, { paused = false, estimator = null } = {}) => {
+  if (market.resolved) {
+    if (market.outcome === OUTCOME.YES) return MARKET_STATUS.RESOLVED_YES
+    if (market.outcome === OUTCOME.NO) return MARKET_STATUS.RESOLVED_NO
+    return MARKET_STATUS.INVALID
+  }
+  if (tipHeight == null) return MARKET_STATUS.LOADING
+
+  const nextBlock = tipHeight + 1
+  if (isBettingOpen(market, tipHeight)) {
+    if (paused) return MARKET_STATUS.PAUSED
+    const secondsPerBlock = estimator?.secondsPerBlock ?? DEFAULT_BLOCK_TIME_SECONDS
+    const closingSoonBlocks = Math.ceil(CLOSING_SOON_SECONDS / secondsPerBlock)
+    return market.endTime - nextBlock <= closingSoonBlocks ? MARKET_STATUS.CLOSING_SOON : MARKET_STATUS.OPEN
+  }
+  return nextBlock >= market.resolutionTime ? MARKET_STATUS.RESOLVABLE : MARKET_STATUS.AWAITING_RESOLUTION
+}
+
+/**
+ * STATUS_DETAILS entry for a status, with every flag filled in
+ */
+export const getStatusDetails = (status) => ({
+  canBet: false,
+  canResolve: false,
+  canClaim: false,
+  ...(STATUS_DETAILS[status] || STATUS_DETAILS[MARKET_STATUS.OPEN]),
+  status,
+})
+
+/**
+ * marketStatus and its details in one call
+ */
+export const describeMarket = (market, tipHeight, options) => getStatusDetails(marketStatus(market, tipHeight, options))
+
+export default {
+  MARKET_STATUS,
+  STATUS_DETAILS,
+  isBettingOpen,
+  marketStatus,
+  getStatusDetails,
+  describeMarket,
+}
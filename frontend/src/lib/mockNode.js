@@ -0,0 +1,849 @@
+import {
+  ClarityType,
+  boolCV,
+  cvToHex,
+  cvToString,
+  cvToValue,
+  hexToCV,
+  noneCV,
+  principalCV,
+  responseErrorCV,
+  responseOkCV,
+  someCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  tupleCV,
+  uintCV,
+} from '@stacks/transactions'
+import { CONFIG, MOCK_ACCOUNTS, MOCK_API_URL } from './config'
+import { ContractErrorCodes, StxTransferErrorCodes } from './errors'
+
+/**
+ * In-browser mock Stacks node for StacksBet Arena
+ * Simulates the `stacksbet-arena` contract (same checks, integer math and
+ * error codes) and answers the Hiro API endpoints the app calls, so the UI can
+ * run offline against the `mock` network and tests can drive the contract
+ * without a devnet. Its `fetch` plugs into `@stacks/network` as `fetchFn`.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const OUTCOME_YES = 1n
+const OUTCOME_NO = 2n
+const OUTCOME_INVALID = 3n
+const PLATFORM_FEE = 200n
+const CREATOR_FEE = 50n
+const MIN_LIQUIDITY = 1000000n
+const MIN_BET = 100000n
+
+const BLOCK_TIME_SECONDS = 600
+const DEFAULT_START_HEIGHT = 150000
+// 100k STX per account
+const DEFAULT_BALANCE = 100000000000n
+
+// Argument names and Clarity types, as declared in the contract
+const PUBLIC_FUNCTIONS = {
+  'create-market': [
+    ['title', '(string-utf8 200)'],
+    ['description', '(string-utf8 500)'],
+    ['category', '(string-ascii 50)'],
+    ['resolution-source', '(string-utf8 200)'],
+    ['end-time', 'uint'],
+    ['resolution-time', 'uint'],
+    ['initial-liquidity', 'uint'],
+  ],
+  'place-bet': [['market-id', 'uint'], ['outcome', 'uint'], ['amount', 'uint']],
+  'resolve-market': [['market-id', 'uint'], ['outcome', 'uint']],
+  'claim-winnings': [['market-id', 'uint']],
+  'cancel-market': [['market-id', 'uint']],
+  'add-oracle': [['oracle', 'principal']],
+  'remove-oracle': [['oracle', 'principal']],
+  'toggle-protocol': [],
+  'set-treasury': [['new-treasury', 'principal']],
+  'emergency-close': [['market-id', 'uint']],
+}
+
+const READ_ONLY_FUNCTIONS = {
+  'get-market': [['market-id', 'uint']],
+  'get-position': [['market-id', 'uint'], ['user', 'principal']],
+  'get-user-stats': [['user', 'principal']],
+  'get-total-volume': [],
+  'get-total-markets': [],
+  'get-total-bets': [],
+  'get-next-market-id': [],
+  'is-paused': [],
+  'is-oracle': [['oracle', 'principal']],
+  'get-odds': [['market-id', 'uint']],
+  'calculate-payout': [['market-id', 'uint'], ['user', 'principal']],
+}
+
+// ============================================
+// ARGUMENT CHECKING
+// ============================================
+
+/**
+ * Thrown for calls a real node would reject before execution (unknown
+ * function, wrong argument count or type). Carries the HTTP status to answer with.
+ */
+export class MockNodeError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'MockNodeError'
+    this.status = status
+  }
+}
+
+const checkArg = (cv, type, name) => {
+  const fail = () => {
+    throw new MockNodeError(`Bad argument \`${name}\`: expected ${type}, got ${cvToString(cv)}`)
+  }
+  if (type === 'uint') {
+    if (cv.type !== ClarityType.UInt) fail()
+    return BigInt(cv.value)
+  }
+  if (type === 'principal') {
+    if (cv.type !== ClarityType.PrincipalStandard && cv.type !== ClarityType.PrincipalContract) fail()
+    return cvToValue(cv)
+  }
+  const [, kind, maxLength] = type.match(/^\((string-utf8|string-ascii) (\d+)\)$/)
+  const expected = kind === 'string-utf8' ? ClarityType.StringUTF8 : ClarityType.StringASCII
+  if (cv.type !== expected) fail()
+  // string-utf8 lengths count characters, string-ascii lengths count bytes
+  const length = kind === 'string-utf8' ? [...cv.data].length : cv.data.length
+  if (length > Number(maxLength)) fail()
+  return cv.data
+}
+
+const checkArgs = (signature, functionName, cvs) => {
+  if (!signature) throw new MockNodeError(`Unknown function \`${functionName}\``, 404)
+  if (cvs.length !== signature.length) {
+    throw new MockNodeError(`\`${functionName}\` expects ${signature.length} arguments, got ${cvs.length}`)
+  }
+  return signature.map(([name, type], i) => checkArg(cvs[i], type, name))
+}
+
+// ============================================
+// CONTRACT
+// ============================================
+
+const marketCV = (m) => tupleCV({
+  creator: principalCV(m.creator),
+  title: stringUtf8CV(m.title),
+  description: stringUtf8CV(m.description),
+  category: stringAsciiCV(m.category),
+  'resolution-source': stringUtf8CV(m.resolutionSource),
+  'end-time': uintCV(m.endTime),
+  'resolution-time': uintCV(m.resolutionTime),
+  'total-yes-amount': uintCV(m.totalYes),
+  'total-no-amount': uintCV(m.totalNo),
+  resolved: boolCV(m.resolved),
+  outcome: uintCV(m.outcome),
+  'created-at': uintCV(m.createdAt),
+  'is-active': boolCV(m.isActive),
+})
+
+const positionCV = (p) => tupleCV({
+  'yes-shares': uintCV(p.yesShares),
+  'no-shares': uintCV(p.noShares),
+  'total-invested': uintCV(p.totalInvested),
+  claimed: boolCV(p.claimed),
+})
+
+const userStatsCV = (s) => tupleCV({
+  'total-bets': uintCV(s.totalBets),
+  'total-volume': uintCV(s.totalVolume),
+  'total-winnings': uintCV(s.totalWinnings),
+  'total-losses': uintCV(s.totalLosses),
+  'markets-created': uintCV(s.marketsCreated),
+  'win-rate': uintCV(s.winRate),
+})
+
+const emptyPosition = () => ({ yesShares: 0n, noShares: 0n, totalInvested: 0n, claimed: false })
+
+const emptyUserStats = () => ({
+  totalBets: 0n,
+  totalVolume: 0n,
+  totalWinnings: 0n,
+  totalLosses: 0n,
+  marketsCreated: 0n,
+  winRate: 0n,
+})
+
+const ok = (value) => ({ ok: value })
+const err = (code) => ({ err: code })
+
+/**
+ * The contract's state and functions. Public functions take the calling
+ * context `{ sender, blockHeight }` and return `{ ok: cv }` or `{ err: code }`;
+ * every check runs before any state changes, so an error leaves nothing behind.
+ */
+export class MockContract {
+  constructor({ owner, contractId, ledger }) {
+    this.owner = owner
+    this.contractId = contractId
+    this.ledger = ledger
+
+    this.nextMarketId = 1n
+    this.totalVolume = 0n
+    this.totalMarkets = 0n
+    this.totalBets = 0n
+    this.treasury = owner
+    this.paused = false
+
+    this.markets = new Map()
+    this.positions = new Map()
+    this.userStats = new Map()
+    this.oracles = new Map()
+  }
+
+  // ---- read-only -------------------------------------------------------
+
+  getMarket(marketId) {
+    return this.markets.get(BigInt(marketId)) || null
+  }
+
+  getPosition(marketId, user) {
+    return this.positions.get(`${marketId}:${user}`) || emptyPosition()
+  }
+
+  getUserStats(user) {
+    return this.userStats.get(user) || emptyUserStats()
+  }
+
+  isOracle(oracle) {
+    return this.oracles.get(oracle) === true
+  }
+
+  getOdds(marketId) {
+    const market = this.getMarket(marketId)
+    if (!market) return { yesOdds: 0n, noOdds: 0n }
+    const total = market.totalYes + market.totalNo
+    if (total === 0n) return { yesOdds: 5000n, noOdds: 5000n }
+    return {
+      yesOdds: (market.totalNo * 10000n) / total,
+      noOdds: (market.totalYes * 10000n) / total,
+    }
+  }
+
+  calculatePayout(marketId, user) {
+    const market = this.getMarket(marketId)
+    if (!market || !market.resolved) return 0n
+    const position = this.getPosition(marketId, user)
+    const totalPool = market.totalYes + market.totalNo
+    if (market.outcome === OUTCOME_YES) {
+      return market.totalYes === 0n ? 0n : (position.yesShares * totalPool) / market.totalYes
+    }
+    if (market.outcome === OUTCOME_NO) {
+      return market.totalNo === 0n ? 0n : (position.noShares * totalPool) / market.totalNo
+    }
+    // Invalid outcome - refund
+    return position.totalInvested
+  }
+
+  // ---- public ----------------------------------------------------------
+
+  createMarket({ sender, blockHeight }, title, description, category, resolutionSource, endTime, resolutionTime, initialLiquidity) {
+    const marketId = this.nextMarketId
+    if (this.paused) return err(ContractErrorCodes.MARKET_CLOSED)
+    if (endTime <= blockHeight) return err(ContractErrorCodes.INVALID_AMOUNT)
+    if (resolutionTime <= endTime) return err(ContractErrorCodes.INVALID_AMOUNT)
+    if (initialLiquidity < MIN_LIQUIDITY) return err(ContractErrorCodes.INVALID_AMOUNT)
+
+    const transferError = this.ledger.check([[sender, this.contractId, initialLiquidity]])
+    if (transferError) return err(transferError)
+    this.ledger.transfer(sender, this.contractId, initialLiquidity)
+
+    this.markets.set(marketId, {
+      creator: sender,
+      title,
+      description,
+      category,
+      resolutionSource,
+      endTime,
+      resolutionTime,
+      totalYes: initialLiquidity / 2n,
+      totalNo: initialLiquidity / 2n,
+      resolved: false,
+      outcome: 0n,
+      createdAt: blockHeight,
+      isActive: true,
+    })
+
+    const stats = this.getUserStats(sender)
+    this.userStats.set(sender, { ...stats, marketsCreated: stats.marketsCreated + 1n })
+
+    this.nextMarketId = marketId + 1n
+    this.totalMarkets += 1n
+    this.totalVolume += initialLiquidity
+
+    return ok(uintCV(marketId))
+  }
+
+  placeBet({ sender, blockHeight }, marketId, outcome, amount) {
+    const market = this.getMarket(marketId)
+    if (!market) return err(ContractErrorCodes.MARKET_NOT_FOUND)
+    if (this.paused) return err(ContractErrorCodes.MARKET_CLOSED)
+    if (!market.isActive) return err(ContractErrorCodes.MARKET_CLOSED)
+    if (blockHeight >= market.endTime) return err(ContractErrorCodes.MARKET_CLOSED)
+    if (outcome !== OUTCOME_YES && outcome !== OUTCOME_NO) return err(ContractErrorCodes.INVALID_OUTCOME)
+    if (amount < MIN_BET) return err(ContractErrorCodes.INVALID_AMOUNT)
+
+    const platformCut = (amount * PLATFORM_FEE) / 10000n
+    const creatorCut = (amount * CREATOR_FEE) / 10000n
+    const netAmount = amount - (platformCut + creatorCut)
+
+    const transferError = this.ledger.check([
+      [sender, this.contractId, amount],
+      [this.contractId, market.creator, creatorCut],
+    ])
+    if (transferError) return err(transferError)
+    this.ledger.transfer(sender, this.contractId, amount)
+    this.ledger.transfer(this.contractId, market.creator, creatorCut)
+
+    this.markets.set(marketId, {
+      ...market,
+      ...(outcome === OUTCOME_YES
+        ? { totalYes: market.totalYes + netAmount }
+        : { totalNo: market.totalNo + netAmount }),
+    })
+
+    const position = this.getPosition(marketId, sender)
+    this.positions.set(`${marketId}:${sender}`, {
+      yesShares: outcome === OUTCOME_YES ? position.yesShares + netAmount : position.yesShares,
+      noShares: outcome === OUTCOME_NO ? position.noShares + netAmount : position.noShares,
+      totalInvested: position.totalInvested + amount,
+      claimed: false,
+    })
+
+    const stats = this.getUserStats(sender)
+    this.userStats.set(sender, {
+      ...stats,
+      totalBets: stats.totalBets + 1n,
+      totalVolume: stats.totalVolume + amount,
+    })
+
+    this.totalBets += 1n
+    this.totalVolume += amount
+
+    return ok(tupleCV({ shares: uintCV(netAmount), fee: uintCV(platformCut + creatorCut) }))
+  }
+
+  resolveMarket({ sender, blockHeight }, marketId, outcome) {
+    const market = this.getMarket(marketId)
+    if (!market) return err(ContractErrorCodes.MARKET_NOT_FOUND)
+    if (sender !== this.owner && !this.isOracle(sender)) return err(ContractErrorCodes.NOT_AUTHORIZED)
+    if (market.resolved) return err(ContractErrorCodes.ALREADY_RESOLVED)
+    if (blockHeight < market.resolutionTime) return err(ContractErrorCodes.MARKET_ACTIVE)
+    if (![OUTCOME_YES, OUTCOME_NO, OUTCOME_INVALID].includes(outcome)) return err(ContractErrorCodes.INVALID_OUTCOME)
+
+    this.markets.set(marketId, { ...market, resolved: true, outcome, isActive: false })
+    return ok(boolCV(true))
+  }
+
+  claimWinnings({ sender }, marketId) {
+    const market = this.getMarket(marketId)
+    if (!market) return err(ContractErrorCodes.MARKET_NOT_FOUND)
+    const position = this.getPosition(marketId, sender)
+    const payout = this.calculatePayout(marketId, sender)
+    if (!market.resolved) return err(ContractErrorCodes.MARKET_NOT_RESOLVED)
+    if (position.claimed) return err(ContractErrorCodes.ALREADY_CLAIMED)
+    if (payout <= 0n) return err(ContractErrorCodes.NO_POSITION)
+
+    const transferError = this.ledger.check([[this.contractId, sender, payout]])
+    if (transferError) return err(transferError)
+    this.ledger.transfer(this.contractId, sender, payout)
+
+    this.positions.set(`${marketId}:${sender}`, { ...position, claimed: true })
+
+    const stats = this.getUserStats(sender)
+    const invested = position.totalInvested
+    const profit = payout > invested ? payout - invested : 0n
+    const loss = payout < invested ? invested - payout : 0n
+    const oldBets = stats.totalBets
+    const winRate = oldBets > 0n
+      ? ((profit > 0n ? oldBets + 1n : oldBets) * 100n) / (oldBets + 1n)
+      : 0n
+    this.userStats.set(sender, {
+      ...stats,
+      totalWinnings: stats.totalWinnings + profit,
+      totalLosses: stats.totalLosses + loss,
+      winRate,
+    })
+
+    return ok(uintCV(payout))
+  }
+
+  cancelMarket({ sender }, marketId) {
+    const market = this.getMarket(marketId)
+    if (!market) return err(ContractErrorCodes.MARKET_NOT_FOUND)
+    if (sender !== market.creator) return err(ContractErrorCodes.NOT_AUTHORIZED)
+    if (market.resolved) return err(ContractErrorCodes.ALREADY_RESOLVED)
+
+    this.markets.set(marketId, { ...market, resolved: true, outcome: OUTCOME_INVALID, isActive: false })
+    return ok(boolCV(true))
+  }
+
+  addOracle({ sender }, oracle) {
+    if (sender !== this.owner) return err(ContractErrorCodes.NOT_AUTHORIZED)
+    this.oracles.set(oracle, true)
+    return ok(boolCV(true))
+  }
+
+  removeOracle({ sender }, oracle) {
+    if (sender !== this.owner) return err(ContractErrorCodes.NOT_AUTHORIZED)
+    this.oracles.set(oracle, false)
+    return ok(boolCV(true))
+  }
+
+  toggleProtocol({ sender }) {
+    if (sender !== this.owner) return err(ContractErrorCodes.NOT_AUTHORIZED)
+    this.paused = !this.paused
+    return ok(boolCV(true))
+  }
+
+  setTreasury({ sender }, newTreasury) {
+    if (sender !== this.owner) return err(ContractErrorCodes.NOT_AUTHORIZED)
+    this.treasury = newTreasury
+    return ok(boolCV(true))
+  }
+
+  emergencyClose({ sender }, marketId) {
+    const market = this.getMarket(marketId)
+    if (!market) return err(ContractErrorCodes.MARKET_NOT_FOUND)
+    if (sender !== this.owner) return err(ContractErrorCodes.NOT_AUTHORIZED)
+
+    this.markets.set(marketId, { ...market, resolved: true, outcome: OUTCOME_INVALID, isActive: false })
+    return ok(boolCV(true))
+  }
+
+  // ---- dispatch --------------------------------------------------------
+
+  /**
+   * Evaluate a read-only function; returns its Clarity value
+   */
+  callReadOnly(functionName, args) {
+    const [first, second] = args
+    switch (functionName) {
+      case 'get-market': {
+        const market = this.getMarket(first)
+        return market ? someCV(marketCV(market)) : noneCV()
+      }
+      case 'get-position':
+        return positionCV(this.getPosition(first, second))
+      case 'get-user-stats':
+        return userStatsCV(this.getUserStats(first))
+      case 'get-total-volume':
+        return uintCV(this.totalVolume)
+      case 'get-total-markets':
+        return uintCV(this.totalMarkets)
+      case 'get-total-bets':
+        return uintCV(this.totalBets)
+      case 'get-next-market-id':
+        return uintCV(this.nextMarketId)
+      case 'is-paused':
+        return boolCV(this.paused)
+      case 'is-oracle':
+        return tupleCV({ 'is-active': boolCV(this.isOracle(first)) })
+      case 'get-odds': {
+        const odds = this.getOdds(first)
+        return tupleCV({ 'yes-odds': uintCV(odds.yesOdds), 'no-odds': uintCV(odds.noOdds) })
+      }
+      case 'calculate-payout':
+        return uintCV(this.calculatePayout(first, second))
+      default:
+        throw new MockNodeError(`Unknown function \`${functionName}\``, 404)
+    }
+  }
+
+  /**
+   * Execute a public function; returns its response as `{ ok }` / `{ err }`
+   */
+  callPublic(functionName, context, args) {
+    const handlers = {
+      'create-market': this.createMarket,
+      'place-bet': this.placeBet,
+      'resolve-market': this.resolveMarket,
+      'claim-winnings': this.claimWinnings,
+      'cancel-market': this.cancelMarket,
+      'add-oracle': this.addOracle,
+      'remove-oracle': this.removeOracle,
+      'toggle-protocol': this.toggleProtocol,
+      'set-treasury': this.setTreasury,
+      'emergency-close': this.emergencyClose,
+    }
+    return handlers[functionName].call(this, context, ...args)
+  }
+}
+
+// ============================================
+// STX LEDGER
+// ============================================
+
+/**
+ * STX balances. Standard principals start funded; contracts start empty.
+ */
+class StxLedger {
+  constructor(initialBalance) {
+    this.initialBalance = initialBalance
+    this.balances = new Map()
+  }
+
+  getBalance(principal) {
+    if (this.balances.has(principal)) return this.balances.get(principal)
+    return principal.includes('.') ? 0n : this.initialBalance
+  }
+
+  /**
+   * Check a sequence of transfers; returns the `stx-transfer?` error code of
+   * the first that would fail, or null
+   */
+  check(transfers) {
+    const pending = new Map()
+    const balanceOf = (p) => (pending.has(p) ? pending.get(p) : this.getBalance(p))
+    for (const [from, to, amount] of transfers) {
+      if (amount <= 0n) return StxTransferErrorCodes.NON_POSITIVE_AMOUNT
+      if (from === to) return StxTransferErrorCodes.SAME_PRINCIPAL
+      if (balanceOf(from) < amount) return StxTransferErrorCodes.INSUFFICIENT_BALANCE
+      pending.set(from, balanceOf(from) - amount)
+      pending.set(to, balanceOf(to) + amount)
+    }
+    return null
+  }
+
+  transfer(from, to, amount) {
+    this.balances.set(from, this.getBalance(from) - amount)
+    this.balances.set(to, this.getBalance(to) + amount)
+  }
+}
+
+// ============================================
+// NODE
+// ============================================
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+
+const toHex = (n, bytes = 32) => `0x${n.toString(16).padStart(bytes * 2, '0')}`
+
+export class MockStacksNode {
+  constructor({
+    contractAddress = MOCK_ACCOUNTS.deployer,
+    contractName = CONFIG.contractName,
+    startHeight = DEFAULT_START_HEIGHT,
+    initialBalance = DEFAULT_BALANCE,
+  } = {}) {
+    this.contractAddress = contractAddress
+    this.contractName = contractName
+    this.contractId = `${contractAddress}.${contractName}`
+    this.ledger = new StxLedger(BigInt(initialBalance))
+    this.contract = new MockContract({ owner: contractAddress, contractId: this.contractId, ledger: this.ledger })
+    this.blockHeight = startHeight
+    // Oldest first; the API serves them newest first
+    this.txs = []
+    this.txIndex = new Map()
+    this.anchorClock()
+
+    // Handed to `@stacks/network` as `fetchFn`, so keep `this` bound
+    this.fetch = this.fetch.bind(this)
+  }
+
+  // ---- chain -----------------------------------------------------------
+
+  /**
+   * Date blocks so the current tip was mined `now`, ten minutes apart
+   */
+  anchorClock(nowSeconds = Math.floor(Date.now() / 1000)) {
+    this.genesisTime = nowSeconds - this.blockHeight * BLOCK_TIME_SECONDS
+  }
+
+  blockTime(height) {
+    return this.genesisTime + height * BLOCK_TIME_SECONDS
+  }
+
+  mineBlocks(count = 1) {
+    this.blockHeight += count
+    return this.blockHeight
+  }
+
+  /**
+   * Run a public function as `sender` in a new block and record the
+   * transaction. Aborted calls are recorded too (`abort_by_response`), like on
+   * chain. `functionArgs` are Clarity values.
+   */
+  submitContractCall({ sender, functionName, functionArgs = [] }) {
+    const values = checkArgs(PUBLIC_FUNCTIONS[functionName], functionName, functionArgs)
+    const blockHeight = this.mineBlocks(1)
+    const result = this.contract.callPublic(functionName, { sender, blockHeight: BigInt(blockHeight) }, values)
+    const resultCv = 'ok' in result ? responseOkCV(result.ok) : responseErrorCV(uintCV(result.err))
+
+    const tx = {
+      tx_id: toHex(this.txs.length + 1),
+      nonce: this.txs.filter((t) => t.sender_address === sender).length,
+      fee_rate: '0',
+      sender_address: sender,
+      tx_status: 'ok' in result ? 'success' : 'abort_by_response',
+      tx_type: 'contract_call',
+      block_height: blockHeight,
+      block_hash: toHex(blockHeight),
+      tx_index: 0,
+      canonical: true,
+      tx_result: { hex: cvToHex(resultCv), repr: cvToString(resultCv) },
+      contract_call: {
+        contract_id: this.contractId,
+        function_name: functionName,
+        function_args: functionArgs.map((cv, i) => ({
+          hex: cvToHex(cv),
+          repr: cvToString(cv),
+          name: PUBLIC_FUNCTIONS[functionName][i][0],
+          type: PUBLIC_FUNCTIONS[functionName][i][1],
+        })),
+      },
+    }
+    this.txs.push(tx)
+    this.txIndex.set(tx.tx_id, tx)
+    return this.serializeTx(tx)
+  }
+
+  // Block times follow the clock, so stamp them when served
+  serializeTx(tx) {
+    const time = this.blockTime(tx.block_height)
+    return {
+      ...tx,
+      block_time: time,
+      block_time_iso: new Date(time * 1000).toISOString(),
+      burn_block_time: time,
+      burn_block_time_iso: new Date(time * 1000).toISOString(),
+    }
+  }
+
+  // ---- HTTP ------------------------------------------------------------
+
+  /**
+   * `fetch`-compatible entry point. Serves:
+   *   GET  /v2/info
+   *   POST /v2/contracts/call-read/{address}/{name}/{function}
+   *   GET  /v2/accounts/{principal}
+   *   GET  /extended/v1/status
+   *   GET  /extended/v1/tx/{txid}
+   *   GET  /extended/v1/address/{principal}/transactions
+   *   GET  /extended/v1/address/{principal}/stx
+   *   GET  /extended/v1/block
+   *   GET  /extended/v1/block/by_height/{height}
+   */
+  async fetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url, MOCK_API_URL)
+    const method = (init.method || 'GET').toUpperCase()
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+
+    try {
+      if (method === 'GET' && url.pathname === '/v2/info') return jsonResponse(this.getInfo())
+      if (method === 'GET' && url.pathname === '/extended/v1/status') {
+        return jsonResponse({
+          server_version: 'stacksbet-mock-node',
+          status: 'ready',
+          chain_tip: { block_height: this.blockHeight, block_hash: toHex(this.blockHeight) },
+        })
+      }
+      if (method === 'POST' && parts[0] === 'v2' && parts[1] === 'contracts' && parts[2] === 'call-read') {
+        const [, , , address, name, functionName] = parts
+        return jsonResponse(this.callRead(address, name, functionName, JSON.parse(init.body || '{}')))
+      }
+      if (method === 'GET' && parts[0] === 'v2' && parts[1] === 'accounts' && parts.length === 3) {
+        return jsonResponse({ balance: toHex(this.ledger.getBalance(parts[2]), 16), locked: toHex(0n, 16), nonce: 0 })
+      }
+      if (method === 'GET' && parts[0] === 'extended' && parts[1] === 'v1') {
+        if (parts[2] === 'tx' && parts.length === 4) {
+          const tx = this.txIndex.get(parts[3].startsWith('0x') ? parts[3] : `0x${parts[3]}`)
+          if (!tx) return jsonResponse({ error: `could not find transaction by ID ${parts[3]}` }, 404)
+          return jsonResponse(this.serializeTx(tx))
+        }
+        if (parts[2] === 'address' && parts[4] === 'transactions') {
+          return jsonResponse(this.getAddressTransactions(parts[3], url.searchParams))
+        }
+        if (parts[2] === 'address' && parts[4] === 'stx') {
+          return jsonResponse({ balance: this.ledger.getBalance(parts[3]).toString(), locked: '0' })
+        }
+        if (parts[2] === 'block' && parts.length === 3) {
+          return jsonResponse(this.getBlocks(url.searchParams))
+        }
+        if (parts[2] === 'block' && parts[3] === 'by_height' && parts.length === 5) {
+          const height = Number(parts[4])
+          if (!Number.isInteger(height) || height < 0 || height > this.blockHeight) {
+            return jsonResponse({ error: `cannot find block by height ${parts[4]}` }, 404)
+          }
+          return jsonResponse(this.serializeBlock(height))
+        }
+      }
+      return jsonResponse({ error: `No mock route for ${method} ${url.pathname}` }, 404)
+    } catch (error) {
+      if (error instanceof MockNodeError) return jsonResponse({ error: error.message }, error.status)
+      throw error
+    }
+  }
+
+  getInfo() {
+    return {
+      peer_version: 4207599113,
+      server_version: 'stacksbet-mock-node',
+      network_id: 2147483648,
+      parent_network_id: 3669344250,
+      stacks_tip_height: this.blockHeight,
+      stacks_tip: toHex(this.blockHeight),
+      burn_block_height: this.blockHeight,
+      unanchored_tip: null,
+      exit_at_block_height: null,
+    }
+  }
+
+  callRead(address, name, functionName, { arguments: hexArgs = [] }) {
+    if (`${address}.${name}` !== this.contractId) {
+      throw new MockNodeError(`No contract ${address}.${name} on the mock node`, 404)
+    }
+    let cvs
+    try {
+      cvs = hexArgs.map((hex) => hexToCV(hex))
+    } catch {
+      throw new MockNodeError('Could not decode arguments')
+    }
+    const values = checkArgs(READ_ONLY_FUNCTIONS[functionName], functionName, cvs)
+    return { okay: true, result: cvToHex(this.contract.callReadOnly(functionName, values)) }
+  }
+
+  // A block as `/extended/v1/block/by_height` returns it
+  serializeBlock(height) {
+    const time = this.blockTime(height)
+    return {
+      canonical: true,
+      height,
+      hash: toHex(height),
+      block_time: time,
+      block_time_iso: new Date(time * 1000).toISOString(),
+      burn_block_time: time,
+      burn_block_time_iso: new Date(time * 1000).toISOString(),
+      txs: this.txs.filter((tx) => tx.block_height === height).map((tx) => tx.tx_id),
+    }
+  }
+
+  // The chain's blocks, newest first like the API
+  getBlocks(searchParams) {
+    const limit = Math.min(Number(searchParams.get('limit')) || 20, 30)
+    const offset = Number(searchParams.get('offset')) || 0
+    const results = []
+    for (let height = this.blockHeight - offset; height >= 0 && results.length < limit; height--) {
+      results.push(this.serializeBlock(height))
+    }
+    return { limit, offset, total: this.blockHeight + 1, results }
+  }
+
+  /**
+   * Transactions sent by or to `principal`, newest first
+   */
+  getAddressTransactions(principal, searchParams) {
+    const limit = Math.min(Number(searchParams.get('limit')) || 20, 50)
+    const offset = Number(searchParams.get('offset')) || 0
+    const matching = this.txs
+      .filter((tx) => tx.sender_address === principal || tx.contract_call.contract_id === principal)
+      .reverse()
+    return {
+      limit,
+      offset,
+      total: matching.length,
+      results: matching.slice(offset, offset + limit).map((tx) => this.serializeTx(tx)),
+    }
+  }
+}
+
+// ============================================
+// DEMO DATA
+// ============================================
+
+const STX = (amount) => uintCV(BigInt(Math.round(amount * 1000000)))
+
+/**
+ * Populate a fresh node with markets in every state: open, awaiting
+ * resolution, resolved (with a claimable position for the deployer) and
+ * cancelled
+ */
+export const seedDemoMarkets = (node) => {
+  const { deployer, wallet1, wallet2, wallet3 } = MOCK_ACCOUNTS
+  const call = (sender, functionName, ...functionArgs) => {
+    const tx = node.submitContractCall({ sender, functionName, functionArgs })
+    if (tx.tx_status !== 'success') throw new Error(`Demo seed failed: ${functionName} ${tx.tx_result.repr}`)
+    return tx
+  }
+  const create = (sender, title, description, category, source, endIn, resolveIn, liquidity) =>
+    call(
+      sender,
+      'create-market',
+      stringUtf8CV(title),
+      stringUtf8CV(description),
+      stringAsciiCV(category),
+      stringUtf8CV(source),
+      uintCV(node.blockHeight + endIn),
+      uintCV(node.blockHeight + resolveIn),
+      STX(liquidity)
+    )
+  const bet = (sender, marketId, outcome, amount) =>
+    call(sender, 'place-bet', uintCV(marketId), uintCV(outcome), STX(amount))
+
+  call(deployer, 'add-oracle', principalCV(wallet3))
+
+  create(wallet1, 'Will STX close above $3 by the end of the quarter?', 'Resolves YES if the STX/USD daily close on CoinGecko is above $3.00 on the last day of the quarter.', 'Crypto', 'https://www.coingecko.com/en/coins/stacks', 4320, 4464, 50)
+  bet(wallet2, 1, 1, 25)
+  bet(wallet3, 1, 2, 40)
+  bet(wallet2, 1, 1, 10)
+
+  create(wallet2, 'Will sBTC deposits exceed 5,000 BTC this month?', 'Resolves YES if the sBTC dashboard reports more than 5,000 BTC deposited before the end of the month.', 'Technology', 'https://sbtc.tech', 2880, 3024, 20)
+  bet(wallet1, 2, 2, 15)
+  bet(wallet3, 2, 1, 5)
+
+  create(wallet1, 'Will the home team win the cup final?', 'Resolves YES if the home team lifts the trophy after regular time, extra time or penalties.', 'Sports', 'https://www.uefa.com', 6, 8, 10)
+  bet(wallet2, 3, 1, 12)
+  bet(wallet3, 3, 2, 8)
+
+  create(wallet2, 'Will the Fed cut rates at its next meeting?', 'Resolves YES if the FOMC statement announces a cut to the federal funds target range.', 'Finance', 'https://www.federalreserve.gov', 5, 7, 30)
+  bet(deployer, 4, 1, 20)
+  bet(wallet1, 4, 2, 15)
+
+  create(wallet3, 'Will the new season premiere top the streaming charts?', 'Resolves YES if it is #1 on the weekly streaming chart in its premiere week.', 'Entertainment', 'https://www.nielsen.com', 1000, 1100, 5)
+  bet(wallet1, 5, 1, 2)
+
+  node.mineBlocks(10)
+  call(deployer, 'resolve-market', uintCV(4), uintCV(1))
+  call(wallet3, 'cancel-market', uintCV(5))
+  node.anchorClock()
+  return node
+}
+
+// ============================================
+// SHARED INSTANCE
+// ============================================
+
+let sharedNode = null
+
+/**
+ * The node behind the `mock` network, seeded with demo markets on first use
+ */
+export const getMockNode = () => {
+  if (!sharedNode) sharedNode = seedDemoMarkets(new MockStacksNode())
+  return sharedNode
+}
+
+/**
+ * Swap in a fresh (unseeded) node, e.g. between tests
+ */
+export const resetMockNode = (options) => {
+  sharedNode = new MockStacksNode(options)
+  return sharedNode
+}
+
+export default {
+  MockContract,
+  MockStacksNode,
+  MockNodeError,
+  seedDemoMarkets,
+  getMockNode,
+  resetMockNode,
+}
@@ -0,0 +1,82 @@
+import { OUTCOME } from './config'
+import { splitBetAmount } from './payout'
+import { TX_TYPES, TX_STATUS } from './txTracker'
+
+/**
+ * Optimistic bet updates for StacksBet Arena
+ * A signed bet is shown in its market's pools and the bettor's position right
+ * away. The overlay is derived from the transaction tracker: it lasts while
+ * the bet is pending, is replaced by re-read chain state once the bet
+ * confirms and simply disappears (a rollback) if it aborts.
+ */
+
+// ============================================
+// PENDING BETS
+// ============================================
+
+const BET_OUTCOMES = {
+  [TX_TYPES.BET_YES]: OUTCOME.YES,
+  [TX_TYPES.BET_NO]: OUTCOME.NO,
+}
+
+/**
+ * Tracked bets that have not been mined yet
+ */
+export const getPendingBets = (transactions) =>
+  transactions
+    .filter((tx) => BET_OUTCOMES[tx.type] && tx.status === TX_STATUS.PENDING && tx.amount > 0)
+    .map((tx) => ({
+      txId: tx.id,
+      marketId: tx.marketId,
+      sender: tx.sender,
+      outcome: BET_OUTCOMES[tx.type],
+      amount: tx.amount,
+      net: splitBetAmount(tx.amount).net,
+    }))
+
+/**
+ * `market` with its pending bets added to the pools. `pendingAmount` is the
+ * gross micro-STX still waiting to be mined.
+ */
+export const applyPendingBets = (market, pendingBets) => {
+  if (!market) return market
+  const bets = pendingBets.filter((bet) => bet.marketId === market.id)
+  if (bets.length === 0) return market
+
+  return bets.reduce(
+    (m, bet) => ({
+      ...m,
+      totalYes: m.totalYes + (bet.outcome === OUTCOME.YES ? bet.net : 0),
+      totalNo: m.totalNo + (bet.outcome === OUTCOME.NO ? bet.net : 0),
+      pendingAmount: m.pendingAmount + bet.amount,
+    }),
+    { ...market, pendingAmount: 0 }
+  )
+}
+
+/**
+ * `sender`'s position on `marketId` with their pending bets added; null
+ * when there is neither a position nor a pending bet. `pending` is set when
+ * anything was added.
+ */
+export const applyPendingPosition = (position, marketId, sender, pendingBets) => {
+  const bets = pendingBets.filter((bet) => bet.marketId === marketId && bet.sender === sender)
+  if (bets.length === 0) return position
+
+  const base = position || { yesShares: 0, noShares: 0, totalInvested: 0, claimed: false }
+  return bets.reduce(
+    (p, bet) => ({
+      ...p,
+      yesShares: p.yesShares + (bet.outcome === OUTCOME.YES ? bet.net : 0),
+      noShares: p.noShares + (bet.outcome === OUTCOME.NO ? bet.net : 0),
+      totalInvested: p.totalInvested + bet.amount,
+    }),
+    { ...base, pending: true }
+  )
+}
+
+export default {
+  getPendingBets,
+  applyPendingBets,
+  applyPendingPosition,
+}
@@ -0,0 +1,113 @@
+import { FEES, OUTCOME } from './config'
+
+/**
+ * Payout simulation for StacksBet Arena
+ * Pure functions that mirror the contract's `place-bet`, `get-odds` and
+ * `calculate-payout` arithmetic, integer division included. Amounts are
+ * micro-STX numbers; the maths runs on BigInt so large pools stay exact.
+ */
+
+// ============================================
+// CONTRACT ARITHMETIC
+// ============================================
+
+const BPS = 10000n
+
+const big = (value) => BigInt(Math.floor(value || 0))
+
+/**
+ * Split a bet of `amount` the way `place-bet` does: both fees are rounded
+ * down and the rest goes into the chosen pool as shares.
+ */
+export const splitBetAmount = (amount) => {
+  const gross = big(amount)
+  const platformFee = (gross * BigInt(FEES.PLATFORM)) / BPS
+  const creatorFee = (gross * BigInt(FEES.CREATOR)) / BPS
+  return {
+    platformFee: Number(platformFee),
+    creatorFee: Number(creatorFee),
+    fee: Number(platformFee + creatorFee),
+    net: Number(gross - platformFee - creatorFee),
+  }
+}
+
+/**
+ * `get-odds`: each side's odds in basis points, the YES figure being the NO
+ * pool's share
+ */
+export const getContractOdds = ({ totalYes, totalNo }) => {
+  const yes = big(totalYes)
+  const no = big(totalNo)
+  const total = yes + no
+  if (total === 0n) return { yes: 5000, no: 5000 }
+  return { yes: Number((no * BPS) / total), no: Number((yes * BPS) / total) }
+}
+
+/**
+ * `calculate-payout` for a position on a market resolved as `outcome`:
+ * winners share the whole pool pro rata, INVALID refunds what was staked
+ */
+export const calculatePayout = ({ totalYes, totalNo }, outcome, { yesShares = 0, noShares = 0, totalInvested = 0 }) => {
+  const yes = big(totalYes)
+  const no = big(totalNo)
+  const total = yes + no
+  if (outcome === OUTCOME.YES) return yes === 0n ? 0 : Number((big(yesShares) * total) / yes)
+  if (outcome === OUTCOME.NO) return no === 0n ? 0 : Number((big(noShares) * total) / no)
+  return Math.floor(totalInvested)
+}
+
+// ============================================
+// BET PREVIEW
+// ============================================
+
+/**
+ * The share of the pool on `outcome`: the crowd's implied probability (0-1)
+ */
+export const impliedProbability = ({ totalYes, totalNo }, outcome) => {
+  const total = totalYes + totalNo
+  if (total <= 0) return 0.5
+  return (outcome === OUTCOME.YES ? totalYes : totalNo) / total
+}
+
+/**
+ * Everything the bet panel previews for `amount` on `outcome`, assuming no
+ * one else bets before the market resolves:
+ * - `shares`, `platformFee`, `creatorFee`, `fee`: the `place-bet` split
+ * - `probabilityBefore` / `probabilityAfter`: implied probability of
+ *   `outcome` without and with this bet in the pool
+ * - `payout`: what these shares pay if `outcome` wins; `profit` nets the stake
+ * - `breakEvenProbability`: how likely `outcome` has to be for the bet to pay
+ *   for itself on average (can exceed 1 when it never does)
+ */
+export const simulateBet = (market, outcome, amount) => {
+  const { platformFee, creatorFee, fee, net } = splitBetAmount(amount)
+  const after = {
+    totalYes: market.totalYes + (outcome === OUTCOME.YES ? net : 0),
+    totalNo: market.totalNo + (outcome === OUTCOME.NO ? net : 0),
+  }
+  const payout = calculatePayout(after, outcome, {
+    yesShares: outcome === OUTCOME.YES ? net : 0,
+    noShares: outcome === OUTCOME.NO ? net : 0,
+  })
+
+  return {
+    amount: Math.floor(amount),
+    shares: net,
+    platformFee,
+    creatorFee,
+    fee,
+    probabilityBefore: impliedProbability(market, outcome),
+    probabilityAfter: impliedProbability(after, outcome),
+    payout,
+    profit: payout - Math.floor(amount),
+    breakEvenProbability: payout > 0 ? Math.floor(amount) / payout : null,
+  }
+}
+
+export default {
+  splitBetAmount,
+  getContractOdds,
+  calculatePayout,
+  impliedProbability,
+  simulateBet,
+}
@@ -0,0 +1,193 @@
+import { OUTCOME } from './config'
+import { calculatePayout, impliedProbability } from './payout'
+import { MARKET_STATUS, describeMarket } from './marketStatus'
+import { EXPORT_FORMATS, toCSV, toJSON } from './export'
+
+/**
+ * Portfolio for StacksBet Arena
+ * Every position of one principal, valued from `get-market`, `get-position`,
+ * `calculate-payout` and `get-user-stats`. Open positions are marked to the
+ * current pools; resolved ones carry their realized result.
+ */
+
+// ============================================
+// POSITION ROWS
+// ============================================
+
+export const POSITION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed', // betting ended, not resolved yet
+  RESOLVED: 'resolved',
+  REFUNDED: 'refunded', // resolved INVALID: cancelled or emergency-closed
+}
+
+/**
+ * 'YES', 'NO' or 'YES+NO' for a position's shares
+ */
+export const positionSide = ({ yesShares, noShares }) => {
+  if (yesShares > 0 && noShares > 0) return 'YES+NO'
+  return yesShares > 0 ? 'YES' : 'NO'
+}
+
+/**
+ * One portfolio row. `payout` is the on-chain `calculate-payout`, needed for
+ * resolved markets only; `marketStatus` is the market's MARKET_STATUS.
+ *
+ * Open and closed rows: `payoutIfYes` / `payoutIfNo` are what the position
+ * pays if the pools stay as they are; `impliedValue` weights them by the pool
+ * ratio, and `unrealizedPnl` nets the stake. Resolved rows: `realizedPnl` is
+ * the payout minus the stake, and `unclaimed` what is still waiting in the
+ * contract.
+ */
+export const buildPositionRow = (market, position, { payout = null, tipHeight = null } = {}) => {
+  const { status, phase } = describeMarket(market, tipHeight)
+  const row = {
+    marketId: market.id,
+    title: market.title,
+    category: market.category,
+    side: positionSide(position),
+    yesShares: position.yesShares,
+    noShares: position.noShares,
+    stake: position.totalInvested,
+    pending: !!position.pending,
+    marketStatus: status,
+  }
+
+  if (phase === 'settled') {
+    const settled = payout ?? calculatePayout(market, market.outcome, position)
+    return {
+      ...row,
+      status: status === MARKET_STATUS.INVALID ? POSITION_STATUS.REFUNDED : POSITION_STATUS.RESOLVED,
+      outcome: market.outcome,
+      payout: settled,
+      realizedPnl: settled - position.totalInvested,
+      claimed: position.claimed,
+      unclaimed: position.claimed ? 0 : settled,
+    }
+  }
+
+  const payoutIfYes = calculatePayout(market, OUTCOME.YES, position)
+  const payoutIfNo = calculatePayout(market, OUTCOME.NO, position)
+  const impliedValue = Math.floor(
+    impliedProbability(market, OUTCOME.YES) * payoutIfYes + impliedProbability(market, OUTCOME.NO) * payoutIfNo
+  )
+  return {
+    ...row,
+    status: phase === 'closed' ? POSITION_STATUS.CLOSED : POSITION_STATUS.OPEN,
+    payoutIfYes,
+    payoutIfNo,
+    impliedValue,
+    unrealizedPnl: impliedValue - position.totalInvested,
+  }
+}
+
+/**
+ * Whether a row's market has settled: its figures are realized, not implied
+ */
+export const isSettled = (row) => row.status === POSITION_STATUS.RESOLVED || row.status === POSITION_STATUS.REFUNDED
+
+/**
+ * Sum the rows into portfolio totals
+ */
+export const summarizePortfolio = (rows) =>
+  rows.reduce(
+    (totals, row) => {
+      totals.stake += row.stake
+      if (isSettled(row)) {
+        totals.realizedPnl += row.realizedPnl
+        totals.unclaimed += row.unclaimed
+        totals.settledPositions += 1
+      } else {
+        totals.openStake += row.stake
+        totals.impliedValue += row.impliedValue
+        totals.unrealizedPnl += row.unrealizedPnl
+        totals.openPositions += 1
+      }
+      return totals
+    },
+    {
+      stake: 0,
+      openStake: 0,
+      impliedValue: 0,
+      unrealizedPnl: 0,
+      realizedPnl: 0,
+      unclaimed: 0,
+      openPositions: 0,
+      settledPositions: 0,
+    }
+  )
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Read everything a portfolio needs for `address` from the shared
+ * MarketIndex. `markets` is every indexed market so that callers can overlay
+ * bets that are not mined yet.
+ */
+export const loadPortfolio = async ({ index, address }) => {
+  const markets = await index.refresh()
+  const [positions, stats] = await Promise.all([index.getPositions(address), index.getUserStats(address)])
+
+  const resolvedHeld = markets.filter((m) => m.resolved && positions.get(m.id)?.totalInvested > 0)
+  const payouts = new Map(
+    await Promise.all(resolvedHeld.map(async (m) => [m.id, await index.getPayout(m.id, address)]))
+  )
+
+  return { markets, positions, payouts, stats, tipHeight: index.tipHeight }
+}
+
+/**
+ * Rows (newest market first) and totals from loadPortfolio's data
+ */
+export const buildPortfolio = ({ markets, positions, payouts, stats, tipHeight }) => {
+  const rows = markets
+    .filter((m) => positions.get(m.id)?.totalInvested > 0)
+    .map((m) => buildPositionRow(m, positions.get(m.id), { payout: payouts.get(m.id), tipHeight }))
+  return { rows, totals: summarizePortfolio(rows), stats }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Amounts are exported in micro-STX so nothing is lost to rounding
+export const PORTFOLIO_EXPORT_COLUMNS = [
+  { key: 'marketId', header: 'Market ID' },
+  { key: 'title', header: 'Market' },
+  { key: 'status', header: 'Status' },
+  { key: 'side', header: 'Side' },
+  { key: 'yesShares', header: 'YES shares (uSTX)' },
+  { key: 'noShares', header: 'NO shares (uSTX)' },
+  { key: 'stake', header: 'Stake (uSTX)' },
+  { key: 'impliedValue', header: 'Implied value (uSTX)' },
+  { key: 'unrealizedPnl', header: 'Unrealized P&L (uSTX)' },
+  { key: 'payout', header: 'Payout (uSTX)' },
+  { key: 'realizedPnl', header: 'Realized P&L (uSTX)' },
+  { key: 'unclaimed', header: 'Unclaimed (uSTX)' },
+]
+
+/**
+ * `{ filename, content }` for a portfolio export in `format`
+ */
+export const exportPortfolio = ({ rows, totals, stats }, { address, format = EXPORT_FORMATS.CSV, now = new Date() }) => {
+  const date = now.toISOString().slice(0, 10)
+  const filename = `stacksbet-portfolio-${address}-${date}.${format}`
+  if (format === EXPORT_FORMATS.JSON) {
+    return { filename, content: toJSON({ address, exportedAt: now.toISOString(), totals, stats, positions: rows }) }
+  }
+  return { filename, content: toCSV(rows, PORTFOLIO_EXPORT_COLUMNS) }
+}
+
+export default {
+  POSITION_STATUS,
+  positionSide,
+  buildPositionRow,
+  isSettled,
+  summarizePortfolio,
+  loadPortfolio,
+  buildPortfolio,
+  PORTFOLIO_EXPORT_COLUMNS,
+  exportPortfolio,
+}
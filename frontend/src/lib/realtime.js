@@ -0,0 +1,410 @@
+import { useEffect, useState } from 'react'
+import { marketsApi, statsApi } from './api'
+import { MOCK_API_URL, getActiveNetwork, usesBackend } from './config'
+import { fetchStacksTipHeight } from './hiro'
+import { getMarketIndex } from './marketIndex'
+import { getMarketHistory } from './marketHistory'
+import { marketStatus } from './marketStatus'
+
+/**
+ * Live chain updates for StacksBet Arena
+ * Follows new blocks and the contract's transactions over the Hiro API
+ * websocket (JSON-RPC on /extended/v1/ws) and falls back to polling the tip
+ * while the socket is unavailable. Every change syncs MarketHistory, re-reads
+ * only the markets it touched in the MarketIndex and tells listeners which
+ * markets moved. In backend mode the indexer backend has done that work, so
+ * the stream polls its `/events` instead.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const CONNECTION_STATES = {
+  CONNECTING: 'connecting',
+  // Subscribed over the websocket
+  LIVE: 'live',
+  // No websocket; checking the tip on an interval
+  POLLING: 'polling',
+  // Neither the websocket nor the API answers
+  OFFLINE: 'offline',
+}
+
+// How often the stream polls the API when the websocket is down
+export const POLL_INTERVAL = 15000
+// Blocks can arrive seconds apart; updates run at most this often
+const MIN_UPDATE_INTERVAL = 3000
+// Give the socket this long to subscribe before polling takes over
+const CONNECT_TIMEOUT = 10000
+const RECONNECT_DELAYS = [2000, 5000, 15000, 30000, 60000]
+
+const FINAL_TX_STATUSES = ['success', 'abort_by_response', 'abort_by_post_condition']
+
+/**
+ * Websocket endpoint of a Hiro API, or null when there is none (the mock
+ * node only answers fetch)
+ */
+export const getSocketUrl = (apiUrl) => {
+  if (!apiUrl || apiUrl === MOCK_API_URL || typeof WebSocket === 'undefined') return null
+  return `${apiUrl.replace(/^http/, 'ws')}/extended/v1/ws`
+}
+
+/**
+ * IDs of markets whose marketStatus changed between two tips, such as a
+ * betting window closing or a resolution window opening
+ */
+export const getPhaseChanges = (markets, fromHeight, toHeight) =>
+  markets
+    .filter((market) => marketStatus(market, fromHeight) !== marketStatus(market, toHeight))
+    .map((market) => market.id)
+
+// ============================================
+// STREAM
+// ============================================
+
+export class ChainEventStream {
+  constructor({ network, contractAddress, contractName, pollInterval = POLL_INTERVAL }) {
+    this.network = network
+    this.contractAddress = contractAddress
+    this.contractName = contractName
+    this.contractId = `${contractAddress}.${contractName}`
+    this.pollInterval = pollInterval
+    this.backend = usesBackend({ network, contractAddress, contractName })
+
+    this.status = { state: CONNECTION_STATES.CONNECTING, tipHeight: null, lastUpdated: null, error: null }
+    this.users = 0
+    this.socket = null
+    this.subscriptions = new Set()
+    this.requestId = 0
+    this.reconnectAttempt = 0
+    this.connectTimer = null
+    this.reconnectTimer = null
+    this.pollTimer = null
+    this.updateTimer = null
+    this.pendingUpdate = null
+    this.lastUpdateAt = 0
+    this.listeners = new Set()
+    this.statusListeners = new Set()
+  }
+
+  // ---- lifecycle -------------------------------------------------------
+
+  /**
+   * Start following the chain. Every `start()` needs a matching `stop()`;
+   * the connection closes when the last user stops.
+   */
+  start() {
+    this.users += 1
+    if (this.users > 1) return
+    this.connect()
+    this.requestUpdate()
+  }
+
+  stop() {
+    this.users = Math.max(0, this.users - 1)
+    if (this.users > 0) return
+    clearTimeout(this.connectTimer)
+    clearTimeout(this.reconnectTimer)
+    clearTimeout(this.updateTimer)
+    this.updateTimer = null
+    this.stopPolling()
+    this.closeSocket()
+  }
+
+  get running() {
+    return this.users > 0
+  }
+
+  // ---- websocket -------------------------------------------------------
+
+  connect() {
+    // The websocket would announce blocks before the backend has indexed them
+    const url = this.backend ? null : getSocketUrl(this.network.coreApiUrl)
+    if (!url) {
+      this.startPolling()
+      return
+    }
+
+    let socket
+    try {
+      socket = new WebSocket(url)
+    } catch {
+      this.startPolling()
+      this.scheduleReconnect()
+      return
+    }
+    this.socket = socket
+    this.subscriptions = new Set()
+    if (this.status.state !== CONNECTION_STATES.POLLING) this.setStatus({ state: CONNECTION_STATES.CONNECTING })
+
+    // A socket that never subscribes is as good as none
+    this.connectTimer = setTimeout(() => {
+      if (this.status.state !== CONNECTION_STATES.LIVE) this.startPolling()
+    }, CONNECT_TIMEOUT)
+
+    socket.onopen = () => {
+      this.send('subscribe', { event: 'block' })
+      this.send('subscribe', { event: 'address_tx_update', address: this.contractId })
+    }
+    socket.onmessage = (message) => this.handleMessage(message.data)
+    socket.onclose = () => {
+      if (this.socket !== socket) return
+      clearTimeout(this.connectTimer)
+      this.socket = null
+      if (!this.running) return
+      this.startPolling()
+      this.scheduleReconnect()
+    }
+  }
+
+  closeSocket() {
+    const socket = this.socket
+    this.socket = null
+    if (socket) socket.close()
+  }
+
+  scheduleReconnect() {
+    const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)]
+    this.reconnectAttempt += 1
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = setTimeout(() => {
+      if (this.running && !this.socket) this.connect()
+    }, delay)
+  }
+
+  send(method, params) {
+    this.requestId += 1
+    this.subscriptions.add(this.requestId)
+    this.socket.send(JSON.stringify({ jsonrpc: '2.0', id: this.requestId, method, params }))
+  }
+
+  handleMessage(data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch {
+      return
+    }
+
+    // Replies to our subscribe requests
+    if (message.id != null) {
+      if (message.error) {
+        this.closeSocket()
+        this.startPolling()
+        return
+      }
+      this.subscriptions.delete(message.id)
+      if (this.subscriptions.size === 0) this.goLive()
+      return
+    }
+
+    if (message.method === 'block') {
+      this.requestUpdate()
+    } else if (message.method === 'address_tx_update' && FINAL_TX_STATUSES.includes(message.params?.tx_status)) {
+      this.requestUpdate()
+    }
+  }
+
+  goLive() {
+    clearTimeout(this.connectTimer)
+    this.reconnectAttempt = 0
+    this.stopPolling()
+    this.setStatus({ state: CONNECTION_STATES.LIVE, error: null })
+    // Catch up on anything missed while connecting
+    this.requestUpdate()
+  }
+
+  // ---- polling ---------------------------------------------------------
+
+  startPolling() {
+    if (this.pollTimer || !this.running) return
+    if (this.status.state !== CONNECTION_STATES.OFFLINE) this.setStatus({ state: CONNECTION_STATES.POLLING })
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval)
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer)
+    this.pollTimer = null
+  }
+
+  /**
+   * Update when the tip has moved since the last update
+   */
+  async poll() {
+    try {
+      const tipHeight = await this.fetchTipHeight()
+      if (tipHeight !== this.status.tipHeight) this.requestUpdate()
+      else if (this.status.state === CONNECTION_STATES.OFFLINE) this.setStatus({ state: CONNECTION_STATES.POLLING, error: null })
+    } catch (error) {
+      this.setStatus({ state: CONNECTION_STATES.OFFLINE, error: error.message })
+    }
+  }
+
+  // ---- updates ---------------------------------------------------------
+
+  /**
+   * Run an update soon. Bursts of events collapse into one update, and
+   * updates are spaced at least MIN_UPDATE_INTERVAL apart.
+   */
+  requestUpdate() {
+    if (this.updateTimer || !this.running) return
+    const wait = Math.max(0, this.lastUpdateAt + MIN_UPDATE_INTERVAL - Date.now())
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null
+      this.update().catch(() => {})
+    }, wait)
+  }
+
+  /**
+   * Sync the contract's history up to the current tip and bring the market
+   * index in line with it. Concurrent callers share one update.
+   */
+  update() {
+    if (this.pendingUpdate) return this.pendingUpdate
+
+    this.pendingUpdate = this.runUpdate()
+      .catch((error) => {
+        if (this.status.state !== CONNECTION_STATES.LIVE) {
+          this.setStatus({ state: CONNECTION_STATES.OFFLINE, error: error.message })
+        }
+        throw error
+      })
+      .finally(() => {
+        this.lastUpdateAt = Date.now()
+        this.pendingUpdate = null
+      })
+    return this.pendingUpdate
+  }
+
+  fetchTipHeight() {
+    if (this.backend) return statsApi.getStatus().then((status) => status.tipHeight)
+    return fetchStacksTipHeight(this.network.coreApiUrl, this.network.fetchFn)
+  }
+
+  async runUpdate() {
+    if (this.backend) return this.runBackendUpdate()
+    const opts = { network: this.network, contractAddress: this.contractAddress, contractName: this.contractName }
+    const index = getMarketIndex(opts)
+    const history = getMarketHistory(opts)
+    const previousTip = this.status.tipHeight
+
+    // Tip first: the history then covers at least every block up to it
+    const tipHeight = await this.fetchTipHeight()
+    const events = await history.sync()
+    const changed = new Set(index.advance(tipHeight, history))
+    await index.refresh()
+    if (previousTip != null) {
+      getPhaseChanges(index.getMarkets(), previousTip, tipHeight).forEach((id) => changed.add(id))
+    }
+
+    return this.finishUpdate({ tipHeight, previousTip, events, marketIds: Array.from(changed) })
+  }
+
+  /**
+   * Ask the backend what changed since the last tip we saw; the first update
+   * only learns the tip
+   */
+  async runBackendUpdate() {
+    const previousTip = this.status.tipHeight
+    if (previousTip == null) {
+      const tipHeight = await this.fetchTipHeight()
+      return this.finishUpdate({ tipHeight, previousTip, events: [], marketIds: [] })
+    }
+    const { tipHeight, events, marketIds } = await marketsApi.getEvents(previousTip)
+    return this.finishUpdate({ tipHeight, previousTip, events, marketIds })
+  }
+
+  finishUpdate(update) {
+    this.setStatus({
+      tipHeight: update.tipHeight,
+      lastUpdated: new Date(),
+      error: null,
+      ...(this.status.state === CONNECTION_STATES.OFFLINE && { state: CONNECTION_STATES.POLLING }),
+    })
+    this.notify(update)
+    return update
+  }
+
+  // ---- listeners -------------------------------------------------------
+
+  /**
+   * `listener({ tipHeight, previousTip, events, marketIds })` after every
+   * update; `marketIds` are the markets whose data or phase changed
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  notify(update) {
+    this.listeners.forEach((listener) => listener(update))
+  }
+
+  /**
+   * `listener(status)` whenever the connection state or tip changes
+   */
+  subscribeStatus(listener) {
+    this.statusListeners.add(listener)
+    return () => {
+      this.statusListeners.delete(listener)
+    }
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes }
+    this.statusListeners.forEach((listener) => listener(this.status))
+  }
+}
+
+// ============================================
+// SHARED INSTANCES
+// ============================================
+
+const streams = new Map()
+
+/**
+ * Get the shared stream for a network + contract pair
+ */
+export const getChainEventStream = ({
+  network = getActiveNetwork().network,
+  contractAddress = getActiveNetwork().config.contractAddress,
+  contractName = getActiveNetwork().config.contractName,
+} = {}) => {
+  const key = `${network.coreApiUrl}|${contractAddress}.${contractName}`
+  if (!streams.has(key)) {
+    streams.set(key, new ChainEventStream({ network, contractAddress, contractName }))
+  }
+  return streams.get(key)
+}
+
+/**
+ * Connection status of the shared stream, kept running while mounted
+ */
+export const useChainStatus = (options) => {
+  const stream = getChainEventStream(options)
+  const [status, setStatus] = useState(stream.status)
+
+  useEffect(() => {
+    setStatus(stream.status)
+    const unsubscribe = stream.subscribeStatus(setStatus)
+    stream.start()
+    return () => {
+      unsubscribe()
+      stream.stop()
+    }
+  }, [stream])
+
+  return { ...status, refresh: () => stream.update().catch(() => {}) }
+}
+
+export default {
+  CONNECTION_STATES,
+  POLL_INTERVAL,
+  ChainEventStream,
+  getChainEventStream,
+  useChainStatus,
+  getSocketUrl,
+  getPhaseChanges,
+}
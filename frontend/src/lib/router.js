@@ -0,0 +1,115 @@
+/**
+ * Client-side routing for StacksBet Arena
+ * A small History API router: the route table below is matched against
+ * `window.location.pathname`, and `navigate` pushes new entries so every
+ * page has a shareable URL and the back button works.
+ */
+
+// ============================================
+// ROUTE TABLE
+// ============================================
+
+export const ROUTES = {
+  HOME: '/',
+  MARKETS: '/markets',
+  MARKET: '/markets/:id',
+  LEADERBOARD: '/leaderboard',
+  PROFILE: '/profile/:address',
+  // Redirects to the connected wallet's profile
+  MY_PROFILE: '/profile',
+  CREATE: '/create',
+  MY_BETS: '/my-bets',
+  MY_MARKETS: '/my-markets',
+  ORACLE: '/oracle',
+  ADMIN: '/admin',
+}
+
+export const NOT_FOUND = 'NOT_FOUND'
+
+// Fired on `window` after `navigate` changes the URL
+export const NAVIGATE_EVENT = 'stacksbet:navigate'
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Drop a trailing slash so `/leaderboard/` and `/leaderboard` match alike
+ */
+export const normalizePath = (pathname = '/') => {
+  if (pathname.length > 1 && pathname.endsWith('/')) return pathname.slice(0, -1)
+  return pathname || '/'
+}
+
+/**
+ * Match a pattern such as `/markets/:id`; returns the params or null
+ */
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean)
+  const pathParts = normalizePath(pathname).split('/').filter(Boolean)
+  if (patternParts.length !== pathParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i]
+    if (part.startsWith(':')) {
+      try {
+        params[part.slice(1)] = decodeURIComponent(pathParts[i])
+      } catch {
+        return null
+      }
+    } else if (part !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
+
+/**
+ * Resolve a pathname against the route table
+ */
+export const matchRoute = (pathname) => {
+  for (const [name, pattern] of Object.entries(ROUTES)) {
+    const params = matchPath(pattern, pathname)
+    if (params) return { name, pattern, params }
+  }
+  return { name: NOT_FOUND, pattern: null, params: {} }
+}
+
+/**
+ * Fill a pattern's `:params`
+ */
+export const buildPath = (pattern, params = {}) =>
+  pattern.replace(/:([A-Za-z]+)/g, (_, key) => encodeURIComponent(params[key]))
+
+export const marketPath = (id) => buildPath(ROUTES.MARKET, { id })
+
+export const profilePath = (address) => buildPath(ROUTES.PROFILE, { address })
+
+// ============================================
+// NAVIGATION
+// ============================================
+
+/**
+ * Push (or replace) a history entry and tell the router about it. Pass
+ * `scroll: false` to stay in place, e.g. when only the query string changes.
+ */
+export const navigate = (path, { replace = false, scroll = true } = {}) => {
+  const current = `${window.location.pathname}${window.location.search}`
+  if (path !== current) {
+    window.history[replace ? 'replaceState' : 'pushState']({}, '', path)
+    if (scroll) window.scrollTo(0, 0)
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+export default {
+  ROUTES,
+  NOT_FOUND,
+  matchPath,
+  matchRoute,
+  buildPath,
+  marketPath,
+  profilePath,
+  navigate,
+}
@@ -133,6 +133,9 @@ const SEO = ({
         document.head.appendChild(robotsTag)
       }
       robotsTag.setAttribute('content', robots.join(', '))
+    } else {
+      // Routes share one document, so drop a tag left by the previous page
+      document.querySelector('meta[name="robots"]')?.remove()
     }
 
     // Handle canonical URL
@@ -157,7 +160,7 @@ export const getMarketSEO = (market) => {
   return {
     title: market.title,
     description: `Bet on "${market.title}". Current odds: ${market.yesPercentage}% Yes / ${market.noPercentage}% No. Trade now on StacksBet Arena.`,
-    url: `${DEFAULT_SEO.url}/market/${market.id}`,
+    url: `${DEFAULT_SEO.url}/markets/${market.id}`,
     image: market.image || DEFAULT_SEO.image,
     type: 'website'
   }
@@ -8,12 +8,22 @@ import {
   uintCV,
   principalCV,
 } from '@stacks/transactions'
-import { StacksMainnet } from '@stacks/network'
-import { CONFIG } from './config'
+import { getActiveNetwork } from './config'
+import { optionalFromClarityJson } from './hiro'
+import { getMarketIndex, parseMarket } from './marketIndex'
 
-const network = new StacksMainnet({ url: CONFIG.hiroApiUrl })
-const CONTRACT_ADDRESS = CONFIG.contractAddress
-const CONTRACT_NAME = CONFIG.contractName
+/**
+ * Network and contract of the currently selected network
+ */
+const readOptions = () => {
+  const { config, network } = getActiveNetwork()
+  return {
+    network,
+    contractAddress: config.contractAddress,
+    contractName: config.contractName,
+    senderAddress: config.contractAddress,
+  }
+}
 
 // ============================================================
 // Read-Only Helpers
@@ -25,16 +35,13 @@ const CONTRACT_NAME = CONFIG.contractName
 export async function getMarket(marketId) {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-market',
       functionArgs: [uintCV(marketId)],
-      senderAddress: CONTRACT_ADDRESS,
     })
-    const json = cvToJSON(result)
-    if (json.value === null) return null
-    return parseMarket(marketId, json.value)
+    const some = optionalFromClarityJson(cvToJSON(result))
+    if (!some) return null
+    return parseMarket(marketId, some.value)
   } catch (err) {
     console.error('getMarket error:', err)
     return null
@@ -42,17 +49,12 @@ export async function getMarket(marketId) {
 }
 
 /**
- * Fetch markets (iterate 1..totalMarkets)
+ * Fetch the newest markets from the shared market index
  */
 export async function getMarkets(limit = 20) {
-  const total = await getTotalMarkets()
-  const markets = []
-  const start = Math.max(1, total - limit + 1)
-  for (let id = total; id >= start; id--) {
-    const m = await getMarket(id)
-    if (m) markets.push(m)
-  }
-  return markets
+  const index = getMarketIndex()
+  const markets = await index.refresh()
+  return markets.slice(0, limit)
 }
 
 /**
@@ -61,12 +63,9 @@ export async function getMarkets(limit = 20) {
 export async function getTotalMarkets() {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-total-markets',
       functionArgs: [],
-      senderAddress: CONTRACT_ADDRESS,
     })
     return Number(cvToJSON(result).value)
   } catch {
@@ -80,12 +79,9 @@ export async function getTotalMarkets() {
 export async function getTotalBets() {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-total-bets',
       functionArgs: [],
-      senderAddress: CONTRACT_ADDRESS,
     })
     return Number(cvToJSON(result).value)
   } catch {
@@ -99,12 +95,9 @@ export async function getTotalBets() {
 export async function getTotalVolume() {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-total-volume',
       functionArgs: [],
-      senderAddress: CONTRACT_ADDRESS,
     })
     return Number(cvToJSON(result).value)
   } catch {
@@ -118,12 +111,9 @@ export async function getTotalVolume() {
 export async function getPosition(marketId, userAddress) {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-position',
       functionArgs: [uintCV(marketId), principalCV(userAddress)],
-      senderAddress: CONTRACT_ADDRESS,
     })
     const json = cvToJSON(result)
     return {
@@ -143,12 +133,9 @@ export async function getPosition(marketId, userAddress) {
 export async function getUserStats(userAddress) {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-user-stats',
       functionArgs: [principalCV(userAddress)],
-      senderAddress: CONTRACT_ADDRESS,
     })
     const json = cvToJSON(result)
     return {
@@ -170,12 +157,9 @@ export async function getUserStats(userAddress) {
 export async function getOdds(marketId) {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'get-odds',
       functionArgs: [uintCV(marketId)],
-      senderAddress: CONTRACT_ADDRESS,
     })
     const json = cvToJSON(result)
     return {
@@ -193,38 +177,12 @@ export async function getOdds(marketId) {
 export async function calculatePayout(marketId, userAddress) {
   try {
     const result = await callReadOnlyFunction({
-      network,
-      contractAddress: CONTRACT_ADDRESS,
-      contractName: CONTRACT_NAME,
+      ...readOptions(),
       functionName: 'calculate-payout',
       functionArgs: [uintCV(marketId), principalCV(userAddress)],
-      senderAddress: CONTRACT_ADDRESS,
     })
     return Number(cvToJSON(result).value)
   } catch {
     return 0
   }
 }
-
-// ============================================================
-// Helpers
-// ============================================================
-
-function parseMarket(id, v) {
-  return {
-    id,
-    creator: v.creator.value,
-    title: v.title.value,
-    description: v.description.value,
-    category: v.category.value,
-    resolutionSource: v['resolution-source'].value,
-    endTime: Number(v['end-time'].value),
-    resolutionTime: Number(v['resolution-time'].value),
-    totalYes: Number(v['total-yes-amount'].value),
-    totalNo: Number(v['total-no-amount'].value),
-    resolved: v.resolved.value,
-    outcome: Number(v.outcome.value),
-    createdAt: Number(v['created-at'].value),
-    isActive: v['is-active'].value,
-  }
-}
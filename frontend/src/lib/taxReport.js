@@ -0,0 +1,354 @@
+import { OUTCOME } from './config'
+import { MarketEventTypes, rebuildPoolHistory } from './marketHistory'
+import { calculatePayout, splitBetAmount } from './payout'
+import { positionSide } from './portfolio'
+import { fetchHistoricalStxPrice } from './currency'
+import { EXPORT_FORMATS, toCSV, toJSON } from './export'
+
+/**
+ * Bet history and tax report for StacksBet Arena
+ * Built from the decoded contract-call history (MarketHistory). Lists every
+ * bet, claim, refund and market creation of one principal, and the moments
+ * those turned into realized gains or losses:
+ * - a claim or refund realizes its payout against the position's stake
+ * - a position that pays nothing realizes its stake as a loss when the
+ *   market resolves
+ * - a creator's initial liquidity stays in the pools, so it is lost when
+ *   their market resolves
+ * - creator fees are income the moment a bet pays them
+ */
+
+// ============================================
+// HISTORY
+// ============================================
+
+export const HISTORY_KINDS = {
+  BET: 'bet',
+  CLAIM: 'claim',
+  REFUND: 'refund',
+  CREATE: 'create',
+}
+
+export const REALIZATION_KINDS = {
+  PAYOUT: 'payout',
+  LOSS: 'loss',
+  LIQUIDITY: 'liquidity',
+  CREATOR_FEE: 'creator-fee',
+}
+
+const SETTLEMENT_TYPES = new Set([
+  MarketEventTypes.MARKET_RESOLVED,
+  MarketEventTypes.MARKET_CANCELLED,
+  MarketEventTypes.MARKET_EMERGENCY_CLOSED,
+])
+
+const OUTCOME_SIDES = {
+  [OUTCOME.YES]: 'YES',
+  [OUTCOME.NO]: 'NO',
+}
+
+const eventRef = (event) => ({
+  timestamp: event.timestamp,
+  blockHeight: event.blockHeight,
+  txId: event.txId,
+})
+
+/**
+ * Replay one market's event log for `address`
+ */
+const replayMarket = (events, address) => {
+  const transactions = []
+  const realizations = []
+  const position = { yesShares: 0, noShares: 0, totalInvested: 0 }
+  let title = ''
+  let liquidity = 0
+  let isCreator = false
+  let claimed = false
+  let outcome = null
+  let settlement = null
+
+  events.forEach((event) => {
+    const marketId = event.marketId
+    const own = event.sender === address
+
+    if (event.type === MarketEventTypes.MARKET_CREATED) {
+      title = event.title
+      if (!own) return
+      isCreator = true
+      liquidity = event.liquidity
+      transactions.push({
+        ...eventRef(event),
+        kind: HISTORY_KINDS.CREATE,
+        marketId,
+        title,
+        side: '',
+        amount: event.liquidity,
+        fees: 0,
+        payout: null,
+      })
+    } else if (event.type === MarketEventTypes.BET_PLACED) {
+      if (isCreator) {
+        realizations.push({
+          ...eventRef(event),
+          kind: REALIZATION_KINDS.CREATOR_FEE,
+          marketId,
+          title,
+          proceeds: splitBetAmount(event.amount).creatorFee,
+          costBasis: 0,
+        })
+      }
+      if (!own) return
+      if (event.outcome === OUTCOME.YES) position.yesShares += event.shares
+      else position.noShares += event.shares
+      position.totalInvested += event.amount
+      transactions.push({
+        ...eventRef(event),
+        kind: HISTORY_KINDS.BET,
+        marketId,
+        title,
+        side: OUTCOME_SIDES[event.outcome],
+        amount: event.amount,
+        fees: event.fee,
+        payout: null,
+      })
+    } else if (SETTLEMENT_TYPES.has(event.type)) {
+      outcome = event.outcome
+      settlement = event
+    } else if (event.type === MarketEventTypes.WINNINGS_CLAIMED && own) {
+      claimed = true
+      transactions.push({
+        ...eventRef(event),
+        kind: outcome === OUTCOME.INVALID ? HISTORY_KINDS.REFUND : HISTORY_KINDS.CLAIM,
+        marketId,
+        title,
+        side: positionSide(position),
+        amount: null,
+        fees: 0,
+        payout: event.payout,
+      })
+      realizations.push({
+        ...eventRef(event),
+        kind: REALIZATION_KINDS.PAYOUT,
+        marketId,
+        title,
+        proceeds: event.payout,
+        costBasis: position.totalInvested,
+      })
+    }
+  })
+
+  if (settlement) {
+    const marketId = settlement.marketId
+    const pools = rebuildPoolHistory(events).pop()
+    if (position.totalInvested > 0 && !claimed && calculatePayout(pools, outcome, position) === 0) {
+      realizations.push({
+        ...eventRef(settlement),
+        kind: REALIZATION_KINDS.LOSS,
+        marketId,
+        title,
+        proceeds: 0,
+        costBasis: position.totalInvested,
+      })
+    }
+    if (isCreator) {
+      realizations.push({
+        ...eventRef(settlement),
+        kind: REALIZATION_KINDS.LIQUIDITY,
+        marketId,
+        title,
+        proceeds: 0,
+        costBasis: liquidity,
+      })
+    }
+  }
+
+  return { transactions, realizations }
+}
+
+const byTime = (a, b) => a.blockHeight - b.blockHeight || a.timestamp - b.timestamp
+
+/**
+ * `address`'s transactions and realizations (oldest first) from per-market
+ * event logs, e.g. `MarketHistory.logs.values()`. Every realization carries
+ * `proceeds`, `costBasis` and `pnl` in micro-STX.
+ */
+export const buildAccountHistory = (logs, address) => {
+  const transactions = []
+  const realizations = []
+
+  Array.from(logs).forEach((events) => {
+    const market = replayMarket(events, address)
+    transactions.push(...market.transactions)
+    realizations.push(...market.realizations)
+  })
+
+  return {
+    transactions: transactions.sort(byTime),
+    realizations: realizations
+      .map((realization) => ({ ...realization, pnl: realization.proceeds - realization.costBasis }))
+      .sort(byTime),
+  }
+}
+
+/**
+ * Sync the shared MarketHistory and build `address`'s history from it
+ */
+export const loadAccountHistory = async ({ history, address }) => {
+  await history.sync()
+  return buildAccountHistory(history.logs.values(), address)
+}
+
+// ============================================
+// FIAT VALUES
+// ============================================
+
+/**
+ * Add `price` (STX in `currency` on the realization's day) and `fiatPnl` to
+ * every realization. Both are null when no price is known for that day.
+ */
+export const withFiatValues = async (realizations, currency, { priceAt = fetchHistoricalStxPrice } = {}) => {
+  const priced = []
+  // One lookup at a time; the price feed is rate limited and cached per day
+  for (const realization of realizations) {
+    const price = await priceAt(realization.timestamp, currency)
+    priced.push({
+      ...realization,
+      price,
+      fiatPnl: price == null ? null : (realization.pnl / 1000000) * price,
+    })
+  }
+  return priced
+}
+
+// ============================================
+// YEARLY SUMMARY
+// ============================================
+
+/**
+ * Realized gains and losses per calendar year (UTC), oldest first. Fiat
+ * totals are included once realizations carry `fiatPnl`; `missingPrices`
+ * counts the ones that could not be valued.
+ */
+export const summarizeByYear = (realizations) => {
+  const years = new Map()
+  const priced = realizations.some((realization) => realization.fiatPnl !== undefined)
+
+  realizations.forEach((realization) => {
+    const year = new Date(realization.timestamp).getUTCFullYear()
+    if (!years.has(year)) {
+      years.set(year, {
+        year,
+        proceeds: 0,
+        costBasis: 0,
+        gains: 0,
+        losses: 0,
+        net: 0,
+        realizations: 0,
+        ...(priced && { fiatGains: 0, fiatLosses: 0, fiatNet: 0, missingPrices: 0 }),
+      })
+    }
+    const totals = years.get(year)
+    totals.proceeds += realization.proceeds
+    totals.costBasis += realization.costBasis
+    if (realization.pnl > 0) totals.gains += realization.pnl
+    else totals.losses -= realization.pnl
+    totals.net += realization.pnl
+    totals.realizations += 1
+
+    if (!priced) return
+    if (realization.fiatPnl == null) {
+      totals.missingPrices += 1
+    } else {
+      if (realization.fiatPnl > 0) totals.fiatGains += realization.fiatPnl
+      else totals.fiatLosses -= realization.fiatPnl
+      totals.fiatNet += realization.fiatPnl
+    }
+  })
+
+  return Array.from(years.values()).sort((a, b) => a.year - b.year)
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+const isoTime = (row) => (row.timestamp ? new Date(row.timestamp).toISOString() : '')
+
+// Amounts are exported in micro-STX so nothing is lost to rounding
+export const HISTORY_EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Timestamp (UTC)', value: isoTime },
+  { key: 'blockHeight', header: 'Block height' },
+  { key: 'txId', header: 'Transaction ID' },
+  { key: 'kind', header: 'Type' },
+  { key: 'marketId', header: 'Market ID' },
+  { key: 'title', header: 'Market' },
+  { key: 'side', header: 'Side' },
+  { key: 'amount', header: 'Amount (uSTX)' },
+  { key: 'fees', header: 'Fees (uSTX)' },
+  { key: 'payout', header: 'Payout (uSTX)' },
+]
+
+const fiatValue = (key) => (row) => (row[key] == null ? '' : row[key].toFixed(2))
+
+/**
+ * Yearly summary columns; the fiat ones only when a currency was applied
+ */
+export const getSummaryExportColumns = (currency = null) => [
+  { key: 'year', header: 'Year' },
+  { key: 'realizations', header: 'Realizations' },
+  { key: 'proceeds', header: 'Proceeds (uSTX)' },
+  { key: 'costBasis', header: 'Cost basis (uSTX)' },
+  { key: 'gains', header: 'Gains (uSTX)' },
+  { key: 'losses', header: 'Losses (uSTX)' },
+  { key: 'net', header: 'Net (uSTX)' },
+  ...(currency
+    ? [
+        { key: 'fiatGains', header: `Gains (${currency})`, value: fiatValue('fiatGains') },
+        { key: 'fiatLosses', header: `Losses (${currency})`, value: fiatValue('fiatLosses') },
+        { key: 'fiatNet', header: `Net (${currency})`, value: fiatValue('fiatNet') },
+        { key: 'missingPrices', header: 'Missing prices' },
+      ]
+    : []),
+]
+
+const exportName = (kind, address, now, format) =>
+  `stacksbet-${kind}-${address}-${now.toISOString().slice(0, 10)}.${format}`
+
+/**
+ * `{ filename, content }` for the transaction history. The JSON file holds
+ * the whole report: transactions, realizations and the yearly summary.
+ */
+export const exportAccountHistory = (
+  { transactions, realizations, summary },
+  { address, currency = null, format = EXPORT_FORMATS.CSV, now = new Date() }
+) => {
+  const filename = exportName('history', address, now, format)
+  if (format === EXPORT_FORMATS.JSON) {
+    return {
+      filename,
+      content: toJSON({ address, exportedAt: now.toISOString(), currency, transactions, realizations, summary }),
+    }
+  }
+  return { filename, content: toCSV(transactions, HISTORY_EXPORT_COLUMNS) }
+}
+
+/**
+ * `{ filename, content }` for the yearly summary as CSV
+ */
+export const exportTaxSummary = ({ summary }, { address, currency = null, now = new Date() }) => ({
+  filename: exportName('tax-summary', address, now, EXPORT_FORMATS.CSV),
+  content: toCSV(summary, getSummaryExportColumns(currency)),
+})
+
+export default {
+  HISTORY_KINDS,
+  REALIZATION_KINDS,
+  buildAccountHistory,
+  loadAccountHistory,
+  withFiatValues,
+  summarizeByYear,
+  HISTORY_EXPORT_COLUMNS,
+  getSummaryExportColumns,
+  exportAccountHistory,
+  exportTaxSummary,
+}
@@ -0,0 +1,306 @@
+import { getActiveNetwork } from './config'
+import { toContractError } from './errors'
+import { getMarketIndex } from './marketIndex'
+import { getMarketHistory } from './marketHistory'
+import { getStorageItem, setStorageItem } from './storage'
+
+/**
+ * Pending transaction tracker for StacksBet Arena
+ * Records every contract call the app submits, persists the list, polls the
+ * Hiro API until each transaction is final and refreshes the market data the
+ * transaction touched once it confirms.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const TX_TYPES = {
+  BET_YES: 'bet_yes',
+  BET_NO: 'bet_no',
+  CREATE_MARKET: 'create_market',
+  CLAIM: 'claim',
+  RESOLVE: 'resolve',
+  CANCEL: 'cancel',
+  ADMIN: 'admin',
+}
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+}
+
+const STORAGE_KEY_PREFIX = 'tx_tracker_'
+const POLL_INTERVAL = 10000
+// Keep the newest transactions per contract
+const MAX_STORED = 100
+// Give up on a transaction the API has never seen after this long
+const MAX_PENDING_AGE = 24 * 60 * 60 * 1000
+
+// ============================================
+// FAILURE DECODING
+// ============================================
+
+/**
+ * Why a Hiro transaction failed: `{ error, errorCode, remediation }`.
+ * `errorCode` is the contract's `(err uN)` code when it aborted with one.
+ */
+export const describeTxFailure = (apiTx) => {
+  const status = apiTx?.tx_status || ''
+  if (status === 'abort_by_post_condition') {
+    return {
+      error: 'Blocked by a post-condition: more STX would have moved than allowed.',
+      errorCode: null,
+      remediation: 'Refresh the market and try again.',
+    }
+  }
+  if (status.startsWith('dropped')) {
+    return { error: 'Dropped from the mempool.', errorCode: null, remediation: 'Submit the transaction again.' }
+  }
+
+  const contractError = toContractError(apiTx)
+  if (!contractError) return { error: 'Transaction failed.', errorCode: null, remediation: null }
+  return {
+    error: contractError.message,
+    errorCode: contractError.contractCode,
+    remediation: contractError.remediation,
+  }
+}
+
+// `(ok uN)` → N, e.g. the new market's ID from `create-market`
+const parseOkUint = (repr) => {
+  const match = /^\(ok u(\d+)\)$/.exec(repr || '')
+  return match ? Number(match[1]) : null
+}
+
+const finalStatus = (apiStatus) => {
+  if (apiStatus === 'success') return TX_STATUS.SUCCESS
+  if (apiStatus?.startsWith('abort') || apiStatus?.startsWith('dropped')) return TX_STATUS.FAILED
+  return TX_STATUS.PENDING
+}
+
+// ============================================
+// TRACKER
+// ============================================
+
+export class TransactionTracker {
+  constructor({ network, contractAddress, contractName, pollInterval = POLL_INTERVAL }) {
+    this.network = network
+    this.contractAddress = contractAddress
+    this.contractName = contractName
+    this.pollInterval = pollInterval
+    this.storageKey = `${STORAGE_KEY_PREFIX}${contractAddress}.${contractName}@${network.coreApiUrl}`
+    this.transactions = getStorageItem(this.storageKey, [])
+    this.timer = null
+    this.stopped = false
+    // Bumped by `stop` so a tick already running does not reschedule
+    this.generation = 0
+    this.listeners = new Set()
+  }
+
+  persist() {
+    setStorageItem(this.storageKey, this.transactions.slice(0, MAX_STORED))
+  }
+
+  /**
+   * Start tracking a submitted transaction. `amount` is in micro-STX;
+   * `description` labels calls that are not about one market.
+   */
+  track({ txId, type, sender, marketId = null, marketTitle = null, amount, description = null }) {
+    if (!txId || this.get(txId)) return this.get(txId)
+
+    const tx = {
+      id: txId,
+      txHash: txId,
+      type,
+      status: TX_STATUS.PENDING,
+      sender,
+      marketId,
+      marketTitle,
+      amount,
+      description,
+      timestamp: Date.now(),
+      error: null,
+      errorCode: null,
+      remediation: null,
+    }
+    this.transactions = [tx, ...this.transactions]
+    this.persist()
+    this.notify(tx, null)
+    this.schedule()
+    return tx
+  }
+
+  get(txId) {
+    return this.transactions.find((tx) => tx.id === txId) || null
+  }
+
+  /**
+   * Tracked transactions, newest first; only `sender`'s when given
+   */
+  getTransactions(sender) {
+    return sender ? this.transactions.filter((tx) => tx.sender === sender) : [...this.transactions]
+  }
+
+  getPending() {
+    return this.transactions.filter((tx) => tx.status === TX_STATUS.PENDING)
+  }
+
+  remove(txId) {
+    this.transactions = this.transactions.filter((tx) => tx.id !== txId)
+    this.persist()
+  }
+
+  update(txId, updates) {
+    const previous = this.get(txId)
+    if (!previous) return null
+    const tx = { ...previous, ...updates }
+    this.transactions = this.transactions.map((t) => (t.id === txId ? tx : t))
+    this.persist()
+    this.notify(tx, previous)
+    return tx
+  }
+
+  // ---- polling ---------------------------------------------------------
+
+  /**
+   * Poll while anything is pending. Safe to call repeatedly.
+   */
+  start() {
+    this.stopped = false
+    this.schedule()
+  }
+
+  /**
+   * Stop polling until the next `start`, including after a poll in flight
+   */
+  stop() {
+    this.stopped = true
+    this.generation += 1
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  schedule() {
+    if (this.stopped || this.timer || this.getPending().length === 0) return
+    const generation = this.generation
+    this.timer = setTimeout(() => this.tick(generation), this.pollInterval)
+  }
+
+  async tick(generation) {
+    this.timer = null
+    try {
+      await this.poll()
+    } finally {
+      if (generation === this.generation) this.schedule()
+    }
+  }
+
+  /**
+   * Check every pending transaction once
+   */
+  async poll() {
+    await Promise.all(this.getPending().map((tx) => this.check(tx)))
+  }
+
+  async check(tx) {
+    let apiTx = null
+    try {
+      const res = await this.network.fetchFn(`${this.network.coreApiUrl}/extended/v1/tx/${tx.id}`)
+      // A 404 right after broadcast only means the API has not indexed it yet
+      if (res.ok) apiTx = await res.json()
+    } catch {
+      return
+    }
+
+    if (!apiTx) {
+      if (Date.now() - tx.timestamp > MAX_PENDING_AGE) {
+        this.update(tx.id, {
+          status: TX_STATUS.FAILED,
+          error: 'Transaction was never seen on chain.',
+          remediation: 'Submit the transaction again.',
+        })
+      }
+      return
+    }
+
+    const status = finalStatus(apiTx.tx_status)
+    if (status === TX_STATUS.PENDING) return
+
+    const updates = {
+      status,
+      blockHeight: apiTx.block_height ?? null,
+      ...(status === TX_STATUS.FAILED ? describeTxFailure(apiTx) : {}),
+    }
+    if (status === TX_STATUS.SUCCESS && tx.type === TX_TYPES.CREATE_MARKET) {
+      updates.marketId = parseOkUint(apiTx.tx_result?.repr)
+    }
+    if (status === TX_STATUS.SUCCESS && tx.type === TX_TYPES.CLAIM) {
+      updates.amount = parseOkUint(apiTx.tx_result?.repr) ?? tx.amount
+    }
+
+    if (status === TX_STATUS.SUCCESS) await this.refreshMarketData(tx.marketId, tx.sender)
+    this.update(tx.id, updates)
+  }
+
+  /**
+   * Re-read what a confirmed transaction changed before listeners hear about it
+   */
+  async refreshMarketData(marketId, sender) {
+    const opts = { network: this.network, contractAddress: this.contractAddress, contractName: this.contractName }
+    const index = getMarketIndex(opts)
+    if (marketId != null) index.invalidate(marketId)
+    if (sender) index.invalidateUser(sender)
+    try {
+      await Promise.all([index.refresh(), getMarketHistory(opts).sync()])
+    } catch {
+      // The next regular load picks the changes up
+    }
+  }
+
+  // ---- listeners -------------------------------------------------------
+
+  /**
+   * `listener(tx, previous)`: `previous` is null for a newly tracked transaction
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  notify(tx, previous) {
+    this.listeners.forEach((listener) => listener(tx, previous))
+  }
+}
+
+// ============================================
+// SHARED INSTANCES
+// ============================================
+
+const trackers = new Map()
+
+/**
+ * Get the shared tracker for a network + contract pair
+ */
+export const getTxTracker = ({
+  network = getActiveNetwork().network,
+  contractAddress = getActiveNetwork().config.contractAddress,
+  contractName = getActiveNetwork().config.contractName,
+} = {}) => {
+  const key = `${network.coreApiUrl}|${contractAddress}.${contractName}`
+  if (!trackers.has(key)) {
+    trackers.set(key, new TransactionTracker({ network, contractAddress, contractName }))
+  }
+  return trackers.get(key)
+}
+
+export default {
+  TX_TYPES,
+  TX_STATUS,
+  TransactionTracker,
+  getTxTracker,
+  describeTxFailure,
+}
@@ -1,4 +1,5 @@
 import { useState, useCallback, useMemo } from 'react'
+import { MARKET_FORM_FIELDS, validateMarketField } from './marketSchema'
 
 /**
  * Form validation utilities for StacksBet Arena
@@ -139,11 +140,12 @@ export const rules = {
 }
 
 /**
- * Validate a single field with multiple rules
+ * Validate a single field with multiple rules; each rule also gets the whole
+ * form's `values` for checks across fields
  */
-export const validateField = (value, fieldRules) => {
+export const validateField = (value, fieldRules, values = {}) => {
   for (const rule of fieldRules) {
-    const error = rule(value)
+    const error = rule(value, values)
     if (error) return error
   }
   return null
@@ -157,7 +159,7 @@ export const validateForm = (values, schema) => {
   let isValid = true
 
   for (const [fieldName, fieldRules] of Object.entries(schema)) {
-    const error = validateField(values[fieldName], fieldRules)
+    const error = validateField(values[fieldName], fieldRules, values)
     if (error) {
       errors[fieldName] = error
       isValid = false
@@ -193,10 +195,10 @@ export const useForm = (initialValues = {}, validationSchema = {}, options = {})
     setValues(prev => ({ ...prev, [name]: value }))
     
     if (validateOnChange && validationSchema[name]) {
-      const error = validateField(value, validationSchema[name])
+      const error = validateField(value, validationSchema[name], { ...values, [name]: value })
       setErrors(prev => ({ ...prev, [name]: error }))
     }
-  }, [validateOnChange, validationSchema])
+  }, [validateOnChange, validationSchema, values])
 
   // Handle input change
   const handleChange = useCallback((e) => {
@@ -211,7 +213,7 @@ export const useForm = (initialValues = {}, validationSchema = {}, options = {})
     setTouched(prev => ({ ...prev, [name]: true }))
 
     if (validateOnBlur && validationSchema[name]) {
-      const error = validateField(values[name], validationSchema[name])
+      const error = validateField(values[name], validationSchema[name], values)
       setErrors(prev => ({ ...prev, [name]: error }))
     }
   }, [validateOnBlur, validationSchema, values])
@@ -336,32 +338,12 @@ export const useField = (name, form) => {
 }
 
 /**
- * Market creation form schema
+ * Market creation form schema, built from the shared market schema so it
+ * enforces the same contract types and limits as the create form
  */
-export const marketFormSchema = {
-  title: [
-    rules.required,
-    rules.minLength(10),
-    rules.maxLength(200)
-  ],
-  description: [
-    rules.required,
-    rules.minLength(20),
-    rules.maxLength(1000)
-  ],
-  category: [
-    rules.required
-  ],
-  resolutionDate: [
-    rules.required,
-    rules.futureDate
-  ],
-  initialLiquidity: [
-    rules.required,
-    rules.positiveNumber,
-    rules.min(10)
-  ]
-}
+export const marketFormSchema = Object.fromEntries(
+  Object.keys(MARKET_FORM_FIELDS).map((name) => [name, [(value, values) => validateMarketField(name, value, values)]])
+)
 
 /**
  * Bet form schema
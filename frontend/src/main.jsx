@@ -1,6 +1,5 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import { Toaster } from 'react-hot-toast'
 import App from './App'
 import './index.css'
@@ -38,43 +37,32 @@ class ErrorBoundary extends React.Component {
   }
 }
 
-const queryClient = new QueryClient({
-  defaultOptions: {
-    queries: {
-      refetchOnWindowFocus: false,
-      retry: 1,
-    },
-  },
-})
-
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ErrorBoundary>
-      <QueryClientProvider client={queryClient}>
-        <App />
-        <Toaster 
-          position="bottom-right"
-          toastOptions={{
-            style: {
-              background: '#0a0a0f',
-              color: '#fff',
-              border: '1px solid rgba(139, 92, 246, 0.3)',
-            },
-            success: {
-              iconTheme: {
-                primary: '#10B981',
-                secondary: '#fff',
-              },
+      <App />
+      <Toaster 
+        position="bottom-right"
+        toastOptions={{
+          style: {
+            background: '#0a0a0f',
+            color: '#fff',
+            border: '1px solid rgba(139, 92, 246, 0.3)',
+          },
+          success: {
+            iconTheme: {
+              primary: '#10B981',
+              secondary: '#fff',
             },
-            error: {
-              iconTheme: {
-                primary: '#EF4444',
-                secondary: '#fff',
-              },
+          },
+          error: {
+            iconTheme: {
+              primary: '#EF4444',
+              secondary: '#fff',
             },
-          }}
-        />
-      </QueryClientProvider>
+          },
+        }}
+      />
     </ErrorBoundary>
   </React.StrictMode>,
 )
@@ -1,4 +1,5 @@
 import { UniversalConnector } from '@reown/appkit-universal-connector'
+import { getActiveNetwork } from '../lib/config'
 
 export const wcMetadata = {
   name: 'StacksBet Arena',
@@ -7,11 +8,12 @@ export const wcMetadata = {
   icons: [new URL('/logo.svg', window.location.origin).toString()],
 }
 
-export const stacksNamespace = {
-  chains: ['stacks:1'],
+// `chainId` is the CAIP-2 id of the selected network (see NETWORKS in lib/config)
+export const getStacksNamespace = (chainId = getActiveNetwork().config.chainId) => ({
+  chains: [chainId],
   methods: ['stx_getAddresses', 'stx_signTransaction', 'stx_callContract', 'stx_transferStx'],
   events: ['accountsChanged', 'chainChanged'],
-}
+})
 
 export let connector
 
@@ -21,13 +23,13 @@ export function initWalletConnect() {
   connector = new UniversalConnector({
     projectId: import.meta.env.VITE_WALLETCONNECT_PROJECT_ID,
     metadata: wcMetadata,
-    networks: [stacksNamespace],
+    networks: [getStacksNamespace()],
   })
 
   return connector
 }
 
-export async function wcConnect() {
+export async function wcConnect(chainId = getActiveNetwork().config.chainId) {
   const conn = initWalletConnect()
 
   return new Promise((resolve, reject) => {
@@ -41,7 +43,7 @@ export async function wcConnect() {
 
     conn.connect({
       requiredNamespaces: {
-        stacks: stacksNamespace,
+        stacks: getStacksNamespace(chainId),
       },
     })
   })
@@ -53,13 +55,13 @@ export async function wcDisconnect() {
   }
 }
 
-export async function getStacksAddresses(session) {
+export async function getStacksAddresses(session, chainId = getActiveNetwork().config.chainId) {
   if (!connector) throw new Error('Connector not initialized')
 
   try {
     const result = await connector.request({
       topic: session.topic,
-      chainId: 'stacks:1',
+      chainId,
       request: {
         method: 'stx_getAddresses',
         params: {},
@@ -74,8 +76,8 @@ export async function getStacksAddresses(session) {
     }
   } catch (error) {
     console.warn('stx_getAddresses failed, falling back to session accounts', error)
-    // Fallback to session accounts
-    const account = session.namespaces.stacks.accounts[0]
+    // Fallback to the session account on this chain
+    const account = session.namespaces.stacks.accounts.find((a) => a.startsWith(`${chainId}:`))
     if (account) {
       const [, , address] = account.split(':')
       return { address }
@@ -84,12 +86,12 @@ export async function getStacksAddresses(session) {
   }
 }
 
-export async function signStacksTransaction(session, txHex) {
+export async function signStacksTransaction(session, txHex, chainId = getActiveNetwork().config.chainId) {
   if (!connector) throw new Error('Connector not initialized')
 
   return connector.request({
     topic: session.topic,
-    chainId: 'stacks:1',
+    chainId,
     request: {
       method: 'stx_signTransaction',
       params: {